@@ -6,14 +6,28 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 // Import configurations and middleware
-const connectDB = require('./config/database');
-const { initRedis } = require('./config/redis');
+const { connectDB, closeDB } = require('./config/database');
+const { initRedis, closeRedis } = require('./config/redis');
+const { assertSecureJWTConfig } = require('./config/jwt');
+const { startUploadSweeper, DEFAULT_GRACE_PERIOD_MS } = require('./utils/uploadSweeper');
+const { startViewFlusher, flushViews } = require('./utils/viewCounter');
 //const errorHandler = require('./middleware/errorHandler');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const postRoutes = require('./routes/posts');
+const uploadRoutes = require('./routes/uploads');
+const adminRoutes = require('./routes/admin');
+const wellKnownRoutes = require('./routes/wellKnown');
+
+// Refuse to start with token lifetimes jsonwebtoken can't parse, or in production with the development JWT secrets
+try {
+  assertSecureJWTConfig();
+} catch (error) {
+  console.error(` ${error.message}`);
+  process.exit(1);
+}
 
 // Initialize Express app
 const app = express();
@@ -24,25 +38,54 @@ connectDB();
 // Initialize Redis (bonus feature)
 initRedis();
 
+// Periodically remove uploaded files no post references (off unless an interval is set)
+if (process.env.UPLOAD_GC_INTERVAL_MINUTES) {
+  startUploadSweeper({
+    intervalMs: Number(process.env.UPLOAD_GC_INTERVAL_MINUTES) * 60 * 1000,
+    gracePeriodMs: process.env.UPLOAD_GC_GRACE_HOURS
+      ? Number(process.env.UPLOAD_GC_GRACE_HOURS) * 60 * 60 * 1000
+      : DEFAULT_GRACE_PERIOD_MS
+  });
+}
+
+// Write buffered post views to MongoDB (every VIEW_FLUSH_INTERVAL_SECONDS, default 30)
+startViewFlusher();
+
+// Behind a reverse proxy, req.ip (which rate limits and lockouts key on) is only
+// the client's address when the proxy is trusted, e.g. TRUST_PROXY=1 for one hop
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Security middleware
 app.use(helmet());
 
 // CORS configuration - allowing our frontend
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  // Resumable upload progress headers
+  exposedHeaders: ['Upload-Offset', 'Upload-Length', 'Location', 'Retry-After']
 }));
 
 // Compression middleware for better performance
 app.use(compression());
 
-// Rate limiting - prevent spam and abuse
+// Rate limiting - prevent spam and abuse. Sign-in and other sensitive routes
+// have much tighter limits of their own (see middleware/bruteForce.js)
 const limiter = rateLimit({
-  windowMs: 1440 * 60 * 1000000, // 24 hrs minutes
-  max: 100000, // limit each IP to 10000 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  windowMs: (parseInt(process.env.RATE_LIMIT_WINDOW_MINUTES, 10) || 15) * 60 * 1000,
+  max: parseInt(process.env.RATE_LIMIT_MAX, 10) || 1000, // requests per IP per window
+  standardHeaders: true, // RateLimit-* and Retry-After headers
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many requests from this IP, please try again later.',
+    code: 'RATE_LIMITED'
+  }
 });
-//app.use(limiter);
+app.use('/api', limiter);
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -57,10 +100,15 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Public keys for verifying access tokens
+app.use('/.well-known', wellKnownRoutes);
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/posts', postRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Handle undefined routes
 app.use('*', (req, res) => {
@@ -81,15 +129,29 @@ app.listen(PORT, () => {
   console.log(` API Base URL: http://localhost:${PORT}`);
 });
 
-// Graceful shutdown handling
-process.on('SIGTERM', () => {
-  console.log(' SIGTERM received. Shutting down gracefully...');
+// Graceful shutdown handling - the only SIGINT/SIGTERM handlers, so the steps
+// run in order: buffered views are written (they need MongoDB, and Redis when
+// they're buffered there), then Redis and MongoDB are closed
+let shuttingDown = false;
+
+const shutdown = async (signal) => {
+  // A second signal while shutting down doesn't start over
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(` ${signal} received. Shutting down gracefully...`);
+
+  try {
+    await flushViews();
+  } catch (error) {
+    console.error('View flush error:', error.message);
+  }
+
+  await closeRedis();
+  await closeDB();
   process.exit(0);
-});
+};
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received. Shutting down gracefully...');
-  process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 module.exports = app;
\ No newline at end of file
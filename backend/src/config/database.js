@@ -30,18 +30,6 @@ const connectDB = async () => {
       console.warn('MongoDB disconnected');
     });
 
-    // Graceful shutdown
-    process.on('SIGINT', async () => {
-      try {
-        await mongoose.connection.close();
-        console.log('MongoDB connection closed through app termination');
-        process.exit(0);
-      } catch (err) {
-        console.error('Error closing MongoDB connection:', err);
-        process.exit(1);
-      }
-    });
-
   } catch (error) {
     console.error(' MongoDB connection failed:', error.message);
     // Don't exit in development, but log the error
@@ -51,4 +39,17 @@ const connectDB = async () => {
   }
 };
 
-module.exports = connectDB;
\ No newline at end of file
+// Graceful shutdown (app.js calls this last, after buffered views are written)
+const closeDB = async () => {
+  try {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed through app termination');
+  } catch (err) {
+    console.error('Error closing MongoDB connection:', err);
+  }
+};
+
+module.exports = {
+  connectDB,
+  closeDB
+};
\ No newline at end of file
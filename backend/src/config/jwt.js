@@ -1,167 +1,317 @@
+const crypto = require('crypto');
+const fs = require('fs');
 const jwt = require('jsonwebtoken');
+const ms = require('ms');
+const { getClient } = require('./redis');
+const { signEdDSA, verifyEdDSA } = require('../utils/eddsaJwt');
+
+// Key id for tokens signed before key ids were introduced (and for the single-secret setup)
+const DEFAULT_KID = 'default';
+
+// Built-in secrets for local development only - refused in production
+const DEFAULT_SECRETS = ['your-access-secret-key', 'your-refresh-secret-key'];
+
+// Signing algorithm for each supported key pair type
+const ASYMMETRIC_ALGORITHMS = {
+  rsa: 'RS256',
+  ed25519: 'EdDSA'
+};
+
+// Split "kid:value,kid:value" lists
+const parseKeyList = (keysVar, valueName) => (keysVar || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0 || separator === entry.length - 1) {
+      throw new Error(`Invalid JWT key "${entry.split(':')[0]}" - expected kid:${valueName}`);
+    }
+    return { kid: entry.slice(0, separator), value: entry.slice(separator + 1) };
+  });
+
+/**
+ * Load RSA / Ed25519 keys from PEM files
+ * A private key file can sign and verify; a public key file only verifies
+ * (e.g. a retired key whose tokens haven't expired yet).
+ * @param {string} keyFilesVar - e.g. "2024-06:/run/keys/jwt-2024-06.pem"
+ * @returns {Array} - [{ kid, algorithm, privateKey, publicKey }]
+ */
+const loadKeyFiles = (keyFilesVar) => parseKeyList(keyFilesVar, 'path').map(({ kid, value: path }) => {
+  const pem = fs.readFileSync(path, 'utf8');
+
+  let privateKey = null;
+  let publicKey;
+  if (pem.includes('PRIVATE KEY')) {
+    privateKey = crypto.createPrivateKey(pem);
+    publicKey = crypto.createPublicKey(privateKey);
+  } else {
+    publicKey = crypto.createPublicKey(pem);
+  }
+
+  const algorithm = ASYMMETRIC_ALGORITHMS[publicKey.asymmetricKeyType];
+  if (!algorithm) {
+    throw new Error(`JWT key "${kid}" is a ${publicKey.asymmetricKeyType} key - use an RSA or Ed25519 key`);
+  }
+
+  return { kid, algorithm, privateKey, publicKey };
+});
+
+/**
+ * Build a key ring: key files first, then "kid:secret" HMAC keys
+ * The first key signs new tokens; every key is accepted when verifying, so a
+ * key can be rotated by adding a new key in front and dropping the old one
+ * once its tokens have expired.
+ * @param {Object} sources
+ * @param {string} [sources.keyFiles] - e.g. "2024-06:/run/keys/jwt-2024-06.pem"
+ * @param {string} [sources.keys] - e.g. "2024-06:new-secret,2024-01:old-secret"
+ * @param {string} [sources.secret] - Single secret, used as the "default" key
+ * @param {string} sources.defaultSecret - Used when nothing else is configured
+ * @returns {Array} - [{ kid, algorithm, secret } | { kid, algorithm, privateKey, publicKey }]
+ */
+const buildKeyRing = ({ keyFiles, keys: keysVar, secret, defaultSecret }) => {
+  const keys = [
+    ...loadKeyFiles(keyFiles),
+    ...parseKeyList(keysVar, 'secret').map(({ kid, value }) => ({ kid, algorithm: 'HS256', secret: value }))
+  ];
+
+  // Still accept tokens signed with the single secret while moving to a key ring
+  const fallbackSecret = secret || (keys.length === 0 ? defaultSecret : null);
+  if (fallbackSecret && !keys.some(key => key.kid === DEFAULT_KID)) {
+    keys.push({ kid: DEFAULT_KID, algorithm: 'HS256', secret: fallbackSecret });
+  }
+
+  const kids = keys.map(key => key.kid);
+  const duplicate = kids.find((kid, index) => kids.indexOf(kid) !== index);
+  if (duplicate) {
+    throw new Error(`JWT key id "${duplicate}" is used more than once`);
+  }
+
+  if (keys[0].algorithm !== 'HS256' && !keys[0].privateKey) {
+    throw new Error(`JWT key "${keys[0].kid}" signs new tokens, so it must be a private key`);
+  }
+
+  return keys;
+};
 
 // JWT Configuration constants
 const JWT_CONFIG = {
+  // Access tokens may be signed with key pairs so other services can verify them (see getJWKS)
   ACCESS_TOKEN: {
-    SECRET: process.env.JWT_ACCESS_SECRET || 'your-access-secret-key',
+    KEYS: buildKeyRing({
+      keyFiles: process.env.JWT_ACCESS_KEY_FILES,
+      keys: process.env.JWT_ACCESS_KEYS,
+      secret: process.env.JWT_ACCESS_SECRET,
+      defaultSecret: DEFAULT_SECRETS[0]
+    }),
     EXPIRES_IN: process.env.JWT_ACCESS_EXPIRES || '30d', // Changed from 15m to 30d
-    ALGORITHM: 'HS256',
     ISSUER: 'mini-dashboard-app',
     AUDIENCE: 'dashboard-users'
   },
+  // Refresh tokens are only ever read by this server, so they stay on HMAC secrets
   REFRESH_TOKEN: {
-    SECRET: process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key',
+    KEYS: buildKeyRing({
+      keys: process.env.JWT_REFRESH_KEYS,
+      secret: process.env.JWT_REFRESH_SECRET,
+      defaultSecret: DEFAULT_SECRETS[1]
+    }),
     EXPIRES_IN: process.env.JWT_REFRESH_EXPIRES || '90d', // Changed from 7d to 90d
-    ALGORITHM: 'HS256',
     ISSUER: 'mini-dashboard-app',
     AUDIENCE: 'dashboard-users'
   }
 };
 
-/**
- * Generate JWT Access Token
- * @param {Object} payload - Token payload (typically user info)
- * @param {Object} options - Additional options for token generation
- * @returns {string} - JWT token string
- */
-const generateAccessToken = (payload, options = {}) => {
-  try {
-    const tokenPayload = {
-      ...payload,
-      type: 'access',
-      iat: Math.floor(Date.now() / 1000) // Issued at time
-    };
+// Two-factor login challenges are also only read by this server, so they share the refresh key ring
+JWT_CONFIG.CHALLENGE_TOKEN = {
+  KEYS: JWT_CONFIG.REFRESH_TOKEN.KEYS,
+  EXPIRES_IN: process.env.JWT_CHALLENGE_EXPIRES || '5m',
+  ISSUER: 'mini-dashboard-app',
+  AUDIENCE: 'dashboard-users'
+};
 
-    const signOptions = {
-      expiresIn: options.expiresIn || JWT_CONFIG.ACCESS_TOKEN.EXPIRES_IN,
-      algorithm: JWT_CONFIG.ACCESS_TOKEN.ALGORITHM,
-      issuer: JWT_CONFIG.ACCESS_TOKEN.ISSUER,
-      audience: JWT_CONFIG.ACCESS_TOKEN.AUDIENCE,
-      ...options
-    };
+// So are the state tokens that carry an OIDC sign-in from the provider redirect back to us
+JWT_CONFIG.OIDC_STATE_TOKEN = {
+  KEYS: JWT_CONFIG.REFRESH_TOKEN.KEYS,
+  EXPIRES_IN: process.env.JWT_OIDC_STATE_EXPIRES || '10m',
+  ISSUER: 'mini-dashboard-app',
+  AUDIENCE: 'dashboard-users'
+};
 
-    return jwt.sign(tokenPayload, JWT_CONFIG.ACCESS_TOKEN.SECRET, signOptions);
-  } catch (error) {
-    console.error('Error generating access token:', error);
-    throw new Error('Token generation failed');
-  }
+const TOKEN_TYPES = {
+  access: { config: JWT_CONFIG.ACCESS_TOKEN, label: 'Access' },
+  refresh: { config: JWT_CONFIG.REFRESH_TOKEN, label: 'Refresh' },
+  challenge: { config: JWT_CONFIG.CHALLENGE_TOKEN, label: 'Challenge' },
+  oidc: { config: JWT_CONFIG.OIDC_STATE_TOKEN, label: 'OIDC state' }
+};
+
+// Errors keep jsonwebtoken's names so callers can tell expiry (TOKEN_EXPIRED) from anything else (INVALID_TOKEN)
+const tokenError = (name, message, extra = {}) => {
+  const error = new Error(message);
+  error.name = name;
+  return Object.assign(error, extra);
 };
 
 /**
- * Generate JWT Refresh Token
- * @param {Object} payload - Token payload (typically user info)
+ * Sign a typed token with the current (first) key of its key ring
+ * @param {string} type - 'access', 'refresh', 'challenge' or 'oidc'
+ * @param {Object} payload - Token payload
  * @param {Object} options - Additional options for token generation
  * @returns {string} - JWT token string
  */
-const generateRefreshToken = (payload, options = {}) => {
+const signToken = (type, payload, options = {}) => {
+  const { config, label } = TOKEN_TYPES[type];
+
   try {
+    const [key] = config.KEYS;
     const tokenPayload = {
+      // jti makes every token unique (and revocable), even when issued within the same second
+      jti: crypto.randomUUID(),
       ...payload,
-      type: 'refresh',
+      type,
       iat: Math.floor(Date.now() / 1000) // Issued at time
     };
 
     const signOptions = {
-      expiresIn: options.expiresIn || JWT_CONFIG.REFRESH_TOKEN.EXPIRES_IN,
-      algorithm: JWT_CONFIG.REFRESH_TOKEN.ALGORITHM,
-      issuer: JWT_CONFIG.REFRESH_TOKEN.ISSUER,
-      audience: JWT_CONFIG.REFRESH_TOKEN.AUDIENCE,
-      ...options
+      algorithm: key.algorithm,
+      issuer: config.ISSUER,
+      audience: config.AUDIENCE,
+      keyid: key.kid,
+      ...options,
+      expiresIn: options.expiresIn || config.EXPIRES_IN
     };
 
-    return jwt.sign(tokenPayload, JWT_CONFIG.REFRESH_TOKEN.SECRET, signOptions);
+    if (key.algorithm === 'EdDSA') {
+      return signEdDSA(tokenPayload, key.privateKey, { ...signOptions, expiresIn: toSeconds(signOptions.expiresIn) });
+    }
+
+    return jwt.sign(tokenPayload, key.secret || key.privateKey, signOptions);
   } catch (error) {
-    console.error('Error generating refresh token:', error);
+    console.error(`Error generating ${label.toLowerCase()} token:`, error);
     throw new Error('Token generation failed');
   }
 };
 
 /**
- * Verify JWT Access Token
+ * Verify a typed token against the key named by its kid header
+ * @param {string} type - 'access', 'refresh', 'challenge' or 'oidc'
  * @param {string} token - JWT token to verify
  * @param {Object} options - Additional options for verification
  * @returns {Object} - Decoded token payload
  */
-const verifyAccessToken = (token, options = {}) => {
+const verifyToken = (type, token, options = {}) => {
+  const { config, label } = TOKEN_TYPES[type];
+
   try {
+    const complete = jwt.decode(token, { complete: true });
+    if (!complete) {
+      throw tokenError('JsonWebTokenError', 'jwt malformed');
+    }
+
+    const kid = complete.header.kid || DEFAULT_KID;
+    const key = config.KEYS.find(candidate => candidate.kid === kid);
+    if (!key) {
+      throw tokenError('JsonWebTokenError', `unknown key id "${kid}"`);
+    }
+
+    // The key decides the algorithm, never the token header
     const verifyOptions = {
-      algorithm: JWT_CONFIG.ACCESS_TOKEN.ALGORITHM,
-      issuer: JWT_CONFIG.ACCESS_TOKEN.ISSUER,
-      audience: JWT_CONFIG.ACCESS_TOKEN.AUDIENCE,
+      algorithms: [key.algorithm],
+      issuer: config.ISSUER,
+      audience: config.AUDIENCE,
       ...options
     };
+    const decoded = key.algorithm === 'EdDSA'
+      ? verifyEdDSA(token, key.publicKey, verifyOptions)
+      : jwt.verify(token, key.secret || key.publicKey, verifyOptions);
 
-    const decoded = jwt.verify(token, JWT_CONFIG.ACCESS_TOKEN.SECRET, verifyOptions);
-
-    // Additional validation - ensure it's an access token
-    if (decoded.type !== 'access') {
-      throw new Error('Invalid token type');
+    // Additional validation - an access token can't be used as a refresh token and vice versa
+    if (decoded.type !== type) {
+      throw tokenError('JsonWebTokenError', 'invalid token type');
     }
 
     return decoded;
   } catch (error) {
     // Log the error but don't expose details for security
-    console.error('Access token verification failed:', error.message);
-    
+    console.error(`${label} token verification failed:`, error.message);
+
     if (error.name === 'TokenExpiredError') {
-      const expiredError = new Error('Access token expired');
-      expiredError.name = 'TokenExpiredError';
-      expiredError.expiredAt = error.expiredAt;
-      throw expiredError;
-    }
-    
-    if (error.name === 'JsonWebTokenError') {
-      const invalidError = new Error('Invalid access token');
-      invalidError.name = 'JsonWebTokenError';
-      throw invalidError;
+      throw tokenError('TokenExpiredError', `${label} token expired`, { expiredAt: error.expiredAt });
     }
-    
-    throw error;
+
+    throw tokenError('JsonWebTokenError', `Invalid ${label.toLowerCase()} token`);
   }
 };
 
 /**
- * Verify JWT Refresh Token
+ * Generate JWT Access Token
+ * @param {Object} payload - Token payload (typically user info)
+ * @param {Object} options - Additional options for token generation
+ * @returns {string} - JWT token string
+ */
+const generateAccessToken = (payload, options = {}) => signToken('access', payload, options);
+
+/**
+ * Generate JWT Refresh Token
+ * @param {Object} payload - Token payload (typically user info)
+ * @param {Object} options - Additional options for token generation
+ * @returns {string} - JWT token string
+ */
+const generateRefreshToken = (payload, options = {}) => signToken('refresh', payload, options);
+
+/**
+ * Generate a two-factor login challenge token
+ * Proves the password was right; only POST /api/auth/login/2fa accepts it.
+ * @param {Object} payload - Token payload (userId)
+ * @param {Object} options - Additional options for token generation
+ * @returns {string} - JWT token string
+ */
+const generateChallengeToken = (payload, options = {}) => signToken('challenge', payload, options);
+
+/**
+ * Generate an OIDC sign-in state token
+ * Holds the provider, state, nonce and PKCE verifier of a sign-in started with
+ * GET /api/auth/oidc/:provider/authorize; only POST /api/auth/oidc/callback accepts it.
+ * @param {Object} payload - Token payload
+ * @param {Object} options - Additional options for token generation
+ * @returns {string} - JWT token string
+ */
+const generateOidcStateToken = (payload, options = {}) => signToken('oidc', payload, options);
+
+/**
+ * Verify JWT Access Token
  * @param {string} token - JWT token to verify
  * @param {Object} options - Additional options for verification
  * @returns {Object} - Decoded token payload
+ * @throws {Error} - TokenExpiredError or JsonWebTokenError
  */
-const verifyRefreshToken = (token, options = {}) => {
-  try {
-    const verifyOptions = {
-      algorithm: JWT_CONFIG.REFRESH_TOKEN.ALGORITHM,
-      issuer: JWT_CONFIG.REFRESH_TOKEN.ISSUER,
-      audience: JWT_CONFIG.REFRESH_TOKEN.AUDIENCE,
-      ...options
-    };
+const verifyAccessToken = (token, options = {}) => verifyToken('access', token, options);
 
-    const decoded = jwt.verify(token, JWT_CONFIG.REFRESH_TOKEN.SECRET, verifyOptions);
+/**
+ * Verify JWT Refresh Token
+ * @param {string} token - JWT token to verify
+ * @param {Object} options - Additional options for verification
+ * @returns {Object} - Decoded token payload
+ * @throws {Error} - TokenExpiredError or JsonWebTokenError
+ */
+const verifyRefreshToken = (token, options = {}) => verifyToken('refresh', token, options);
 
-    // Additional validation - ensure it's a refresh token
-    if (decoded.type !== 'refresh') {
-      throw new Error('Invalid token type');
-    }
+/**
+ * Verify a two-factor login challenge token
+ * @param {string} token - JWT token to verify
+ * @param {Object} options - Additional options for verification
+ * @returns {Object} - Decoded token payload
+ * @throws {Error} - TokenExpiredError or JsonWebTokenError
+ */
+const verifyChallengeToken = (token, options = {}) => verifyToken('challenge', token, options);
 
-    return decoded;
-  } catch (error) {
-    console.error('Refresh token verification failed:', error.message);
-    
-    if (error.name === 'TokenExpiredError') {
-      const expiredError = new Error('Refresh token expired');
-      expiredError.name = 'TokenExpiredError';
-      expiredError.expiredAt = error.expiredAt;
-      throw expiredError;
-    }
-    
-    if (error.name === 'JsonWebTokenError') {
-      const invalidError = new Error('Invalid refresh token');
-      invalidError.name = 'JsonWebTokenError';
-      throw invalidError;
-    }
-    
-    throw error;
-  }
-};
+/**
+ * Verify an OIDC sign-in state token
+ * @param {string} token - JWT token to verify
+ * @param {Object} options - Additional options for verification
+ * @returns {Object} - Decoded token payload
+ * @throws {Error} - TokenExpiredError or JsonWebTokenError
+ */
+const verifyOidcStateToken = (token, options = {}) => verifyToken('oidc', token, options);
 
 /**
  * Decode JWT token without verification (for debugging)
@@ -256,54 +406,193 @@ const createTokenPair = (payload, options = {}) => {
 };
 
 /**
- * Blacklist token (in a real app, you'd store this in Redis or database)
- * For now, we'll use a simple in-memory Set
- * @param {string} token - Token to blacklist
+ * Revoked access tokens
+ * Entries live in Redis (shared by every app instance) with a TTL equal to the
+ * token's remaining lifetime. When Redis isn't configured or a call fails,
+ * they fall back to this process's memory.
  */
-const blacklistedTokens = new Set();
+const REVOKED_TOKEN_PREFIX = 'revoked_jti_';
+const REVOKED_USER_PREFIX = 'revoked_user_';
+const REVOKED_SESSION_PREFIX = 'revoked_sid_';
+const blacklistedTokens = new Map(); // key -> { value, expiresAt }
 
-const blacklistToken = (token) => {
+/**
+ * Convert a jsonwebtoken expiresIn value ('30d', '2 days', '1y', 3600) to seconds
+ * Same rules as jsonwebtoken: numbers are seconds, strings are parsed by `ms`
+ * (so a bare numeric string like '3600' means milliseconds).
+ * @param {string|number} expiresIn - Lifetime
+ * @returns {number} - Seconds
+ * @throws {Error} - When jsonwebtoken wouldn't accept the lifetime either
+ */
+const toSeconds = (expiresIn) => {
+  const seconds = typeof expiresIn === 'number'
+    ? expiresIn
+    : Math.floor(ms(String(expiresIn)) / 1000);
+
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    throw new Error(`Unsupported token lifetime: ${expiresIn}`);
+  }
+
+  return seconds;
+};
+
+// Token id used as the denylist key (tokens issued before access tokens carried a jti fall back to user + iat)
+const getTokenId = (payload) => payload.jti || `${payload.userId}_${payload.iat}`;
+
+const setRevocation = async (key, value, ttlSeconds) => {
+  if (ttlSeconds <= 0) return;
+
+  const client = getClient();
+  if (client) {
+    try {
+      await client.setEx(key, ttlSeconds, String(value));
+      return;
+    } catch (error) {
+      console.error(' Redis SET error (token revocation):', error);
+    }
+  }
+
+  blacklistedTokens.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+};
+
+const getRevocations = async (keys) => {
+  const values = keys.map(key => {
+    const entry = blacklistedTokens.get(key);
+    return entry && entry.expiresAt > Date.now() ? entry.value : null;
+  });
+
+  const client = getClient();
+  if (client) {
+    try {
+      const stored = await client.mGet(keys);
+      return values.map((value, index) => value !== null ? value : stored[index]);
+    } catch (error) {
+      console.error(' Redis GET error (token revocation):', error);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Revoke a single access token until it expires
+ * @param {Object} payload - Verified access token payload (needs exp)
+ */
+const blacklistToken = async (payload) => {
   try {
-    blacklistedTokens.add(token);
-    console.log('Token blacklisted successfully');
+    const ttl = payload.exp - Math.floor(Date.now() / 1000);
+    await setRevocation(`${REVOKED_TOKEN_PREFIX}${getTokenId(payload)}`, 1, ttl);
   } catch (error) {
     console.error('Token blacklisting failed:', error);
   }
 };
 
 /**
- * Check if token is blacklisted
- * @param {string} token - Token to check
- * @returns {boolean} - True if token is blacklisted
+ * Revoke every access token issued to a user so far
+ * Stores a cutoff time for the longest possible access token lifetime.
+ * Tokens issued in the same second as the cutoff stay valid.
+ * @param {string} userId - User id
  */
-const isTokenBlacklisted = (token) => {
-  return blacklistedTokens.has(token);
+const revokeUserTokens = async (userId) => {
+  const cutoff = Math.floor(Date.now() / 1000);
+  const ttl = toSeconds(JWT_CONFIG.ACCESS_TOKEN.EXPIRES_IN);
+  await setRevocation(`${REVOKED_USER_PREFIX}${userId}`, cutoff, ttl);
 };
 
 /**
- * Clear expired tokens from blacklist (cleanup function)
- * This should be called periodically in production
+ * Revoke every access token issued for a session (refresh token family)
+ * A revoked family never issues tokens again, so the entry only has to outlive
+ * the longest possible access token.
+ * @param {string} sid - Session id (the refresh token family)
+ */
+const revokeSessionTokens = async (sid) => {
+  const ttl = toSeconds(JWT_CONFIG.ACCESS_TOKEN.EXPIRES_IN);
+  await setRevocation(`${REVOKED_SESSION_PREFIX}${sid}`, 1, ttl);
+};
+
+/**
+ * Check if an access token was revoked: on its own, with its session, or with
+ * all of its user's tokens
+ * @param {Object} payload - Verified access token payload
+ * @returns {Promise<boolean>} - True if token is blacklisted
+ */
+const isTokenBlacklisted = async (payload) => {
+  const [revoked, userCutoff, sessionRevoked] = await getRevocations([
+    `${REVOKED_TOKEN_PREFIX}${getTokenId(payload)}`,
+    `${REVOKED_USER_PREFIX}${payload.userId}`,
+    // Tokens issued before sessions were tracked have no sid
+    ...(payload.sid ? [`${REVOKED_SESSION_PREFIX}${payload.sid}`] : [])
+  ]);
+
+  return Boolean(revoked) ||
+    Boolean(sessionRevoked) ||
+    (userCutoff !== null && payload.iat < Number(userCutoff));
+};
+
+/**
+ * Clear expired tokens from the in-memory fallback (cleanup function)
+ * Redis entries expire on their own.
  */
 const clearExpiredBlacklistedTokens = () => {
   try {
-    const tokensToRemove = [];
-    
-    blacklistedTokens.forEach(token => {
-      if (isTokenExpired(token)) {
-        tokensToRemove.push(token);
+    const now = Date.now();
+    let removed = 0;
+
+    blacklistedTokens.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        blacklistedTokens.delete(key);
+        removed++;
       }
     });
-    
-    tokensToRemove.forEach(token => {
-      blacklistedTokens.delete(token);
-    });
-    
-    console.log(`Cleared ${tokensToRemove.length} expired tokens from blacklist`);
+
+    console.log(`Cleared ${removed} expired tokens from blacklist`);
   } catch (error) {
     console.error('Blacklist cleanup failed:', error);
   }
 };
 
+/**
+ * Public keys for verifying access tokens, as a JSON Web Key Set
+ * HMAC secrets are never included.
+ * @returns {Object} - { keys: [...] }
+ */
+const getJWKS = () => ({
+  keys: JWT_CONFIG.ACCESS_TOKEN.KEYS
+    .filter(key => key.publicKey)
+    .map(key => ({
+      ...key.publicKey.export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.algorithm,
+      use: 'sig'
+    }))
+});
+
+/**
+ * Check the JWT configuration at startup
+ * Token lifetimes must parse (revocation entries are sized from them), and
+ * production must not run with the built-in development secrets.
+ * @throws {Error} - On an unusable lifetime, or a default secret in production
+ */
+const assertSecureJWTConfig = () => {
+  Object.values(TOKEN_TYPES).forEach(({ config, label }) => {
+    try {
+      toSeconds(config.EXPIRES_IN);
+    } catch (error) {
+      throw new Error(`${label} token lifetime "${config.EXPIRES_IN}" is not a valid duration (e.g. 15m, 12h, 30d, 1w)`);
+    }
+  });
+
+  if (process.env.NODE_ENV !== 'production') return;
+
+  const insecure = Object.entries(TOKEN_TYPES)
+    .filter(([, { config }]) => config.KEYS.some(key => DEFAULT_SECRETS.includes(key.secret)))
+    .map(([type]) => type);
+
+  if (insecure.length > 0) {
+    throw new Error(`Default JWT secret in use for ${insecure.join(' and ')} tokens - set JWT_ACCESS_SECRET / JWT_REFRESH_SECRET (or key rings) before running in production`);
+  }
+};
+
 /**
  * Get JWT configuration for external use
  * @returns {Object} - JWT configuration object
@@ -312,13 +601,15 @@ const getJWTConfig = () => {
   return {
     access: {
       expiresIn: JWT_CONFIG.ACCESS_TOKEN.EXPIRES_IN,
-      algorithm: JWT_CONFIG.ACCESS_TOKEN.ALGORITHM,
+      algorithm: JWT_CONFIG.ACCESS_TOKEN.KEYS[0].algorithm,
+      keyIds: JWT_CONFIG.ACCESS_TOKEN.KEYS.map(key => key.kid),
       issuer: JWT_CONFIG.ACCESS_TOKEN.ISSUER,
       audience: JWT_CONFIG.ACCESS_TOKEN.AUDIENCE
     },
     refresh: {
       expiresIn: JWT_CONFIG.REFRESH_TOKEN.EXPIRES_IN,
-      algorithm: JWT_CONFIG.REFRESH_TOKEN.ALGORITHM,
+      algorithm: JWT_CONFIG.REFRESH_TOKEN.KEYS[0].algorithm,
+      keyIds: JWT_CONFIG.REFRESH_TOKEN.KEYS.map(key => key.kid),
       issuer: JWT_CONFIG.REFRESH_TOKEN.ISSUER,
       audience: JWT_CONFIG.REFRESH_TOKEN.AUDIENCE
     }
@@ -333,16 +624,24 @@ if (process.env.NODE_ENV === 'production') {
 module.exports = {
   generateAccessToken,
   generateRefreshToken,
+  generateChallengeToken,
+  generateOidcStateToken,
   verifyAccessToken,
   verifyRefreshToken,
+  verifyChallengeToken,
+  verifyOidcStateToken,
   decodeToken,
   isTokenExpired,
   getTokenExpiry,
   getTimeUntilExpiry,
   createTokenPair,
   blacklistToken,
+  revokeUserTokens,
+  revokeSessionTokens,
   isTokenBlacklisted,
   clearExpiredBlacklistedTokens,
   getJWTConfig,
+  getJWKS,
+  assertSecureJWTConfig,
   JWT_CONFIG
 };
\ No newline at end of file
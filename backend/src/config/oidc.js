@@ -0,0 +1,316 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { verifyEdDSA } = require('../utils/eddsaJwt');
+
+/**
+ * OpenID Connect sign-in (authorization code flow with PKCE)
+ *
+ * Providers come from the environment:
+ *   OIDC_PROVIDERS=google,mock               ids, in the order buttons are shown
+ *   OIDC_<ID>_ISSUER=https://accounts.google.com
+ *   OIDC_<ID>_CLIENT_ID=...
+ *   OIDC_<ID>_CLIENT_SECRET=...              optional - without it we are a public client and rely on PKCE
+ *   OIDC_<ID>_NAME=Google                    optional button label (defaults to the id)
+ *   OIDC_<ID>_SCOPES=openid email profile    optional
+ *
+ * Endpoints and signing keys are read from the issuer's discovery document.
+ * Issuers must use https, except on localhost (e.g. scripts/mockOidcServer.js).
+ */
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Where providers send the browser back to; register this URL with every provider
+const REDIRECT_URI = process.env.OIDC_REDIRECT_URI || `${FRONTEND_URL}/oauth/callback`;
+
+const DEFAULT_SCOPES = 'openid email profile';
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+// An unknown kid triggers a JWKS refetch (the provider rotated keys), at most this often
+const JWKS_REFETCH_MS = 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Allowed clock difference when checking exp/iat
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+// Never accept unsigned or HMAC-signed ID tokens
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512', 'EdDSA'];
+
+const oidcError = (message, code = 'OIDC_FAILED') => Object.assign(new Error(message), { code });
+
+const isLocalhost = (url) => ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+
+const loadProviders = () => {
+  const ids = (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  return ids.reduce((providers, id) => {
+    const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    const issuer = (process.env[`${prefix}ISSUER`] || '').replace(/\/+$/, '');
+    const clientId = process.env[`${prefix}CLIENT_ID`];
+
+    if (!issuer || !clientId) {
+      console.warn(`⚠️ OIDC provider "${id}" skipped: ${prefix}ISSUER and ${prefix}CLIENT_ID are required`);
+      return providers;
+    }
+
+    const issuerUrl = new URL(issuer);
+    if (issuerUrl.protocol !== 'https:' && !isLocalhost(issuerUrl)) {
+      console.warn(`⚠️ OIDC provider "${id}" skipped: the issuer must use https`);
+      return providers;
+    }
+
+    providers.set(id, {
+      id,
+      name: process.env[`${prefix}NAME`] || id,
+      issuer,
+      clientId,
+      clientSecret: process.env[`${prefix}CLIENT_SECRET`] || null,
+      scopes: process.env[`${prefix}SCOPES`] || DEFAULT_SCOPES
+    });
+    return providers;
+  }, new Map());
+};
+
+const providers = loadProviders();
+
+const discoveryCache = new Map(); // provider id -> { metadata, fetchedAt }
+const jwksCache = new Map(); // provider id -> { keys, fetchedAt }
+
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...options,
+      headers: { Accept: 'application/json', ...options.headers },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw oidcError(`Could not reach ${url}: ${error.message}`, 'OIDC_PROVIDER_UNAVAILABLE');
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const reason = body && (body.error_description || body.error);
+    throw oidcError(`${url} answered ${response.status}${reason ? `: ${reason}` : ''}`);
+  }
+  if (!body) {
+    throw oidcError(`${url} did not return JSON`);
+  }
+
+  return body;
+};
+
+/**
+ * List the configured providers (safe to show to anyone)
+ * @returns {Array<Object>} - [{ id, name }]
+ */
+const getProviders = () => Array.from(providers.values(), ({ id, name }) => ({ id, name }));
+
+/**
+ * Get a configured provider
+ * @param {string} id - Provider id
+ * @returns {Object|null}
+ */
+const getProvider = (id) => providers.get(String(id).toLowerCase()) || null;
+
+/**
+ * Read (and cache) a provider's discovery document
+ * @param {Object} provider - From getProvider()
+ * @returns {Promise<Object>} - OpenID provider metadata
+ */
+const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.id);
+  if (cached && Date.now() - cached.fetchedAt < DISCOVERY_TTL_MS) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer !== provider.issuer) {
+    throw oidcError(`Discovery issuer "${metadata.issuer}" does not match "${provider.issuer}"`);
+  }
+  if (!metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.jwks_uri) {
+    throw oidcError(`Discovery document for ${provider.issuer} is missing endpoints`);
+  }
+
+  discoveryCache.set(provider.id, { metadata, fetchedAt: Date.now() });
+  return metadata;
+};
+
+// Find the provider key an ID token was signed with, refetching the JWKS once if it's unknown
+const getSigningKey = async (provider, { kid, alg }) => {
+  const findKey = (keys) => keys.find(key =>
+    (!kid || key.kid === kid) &&
+    (!key.use || key.use === 'sig') &&
+    (!key.alg || key.alg === alg)
+  );
+
+  let cached = jwksCache.get(provider.id);
+  let jwk = cached && findKey(cached.keys);
+
+  if (!jwk && (!cached || Date.now() - cached.fetchedAt > JWKS_REFETCH_MS)) {
+    const { jwks_uri: jwksUri } = await discover(provider);
+    const { keys = [] } = await fetchJson(jwksUri);
+    cached = { keys, fetchedAt: Date.now() };
+    jwksCache.set(provider.id, cached);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) {
+    throw oidcError(`No signing key "${kid}" in the provider's JWKS`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const base64UrlRandom = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * Start a sign-in: build the provider's authorization URL
+ * @param {Object} provider - From getProvider()
+ * @returns {Promise<Object>} - { authorizationUrl, state, nonce, codeVerifier }
+ */
+const createAuthorizationRequest = async (provider) => {
+  const metadata = await discover(provider);
+
+  const state = base64UrlRandom();
+  const nonce = base64UrlRandom();
+  const codeVerifier = base64UrlRandom();
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  const authorizationUrl = new URL(metadata.authorization_endpoint);
+  authorizationUrl.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: REDIRECT_URI,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return { authorizationUrl: authorizationUrl.toString(), state, nonce, codeVerifier };
+};
+
+/**
+ * Check an ID token's signature and claims
+ * @param {Object} provider - From getProvider()
+ * @param {string} idToken - ID token from the token endpoint
+ * @param {Object} options
+ * @param {string} options.nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} - ID token claims
+ */
+const verifyIdToken = async (provider, idToken, { nonce }) => {
+  const complete = jwt.decode(idToken, { complete: true });
+  if (!complete) {
+    throw oidcError('Malformed ID token');
+  }
+
+  const { alg, kid } = complete.header;
+  if (!ID_TOKEN_ALGORITHMS.includes(alg)) {
+    throw oidcError(`ID token algorithm ${alg} is not allowed`);
+  }
+
+  const publicKey = await getSigningKey(provider, { kid, alg });
+  const verifyOptions = {
+    algorithms: [alg],
+    issuer: provider.issuer,
+    audience: provider.clientId,
+    clockTolerance: CLOCK_TOLERANCE_SECONDS
+  };
+
+  let claims;
+  try {
+    claims = alg === 'EdDSA'
+      ? verifyEdDSA(idToken, publicKey, verifyOptions)
+      : jwt.verify(idToken, publicKey, verifyOptions);
+  } catch (error) {
+    throw oidcError(`Invalid ID token: ${error.message}`);
+  }
+
+  if (!claims.sub) {
+    throw oidcError('ID token has no subject');
+  }
+  if (claims.nonce !== nonce) {
+    throw oidcError('ID token nonce does not match');
+  }
+  // With several audiences the token must name us as the party it was issued to
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+    throw oidcError('ID token was issued to another client');
+  }
+
+  return claims;
+};
+
+/**
+ * Finish a sign-in: trade the authorization code for the user's identity
+ * @param {Object} provider - From getProvider()
+ * @param {Object} options
+ * @param {string} options.code - Authorization code from the redirect
+ * @param {string} options.codeVerifier - PKCE verifier from createAuthorizationRequest()
+ * @param {string} options.nonce - Nonce from createAuthorizationRequest()
+ * @returns {Promise<Object>} - { subject, email, emailVerified, firstName, lastName }
+ */
+const getIdentity = async (provider, { code, codeVerifier, nonce }) => {
+  const metadata = await discover(provider);
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: REDIRECT_URI,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  if (provider.clientSecret) {
+    const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (methods.includes('client_secret_basic')) {
+      // RFC 6749 2.3.1: both parts are form-encoded before base64
+      const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      params.set('client_id', provider.clientId);
+      params.set('client_secret', provider.clientSecret);
+    }
+  } else {
+    params.set('client_id', provider.clientId);
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: params.toString() });
+  if (!tokens.id_token) {
+    throw oidcError('Token response has no ID token');
+  }
+
+  let claims = await verifyIdToken(provider, tokens.id_token, { nonce });
+
+  // Some providers leave profile claims out of the ID token
+  if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+    const userInfo = await fetchJson(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` }
+    });
+    if (userInfo.sub === claims.sub) {
+      claims = { ...userInfo, ...claims, email: userInfo.email, email_verified: userInfo.email_verified };
+    }
+  }
+
+  const [firstName, ...rest] = String(claims.name || '').trim().split(/\s+/);
+
+  return {
+    subject: String(claims.sub),
+    email: claims.email ? String(claims.email).trim().toLowerCase() : null,
+    // Some providers send "true" as a string
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    firstName: claims.given_name || firstName || null,
+    lastName: claims.family_name || rest.join(' ') || null
+  };
+};
+
+module.exports = {
+  getProviders,
+  getProvider,
+  discover,
+  createAuthorizationRequest,
+  verifyIdToken,
+  getIdentity,
+  REDIRECT_URI
+};
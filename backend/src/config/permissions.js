@@ -0,0 +1,35 @@
+// Permissions checked by requirePermission (see middleware/auth.js)
+const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage', // activate/deactivate, force logout
+  USERS_ROLES: 'users:roles', // promote/demote
+  POSTS_MODERATE: 'posts:moderate', // change status of or delete any post
+  COMMENTS_MODERATE: 'comments:moderate', // edit or delete any comment
+  AUDIT_READ: 'audit:read',
+  STATS_READ: 'stats:read'
+};
+
+// What each User.role is allowed to do
+const ROLE_PERMISSIONS = {
+  user: [],
+  admin: Object.values(PERMISSIONS)
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - User role
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+const roleHasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  roleHasPermission
+};
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const { createClient } = require('redis');
 
 let redisClient = null;
@@ -98,7 +99,360 @@ const deleteFromCache = async (key) => {
   }
 };
 
-// Graceful shutdown
+/**
+ * Cache-aside reads: cached(key, ttl, loader, { tags, staleTtl })
+ *
+ * - Keys are namespaced (CACHE_NAMESPACE) so several apps can share one Redis.
+ * - Two tiers: a small in-process LRU in front of Redis. Without Redis the LRU
+ *   is the whole cache (one process only).
+ * - Tags: each entry remembers the versions of the tags it depends on.
+ *   invalidateTags() gives a tag a new random version, so every entry stored
+ *   under the old one misses from then on - no KEYS scans or wildcard deletes.
+ * - Stale-while-revalidate: an entry is fresh for `ttl` seconds, then served
+ *   stale for up to `staleTtl` more while one request rebuilds it in the
+ *   background. Invalidated entries are never served stale.
+ * - Single flight: concurrent misses for a key share one loader call in this
+ *   process, and a short Redis lock lets one instance load while the others
+ *   wait for its result.
+ */
+const CACHE_NAMESPACE = process.env.CACHE_NAMESPACE || 'dashboard';
+
+// Tag versions outlive every entry, so a tag that expires (and reads as
+// unversioned again) can't make an entry stored before its last bump current
+const MAX_CACHE_TTL_SECONDS = 24 * 60 * 60;
+const TAG_TTL_SECONDS = 2 * MAX_CACHE_TTL_SECONDS;
+const UNVERSIONED = '0';
+
+// Local entries are trusted without asking Redis for this long, which bounds how
+// late an invalidation made by another instance is seen here
+const LOCAL_CACHE_TTL_MS = (parseInt(process.env.CACHE_LOCAL_TTL_SECONDS, 10) || 5) * 1000;
+const LOCAL_CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_LOCAL_MAX_ENTRIES, 10) || 500;
+
+// Cross-instance load lock, and how long others wait for the holder's result
+const LOCK_TTL_MS = 10 * 1000;
+const LOCK_WAIT_MS = 2 * 1000;
+const LOCK_POLL_MS = 50;
+
+// Delete the lock only if we still hold it
+const RELEASE_LOCK_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) end return 0";
+
+const localCache = new Map(); // key -> { tags, json, freshUntil, staleUntil, storedAt } (Map order = recency)
+const localTagVersions = new Map(); // tag -> version, used without Redis
+const inFlight = new Map(); // key -> Promise of the running load
+
+const COUNTERS = ['localHits', 'redisHits', 'staleHits', 'misses', 'coalesced', 'loads', 'loadErrors', 'errors'];
+const newCounters = () => Object.fromEntries(COUNTERS.map(name => [name, 0]));
+const metrics = { since: new Date(), evictions: 0, totals: newCounters(), byName: new Map() };
+
+// Metrics are grouped by the first two key segments after the namespace, e.g. "posts:list"
+const metricName = (key) => key.split(':').slice(1, 3).join(':');
+
+const count = (key, counter) => {
+  const name = metricName(key);
+  if (!metrics.byName.has(name)) {
+    metrics.byName.set(name, newCounters());
+  }
+  metrics.byName.get(name)[counter] += 1;
+  metrics.totals[counter] += 1;
+};
+
+/**
+ * Build a namespaced cache key
+ * @param {...string} parts - Key segments, e.g. ('posts', 'list', scope, hash)
+ * @returns {string} - "<namespace>:posts:list:..."
+ */
+const cacheKey = (...parts) => [CACHE_NAMESPACE, ...parts].join(':');
+
+const tagKey = (tag) => cacheKey('tag', tag);
+const lockKey = (key) => `${key}:lock`;
+
+/**
+ * Scope segment for a cache key
+ * A response that depends on who is asking (e.g. optionalAuth set req.user and
+ * the payload has per-user fields) must be cached per viewer so it's never
+ * served to anyone else. Viewer-independent payloads use the shared scope.
+ * @param {Object|null} [viewer] - req.user when the payload is personalized
+ * @returns {string}
+ */
+const cacheScope = (viewer = null) => (viewer ? `user_${viewer._id}` : 'public');
+
+const readLocal = (key) => {
+  const entry = localCache.get(key);
+  if (!entry) return null;
+  if (entry.staleUntil <= Date.now()) {
+    localCache.delete(key);
+    return null;
+  }
+
+  // Most recently used goes to the end
+  localCache.delete(key);
+  localCache.set(key, entry);
+  return entry;
+};
+
+const writeLocal = (key, entry) => {
+  localCache.delete(key);
+  localCache.set(key, { ...entry, storedAt: Date.now() });
+
+  while (localCache.size > LOCAL_CACHE_MAX_ENTRIES) {
+    localCache.delete(localCache.keys().next().value);
+    metrics.evictions += 1;
+  }
+};
+
+const getTagVersions = async (tags) => {
+  if (tags.length === 0) return [];
+  if (!redisClient) return tags.map(tag => localTagVersions.get(tag) || UNVERSIONED);
+
+  const stored = await redisClient.mGet(tags.map(tagKey));
+  return stored.map(version => version || UNVERSIONED);
+};
+
+const matchesVersions = (entry, tags, versions) =>
+  tags.every((tag, index) => entry.tags[tag] === versions[index]);
+
+// Find an entry in either tier. Also returns the tags' current versions when
+// they were read, so a rebuild stores the versions read *before* it loaded.
+const lookup = async (key, tags) => {
+  const local = readLocal(key);
+
+  // Without Redis the versions are local too, and are checked the same way: a
+  // load that was running when its tags were invalidated stored the old ones
+  if (!redisClient) {
+    const versions = await getTagVersions(tags);
+    if (!local || !matchesVersions(local, tags, versions)) {
+      return { entry: null, versions };
+    }
+    return { entry: local, source: 'local', versions };
+  }
+
+  if (local && Date.now() - local.storedAt < LOCAL_CACHE_TTL_MS) {
+    return { entry: local, source: 'local', versions: null };
+  }
+
+  const [raw, ...stored] = await redisClient.mGet([key, ...tags.map(tagKey)]);
+  const versions = stored.map(version => version || UNVERSIONED);
+  if (!raw) {
+    return { entry: null, versions };
+  }
+
+  const entry = JSON.parse(raw);
+  if (!matchesVersions(entry, tags, versions) || entry.staleUntil <= Date.now()) {
+    return { entry: null, versions };
+  }
+
+  writeLocal(key, entry);
+  return { entry, source: 'redis', versions };
+};
+
+const store = async (key, data, { ttl, staleTtl, tags, versions }) => {
+  const now = Date.now();
+  const entry = {
+    tags: Object.fromEntries(tags.map((tag, index) => [tag, versions[index]])),
+    json: JSON.stringify(data),
+    freshUntil: now + ttl * 1000,
+    staleUntil: now + (ttl + staleTtl) * 1000
+  };
+
+  writeLocal(key, entry);
+  if (redisClient) {
+    await redisClient.setEx(key, Math.min(ttl + staleTtl, MAX_CACHE_TTL_SECONDS), JSON.stringify(entry));
+  }
+};
+
+// Returns a release function, or null when another instance holds the lock
+const acquireLock = async (key) => {
+  if (!redisClient) return () => {};
+
+  const token = crypto.randomBytes(8).toString('hex');
+  const acquired = await redisClient.set(lockKey(key), token, { NX: true, PX: LOCK_TTL_MS });
+  if (!acquired) return null;
+
+  return () => redisClient.eval(RELEASE_LOCK_SCRIPT, { keys: [lockKey(key)], arguments: [token] });
+};
+
+// Wait for the instance holding the lock to store a fresh entry
+const waitForEntry = async (key, tags) => {
+  const deadline = Date.now() + LOCK_WAIT_MS;
+
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, LOCK_POLL_MS));
+    const { entry } = await lookup(key, tags);
+    if (entry && entry.freshUntil > Date.now()) return entry;
+  }
+
+  return null;
+};
+
+// Run the loader once per key at a time and store its result
+const load = (key, loader, options) => {
+  if (inFlight.has(key)) {
+    count(key, 'coalesced');
+    return inFlight.get(key);
+  }
+
+  const run = async () => {
+    const { tags, background } = options;
+    let versions = options.versions;
+    let release = null;
+
+    try {
+      versions = versions || await getTagVersions(tags);
+      release = await acquireLock(key);
+    } catch (error) {
+      count(key, 'errors');
+      console.error(' Cache lock error:', error);
+    }
+
+    // Another instance is already loading this key
+    if (versions && !release && redisClient) {
+      if (background) return undefined;
+
+      try {
+        const entry = await waitForEntry(key, tags);
+        if (entry) {
+          count(key, 'coalesced');
+          return JSON.parse(entry.json);
+        }
+      } catch (error) {
+        count(key, 'errors');
+        console.error(' Cache wait error:', error);
+      }
+    }
+
+    try {
+      let data;
+      try {
+        data = await loader();
+        count(key, 'loads');
+      } catch (error) {
+        count(key, 'loadErrors');
+        throw error;
+      }
+
+      // Nothing is cached for null/undefined (e.g. not found) or when the tag versions are unknown
+      if (data !== null && data !== undefined && versions) {
+        await store(key, data, { ...options, versions }).catch(error => {
+          count(key, 'errors');
+          console.error(' Cache SET error:', error);
+        });
+      }
+      return data;
+    } finally {
+      if (release) {
+        Promise.resolve(release()).catch(error => console.error(' Cache unlock error:', error));
+      }
+    }
+  };
+
+  const promise = run().finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
+};
+
+// JSON round trip: a loaded value comes back in the same shape as a cache hit
+const copyOf = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Read through the cache
+ * Callers get their own copy of the value (as JSON would return it), so they may modify it.
+ * @param {string} key - From cacheKey()
+ * @param {number} ttl - Seconds the value is fresh
+ * @param {Function} loader - async () => value; null/undefined results aren't cached
+ * @param {Object} [options]
+ * @param {string[]} [options.tags] - Tags the value depends on (see invalidateTags)
+ * @param {number} [options.staleTtl] - Seconds a value may be served stale after ttl while it's rebuilt
+ * @returns {Promise<*>} - The cached or freshly loaded value
+ */
+const cached = async (key, ttl, loader, { tags = [], staleTtl = 0 } = {}) => {
+  const options = { ttl, staleTtl, tags };
+
+  let found = { entry: null, versions: null };
+  try {
+    found = await lookup(key, tags);
+  } catch (error) {
+    count(key, 'errors');
+    console.error(' Cache GET error:', error);
+  }
+
+  const { entry, source, versions } = found;
+  const now = Date.now();
+
+  if (entry && now < entry.freshUntil) {
+    count(key, source === 'local' ? 'localHits' : 'redisHits');
+    return JSON.parse(entry.json);
+  }
+
+  if (entry && now < entry.staleUntil) {
+    count(key, 'staleHits');
+    load(key, loader, { ...options, versions, background: true }).catch(error => {
+      console.error(' Cache revalidation error:', error);
+    });
+    return JSON.parse(entry.json);
+  }
+
+  count(key, 'misses');
+  // Concurrent misses share one load, and its result, so each caller copies it
+  return copyOf(await load(key, loader, { ...options, versions }));
+};
+
+/**
+ * Invalidate every entry that depends on any of the tags
+ * @param {...string} tags - Tags to bump
+ * @returns {Promise<boolean>}
+ */
+const invalidateTags = async (...tags) => {
+  const bumped = new Set(tags);
+  if (bumped.size === 0) return false;
+
+  // Entries in this process go at once; other instances notice within LOCAL_CACHE_TTL_MS
+  localCache.forEach((entry, key) => {
+    if (Object.keys(entry.tags).some(tag => bumped.has(tag))) {
+      localCache.delete(key);
+    }
+  });
+
+  const versions = [...bumped].map(tag => [tag, crypto.randomBytes(6).toString('base64url')]);
+
+  if (!redisClient) {
+    versions.forEach(([tag, version]) => localTagVersions.set(tag, version));
+    return true;
+  }
+
+  try {
+    const multi = redisClient.multi();
+    versions.forEach(([tag, version]) => {
+      multi.set(tagKey(tag), version, { EX: TAG_TTL_SECONDS });
+    });
+    await multi.exec();
+    return true;
+  } catch (error) {
+    console.error(' Redis tag invalidation error:', error);
+    return false;
+  }
+};
+
+/**
+ * Cache hit/miss counters since the process started
+ * @returns {Object} - { since, hitRatio, local, inFlight, evictions, totals, byName }
+ */
+const getCacheStats = () => {
+  const { localHits, redisHits, staleHits, misses } = metrics.totals;
+  const reads = localHits + redisHits + staleHits + misses;
+
+  return {
+    since: metrics.since,
+    redis: Boolean(redisClient),
+    hitRatio: reads > 0 ? Number(((reads - misses) / reads).toFixed(3)) : null,
+    local: { entries: localCache.size, maxEntries: LOCAL_CACHE_MAX_ENTRIES, ttlMs: LOCAL_CACHE_TTL_MS },
+    inFlight: inFlight.size,
+    evictions: metrics.evictions,
+    totals: { ...metrics.totals },
+    byName: Object.fromEntries(metrics.byName)
+  };
+};
+
+// Graceful shutdown (app.js calls this once buffered views are written)
 const closeRedis = async () => {
   if (redisClient) {
     try {
@@ -110,13 +464,16 @@ const closeRedis = async () => {
   }
 };
 
-process.on('SIGINT', closeRedis);
-process.on('SIGTERM', closeRedis);
-
 module.exports = {
   initRedis,
   getFromCache,
   setCache,
   deleteFromCache,
+  cacheKey,
+  cacheScope,
+  cached,
+  invalidateTags,
+  getCacheStats,
+  closeRedis,
   getClient: () => redisClient
 };
\ No newline at end of file
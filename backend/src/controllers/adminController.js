@@ -0,0 +1,586 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+const AuditLog = require('../models/AuditLog');
+const { body, query, validationResult } = require('express-validator');
+const { getCacheStats } = require('../config/redis');
+const { revokeUserTokens } = require('../config/jwt');
+const { ROLES } = require('../config/permissions');
+const { removePost, invalidatePostCaches, HIDDEN_ATTACHMENT_FIELDS } = require('./postsController');
+const { escapeRegex } = require('../utils/helpers');
+const { getAccountLockouts, clearFailures } = require('../middleware/bruteForce');
+
+const MAX_PAGE_SIZE = 100;
+
+// Validation rules
+const paginationValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`limit must be between 1 and ${MAX_PAGE_SIZE}`)
+];
+
+const reasonValidation = body('reason')
+  .optional()
+  .trim()
+  .isLength({ max: 500 })
+  .withMessage('Reason cannot exceed 500 characters');
+
+const userStatusValidation = [
+  body('isActive').isBoolean().withMessage('isActive must be true or false').toBoolean(),
+  reasonValidation
+];
+
+const userRoleValidation = [
+  body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  reasonValidation
+];
+
+const postStatusValidation = [
+  body('status').isIn(['draft', 'published', 'archived']).withMessage('Invalid status'),
+  reasonValidation
+];
+
+const postDeleteValidation = [reasonValidation];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const getPagination = (req) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const buildPagination = (page, limit, totalItems) => {
+  const totalPages = Math.ceil(totalItems / limit);
+  return {
+    currentPage: page,
+    totalPages,
+    totalItems,
+    itemsPerPage: limit,
+    hasNextPage: page < totalPages,
+    hasPreviousPage: page > 1
+  };
+};
+
+const handleAdminError = (res, error, fallbackMessage, invalidIdMessage) => {
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: invalidIdMessage
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// Refuse changes that would leave nobody able to administer the app
+const wouldRemoveLastAdmin = async (user) => {
+  if (user.role !== 'admin' || !user.isActive) return false;
+
+  const otherAdmins = await User.countDocuments({ _id: { $ne: user._id }, role: 'admin', isActive: true });
+  return otherAdmins === 0;
+};
+
+// Site-wide numbers for the admin overview
+const getSiteStats = async (req, res) => {
+  try {
+    const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+    const [users, newUsers, postsByStatus, newPosts, recentActions] = await Promise.all([
+      User.getStats(),
+      User.countDocuments({ createdAt: { $gte: since } }),
+      Post.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 }, views: { $sum: '$views' }, likes: { $sum: { $size: { $ifNull: ['$likes', []] } } } } }
+      ]),
+      Post.countDocuments({ createdAt: { $gte: since } }),
+      AuditLog.countDocuments({ createdAt: { $gte: since } })
+    ]);
+
+    const posts = postsByStatus.reduce((totals, { _id, count, views, likes }) => ({
+      ...totals,
+      total: totals.total + count,
+      views: totals.views + (views || 0),
+      likes: totals.likes + (likes || 0),
+      byStatus: { ...totals.byStatus, [_id]: count }
+    }), { total: 0, views: 0, likes: 0, byStatus: { draft: 0, published: 0, archived: 0 } });
+
+    res.json({
+      success: true,
+      data: {
+        stats: {
+          users: { ...users, newLastWeek: newUsers },
+          posts: { ...posts, newLastWeek: newPosts },
+          adminActionsLastWeek: recentActions
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    handleAdminError(res, error, 'Failed to retrieve site statistics');
+  }
+};
+
+// Hit/miss counters for this API process's cache (since it started)
+const getCacheStatistics = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      cache: getCacheStats()
+    }
+  });
+};
+
+// List/search users
+const listUsers = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { search, role, isActive } = req.query;
+    const { page, limit, skip } = getPagination(req);
+
+    const filter = {};
+    if (role) filter.role = role;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      filter.$or = [{ email: pattern }, { firstName: pattern }, { lastName: pattern }];
+    }
+
+    const [users, totalUsers] = await Promise.all([
+      User.find(filter)
+        .select('-refreshTokens')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    const lockouts = await getAccountLockouts(users.map(user => user.email));
+
+    res.json({
+      success: true,
+      data: {
+        users: users.map(user => ({ ...user.toJSON(), lockout: lockouts.get(user.email) || null })),
+        pagination: buildPagination(page, limit, totalUsers)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    handleAdminError(res, error, 'Failed to retrieve users', 'Invalid query');
+  }
+};
+
+// Get one user with their activity summary
+const getUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [postsByStatus, lockouts] = await Promise.all([
+      Post.aggregate([
+        { $match: { author: user._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      getAccountLockouts([user.email])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        user: { ...user.toJSON(), lockout: lockouts.get(user.email) || null },
+        stats: {
+          posts: postsByStatus.reduce((counts, { _id, count }) => ({ ...counts, [_id]: count }), {}),
+          activeSessions: user.refreshTokens.length,
+          storageUsed: user.storageUsed || 0,
+          storageQuota: user.getStorageQuota()
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    handleAdminError(res, error, 'Failed to retrieve user', 'Invalid user ID');
+  }
+};
+
+// Activate or deactivate a user (deactivating also signs them out everywhere)
+const updateUserStatus = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { isActive, reason } = req.body;
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change the status of your own account'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!isActive && await wouldRemoveLastAdmin(user)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot deactivate the last active admin'
+      });
+    }
+
+    const wasActive = user.isActive;
+    user.isActive = isActive;
+    if (!isActive) {
+      user.refreshTokens = [];
+    }
+    await user.save();
+    if (!isActive) {
+      await revokeUserTokens(user._id);
+    }
+
+    await AuditLog.record(req, {
+      action: isActive ? 'user.activate' : 'user.deactivate',
+      targetType: 'user',
+      targetId: user._id,
+      details: { email: user.email, wasActive, reason }
+    });
+
+    console.log(`🛡️ ${req.user.fullName} ${isActive ? 'activated' : 'deactivated'} ${user.email}`);
+
+    res.json({
+      success: true,
+      message: isActive ? 'User activated' : 'User deactivated',
+      data: { user: user.toJSON() }
+    });
+
+  } catch (error) {
+    console.error('Admin update user status error:', error);
+    handleAdminError(res, error, 'Failed to update user status', 'Invalid user ID');
+  }
+};
+
+// Promote or demote a user
+const updateUserRole = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { role, reason } = req.body;
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (role !== 'admin' && await wouldRemoveLastAdmin(user)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot demote the last active admin'
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await AuditLog.record(req, {
+      action: 'user.role.update',
+      targetType: 'user',
+      targetId: user._id,
+      details: { email: user.email, from: previousRole, to: role, reason }
+    });
+
+    console.log(`🛡️ ${req.user.fullName} changed ${user.email} role: ${previousRole} -> ${role}`);
+
+    res.json({
+      success: true,
+      message: `User role set to ${role}`,
+      data: { user: user.toJSON() }
+    });
+
+  } catch (error) {
+    console.error('Admin update user role error:', error);
+    handleAdminError(res, error, 'Failed to update user role', 'Invalid user ID');
+  }
+};
+
+// Sign a user out of every device by revoking their refresh tokens
+const forceLogout = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const revokedSessions = user.refreshTokens.length;
+    user.refreshTokens = [];
+    await user.save();
+    await revokeUserTokens(user._id);
+
+    await AuditLog.record(req, {
+      action: 'user.logout',
+      targetType: 'user',
+      targetId: user._id,
+      details: { email: user.email, revokedSessions, reason: req.body && req.body.reason }
+    });
+
+    console.log(`🛡️ ${req.user.fullName} signed out ${user.email} (${revokedSessions} session(s))`);
+
+    res.json({
+      success: true,
+      message: 'User signed out of all sessions',
+      data: { revokedSessions }
+    });
+
+  } catch (error) {
+    console.error('Admin force logout error:', error);
+    handleAdminError(res, error, 'Failed to sign user out', 'Invalid user ID');
+  }
+};
+
+// Lift a sign-in lockout before it expires
+const unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const lockouts = await getAccountLockouts([user.email]);
+    const lockout = lockouts.get(user.email) || null;
+    await clearFailures(user.email);
+
+    await AuditLog.record(req, {
+      action: 'user.unlock',
+      targetType: 'user',
+      targetId: user._id,
+      details: { email: user.email, wasLocked: Boolean(lockout), failures: lockout ? lockout.failures : 0 }
+    });
+
+    console.log(`🛡️ ${req.user.fullName} cleared failed sign-ins for ${user.email}`);
+
+    res.json({
+      success: true,
+      message: lockout ? 'User unlocked' : 'Failed sign-in attempts cleared',
+      data: { user: { ...user.toJSON(), lockout: null } }
+    });
+
+  } catch (error) {
+    console.error('Admin unlock user error:', error);
+    handleAdminError(res, error, 'Failed to unlock user', 'Invalid user ID');
+  }
+};
+
+// List any post, including drafts and archived ones
+const listPosts = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { status, author, search } = req.query;
+    const { page, limit, skip } = getPagination(req);
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (author) filter.author = author;
+    if (search) filter.title = new RegExp(escapeRegex(search.trim()), 'i');
+
+    const [posts, totalPosts] = await Promise.all([
+      Post.find(filter)
+        .select(HIDDEN_ATTACHMENT_FIELDS)
+        .populate('author', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Post.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        posts,
+        pagination: buildPagination(page, limit, totalPosts)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin list posts error:', error);
+    handleAdminError(res, error, 'Failed to retrieve posts', 'Invalid author ID');
+  }
+};
+
+// Change the status of any post (e.g. archive it to take it down)
+const updatePostStatus = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { status, reason } = req.body;
+
+    const post = await Post.findById(req.params.id);
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    const previousStatus = post.status;
+    post.status = status;
+    await post.save();
+
+    await invalidatePostCaches(post._id);
+
+    await AuditLog.record(req, {
+      action: 'post.status.update',
+      targetType: 'post',
+      targetId: post._id,
+      details: { title: post.title, author: post.author, from: previousStatus, to: status, reason }
+    });
+
+    console.log(`🛡️ ${req.user.fullName} set post "${post.title}" to ${status}`);
+
+    res.json({
+      success: true,
+      message: `Post status set to ${status}`,
+      data: { post }
+    });
+
+  } catch (error) {
+    console.error('Admin update post status error:', error);
+    handleAdminError(res, error, 'Failed to update post status', 'Invalid post ID');
+  }
+};
+
+// Delete any post along with its attachments
+const deletePost = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const post = await Post.findById(req.params.id);
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    await removePost(post);
+
+    await AuditLog.record(req, {
+      action: 'post.delete',
+      targetType: 'post',
+      targetId: post._id,
+      details: {
+        title: post.title,
+        author: post.author,
+        attachments: post.attachments.length,
+        reason: req.body && req.body.reason
+      }
+    });
+
+    console.log(`🛡️ ${req.user.fullName} deleted post "${post.title}"`);
+
+    res.json({
+      success: true,
+      message: 'Post deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Admin delete post error:', error);
+    handleAdminError(res, error, 'Failed to delete post', 'Invalid post ID');
+  }
+};
+
+// Browse the audit trail, newest first
+const listAuditLogs = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { action, actor, targetType, targetId } = req.query;
+    const { page, limit, skip } = getPagination(req);
+
+    const filter = {};
+    if (action) filter.action = action;
+    if (actor) filter.actor = actor;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+
+    const [logs, totalLogs] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        logs,
+        pagination: buildPagination(page, limit, totalLogs)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin list audit logs error:', error);
+    handleAdminError(res, error, 'Failed to retrieve audit logs', 'Invalid ID in query');
+  }
+};
+
+module.exports = {
+  getSiteStats,
+  getCacheStatistics,
+  listUsers,
+  getUser,
+  updateUserStatus,
+  updateUserRole,
+  forceLogout,
+  unlockUser,
+  listPosts,
+  updatePostStatus,
+  deletePost,
+  listAuditLogs,
+  paginationValidation,
+  userStatusValidation,
+  userRoleValidation,
+  postStatusValidation,
+  postDeleteValidation
+};
@@ -1,10 +1,146 @@
+const crypto = require('crypto');
 const User = require('../models/User');
-const { body, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const { body, query, validationResult } = require('express-validator');
+const { describeUserAgent } = require('../utils/helpers');
+const { sendMail } = require('../mailer');
+const mailTemplates = require('../mailer/templates');
+const { recordFailure, clearFailures, getBlock, sendBlocked } = require('../middleware/bruteForce');
 const {
   generateAccessToken,
   generateRefreshToken,
-  verifyRefreshToken
-} = require('../middleware/auth');
+  generateChallengeToken,
+  verifyRefreshToken,
+  verifyChallengeToken,
+  decodeToken,
+  getTokenExpiry,
+  blacklistToken,
+  revokeUserTokens,
+  revokeSessionTokens,
+  isTokenBlacklisted
+} = require('../config/jwt');
+
+/**
+ * Sign an access token and a refresh token for a user
+ * @param {Object} user - User document
+ * @param {string} [family] - Refresh token family to continue (a new one is started if omitted)
+ * @returns {Object} - { accessToken, refreshToken, family, refreshExpiresAt }
+ */
+const issueTokens = (user, family = crypto.randomUUID()) => {
+  const tokenPayload = {
+    userId: user._id,
+    email: user.email,
+    role: user.role
+  };
+
+  // sid lets requests made with the access token know which session they belong to
+  const accessToken = generateAccessToken({ ...tokenPayload, sid: family });
+  const refreshToken = generateRefreshToken({ ...tokenPayload, family });
+
+  return { accessToken, refreshToken, family, refreshExpiresAt: getTokenExpiry(refreshToken) };
+};
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Minimum wait between verification emails for one account
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+
+/**
+ * Start verifying a user's current email: store a fresh token and email the link
+ * The email is sent in the background so a slow transport can't hold up the caller.
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+  const { token, expiresInHours } = user.createEmailVerificationToken();
+  await user.save();
+
+  const verifyUrl = `${FRONTEND_URL}/verify-email?token=${token}`;
+
+  sendMail({
+    to: user.email,
+    ...mailTemplates.emailVerification({ firstName: user.firstName, verifyUrl, expiresInHours })
+  }).catch(error => console.error(`Verification email to ${user.email} failed:`, error));
+
+  console.log(`📧 Verification email queued for: ${user.email}`);
+};
+
+// Start a session for a user who passed every sign-in check
+const sendLoginResponse = async (req, res, user, extra = {}) => {
+  const { accessToken, refreshToken, family, refreshExpiresAt } = issueTokens(user);
+
+  // Store refresh token and update login stats
+  await Promise.all([
+    user.addRefreshToken(refreshToken, { family, expiresAt: refreshExpiresAt, ...getClientInfo(req) }),
+    //user.updateLastLogin()
+  ]);
+
+  await clearFailures(user.email);
+
+  console.log(`✅ User logged in: ${user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: user.toJSON(),
+      accessToken,
+      refreshToken,
+      expiresIn: process.env.JWT_ACCESS_EXPIRES || '15m',
+      ...extra
+    }
+  });
+};
+
+// Finish a sign-in whose first factor (password or OIDC provider) passed.
+// With two-factor on, that only earns a short-lived challenge for POST /login/2fa.
+const completeSignIn = async (req, res, user) => {
+  if (user.twoFactorEnabled) {
+    console.log(`🔐 Two-factor code requested for: ${user.email}`);
+
+    return res.json({
+      success: true,
+      message: 'Enter the code from your authenticator app',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken({ userId: user._id }),
+        expiresIn: process.env.JWT_CHALLENGE_EXPIRES || '5m'
+      }
+    });
+  }
+
+  await sendLoginResponse(req, res, user);
+};
+
+// Device details stored with a new session
+const getClientInfo = (req) => ({
+  userAgent: (req.get('User-Agent') || '').slice(0, 500),
+  ip: req.ip
+});
+
+// Replay of a rotated refresh token: assume it was stolen and end that session everywhere
+const handleRefreshTokenReuse = async (req, user, family) => {
+  await User.revokeRefreshTokenFamily(user._id, family);
+  // Access tokens already issued to the session may be in the same hands
+  await revokeSessionTokens(family);
+
+  console.warn(`🚨 Refresh token reuse detected for ${user.email} (family ${family}) from ${req.ip}; family revoked`);
+
+  await AuditLog.record(req, {
+    actor: user._id,
+    action: 'auth.refresh_token.reuse',
+    targetType: 'user',
+    targetId: user._id,
+    details: { family }
+  });
+};
+
+// Strength rules for a new password
+const newPasswordRules = () => body('password')
+  .isLength({ min: 6 })
+  .withMessage('Password must be at least 6 characters long')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number');
 
 // Validation rules for registration
 const registerValidation = [
@@ -12,11 +148,7 @@ const registerValidation = [
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email address'),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  newPasswordRules(),
   body('firstName')
     .trim()
     .isLength({ min: 2, max: 50 })
@@ -38,6 +170,46 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+// Validation rules for the second sign-in step
+const loginTwoFactorValidation = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+];
+
+// Validation rules for requesting a password reset
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+];
+
+// Validation rules for completing a password reset
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  newPasswordRules()
+];
+
+// Validation rules for the email verification link
+const verifyEmailValidation = [
+  query('token')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Verification token is required')
+];
+
 // Register new user
 const register = async (req, res) => {
   try {
@@ -56,6 +228,8 @@ const register = async (req, res) => {
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
+      // Counts against the IP only, to slow down probing for registered emails
+      await recordFailure(req);
       return res.status(409).json({
         success: false,
         message: 'User with this email already exists'
@@ -74,21 +248,16 @@ const register = async (req, res) => {
     await user.save();
 
     // Generate tokens
-    const tokenPayload = { 
-      userId: user._id, 
-      email: user.email,
-      role: user.role
-    };
-
-    const accessToken = generateAccessToken(tokenPayload);
-    const refreshToken = generateRefreshToken(tokenPayload);
+    const { accessToken, refreshToken, family, refreshExpiresAt } = issueTokens(user);
 
     // Store refresh token
-    await user.addRefreshToken(refreshToken);
+    await user.addRefreshToken(refreshToken, { family, expiresAt: refreshExpiresAt, ...getClientInfo(req) });
 
     // Update login stats
     await user.updateLastLogin();
 
+    await sendVerificationEmail(user);
+
     console.log(`✅ New user registered: ${email}`);
 
     res.status(201).json({
@@ -138,6 +307,7 @@ const login = async (req, res) => {
     // Find user with password field
     const user = await User.findByEmailWithPassword(email);
     if (!user) {
+      await recordFailure(req, { email });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -147,43 +317,98 @@ const login = async (req, res) => {
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await recordFailure(req, { user });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Generate tokens
-    const tokenPayload = { 
-      userId: user._id, 
-      email: user.email,
-      role: user.role
+    await completeSignIn(req, res, user);
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed. Please try again later.'
+    });
+  }
+};
+
+// Second sign-in step: trade the challenge token and a TOTP or recovery code for a session.
+// Failures are 400s, not 401s, so the client keeps the challenge and lets the user retry.
+const loginTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code } = req.body;
+    const expiredChallenge = {
+      success: false,
+      message: 'Your sign-in attempt has expired. Please sign in again.',
+      code: 'INVALID_CHALLENGE'
     };
 
-    const accessToken = generateAccessToken(tokenPayload);
-    const refreshToken = generateRefreshToken(tokenPayload);
+    let challenge;
+    try {
+      challenge = verifyChallengeToken(challengeToken);
+    } catch (error) {
+      return res.status(400).json(expiredChallenge);
+    }
 
-    // Store refresh token and update login stats
-    await Promise.all([
-      user.addRefreshToken(refreshToken),
-      //user.updateLastLogin()
-    ]);
+    if (await isTokenBlacklisted(challenge)) {
+      return res.status(400).json(expiredChallenge);
+    }
 
-    console.log(`✅ User logged in: ${email}`);
+    const user = await User.findOne({ _id: challenge.userId, isActive: true })
+      .select('+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes');
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json(expiredChallenge);
+    }
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: user.toJSON(),
-        accessToken,
-        refreshToken,
-        expiresIn: process.env.JWT_ACCESS_EXPIRES || '15m'
-      }
-    });
+    const block = await getBlock({ email: user.email });
+    if (block) {
+      return sendBlocked(res, block);
+    }
+
+    const method = await user.useTwoFactorCode(code);
+    if (!method) {
+      await recordFailure(req, { user });
+      console.warn(`🚫 Invalid two-factor code for ${user.email} from ${req.ip}`);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    // Each challenge signs in once
+    await blacklistToken(challenge);
+
+    if (method === 'recovery') {
+      const recoveryCodesRemaining = user.getRecoveryCodesRemaining() - 1;
+
+      await AuditLog.record(req, {
+        actor: user._id,
+        action: 'auth.2fa.recovery_code_used',
+        targetType: 'user',
+        targetId: user._id,
+        details: { recoveryCodesRemaining }
+      });
+
+      return sendLoginResponse(req, res, user, { recoveryCodesRemaining });
+    }
+
+    await sendLoginResponse(req, res, user);
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor login error:', error);
     res.status(500).json({
       success: false,
       message: 'Login failed. Please try again later.'
@@ -191,7 +416,7 @@ const login = async (req, res) => {
   }
 };
 
-// Refresh access token
+// Refresh access token - the refresh token is rotated on every call
 const refreshToken = async (req, res) => {
   try {
     const { refreshToken } = req.body;
@@ -215,34 +440,54 @@ const refreshToken = async (req, res) => {
       });
     }
 
-    // Check if refresh token exists in user's token list
-    const tokenExists = user.refreshTokens.some(
-      tokenObj => tokenObj.token === refreshToken
-    );
+    // Tokens issued before rotation have no family and can't be refreshed
+    const { family } = decoded;
+    const tokenStatus = family ? user.getRefreshTokenStatus(family, refreshToken) : 'unknown';
+
+    if (tokenStatus === 'reused') {
+      await handleRefreshTokenReuse(req, user, family);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used. Please log in again.',
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+    }
 
-    if (!tokenExists) {
+    if (tokenStatus !== 'current') {
       return res.status(401).json({
         success: false,
         message: 'Invalid refresh token'
       });
     }
 
-    // Generate new access token
-    const tokenPayload = { 
-      userId: user._id, 
-      email: user.email,
-      role: user.role
-    };
+    // Rotate: the presented token stops working as soon as its successor is stored
+    const tokens = issueTokens(user, family);
+    const rotated = await User.rotateRefreshToken(user._id, {
+      family,
+      currentToken: refreshToken,
+      nextToken: tokens.refreshToken,
+      expiresAt: tokens.refreshExpiresAt,
+      ip: req.ip
+    });
 
-    const newAccessToken = generateAccessToken(tokenPayload);
+    // Another request rotated this token first - the same token was presented twice
+    if (!rotated) {
+      await handleRefreshTokenReuse(req, user, family);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used. Please log in again.',
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+    }
 
-    console.log(`🔄 Access token refreshed for user: ${user.email}`);
+    console.log(`🔄 Tokens rotated for user: ${user.email}`);
 
     res.json({
       success: true,
       message: 'Token refreshed successfully',
       data: {
-        accessToken: newAccessToken,
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
         expiresIn: process.env.JWT_ACCESS_EXPIRES || '15m'
       }
     });
@@ -250,7 +495,8 @@ const refreshToken = async (req, res) => {
   } catch (error) {
     console.error('Token refresh error:', error);
     
-    if (error.message === 'Invalid refresh token') {
+    // No TOKEN_EXPIRED code here: the client would try to refresh the refresh request
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
       return res.status(401).json({
         success: false,
         message: 'Invalid or expired refresh token'
@@ -271,11 +517,21 @@ const logout = async (req, res) => {
     const user = req.user; // From auth middleware
 
     if (refreshToken && user) {
-      // Remove specific refresh token
-      await user.removeRefreshToken(refreshToken);
+      // End this device's session: revoke the token's whole family.
+      // Decoded without verifying so an expired token can still sign out.
+      const { payload } = decodeToken(refreshToken) || {};
+      if (payload && payload.family && String(payload.userId) === String(user._id)) {
+        await User.revokeRefreshTokenFamily(user._id, payload.family);
+        await revokeSessionTokens(payload.family);
+      }
       console.log(`👋 User logged out: ${user.email}`);
     }
 
+    // The access token used for this request stops working too
+    if (req.tokenPayload) {
+      await blacklistToken(req.tokenPayload);
+    }
+
     res.json({
       success: true,
       message: 'Logout successful'
@@ -295,9 +551,9 @@ const logoutAll = async (req, res) => {
   try {
     const user = req.user; // From auth middleware
 
-    // Clear all refresh tokens
-    user.refreshTokens = [];
-    await user.save();
+    // Clear all refresh tokens (req.user is loaded without them, so update directly)
+    await User.updateOne({ _id: user._id }, { refreshTokens: [] });
+    await revokeUserTokens(user._id);
 
     console.log(`👋 User logged out from all devices: ${user.email}`);
 
@@ -315,6 +571,266 @@ const logoutAll = async (req, res) => {
   }
 };
 
+// List the user's active sessions (one per signed-in device)
+const getSessions = async (req, res) => {
+  try {
+    // req.user is loaded without refresh tokens
+    const user = await User.findById(req.user._id).select('refreshTokens');
+    const currentSession = req.tokenPayload && req.tokenPayload.sid;
+
+    const sessions = user.getActiveSessions()
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+      .map(session => ({
+        id: session.family,
+        device: describeUserAgent(session.userAgent),
+        userAgent: session.userAgent || null,
+        ip: session.ip || null,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session.family === currentSession
+      }));
+
+    res.json({
+      success: true,
+      data: { sessions }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve sessions'
+    });
+  }
+};
+
+// Sign out one session by revoking its refresh token family
+const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await User.revokeRefreshTokenFamily(req.user._id, id);
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    // Access tokens the session already holds stop working too, not just its refresh token
+    await revokeSessionTokens(id);
+
+    const current = req.tokenPayload && req.tokenPayload.sid === id;
+    console.log(`🔐 Session ${id} revoked by ${req.user.email}${current ? ' (current device)' : ''}`);
+
+    res.json({
+      success: true,
+      message: current ? 'Signed out of this device' : 'Session revoked',
+      data: { current }
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session'
+    });
+  }
+};
+
+// Email a password reset link
+const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Same answer whether or not the account exists, so the form can't be used to look up emails
+    const response = {
+      success: true,
+      message: 'If an account exists for that email, a password reset link is on its way'
+    };
+
+    const { email } = req.body;
+    const user = await User.findOne({ email, isActive: true });
+    if (!user) {
+      console.log(`🔑 Password reset requested for unknown email: ${email}`);
+      return res.json(response);
+    }
+
+    const { token, expiresInMinutes } = user.createPasswordResetToken();
+    await user.save();
+
+    const resetUrl = `${FRONTEND_URL}/reset-password?token=${token}`;
+
+    // Not awaited: a slow or failing transport must not change the response
+    sendMail({
+      to: user.email,
+      ...mailTemplates.passwordReset({ firstName: user.firstName, resetUrl, expiresInMinutes })
+    }).catch(error => console.error(`Password reset email to ${user.email} failed:`, error));
+
+    console.log(`🔑 Password reset requested for user: ${user.email}`);
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start password reset'
+    });
+  }
+};
+
+// Set a new password with an emailed reset token, then sign out everywhere
+const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    // Clears the token as it's found, so each link works only once
+    const user = await User.consumePasswordResetToken(token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid or has expired. Please request a new one.',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    const revokedSessions = user.refreshTokens.length;
+    user.password = password;
+    user.refreshTokens = [];
+    await user.save();
+    await revokeUserTokens(user._id);
+
+    await AuditLog.record(req, {
+      actor: user._id,
+      action: 'auth.password_reset',
+      targetType: 'user',
+      targetId: user._id,
+      details: { revokedSessions }
+    });
+
+    console.log(`🔐 Password reset for user: ${user.email} (${revokedSessions} session(s) signed out)`);
+
+    res.json({
+      success: true,
+      message: 'Your password has been reset. Please sign in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+};
+
+// Confirm an email address with the token from a verification link
+const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Clears the token as it's found, so each link works only once
+    const user = await User.consumeEmailVerificationToken(req.query.token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This verification link is invalid or has expired. Please request a new one.',
+        code: 'INVALID_VERIFICATION_TOKEN'
+      });
+    }
+
+    await AuditLog.record(req, {
+      actor: user._id,
+      action: 'auth.email_verified',
+      targetType: 'user',
+      targetId: user._id,
+      details: { email: user.email }
+    });
+
+    console.log(`📧 Email verified for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Your email address has been verified',
+      data: {
+        userId: user._id,
+        email: user.email
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email'
+    });
+  }
+};
+
+// Email the signed-in user a new verification link
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+emailVerificationSentAt');
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your email address is already verified'
+      });
+    }
+
+    const sentAt = user.emailVerificationSentAt ? user.emailVerificationSentAt.getTime() : 0;
+    const retryAfterMs = sentAt + VERIFICATION_RESEND_COOLDOWN_MS - Date.now();
+    if (retryAfterMs > 0) {
+      const retryAfter = Math.ceil(retryAfterMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before requesting another email`
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${user.email}`
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email'
+    });
+  }
+};
+
 // Get current user info (protected route)
 const me = async (req, res) => {
   try {
@@ -339,10 +855,23 @@ const me = async (req, res) => {
 module.exports = {
   register,
   login,
+  loginTwoFactor,
   refreshToken,
   logout,
   logoutAll,
+  getSessions,
+  revokeSession,
   me,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  sendVerificationEmail,
+  completeSignIn,
   registerValidation,
-  loginValidation
+  loginValidation,
+  loginTwoFactorValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  verifyEmailValidation
 };
\ No newline at end of file
@@ -0,0 +1,388 @@
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const AuditLog = require('../models/AuditLog');
+const { body, query, validationResult } = require('express-validator');
+const { PERMISSIONS } = require('../config/permissions');
+const { invalidatePostCaches } = require('./postsController');
+
+const MAX_PAGE_SIZE = 50;
+// Replies sent with each thread of a page, and with a single thread
+const REPLIES_PER_THREAD = 20;
+const MAX_THREAD_REPLIES = 500;
+const AUTHOR_FIELDS = 'firstName lastName profilePicture';
+
+// Validation rules for writing a comment or reply
+const commentValidation = [
+  body('content')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Comment must be between 1 and 1000 characters')
+];
+
+const commentListValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`limit must be between 1 and ${MAX_PAGE_SIZE}`)
+];
+
+const handleCommentError = (res, error, fallbackMessage) => {
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid post or comment ID'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// Comments count towards the post's commentsCount until they're deleted
+const adjustCommentsCount = async (postId, delta) => {
+  await Post.updateOne({ _id: postId }, { $inc: { commentsCount: delta } }, { timestamps: false });
+  // Listings and the post page show the count
+  await invalidatePostCaches(postId);
+};
+
+// The post in the URL, if the user may see it: a draft's comments are as hidden
+// as the draft, so only its author and moderators get anything but a 404
+const findVisiblePost = async (req) => {
+  const post = await Post.findById(req.params.id).select('title author status');
+  if (!post || post.status !== 'draft') return post;
+
+  const { user } = req;
+  const canSee = user && (post.author.equals(user._id) || user.hasPermission(PERMISSIONS.POSTS_MODERATE));
+  return canSee ? post : null;
+};
+
+const sendPostNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Post not found'
+});
+
+// Find a comment of the post in the URL
+const findComment = (req) => Comment.findOne({ _id: req.params.commentId, post: req.params.id });
+
+// Nest replies under their parents; returns the roots, each with its replies
+const buildThreads = (roots, descendants) => {
+  const byId = new Map();
+
+  const nodes = [...roots, ...descendants].map(comment => {
+    const node = { ...comment.toJSON(), replies: [] };
+    byId.set(String(comment._id), node);
+    return node;
+  });
+
+  nodes.forEach(node => {
+    const parent = node.parent && byId.get(String(node.parent));
+    if (parent) parent.replies.push(node);
+  });
+
+  return nodes.slice(0, roots.length);
+};
+
+// Each root with up to maxReplies of its replies, oldest first (so every loaded
+// reply's parent is loaded too); threads that have more get hasMoreReplies
+const loadThreads = async (roots, maxReplies) => {
+  const replies = await Promise.all(roots.map(root =>
+    Comment.find({ ancestors: root._id })
+      .populate('author', AUTHOR_FIELDS)
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(maxReplies + 1)
+  ));
+
+  return roots.map((root, index) => {
+    const [thread] = buildThreads([root], replies[index].slice(0, maxReplies));
+    thread.hasMoreReplies = replies[index].length > maxReplies;
+    return thread;
+  });
+};
+
+// The author, or anyone allowed to moderate comments
+const canManage = (user, comment) =>
+  comment.author.equals(user._id) || user.hasPermission(PERMISSIONS.COMMENTS_MODERATE);
+
+// Moderators acting on someone else's comment leave an audit trail
+const recordModeration = (req, comment, action, details = {}) => {
+  if (comment.author.equals(req.user._id)) return null;
+
+  return AuditLog.record(req, {
+    action,
+    targetType: 'comment',
+    targetId: comment._id,
+    details: { post: comment.post, author: comment.author, ...details }
+  });
+};
+
+// Get a post's comments: a page of top-level comments, each with its first replies
+const getComments = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    if (!await findVisiblePost(req)) {
+      return sendPostNotFound(res);
+    }
+
+    const filter = { post: id, parent: null };
+    const [roots, totalThreads, totalComments] = await Promise.all([
+      Comment.find(filter)
+        .populate('author', AUTHOR_FIELDS)
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Comment.countDocuments(filter),
+      Comment.countDocuments({ post: id, deletedAt: null })
+    ]);
+
+    const totalPages = Math.ceil(totalThreads / limit);
+
+    res.json({
+      success: true,
+      data: {
+        comments: await loadThreads(roots, REPLIES_PER_THREAD),
+        totalComments,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalThreads,
+          threadsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get comments error:', error);
+    handleCommentError(res, error, 'Failed to retrieve comments');
+  }
+};
+
+// Get the whole thread a comment belongs to (for links to a single comment)
+const getCommentThread = async (req, res) => {
+  try {
+    if (!await findVisiblePost(req)) {
+      return sendPostNotFound(res);
+    }
+
+    const comment = await findComment(req);
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const root = await Comment.findById(comment.ancestors[0] || comment._id)
+      .populate('author', AUTHOR_FIELDS);
+    const [thread] = await loadThreads([root], MAX_THREAD_REPLIES);
+
+    res.json({
+      success: true,
+      data: { thread }
+    });
+
+  } catch (error) {
+    console.error('Get comment thread error:', error);
+    handleCommentError(res, error, 'Failed to retrieve comment');
+  }
+};
+
+// Add a top-level comment to a post
+const addComment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const post = await findVisiblePost(req);
+    if (!post) {
+      return sendPostNotFound(res);
+    }
+
+    const comment = await Comment.create({
+      post: post._id,
+      author: req.user._id,
+      content: req.body.content
+    });
+    await comment.populate('author', AUTHOR_FIELDS);
+    await adjustCommentsCount(post._id, 1);
+
+    console.log(`💬 Comment added to post "${post.title}" by ${req.user.fullName}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: { comment: { ...comment.toJSON(), replies: [] } }
+    });
+
+  } catch (error) {
+    console.error('Add comment error:', error);
+    handleCommentError(res, error, 'Failed to add comment');
+  }
+};
+
+// Reply to a comment (at any depth)
+const replyToComment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!await findVisiblePost(req)) {
+      return sendPostNotFound(res);
+    }
+
+    const parent = await findComment(req);
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (parent.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot reply to a deleted comment'
+      });
+    }
+
+    const reply = parent.buildReply({ author: req.user._id, content: req.body.content });
+    await reply.save();
+    await reply.populate('author', AUTHOR_FIELDS);
+    await adjustCommentsCount(parent.post, 1);
+
+    console.log(`💬 Reply added to comment ${parent._id} by ${req.user.fullName}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Reply added successfully',
+      data: { comment: { ...reply.toJSON(), replies: [] } }
+    });
+
+  } catch (error) {
+    console.error('Reply to comment error:', error);
+    handleCommentError(res, error, 'Failed to add reply');
+  }
+};
+
+// Edit a comment (author or moderator)
+const updateComment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const comment = await findComment(req);
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (!canManage(req.user, comment)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own comments'
+      });
+    }
+
+    const previousContent = comment.content;
+    comment.content = req.body.content;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    await recordModeration(req, comment, 'comment.update', { previousContent });
+    await comment.populate('author', AUTHOR_FIELDS);
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: { comment }
+    });
+
+  } catch (error) {
+    console.error('Update comment error:', error);
+    handleCommentError(res, error, 'Failed to update comment');
+  }
+};
+
+// Delete a comment (author or moderator). It stays as a tombstone so its
+// replies keep their place in the thread.
+const deleteComment = async (req, res) => {
+  try {
+    const comment = await findComment(req);
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (!canManage(req.user, comment)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own comments'
+      });
+    }
+
+    const { content } = comment;
+    await comment.softDelete(req.user._id);
+    await adjustCommentsCount(comment.post, -1);
+
+    await recordModeration(req, comment, 'comment.delete', { content });
+
+    console.log(`🗑️ Comment ${comment._id} deleted by ${req.user.fullName}`);
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully',
+      data: { comment }
+    });
+
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    handleCommentError(res, error, 'Failed to delete comment');
+  }
+};
+
+module.exports = {
+  getComments,
+  getCommentThread,
+  addComment,
+  replyToComment,
+  updateComment,
+  deleteComment,
+  commentValidation,
+  commentListValidation
+};
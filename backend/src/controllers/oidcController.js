@@ -0,0 +1,213 @@
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { body, validationResult } = require('express-validator');
+const { getProviders, getProvider, createAuthorizationRequest, getIdentity } = require('../config/oidc');
+const {
+  generateOidcStateToken,
+  verifyOidcStateToken,
+  blacklistToken,
+  isTokenBlacklisted,
+  revokeUserTokens
+} = require('../config/jwt');
+const { completeSignIn } = require('./authController');
+
+// Validation rules for finishing a sign-in
+const oidcCallbackValidation = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  body('state')
+    .isString()
+    .notEmpty()
+    .withMessage('State is required'),
+  body('flowToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Flow token is required')
+];
+
+// Names from providers can be missing or longer than the profile allows
+const profileName = (name, fallback) => (name || fallback).trim().slice(0, 50) || fallback;
+
+// List the providers users can sign in with
+const listOidcProviders = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      providers: getProviders()
+    }
+  });
+};
+
+// Start a provider sign-in: returns the URL to send the browser to, and a flow
+// token the client keeps (e.g. in sessionStorage) and posts back to /oidc/callback
+const startOidcLogin = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown sign-in provider'
+      });
+    }
+
+    const { authorizationUrl, state, nonce, codeVerifier } = await createAuthorizationRequest(provider);
+
+    res.json({
+      success: true,
+      data: {
+        authorizationUrl,
+        state,
+        flowToken: generateOidcStateToken({ provider: provider.id, state, nonce, codeVerifier })
+      }
+    });
+
+  } catch (error) {
+    console.error('OIDC authorize error:', error);
+    res.status(502).json({
+      success: false,
+      message: 'The sign-in provider is unavailable. Please try again later.'
+    });
+  }
+};
+
+// Finish a provider sign-in: trade the code for the provider identity, then sign in the
+// linked user, link the user with the same verified email, or create a new account.
+// Answers like POST /login (tokens, or a two-factor challenge).
+const completeOidcLogin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { code, state, flowToken } = req.body;
+    const expiredFlow = {
+      success: false,
+      message: 'Your sign-in attempt has expired. Please try again.',
+      code: 'INVALID_OIDC_STATE'
+    };
+
+    let flow;
+    try {
+      flow = verifyOidcStateToken(flowToken);
+    } catch (error) {
+      return res.status(400).json(expiredFlow);
+    }
+
+    // The state the provider returned must be the one this browser started with
+    const provider = getProvider(flow.provider);
+    if (!provider || flow.state !== state || await isTokenBlacklisted(flow)) {
+      return res.status(400).json(expiredFlow);
+    }
+
+    // Each flow is used once
+    await blacklistToken(flow);
+
+    let identity;
+    try {
+      identity = await getIdentity(provider, { code, codeVerifier: flow.codeVerifier, nonce: flow.nonce });
+    } catch (error) {
+      console.error(`OIDC sign-in with ${provider.id} failed:`, error.message);
+      const unavailable = error.code === 'OIDC_PROVIDER_UNAVAILABLE';
+      return res.status(unavailable ? 502 : 400).json({
+        success: false,
+        message: unavailable
+          ? 'The sign-in provider is unavailable. Please try again later.'
+          : `Signing in with ${provider.name} failed. Please try again.`,
+        code: 'OIDC_FAILED'
+      });
+    }
+
+    let user = await User.findByIdentity(provider.id, identity.subject);
+
+    if (!user) {
+      // Only an address the provider verified may take over or create an account
+      if (!identity.email || !identity.emailVerified) {
+        return res.status(400).json({
+          success: false,
+          message: `Your ${provider.name} account has no verified email address`,
+          code: 'OIDC_EMAIL_NOT_VERIFIED'
+        });
+      }
+
+      const link = { provider: provider.id, subject: identity.subject, email: identity.email };
+      user = await User.findOne({ email: identity.email });
+
+      if (user) {
+        // An unverified account loses its password and sessions (see User#linkIdentity)
+        const claimed = user.linkIdentity(link);
+        await user.save();
+        if (claimed) {
+          await revokeUserTokens(user._id);
+        }
+
+        await AuditLog.record(req, {
+          actor: user._id,
+          action: 'auth.oidc.linked',
+          targetType: 'user',
+          targetId: user._id,
+          details: { provider: provider.id, claimedUnverified: claimed }
+        });
+
+        console.log(`🔗 ${provider.name} account linked to user: ${user.email}${claimed ? ' (unverified account; password and sessions removed)' : ''}`);
+      } else {
+        user = new User({
+          email: identity.email,
+          firstName: profileName(identity.firstName, identity.email.split('@')[0]),
+          lastName: profileName(identity.lastName, 'User'),
+          emailVerified: true,
+          identities: [link]
+        });
+        await user.save();
+
+        await AuditLog.record(req, {
+          actor: user._id,
+          action: 'auth.oidc.registered',
+          targetType: 'user',
+          targetId: user._id,
+          details: { provider: provider.id }
+        });
+
+        console.log(`✅ New user registered with ${provider.name}: ${user.email}`);
+      }
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account has been deactivated'
+      });
+    }
+
+    await completeSignIn(req, res, user);
+
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+
+    // Another request linked or created this account at the same time
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This account was just linked. Please try signing in again.'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Login failed. Please try again later.'
+    });
+  }
+};
+
+module.exports = {
+  listOidcProviders,
+  startOidcLogin,
+  completeOidcLogin,
+  oidcCallbackValidation
+};
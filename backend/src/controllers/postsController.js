@@ -1,6 +1,60 @@
+const crypto = require('crypto');
 const Post = require('../models/Post');
+const User = require('../models/User');
+const Comment = require('../models/Comment');
+const UploadSession = require('../models/UploadSession');
 const { body, validationResult, query } = require('express-validator');
-const { getFromCache, setCache, deleteFromCache } = require('../config/redis');
+const { cacheKey, cacheScope, cached, invalidateTags } = require('../config/redis');
+const { deleteAttachmentFiles, getQuotaError } = require('../middleware/upload');
+const { getStorage } = require('../storage');
+const { RENDITION_NAMES, RENDITION_EXTENSION } = require('../utils/imageProcessing');
+const { getStoredFileSize, getStoredFilesSize } = require('../utils/helpers');
+const { recordView, getPendingViews, onViewsFlushed } = require('../utils/viewCounter');
+
+// Storage keys are server-side only - lean() queries skip the toJSON transform,
+// so they are projected out explicitly
+const HIDDEN_ATTACHMENT_FIELDS = [
+  '-attachments.filePath',
+  ...RENDITION_NAMES.map(name => `-attachments.renditions.${name}.filePath`)
+].join(' ');
+
+// Upper bound on attachments a single post can accumulate across updates
+const MAX_ATTACHMENTS_PER_POST = 10;
+
+// Cache tags: every listing page depends on POSTS_TAG, a post's page on postTag(id).
+// Listings show like/comment counts and author names, so changes to those bump POSTS_TAG too.
+const POSTS_TAG = 'posts';
+const postTag = (id) => `post:${id}`;
+
+const LIST_CACHE_TTL = 5 * 60;
+const POST_CACHE_TTL = 10 * 60;
+// After expiring, an entry is still served for this long while one request rebuilds it
+const STALE_CACHE_TTL = 5 * 60;
+
+// Cached posts are shared by every viewer, so whether the viewer liked one is
+// worked out per request, on the copy cached() returned
+const isLikedBy = (post, user) =>
+  Boolean(user) && (post.likes || []).some(like => String(like.user) === String(user._id));
+
+/**
+ * Invalidate cached listings and the pages of the given posts
+ * @param {...(string|ObjectId)} postIds - Posts whose page changed
+ */
+const invalidatePostCaches = (...postIds) => invalidateTags(POSTS_TAG, ...postIds.map(postTag));
+
+// A cached post page holds the view count stored when it was loaded, so written
+// views must reload it. Listings aren't bumped: their counts may lag until they expire.
+onViewsFlushed(postIds => invalidateTags(...postIds.map(postTag)));
+
+/**
+ * Invalidate everything showing a user's name, email or picture: listings and
+ * their posts (comments aren't cached, so they always show the current profile)
+ * @param {string|ObjectId} userId - User whose profile changed
+ */
+const invalidateAuthorCaches = async (userId) => {
+  const postIds = await Post.distinct('_id', { author: userId });
+  await invalidatePostCaches(...postIds);
+};
 
 // Validation rules for creating/updating posts
 const postValidation = [
@@ -27,9 +81,50 @@ const postValidation = [
   body('tags.*')
     .optional()
     .isLength({ max: 30 })
-    .withMessage('Each tag must be maximum 30 characters')
+    .withMessage('Each tag must be maximum 30 characters'),
+  // Finished resumable uploads to attach (multipart forms send one field per id)
+  body('uploadIds')
+    .optional()
+    .toArray(),
+  body('uploadIds.*')
+    .isMongoId()
+    .withMessage('Invalid upload ID')
 ];
 
+// Reserve the finished resumable uploads referenced by a create/update request.
+// Returns null (and reserves nothing) if any of them can't be used.
+const claimUploads = async (req) => {
+  const uploadIds = [...new Set(req.body.uploadIds || [])];
+  if (uploadIds.length === 0) return [];
+
+  return UploadSession.claimCompleted(uploadIds, req.user._id);
+};
+
+const uploadIdsOf = (uploads) => uploads.map(upload => upload._id);
+
+// Error body for new attachments (multipart files and claimed uploads together) that
+// don't fit the author's quota next to their other unattached uploads (null if they do)
+const getAttachmentQuotaError = async (req, attachments, uploads) => getQuotaError(
+  req.user,
+  getStoredFilesSize(attachments),
+  await UploadSession.getUnclaimedBytes(req.user._id, uploadIdsOf(uploads))
+);
+
+// Delete a post, free its attachment files and give the bytes back to the author's quota
+const removePost = async (post) => {
+  await Post.findByIdAndDelete(post._id);
+  await Comment.deleteMany({ post: post._id });
+
+  await User.adjustStorageUsed(post.author, -getStoredFilesSize(post.attachments));
+  post.attachments.forEach(({ filePath, storage, renditions }) => {
+    deleteAttachmentFiles({ filePath, storage, renditions }).catch(err => {
+      console.error('Attachment file cleanup error:', err);
+    });
+  });
+
+  await invalidatePostCaches(post._id);
+};
+
 // Get all posts with pagination and filtering
 const getAllPosts = async (req, res) => {
   try {
@@ -43,15 +138,10 @@ const getAllPosts = async (req, res) => {
       sortOrder = 'desc'
     } = req.query;
 
-    // Build cache key for this specific query
-    const cacheKey = `posts_${JSON.stringify(req.query)}`;
-    
-    // Try to get from cache first
-    const cachedPosts = await getFromCache(cacheKey);
-    if (cachedPosts) {
-      console.log('📦 Serving posts from cache');
-      return res.json(cachedPosts);
-    }
+    // Key on the normalized query (defaults applied, unknown params ignored). The
+    // payload is the same for every viewer, so it's cached in the shared scope.
+    const listQuery = JSON.stringify({ page, limit, category, status, search, sortBy, sortOrder });
+    const key = cacheKey('posts', 'list', cacheScope(), crypto.createHash('sha1').update(listQuery).digest('hex'));
 
     const pageNumber = parseInt(page, 10);
     const limitNumber = parseInt(limit, 10);
@@ -73,38 +163,42 @@ const getAllPosts = async (req, res) => {
     const sortObj = {};
     sortObj[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
-    // Execute query with pagination
-    const [posts, totalPosts] = await Promise.all([
-      Post.find(query)
-        .populate('author', 'firstName lastName email')
-        .sort(sortObj)
-        .skip(skip)
-        .limit(limitNumber)
-        .lean(), // Use lean() for better performance
-      Post.countDocuments(query)
-    ]);
-
-    const totalPages = Math.ceil(totalPosts / limitNumber);
-
-    const result = {
-      success: true,
-      data: {
-        posts,
-        pagination: {
-          currentPage: pageNumber,
-          totalPages,
-          totalPosts,
-          postsPerPage: limitNumber,
-          hasNextPage: pageNumber < totalPages,
-          hasPreviousPage: pageNumber > 1
+    const result = await cached(key, LIST_CACHE_TTL, async () => {
+      // Execute query with pagination
+      const [posts, totalPosts] = await Promise.all([
+        Post.find(query)
+          .select(HIDDEN_ATTACHMENT_FIELDS)
+          .populate('author', 'firstName lastName email')
+          .sort(sortObj)
+          .skip(skip)
+          .limit(limitNumber)
+          .lean(), // Use lean() for better performance
+        Post.countDocuments(query)
+      ]);
+
+      const totalPages = Math.ceil(totalPosts / limitNumber);
+      console.log(`📄 Retrieved ${posts.length} posts (page ${pageNumber}/${totalPages})`);
+
+      return {
+        success: true,
+        data: {
+          posts,
+          pagination: {
+            currentPage: pageNumber,
+            totalPages,
+            totalPosts,
+            postsPerPage: limitNumber,
+            hasNextPage: pageNumber < totalPages,
+            hasPreviousPage: pageNumber > 1
+          }
         }
-      }
-    };
+      };
+    }, { tags: [POSTS_TAG], staleTtl: STALE_CACHE_TTL });
 
-    // Cache the result for 5 minutes
-    await setCache(cacheKey, result, 300);
+    result.data.posts.forEach(post => {
+      post.likedByMe = isLikedBy(post, req.user);
+    });
 
-    console.log(`📄 Retrieved ${posts.length} posts (page ${pageNumber}/${totalPages})`);
     res.json(result);
 
   } catch (error) {
@@ -120,19 +214,13 @@ const getAllPosts = async (req, res) => {
 const getPostById = async (req, res) => {
   try {
     const { id } = req.params;
-    const cacheKey = `post_${id}`;
-
-    // Try cache first
-    const cachedPost = await getFromCache(cacheKey);
-    if (cachedPost) {
-      console.log('📦 Serving post from cache');
-      return res.json(cachedPost);
-    }
+    const key = cacheKey('posts', 'detail', cacheScope(), id);
 
-    const post = await Post.findById(id)
-      .populate('author', 'firstName lastName email profilePicture')
-      .populate('comments.author', 'firstName lastName')
-      .populate('comments.replies.author', 'firstName lastName');
+    const post = await cached(key, POST_CACHE_TTL, async () => {
+      const found = await Post.findById(id)
+        .populate('author', 'firstName lastName email profilePicture');
+      return found && found.toJSON();
+    }, { tags: [postTag(id)], staleTtl: STALE_CACHE_TTL });
 
     if (!post) {
       return res.status(404).json({
@@ -141,20 +229,16 @@ const getPostById = async (req, res) => {
       });
     }
 
-    // Increment view count (don't await to avoid blocking response)
-    post.incrementViews().catch(err => {
-      console.error('Error incrementing views:', err);
-    });
+    // The cached copy has the stored count (flushing views reloads it); views
+    // recorded since are still buffered and added on top
+    await recordView(id, { userId: req.user && req.user._id, ip: req.ip });
+    post.views += await getPendingViews(id);
+    post.likedByMe = isLikedBy(post, req.user);
 
-    const result = {
+    res.json({
       success: true,
       data: { post }
-    };
-
-    // Cache for 10 minutes
-    await setCache(cacheKey, result, 600);
-
-    res.json(result);
+    });
 
   } catch (error) {
     console.error('Get post error:', error);
@@ -200,20 +284,58 @@ const createPost = async (req, res) => {
       metaDescription
     };
 
-    // Add file attachment if uploaded
-    if (req.fileMetadata) {
-      postData.attachments = [req.fileMetadata];
-      console.log('📎 File attached to post:', req.fileMetadata.originalName);
+    const uploads = await claimUploads(req);
+    if (!uploads) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more uploads are not finished or do not belong to you'
+      });
+    }
+
+    // Multipart files first, then finished resumable uploads
+    const attachments = [
+      ...(req.filesMetadata || []),
+      ...uploads.map(upload => upload.toAttachment())
+    ];
+
+    if (attachments.length > MAX_ATTACHMENTS_PER_POST) {
+      await UploadSession.releaseClaimed(uploadIdsOf(uploads));
+      return res.status(400).json({
+        success: false,
+        message: `A post can have at most ${MAX_ATTACHMENTS_PER_POST} attachments`
+      });
+    }
+
+    const quotaError = await getAttachmentQuotaError(req, attachments, uploads);
+    if (quotaError) {
+      await UploadSession.releaseClaimed(uploadIdsOf(uploads));
+      return res.status(413).json(quotaError);
+    }
+
+    if (attachments.length > 0) {
+      postData.attachments = attachments;
+      console.log(`📎 ${attachments.length} file(s) attached to post`);
     }
 
     const post = new Post(postData);
-    await post.save();
+    try {
+      await post.save();
+    } catch (error) {
+      await UploadSession.releaseClaimed(uploadIdsOf(uploads));
+      throw error;
+    }
+
+    // The uploads now live on as attachments
+    await UploadSession.deleteMany({ _id: { $in: uploadIdsOf(uploads) } });
+
+    // Count the new attachments against the author's storage quota
+    await User.adjustStorageUsed(author, getStoredFilesSize(post.attachments));
 
     // Populate author info for response
     await post.populate('author', 'firstName lastName email');
 
-    // Clear related caches
-    await deleteFromCache('posts_*'); // Clear all posts caches
+    // New post shows up in listings
+    await invalidatePostCaches();
 
     console.log(`✅ New post created: "${title}" by ${req.user.fullName}`);
 
@@ -274,23 +396,55 @@ const updatePost = async (req, res) => {
       metaDescription
     };
 
-    // Add new file if uploaded
-    if (req.fileMetadata) {
-      post.attachments.push(req.fileMetadata);
-      console.log('📎 New file attached to post:', req.fileMetadata.originalName);
+    const uploads = await claimUploads(req);
+    if (!uploads) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more uploads are not finished or do not belong to you'
+      });
+    }
+
+    // Append newly uploaded files (multipart, then resumable) to the existing attachments
+    const newAttachments = [
+      ...(req.filesMetadata || []),
+      ...uploads.map(upload => upload.toAttachment())
+    ];
+
+    if (newAttachments.length > 0) {
+      if (post.attachments.length + newAttachments.length > MAX_ATTACHMENTS_PER_POST) {
+        await UploadSession.releaseClaimed(uploadIdsOf(uploads));
+        return res.status(400).json({
+          success: false,
+          message: `A post can have at most ${MAX_ATTACHMENTS_PER_POST} attachments`
+        });
+      }
+
+      const quotaError = await getAttachmentQuotaError(req, newAttachments, uploads);
+      if (quotaError) {
+        await UploadSession.releaseClaimed(uploadIdsOf(uploads));
+        return res.status(413).json(quotaError);
+      }
+
+      post.attachments.push(...newAttachments);
+      console.log(`📎 ${newAttachments.length} new file(s) attached to post`);
     }
 
     Object.assign(post, updateData);
-    await post.save();
+    try {
+      await post.save();
+    } catch (error) {
+      await UploadSession.releaseClaimed(uploadIdsOf(uploads));
+      throw error;
+    }
+
+    await UploadSession.deleteMany({ _id: { $in: uploadIdsOf(uploads) } });
+    await User.adjustStorageUsed(post.author, getStoredFilesSize(newAttachments));
 
     // Populate for response
     await post.populate('author', 'firstName lastName email');
 
     // Clear caches
-    await Promise.all([
-      deleteFromCache(`post_${id}`),
-      deleteFromCache('posts_*')
-    ]);
+    await invalidatePostCaches(id);
 
     console.log(`✏️ Post updated: "${title}" by ${req.user.fullName}`);
 
@@ -338,13 +492,7 @@ const deletePost = async (req, res) => {
       });
     }
 
-    await Post.findByIdAndDelete(id);
-
-    // Clear caches
-    await Promise.all([
-      deleteFromCache(`post_${id}`),
-      deleteFromCache('posts_*')
-    ]);
+    await removePost(post);
 
     console.log(`🗑️ Post deleted: "${post.title}" by ${req.user.fullName}`);
 
@@ -397,6 +545,7 @@ const getMyPosts = async (req, res) => {
 
     const [posts, totalPosts] = await Promise.all([
       Post.find(query)
+        .select(HIDDEN_ATTACHMENT_FIELDS)
         .sort(sortObj)
         .skip(skip)
         .limit(limitNumber)
@@ -432,19 +581,63 @@ const getMyPosts = async (req, res) => {
   }
 };
 
-// Add comment to post
-const addComment = async (req, res) => {
+// Set the viewer's like. PUT and DELETE state the outcome rather than toggle,
+// so a retried or double-sent request leaves the same result.
+const setLike = async (req, res, liked) => {
   try {
     const { id } = req.params;
-    const { content } = req.body;
 
-    if (!content || content.trim().length === 0) {
+    const result = await Post.setLike(id, req.user._id, liked);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (result.changed) {
+      // Clear caches (listings show the like and comment counts)
+      await invalidatePostCaches(id);
+      console.log(`❤️ Post ${liked ? 'liked' : 'unliked'} by ${req.user.fullName}`);
+    }
+
+    res.json({
+      success: true,
+      message: `Post ${liked ? 'liked' : 'unliked'} successfully`,
+      data: {
+        likedByMe: liked,
+        likesCount: result.likesCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Set like error:', error);
+
+    if (error.name === 'CastError') {
       return res.status(400).json({
         success: false,
-        message: 'Comment content is required'
+        message: 'Invalid post ID'
       });
     }
 
+    res.status(500).json({
+      success: false,
+      message: `Failed to ${liked ? 'like' : 'unlike'} post`
+    });
+  }
+};
+
+// Like post
+const likePost = (req, res) => setLike(req, res, true);
+
+// Unlike post
+const unlikePost = (req, res) => setLike(req, res, false);
+
+// Remove a single attachment from a post (and its file from disk)
+const deleteAttachment = async (req, res) => {
+  try {
+    const { id, attachmentId } = req.params;
+
     const post = await Post.findById(id);
     if (!post) {
       return res.status(404).json({
@@ -453,44 +646,75 @@ const addComment = async (req, res) => {
       });
     }
 
-    const comment = {
-      author: req.user._id,
-      content: content.trim()
-    };
+    // Check ownership
+    if (post.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only modify your own posts'
+      });
+    }
 
-    post.comments.push(comment);
-    await post.save();
+    const attachment = post.attachments.id(attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
 
-    // Populate the new comment for response
-    await post.populate('comments.author', 'firstName lastName');
+    const { filePath, storage, renditions, originalName } = attachment;
 
-    // Clear post cache
-    await deleteFromCache(`post_${id}`);
+    const storedSize = getStoredFileSize(attachment);
 
-    const newComment = post.comments[post.comments.length - 1];
+    attachment.deleteOne();
+    await post.save();
+    await User.adjustStorageUsed(post.author, -storedSize);
 
-    console.log(`💬 Comment added to post "${post.title}" by ${req.user.fullName}`);
+    // Only remove the file once the post no longer references it
+    deleteAttachmentFiles({ filePath, storage, renditions }).catch(err => {
+      console.error('Attachment file cleanup error:', err);
+    });
 
-    res.status(201).json({
+    // Clear caches
+    await invalidatePostCaches(id);
+
+    console.log(`🗑️ Attachment "${originalName}" removed from post "${post.title}"`);
+
+    res.json({
       success: true,
-      message: 'Comment added successfully',
-      data: { comment: newComment }
+      message: 'Attachment deleted successfully',
+      data: { attachments: post.attachments }
     });
 
   } catch (error) {
-    console.error('Add comment error:', error);
+    console.error('Delete attachment error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid post ID'
+      });
+    }
+
     res.status(500).json({
       success: false,
-      message: 'Failed to add comment'
+      message: 'Failed to delete attachment'
     });
   }
 };
 
-// Like/Unlike post
-const toggleLike = async (req, res) => {
+// Reorder a post's attachments
+const reorderAttachments = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
+    const { attachmentIds } = req.body;
+
+    if (!Array.isArray(attachmentIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'attachmentIds must be an array'
+      });
+    }
 
     const post = await Post.findById(id);
     if (!post) {
@@ -500,38 +724,203 @@ const toggleLike = async (req, res) => {
       });
     }
 
-    const existingLike = post.likes.find(
-      like => like.user.toString() === userId.toString()
-    );
+    // Check ownership
+    if (post.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only modify your own posts'
+      });
+    }
+
+    // The new order must be a permutation of the current attachments
+    const currentIds = post.attachments.map(attachment => attachment._id.toString());
+    const requestedIds = attachmentIds.map(String);
+    const isPermutation = requestedIds.length === currentIds.length &&
+      new Set(requestedIds).size === requestedIds.length &&
+      requestedIds.every(attachmentId => currentIds.includes(attachmentId));
 
-    let action;
-    if (existingLike) {
-      await post.removeLike(userId);
-      action = 'unliked';
-    } else {
-      await post.addLike(userId);
-      action = 'liked';
+    if (!isPermutation) {
+      return res.status(400).json({
+        success: false,
+        message: 'attachmentIds must list every attachment of the post exactly once'
+      });
     }
 
-    // Clear post cache
-    await deleteFromCache(`post_${id}`);
+    post.attachments = requestedIds.map(attachmentId => post.attachments.id(attachmentId));
+    await post.save();
+
+    // Clear caches
+    await invalidatePostCaches(id);
 
-    console.log(`❤️ Post ${action} by ${req.user.fullName}`);
+    console.log(`🔀 Attachments reordered on post "${post.title}"`);
 
     res.json({
       success: true,
-      message: `Post ${action} successfully`,
-      data: {
-        liked: action === 'liked',
-        likesCount: post.likes.length
+      message: 'Attachments reordered successfully',
+      data: { attachments: post.attachments }
+    });
+
+  } catch (error) {
+    console.error('Reorder attachments error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid post ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder attachments'
+    });
+  }
+};
+
+// Stream a post attachment (supports HTTP Range requests for large files)
+const downloadAttachment = async (req, res) => {
+  try {
+    const { id, attachmentId } = req.params;
+
+    const post = await Post.findById(id).select('author status attachments');
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    // Drafts are only visible to their author - don't reveal that they exist
+    const isAuthor = post.author.toString() === req.user._id.toString();
+    if (post.status === 'draft' && !isAuthor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    const attachment = post.attachments.id(attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    // ?variant=thumbnail|medium serves a generated image rendition instead of the original
+    let file = attachment;
+    let fileName = attachment.originalName;
+    const { variant } = req.query;
+    if (variant) {
+      if (!RENDITION_NAMES.includes(variant)) {
+        return res.status(400).json({
+          success: false,
+          message: `Variant must be one of: ${RENDITION_NAMES.join(', ')}`
+        });
+      }
+
+      file = attachment.renditions && attachment.renditions[variant];
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          message: 'Attachment variant not found'
+        });
+      }
+
+      const baseName = attachment.originalName.replace(/\.[^.]*$/, '');
+      fileName = `${baseName}-${variant}${RENDITION_EXTENSION}`;
+    }
+
+    const storage = getStorage(attachment.storage);
+    const stats = await storage.stat(file.filePath);
+    if (!stats) {
+      console.error(`Attachment file missing from ${storage.name} storage:`, attachment.fileName);
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment file not found'
+      });
+    }
+
+    const fileSize = stats.size;
+    let start = 0;
+    let end = fileSize - 1;
+    let isPartial = false;
+
+    if (req.headers.range) {
+      const ranges = req.range(fileSize);
+
+      if (ranges === -1) {
+        res.set('Content-Range', `bytes */${fileSize}`);
+        return res.status(416).json({
+          success: false,
+          message: 'Requested range not satisfiable'
+        });
+      }
+
+      // Malformed ranges (-2) are ignored and the whole file is sent.
+      // Only the first range is honoured - no multipart/byteranges responses.
+      if (ranges !== -2 && ranges.type === 'bytes' && ranges.length > 0) {
+        start = ranges[0].start;
+        end = ranges[0].end;
+        isPartial = true;
+      }
+    }
+
+    // Sets Content-Disposition with a safely encoded filename
+    res.attachment(fileName);
+    if (req.query.disposition === 'inline') {
+      res.set('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+    }
+
+    res.set({
+      'Content-Type': file.mimeType,
+      'Content-Length': fileSize === 0 ? 0 : end - start + 1,
+      'Accept-Ranges': 'bytes',
+      'Last-Modified': new Date(stats.lastModified).toUTCString(),
+      // no-transform keeps the compression middleware away from byte ranges
+      'Cache-Control': 'private, no-transform'
+    });
+
+    if (isPartial) {
+      res.status(206);
+      res.set('Content-Range', `bytes ${start}-${end}/${fileSize}`);
+    }
+
+    if (req.method === 'HEAD' || fileSize === 0) {
+      return res.end();
+    }
+
+    const fileStream = await storage.createReadStream(file.filePath, { start, end });
+
+    fileStream.on('error', (streamError) => {
+      console.error('Attachment stream error:', streamError);
+      if (!res.headersSent) {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to download attachment'
+        });
       }
+      res.destroy(streamError);
     });
 
+    // Stop reading from storage if the client goes away mid-download
+    res.on('close', () => fileStream.destroy());
+
+    fileStream.pipe(res);
+
   } catch (error) {
-    console.error('Toggle like error:', error);
+    console.error('Download attachment error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid post ID'
+      });
+    }
+
     res.status(500).json({
       success: false,
-      message: 'Failed to toggle like'
+      message: 'Failed to download attachment'
     });
   }
 };
@@ -543,7 +932,14 @@ module.exports = {
   updatePost,
   deletePost,
   getMyPosts,
-  addComment,
-  toggleLike,
+  likePost,
+  unlikePost,
+  downloadAttachment,
+  deleteAttachment,
+  reorderAttachments,
+  removePost,
+  invalidatePostCaches,
+  invalidateAuthorCaches,
+  HIDDEN_ATTACHMENT_FIELDS,
   postValidation
 };
\ No newline at end of file
@@ -0,0 +1,287 @@
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { body, validationResult } = require('express-validator');
+const { buildOtpauthUri } = require('../utils/totp');
+const { recordFailure } = require('../middleware/bruteForce');
+
+// Name authenticator apps show next to the account
+const TOTP_ISSUER = process.env.APP_NAME || 'Dashboard';
+
+// Validation rules for confirming enrollment with a code
+const enableTwoFactorValidation = [
+  body('code')
+    .isString()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Enter the 6-digit code from your authenticator app')
+];
+
+// Validation rules for changes that need the account password
+const passwordConfirmationValidation = [
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+// Load the signed-in user with their password and confirm it.
+// Wrong passwords get 400, not 401, so the client doesn't treat them as a dead session.
+const confirmPassword = async (req, res) => {
+  const user = await User.findById(req.user._id).select('+password +twoFactorRecoveryCodes');
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  // Accounts created through a provider have no password to confirm with; a guess
+  // can't succeed, so don't let it count towards a lockout either
+  if (!user.password) {
+    res.status(400).json({
+      success: false,
+      message: 'Your account has no password yet. Set one with "Forgot password?" to make this change.',
+      code: 'PASSWORD_NOT_SET'
+    });
+    return null;
+  }
+
+  if (!(await user.comparePassword(req.body.password))) {
+    await recordFailure(req, { user });
+    res.status(400).json({
+      success: false,
+      message: 'Password is incorrect'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// Get the signed-in user's two-factor status
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorRecoveryCodes');
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactorEnabled,
+        enabledAt: user.twoFactorEnabledAt || null,
+        recoveryCodesRemaining: user.twoFactorEnabled ? user.getRecoveryCodesRemaining() : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get two-factor status'
+    });
+  }
+};
+
+// Start enrolling an authenticator app: returns the secret and its otpauth:// URI
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = user.startTwoFactorSetup();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the code with your authenticator app, then enter the code it shows',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER })
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+};
+
+// Finish enrolling with a code from the app; returns the recovery codes once
+const enableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const recoveryCodes = user.confirmTwoFactorSetup(req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'That code is not valid. Check the time on your device and try again.',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    await user.save();
+
+    await AuditLog.record(req, {
+      action: 'auth.2fa.enabled',
+      targetType: 'user',
+      targetId: user._id
+    });
+
+    console.log(`🔐 Two-factor authentication enabled for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: {
+        recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+};
+
+// Turn two-factor off (requires the account password)
+const disableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await confirmPassword(req, res);
+    if (!user) return;
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    user.disableTwoFactor();
+    await user.save();
+
+    await AuditLog.record(req, {
+      action: 'auth.2fa.disabled',
+      targetType: 'user',
+      targetId: user._id
+    });
+
+    console.log(`🔓 Two-factor authentication disabled for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+};
+
+// Replace the recovery codes (requires the account password)
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await confirmPassword(req, res);
+    if (!user) return;
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    await AuditLog.record(req, {
+      action: 'auth.2fa.recovery_codes_regenerated',
+      targetType: 'user',
+      targetId: user._id
+    });
+
+    console.log(`🔐 Recovery codes regenerated for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. The old ones no longer work.',
+      data: {
+        recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate recovery codes'
+    });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  enableTwoFactorValidation,
+  passwordConfirmationValidation
+};
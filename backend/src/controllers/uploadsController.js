@@ -0,0 +1,465 @@
+const path = require('path');
+const { Readable } = require('stream');
+const UploadSession = require('../models/UploadSession');
+const { getStorage } = require('../storage');
+const { storeUploadStream, deleteAttachmentFiles, getQuotaError } = require('../middleware/upload');
+const { FILE_TYPE_RULES } = require('../utils/fileType');
+const { formatFileSize, getStoredFileSize } = require('../utils/helpers');
+
+// Largest file accepted through resumable uploads (multipart posts stay capped at 5MB)
+const MAX_RESUMABLE_UPLOAD_SIZE = (parseInt(process.env.RESUMABLE_UPLOAD_MAX_MB, 10) || 50) * 1024 * 1024;
+
+// Largest single PATCH body, and the chunk size clients are told to use
+const MAX_CHUNK_SIZE = 5 * 1024 * 1024;
+const RECOMMENDED_CHUNK_SIZE = 1024 * 1024;
+
+// Serialize a session for clients, with the protocol headers they resume from
+const sendUpload = (res, session, { status = 200, message } = {}) => {
+  res.set({
+    'Upload-Offset': String(session.offset),
+    'Upload-Length': String(session.size),
+    'Cache-Control': 'no-store'
+  });
+
+  res.status(status).json({
+    success: true,
+    ...(message && { message }),
+    data: {
+      upload: {
+        ...session.toJSON(),
+        chunkSize: RECOMMENDED_CHUNK_SIZE
+      }
+    }
+  });
+};
+
+// Only the owner can see or touch an upload - anyone else gets a 404
+const findOwnSession = (uploadId, userId) => {
+  return UploadSession.findOne({ _id: uploadId, owner: userId });
+};
+
+const removeChunks = async (session) => {
+  const driver = getStorage(session.storage);
+  const chunks = await driver.list(session.chunkPrefix);
+  await Promise.all(chunks.map(chunk => driver.remove(chunk.key)));
+};
+
+// The session's chunks in offset order that cover the file from its first byte
+// without a gap or overlap, and any others (left by a failed or raced write)
+const listChunks = async (session) => {
+  const all = (await getStorage(session.storage).list(session.chunkPrefix))
+    .map(chunk => ({ ...chunk, offset: Number(chunk.key.slice(session.chunkPrefix.length)) }))
+    .sort((a, b) => a.offset - b.offset);
+
+  const chunks = [];
+  const stray = [];
+  let contiguous = 0;
+  for (const chunk of all) {
+    if (chunk.offset === contiguous && stray.length === 0) {
+      chunks.push(chunk);
+      contiguous += chunk.size;
+    } else {
+      stray.push(chunk);
+    }
+  }
+
+  return { chunks, stray, contiguous };
+};
+
+// Stream the chunks back one after another, without buffering the file
+const readChunks = (session, chunks) => {
+  const driver = getStorage(session.storage);
+
+  return Readable.from((async function* () {
+    for (const chunk of chunks) {
+      yield* await driver.createReadStream(chunk.key);
+    }
+  })());
+};
+
+const handleUploadError = (res, error, fallbackMessage) => {
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid upload ID'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// Start a resumable upload session
+const createUpload = async (req, res) => {
+  try {
+    const { fileName, mimeType } = req.body;
+    const size = Number(req.body.size);
+
+    if (!fileName || typeof fileName !== 'string' || !mimeType) {
+      return res.status(400).json({
+        success: false,
+        message: 'fileName, mimeType and size are required'
+      });
+    }
+
+    const rule = FILE_TYPE_RULES[mimeType];
+    if (!rule) {
+      return res.status(400).json({
+        success: false,
+        message: `File type ${mimeType} is not allowed`
+      });
+    }
+
+    const extension = path.extname(fileName).toLowerCase();
+    if (!rule.extensions.includes(extension)) {
+      return res.status(400).json({
+        success: false,
+        message: `File extension "${extension || '(none)'}" does not match type ${mimeType}`
+      });
+    }
+
+    if (!Number.isInteger(size) || size <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'size must be a positive number of bytes'
+      });
+    }
+
+    if (size > MAX_RESUMABLE_UPLOAD_SIZE) {
+      return res.status(413).json({
+        success: false,
+        message: `File too large. Maximum size is ${formatFileSize(MAX_RESUMABLE_UPLOAD_SIZE)}.`
+      });
+    }
+
+    // Fail early instead of after the whole file has been sent; finished
+    // uploads that aren't attached to a post yet already hold their bytes
+    const reservedBytes = await UploadSession.getUnclaimedBytes(req.user._id);
+    const quotaError = getQuotaError(req.user, size, reservedBytes);
+    if (quotaError) {
+      return res.status(413).json(quotaError);
+    }
+
+    const session = await UploadSession.create({
+      owner: req.user._id,
+      originalName: fileName,
+      mimeType,
+      size,
+      storage: getStorage().name
+    });
+
+    console.log(`📤 Upload started: ${fileName} (${formatFileSize(size)}) by ${req.user.fullName}`);
+
+    res.location(`${req.baseUrl}/${session._id}`);
+    sendUpload(res, session, { status: 201, message: 'Upload created' });
+
+  } catch (error) {
+    console.error('Create upload error:', error);
+    handleUploadError(res, error, 'Failed to create upload');
+  }
+};
+
+// Get an upload's progress - clients resume from the returned offset
+const getUpload = async (req, res) => {
+  try {
+    const session = await findOwnSession(req.params.id, req.user._id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found'
+      });
+    }
+
+    sendUpload(res, session);
+
+  } catch (error) {
+    console.error('Get upload error:', error);
+    handleUploadError(res, error, 'Failed to retrieve upload');
+  }
+};
+
+// Append a chunk at the offset given in the Upload-Offset header
+const uploadChunk = async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(415).json({
+        success: false,
+        message: 'Chunks must be sent as application/offset+octet-stream'
+      });
+    }
+
+    const uploadOffset = Number(req.get('Upload-Offset'));
+    if (!Number.isInteger(uploadOffset) || uploadOffset < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid Upload-Offset header is required'
+      });
+    }
+
+    if (req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Chunk is empty'
+      });
+    }
+
+    const session = await findOwnSession(req.params.id, req.user._id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found'
+      });
+    }
+
+    if (session.status !== 'uploading') {
+      return res.status(409).json({
+        success: false,
+        message: 'Upload is already complete'
+      });
+    }
+
+    // The client is out of step (e.g. a retried chunk) - tell it where to continue
+    if (uploadOffset !== session.offset) {
+      res.set('Upload-Offset', String(session.offset));
+      return res.status(409).json({
+        success: false,
+        message: `Upload offset mismatch. Expected ${session.offset}`,
+        data: { offset: session.offset }
+      });
+    }
+
+    if (uploadOffset + req.body.length > session.size) {
+      return res.status(400).json({
+        success: false,
+        message: 'Chunk exceeds the declared upload size'
+      });
+    }
+
+    // Claim the offset before writing, so only one request ever writes the chunk
+    // that starts there (a lost race gets the 409 below and nothing is written)
+    const nextOffset = uploadOffset + req.body.length;
+    const updated = await UploadSession.findOneAndUpdate(
+      { _id: session._id, offset: uploadOffset, status: 'uploading' },
+      {
+        $set: {
+          offset: nextOffset,
+          expiresAt: new Date(Date.now() + UploadSession.UPLOAD_SESSION_TTL_MS)
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      const current = await UploadSession.findById(session._id);
+      res.set('Upload-Offset', String(current ? current.offset : 0));
+      return res.status(409).json({
+        success: false,
+        message: 'Upload changed while this chunk was being written',
+        data: { offset: current ? current.offset : 0 }
+      });
+    }
+
+    try {
+      await getStorage(session.storage).save(session.getChunkKey(uploadOffset), req.body, {
+        contentType: 'application/octet-stream'
+      });
+    } catch (error) {
+      // Hand the offset back so the client can resend this chunk
+      await UploadSession.updateOne(
+        { _id: session._id, offset: nextOffset, status: 'uploading' },
+        { $set: { offset: uploadOffset } }
+      ).catch(() => {});
+      throw error;
+    }
+
+    sendUpload(res, updated);
+
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    handleUploadError(res, error, 'Failed to store chunk');
+  }
+};
+
+// Assemble the chunks and run the normal upload pipeline (type check, scan, images)
+const finalizeUpload = async (req, res) => {
+  let session = null;
+
+  try {
+    // Claim the session so two finalize calls can't race
+    session = await UploadSession.findOneAndUpdate(
+      { _id: req.params.id, owner: req.user._id, status: 'uploading', $expr: { $eq: ['$offset', '$size'] } },
+      { status: 'finalizing' },
+      { new: true }
+    );
+
+    if (!session) {
+      const existing = await findOwnSession(req.params.id, req.user._id);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Upload not found'
+        });
+      }
+
+      // Finalizing twice is harmless - return the finished upload again
+      if (existing.status === 'complete') {
+        return sendUpload(res, existing);
+      }
+
+      return res.status(409).json({
+        success: false,
+        message: existing.status === 'uploading'
+          ? `Upload is incomplete (${existing.offset} of ${existing.size} bytes received)`
+          : 'Upload is already being finalized',
+        data: { offset: existing.offset }
+      });
+    }
+
+    // Chunks that don't line up (e.g. left by a write that failed after its
+    // offset was claimed) are dropped; if that leaves a gap, the client resumes
+    // from the last good byte rather than the session being stuck
+    const { chunks, stray, contiguous } = await listChunks(session);
+    await Promise.all(stray.map(chunk => getStorage(session.storage).remove(chunk.key)));
+
+    if (contiguous !== session.size) {
+      await UploadSession.updateOne({ _id: session._id }, { status: 'uploading', offset: contiguous });
+      const { size } = session;
+      session = null;
+
+      res.set('Upload-Offset', String(contiguous));
+      return res.status(409).json({
+        success: false,
+        message: `Upload is incomplete (${contiguous} of ${size} bytes stored)`,
+        data: { offset: contiguous }
+      });
+    }
+
+    let stored;
+    try {
+      stored = await storeUploadStream(req, {
+        stream: readChunks(session, chunks),
+        size: session.size,
+        originalName: session.originalName,
+        mimeType: session.mimeType,
+        fieldName: 'attachments'
+      });
+    } catch (error) {
+      if (error.statusCode && error.statusCode < 500) {
+        // The file itself was rejected - retrying can't help, so drop the session
+        await removeChunks(session);
+        await session.deleteOne();
+        session = null;
+
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    // Renditions can push an image over what was reserved when the session started,
+    // and other uploads may have finished since
+    const reservedBytes = await UploadSession.getUnclaimedBytes(req.user._id);
+    const quotaError = getQuotaError(req.user, getStoredFileSize(stored), reservedBytes);
+    if (quotaError) {
+      await deleteAttachmentFiles({ filePath: stored.path, storage: stored.storage, renditions: stored.renditions });
+      await removeChunks(session);
+      await session.deleteOne();
+      session = null;
+      return res.status(413).json(quotaError);
+    }
+
+    session.status = 'complete';
+    session.file = {
+      fileName: stored.filename,
+      filePath: stored.path,
+      size: stored.size,
+      width: stored.width,
+      height: stored.height,
+      renditions: stored.renditions
+    };
+    await session.save();
+
+    await removeChunks(session).catch(err => {
+      console.error('Upload chunk cleanup error:', err);
+    });
+
+    console.log(`✅ Upload finalized: ${session.originalName} (${formatFileSize(stored.size)})`);
+
+    sendUpload(res, session, { message: 'Upload complete' });
+
+  } catch (error) {
+    console.error('Finalize upload error:', error);
+
+    // Let the client retry finalizing after a server-side failure
+    if (session && session.status === 'finalizing') {
+      await UploadSession.updateOne({ _id: session._id }, { status: 'uploading' }).catch(() => {});
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    handleUploadError(res, error, 'Failed to finalize upload');
+  }
+};
+
+// Abandon an upload and free whatever it stored
+const cancelUpload = async (req, res) => {
+  try {
+    const session = await findOwnSession(req.params.id, req.user._id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found'
+      });
+    }
+
+    if (session.status === 'attached' || session.status === 'finalizing') {
+      return res.status(409).json({
+        success: false,
+        message: 'Upload is in use and cannot be cancelled'
+      });
+    }
+
+    await session.deleteOne();
+
+    // Files go after the session so a failure here only leaves work for the sweeper
+    Promise.all([
+      removeChunks(session),
+      session.file && session.file.filePath
+        ? deleteAttachmentFiles({
+          filePath: session.file.filePath,
+          storage: session.storage,
+          renditions: session.file.renditions
+        })
+        : null
+    ]).catch(err => {
+      console.error('Upload cleanup error:', err);
+    });
+
+    res.json({
+      success: true,
+      message: 'Upload cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel upload error:', error);
+    handleUploadError(res, error, 'Failed to cancel upload');
+  }
+};
+
+module.exports = {
+  createUpload,
+  getUpload,
+  uploadChunk,
+  finalizeUpload,
+  cancelUpload,
+  MAX_CHUNK_SIZE
+};
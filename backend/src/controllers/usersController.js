@@ -1,7 +1,11 @@
 const User = require('../models/User');
 const Post = require('../models/Post'); // Add this at the top
+const Comment = require('../models/Comment');
 const { body, validationResult } = require('express-validator');
-const { deleteFromCache } = require('../config/redis');
+const { revokeUserTokens } = require('../config/jwt');
+const { sendVerificationEmail } = require('./authController');
+const { invalidateAuthorCaches } = require('./postsController');
+const { recordFailure, clearFailures } = require('../middleware/bruteForce');
 
 // Validation rules for profile update
 const updateProfileValidation = [
@@ -68,8 +72,10 @@ const updateProfile = async (req, res) => {
     const userId = req.user._id;
     const { firstName, lastName, email, bio, profilePicture } = req.body;
 
+    const emailChanged = Boolean(email) && email !== req.user.email;
+
     // Check if email is being changed and if it's already taken
-    if (email && email !== req.user.email) {
+    if (emailChanged) {
       const existingUser = await User.findOne({ 
         email, 
         _id: { $ne: userId } // Exclude current user
@@ -90,6 +96,8 @@ const updateProfile = async (req, res) => {
     if (email !== undefined) updateData.email = email;
     if (bio !== undefined) updateData.bio = bio;
     if (profilePicture !== undefined) updateData.profilePicture = profilePicture;
+    // A new address has to be verified again
+    if (emailChanged) updateData.emailVerified = false;
 
     // Update user
     const updatedUser = await User.findByIdAndUpdate(
@@ -108,8 +116,14 @@ const updateProfile = async (req, res) => {
       });
     }
 
-    // Clear any cached user data
-    await deleteFromCache(`user_${userId}`);
+    if (emailChanged) {
+      await sendVerificationEmail(updatedUser);
+    }
+
+    // Cached posts show the author's name, email and picture
+    if (['firstName', 'lastName', 'email', 'profilePicture'].some(field => field in updateData)) {
+      await invalidateAuthorCaches(userId);
+    }
 
     console.log(`✏️ Profile updated for user: ${updatedUser.fullName}`);
 
@@ -145,7 +159,7 @@ const getUserStats = async (req, res) => {
     const userId = req.user._id;
     
     // We could expand this to include post counts, likes received, etc.
-    const user = await User.findById(userId).select('loginCount lastLoginAt createdAt');
+    const user = await User.findById(userId).select('loginCount lastLoginAt createdAt storageUsed storageQuota');
     
     if (!user) {
       return res.status(404).json({
@@ -158,6 +172,7 @@ const getUserStats = async (req, res) => {
     const daysSinceJoining = Math.floor((Date.now() - user.createdAt) / (1000 * 60 * 60 * 24));
     
     const totalPosts = await Post.countDocuments({ author: userId });
+    const totalComments = await Comment.countDocuments({ author: userId, deletedAt: null });
     const totalLikes = await Post.aggregate([
       { $match: { author: userId } },
       { $group: { _id: null, likes: { $sum: "$likes" } } }
@@ -169,7 +184,11 @@ const getUserStats = async (req, res) => {
       daysSinceJoining,
       totalPosts,
       totalLikes: totalLikes[0]?.likes || 0,
-      totalComments: 0 // You can add comment counting logic if needed
+      totalComments,
+      // Attachment storage, in bytes
+      storageUsed: user.storageUsed || 0,
+      storageQuota: user.getStorageQuota(),
+      storageRemaining: user.getStorageRemaining()
     };
 
     console.log(`📊 Stats requested by user: ${req.user.fullName}`);
@@ -196,7 +215,16 @@ const deleteAccount = async (req, res) => {
 
     // Verify password before deletion
     const user = await User.findByEmailWithPassword(req.user.email);
+    if (user && !user.password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your account has no password yet. Set one with "Forgot password?" before deleting the account.',
+        code: 'PASSWORD_NOT_SET'
+      });
+    }
+
     if (!user || !(await user.comparePassword(password))) {
+      await recordFailure(req, { user: req.user });
       return res.status(401).json({
         success: false,
         message: 'Invalid password'
@@ -209,6 +237,7 @@ const deleteAccount = async (req, res) => {
       // Clear sensitive data
       refreshTokens: []
     });
+    await revokeUserTokens(userId);
 
     console.log(`🗑️ Account deactivated for user: ${user.fullName}`);
 
@@ -254,18 +283,33 @@ const changePassword = async (req, res) => {
       });
     }
 
+    // Provider-only accounts set their first password through the reset email
+    if (!user.password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your account has no password yet. Set one with "Forgot password?" on the sign-in page.',
+        code: 'PASSWORD_NOT_SET'
+      });
+    }
+
     // Verify current password
     const isCurrentPasswordValid = await user.comparePassword(currentPassword);
     if (!isCurrentPasswordValid) {
+      await recordFailure(req, { user });
       return res.status(401).json({
         success: false,
         message: 'Current password is incorrect'
       });
     }
 
-    // Update password (will be hashed by pre-save middleware)
+    // Update password (will be hashed by pre-save middleware) and sign out
+    // every other device. This device keeps its session and gets a new
+    // access token through the refresh flow.
     user.password = newPassword;
+    user.refreshTokens = user.refreshTokens.filter(entry => entry.family === req.tokenPayload.sid);
     await user.save();
+    await revokeUserTokens(user._id);
+    await clearFailures(user.email);
 
     console.log(`🔐 Password changed for user: ${user.fullName}`);
 
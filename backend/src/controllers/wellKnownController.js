@@ -0,0 +1,22 @@
+const { getJWKS } = require('../config/jwt');
+
+// Public keys other services use to verify access tokens.
+// Plain JWKS body (no success/data wrapper) so standard JWT libraries can read it.
+const getJwks = (req, res) => {
+  try {
+    // Short cache so a newly added key is picked up before it starts signing
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(getJWKS());
+
+  } catch (error) {
+    console.error('JWKS error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load signing keys'
+    });
+  }
+};
+
+module.exports = {
+  getJwks
+};
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+const buildMimeMessage = require('./mimeMessage');
+
+/**
+ * Development transport that writes each email to an .eml file
+ * Open the files with any mail client, or read the links straight from them.
+ * @param {Object} options
+ * @param {string} options.dir - Directory for the .eml files
+ * @returns {Object} - Mail transport
+ */
+const createFileTransport = ({ dir }) => {
+  const root = path.resolve(dir);
+
+  const send = async (message) => {
+    await fs.promises.mkdir(root, { recursive: true });
+
+    const { messageId, raw } = buildMimeMessage(message);
+    const fileName = `${Date.now()}-${messageId.slice(1, 9)}.eml`;
+    const filePath = path.join(root, fileName);
+    await fs.promises.writeFile(filePath, raw);
+
+    console.log(`📧 Email to ${message.to} written to ${filePath}`);
+    return { messageId };
+  };
+
+  return {
+    name: 'file',
+    send
+  };
+};
+
+module.exports = createFileTransport;
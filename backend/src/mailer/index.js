@@ -0,0 +1,71 @@
+const path = require('path');
+const createFileTransport = require('./fileTransport');
+const createSmtpTransport = require('./smtpTransport');
+
+/**
+ * Mail transport registry
+ *
+ * Every transport exposes:
+ *   send({ from, to, subject, text, html }) -> { messageId }
+ *
+ * send() throws when the message couldn't be handed over.
+ * MAIL_TRANSPORT selects the transport: 'file' (default, writes .eml files to
+ * MAIL_FILE_DIR) or 'smtp' (a local mail catcher at SMTP_HOST:SMTP_PORT).
+ */
+
+const DEFAULT_TRANSPORT = process.env.MAIL_TRANSPORT || 'file';
+const DEFAULT_FROM = process.env.MAIL_FROM || 'Dashboard <no-reply@localhost>';
+
+const transportFactories = {
+  file: () => createFileTransport({
+    dir: process.env.MAIL_FILE_DIR || path.join(__dirname, '../mail')
+  }),
+  smtp: () => createSmtpTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || undefined,
+    timeout: parseInt(process.env.SMTP_TIMEOUT_MS, 10) || undefined
+  })
+};
+
+const transports = new Map();
+
+/**
+ * Get a mail transport
+ * @param {string} [name] - Transport name; defaults to the configured transport
+ * @returns {Object} - Mail transport
+ */
+const getTransport = (name = DEFAULT_TRANSPORT) => {
+  if (!transports.has(name)) {
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transports.set(name, factory());
+    console.log(`📧 Mail transport initialized: ${name}`);
+  }
+
+  return transports.get(name);
+};
+
+/**
+ * Register (or replace) a transport instance - mainly useful in tests
+ * @param {string} name - Transport name
+ * @param {Object} transport - Transport implementing send()
+ */
+const setTransport = (name, transport) => {
+  transports.set(name, transport);
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html, from? }
+ * @returns {Promise<Object>} - { messageId }
+ */
+const sendMail = (message) => getTransport().send({ from: DEFAULT_FROM, ...message });
+
+module.exports = {
+  getTransport,
+  setTransport,
+  sendMail,
+  DEFAULT_TRANSPORT
+};
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+// RFC 2047 encoding for header values that aren't plain ASCII
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value)
+  ? value
+  : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`);
+
+// Base64 body wrapped at 76 characters
+const encodeBody = (text) => Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+
+/**
+ * Build an RFC 5322 message with a text part and an optional HTML part
+ * @param {Object} message - { from, to, subject, text, html }
+ * @returns {Object} - { messageId, raw }
+ */
+const buildMimeMessage = ({ from, to, subject, text, html }) => {
+  const domain = (from.match(/@([^>\s]+)/) || [])[1] || 'localhost';
+  const messageId = `<${crypto.randomUUID()}@${domain}>`;
+
+  const headers = [
+    `From: ${from}`,
+    `To: ${Array.isArray(to) ? to.join(', ') : to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0'
+  ];
+
+  const textPart = [
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(text)
+  ];
+
+  if (!html) {
+    return { messageId, raw: [...headers, ...textPart].join('\r\n') };
+  }
+
+  const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+  const raw = [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    ...textPart,
+    `--${boundary}`,
+    'Content-Type: text/html; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(html),
+    `--${boundary}--`
+  ].join('\r\n');
+
+  return { messageId, raw };
+};
+
+module.exports = buildMimeMessage;
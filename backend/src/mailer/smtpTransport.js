@@ -0,0 +1,102 @@
+const net = require('net');
+const buildMimeMessage = require('./mimeMessage');
+
+/**
+ * Minimal SMTP transport for local mail catchers (MailHog, Mailpit, smtp4dev)
+ * Plain SMTP only - no TLS or AUTH - so point a real provider's relay at a
+ * proper client instead.
+ * @param {Object} options
+ * @param {string} [options.host] - SMTP host
+ * @param {number} [options.port] - SMTP port
+ * @param {number} [options.timeout] - Socket timeout in ms
+ * @returns {Object} - Mail transport
+ */
+const createSmtpTransport = ({ host = '127.0.0.1', port = 1025, timeout = 10000 } = {}) => {
+  // Replies can span several lines ("250-..." continues, "250 ..." ends)
+  const readReply = (socket, buffered) => new Promise((resolve, reject) => {
+    const tryParse = () => {
+      const lines = buffered.text.split('\r\n');
+      const endIndex = lines.findIndex(line => /^\d{3} /.test(line));
+      if (endIndex === -1) return false;
+
+      const reply = lines.slice(0, endIndex + 1).join('\n');
+      buffered.text = lines.slice(endIndex + 1).join('\r\n');
+      cleanup();
+      resolve({ code: parseInt(lines[endIndex].slice(0, 3), 10), reply });
+      return true;
+    };
+
+    const onData = (chunk) => {
+      buffered.text += chunk.toString('utf8');
+      tryParse();
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+    const cleanup = () => {
+      socket.off('data', onData);
+      socket.off('error', onError);
+    };
+
+    socket.on('data', onData);
+    socket.on('error', onError);
+    tryParse();
+  });
+
+  const send = (message) => new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    const buffered = { text: '' };
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      if (error) reject(error);
+      else resolve(result);
+    };
+
+    socket.setTimeout(timeout, () => finish(new Error('SMTP connection timed out')));
+    socket.on('error', finish);
+
+    // Send a command and check the reply code
+    const command = async (line, expectedCode) => {
+      if (line !== null) socket.write(`${line}\r\n`);
+      const { code, reply } = await readReply(socket, buffered);
+      if (code !== expectedCode) {
+        throw new Error(`SMTP error after "${(line || 'connect').split(' ')[0]}": ${reply}`);
+      }
+    };
+
+    socket.on('connect', async () => {
+      try {
+        const { messageId, raw } = buildMimeMessage(message);
+        const sender = (message.from.match(/<([^>]+)>/) || [])[1] || message.from;
+        const recipients = Array.isArray(message.to) ? message.to : [message.to];
+
+        await command(null, 220);
+        await command('EHLO localhost', 250);
+        await command(`MAIL FROM:<${sender}>`, 250);
+        for (const recipient of recipients) {
+          await command(`RCPT TO:<${recipient}>`, 250);
+        }
+        await command('DATA', 354);
+        // Lines starting with a dot are escaped by doubling it
+        await command(`${raw.replace(/^\./gm, '..')}\r\n.`, 250);
+        socket.write('QUIT\r\n');
+
+        finish(null, { messageId });
+      } catch (error) {
+        finish(error);
+      }
+    });
+  });
+
+  return {
+    name: 'smtp',
+    send
+  };
+};
+
+module.exports = createSmtpTransport;
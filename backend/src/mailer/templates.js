@@ -0,0 +1,76 @@
+const { sanitizeText } = require('../utils/helpers');
+
+const APP_NAME = process.env.APP_NAME || 'Dashboard';
+
+// Shared HTML shell so every email looks the same
+const layout = (body) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #333; max-width: 560px; margin: 0 auto; padding: 24px;">
+    ${body}
+    <p style="color: #888; font-size: 12px; margin-top: 32px;">${APP_NAME}</p>
+  </body>
+</html>`;
+
+const button = (url, label) =>
+  `<p><a href="${url}" style="display: inline-block; padding: 10px 20px; background: #1976d2; color: #fff; text-decoration: none; border-radius: 4px;">${label}</a></p>`;
+
+/**
+ * Password reset email
+ * @param {Object} data
+ * @param {string} data.firstName - Recipient's first name
+ * @param {string} data.resetUrl - Link to the reset screen, including the token
+ * @param {number} data.expiresInMinutes - How long the link works
+ * @returns {Object} - { subject, text, html }
+ */
+const passwordReset = ({ firstName, resetUrl, expiresInMinutes }) => ({
+  subject: `Reset your ${APP_NAME} password`,
+  text: [
+    `Hi ${firstName},`,
+    '',
+    'Someone asked to reset the password for your account. Open this link to choose a new one:',
+    resetUrl,
+    '',
+    `The link works once and expires in ${expiresInMinutes} minutes. Resetting signs you out on every device.`,
+    "If you didn't ask for this, ignore this email - your password won't change."
+  ].join('\n'),
+  html: layout(`
+    <p>Hi ${sanitizeText(firstName)},</p>
+    <p>Someone asked to reset the password for your account. Click below to choose a new one:</p>
+    ${button(resetUrl, 'Reset password')}
+    <p>The link works once and expires in ${expiresInMinutes} minutes. Resetting signs you out on every device.</p>
+    <p>If you didn't ask for this, ignore this email - your password won't change.</p>
+  `)
+});
+
+/**
+ * Email address verification
+ * @param {Object} data
+ * @param {string} data.firstName - Recipient's first name
+ * @param {string} data.verifyUrl - Link to the verification screen, including the token
+ * @param {number} data.expiresInHours - How long the link works
+ * @returns {Object} - { subject, text, html }
+ */
+const emailVerification = ({ firstName, verifyUrl, expiresInHours }) => ({
+  subject: `Verify your ${APP_NAME} email address`,
+  text: [
+    `Hi ${firstName},`,
+    '',
+    'Please confirm this is your email address by opening this link:',
+    verifyUrl,
+    '',
+    `The link expires in ${expiresInHours} hours.`,
+    "If you didn't create an account or change your email, you can ignore this email."
+  ].join('\n'),
+  html: layout(`
+    <p>Hi ${sanitizeText(firstName)},</p>
+    <p>Please confirm this is your email address:</p>
+    ${button(verifyUrl, 'Verify email')}
+    <p>The link expires in ${expiresInHours} hours.</p>
+    <p>If you didn't create an account or change your email, you can ignore this email.</p>
+  `)
+});
+
+module.exports = {
+  passwordReset,
+  emailVerification
+};
@@ -1,53 +1,6 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-
-// JWT configuration
-const JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'your-access-secret-key';
-const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key';
-const JWT_ACCESS_EXPIRES = process.env.JWT_ACCESS_EXPIRES || '30d';
-const JWT_REFRESH_EXPIRES = process.env.JWT_REFRESH_EXPIRES || '90d'; 
-
-// Generate access token
-const generateAccessToken = (payload) => {
-  return jwt.sign(payload, JWT_ACCESS_SECRET, {
-    expiresIn: JWT_ACCESS_EXPIRES,
-    issuer: 'mini-dashboard-app',
-    audience: 'dashboard-users'
-  });
-};
-
-// Generate refresh token
-const generateRefreshToken = (payload) => {
-  return jwt.sign(payload, JWT_REFRESH_SECRET, {
-    expiresIn: JWT_REFRESH_EXPIRES,
-    issuer: 'mini-dashboard-app',
-    audience: 'dashboard-users'
-  });
-};
-
-// Verify access token
-const verifyAccessToken = (token) => {
-  try {
-    return jwt.verify(token, JWT_ACCESS_SECRET, {
-      issuer: 'mini-dashboard-app',
-      audience: 'dashboard-users'
-    });
-  } catch (error) {
-    throw new Error('Invalid access token');
-  }
-};
-
-// Verify refresh token
-const verifyRefreshToken = (token) => {
-  try {
-    return jwt.verify(token, JWT_REFRESH_SECRET, {
-      issuer: 'mini-dashboard-app',
-      audience: 'dashboard-users'
-    });
-  } catch (error) {
-    throw new Error('Invalid refresh token');
-  }
-};
+const { verifyAccessToken, isTokenBlacklisted } = require('../config/jwt');
+const { routeRateLimit } = require('./bruteForce');
 
 // Middleware to protect routes
 const authenticate = async (req, res, next) => {
@@ -67,6 +20,15 @@ const authenticate = async (req, res, next) => {
     // Verify token
     const decoded = verifyAccessToken(token);
 
+    // Reject tokens revoked by logout, password change or deactivation
+    if (await isTokenBlacklisted(decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access token has been revoked',
+        code: 'TOKEN_REVOKED'
+      });
+    }
+
     // Find user and attach to request
     const user = await User.findById(decoded.userId).select('-refreshTokens');
     
@@ -109,37 +71,74 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-// Middleware to check if user owns resource
-const authorize = (resourceField = 'author') => {
+// Middleware to allow only the given roles (use after authenticate)
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+
+    next();
+  };
+};
+
+// Middleware to require every listed permission (see config/permissions.js)
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
-    try {
-      // This middleware should be used after authenticate
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          message: 'Authentication required'
-        });
-      }
-
-      // For routes where we need to check resource ownership
-      // This will be used in POST/PUT/DELETE operations
-      const resourceId = req.params.id;
-      
-      // Store the resource field for later use in controllers
-      req.resourceField = resourceField;
-      req.resourceId = resourceId;
-
-      next();
-    } catch (error) {
-      console.error('Authorization error:', error.message);
-      res.status(403).json({
+    if (!req.user) {
+      return res.status(401).json({
         success: false,
-        message: 'Authorization failed'
+        message: 'Authentication required'
       });
     }
+
+    const missing = permissions.filter(permission => !req.user.hasPermission(permission));
+    if (missing.length > 0) {
+      console.warn(`🚫 ${req.user.email} lacks ${missing.join(', ')} for ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+
+    next();
   };
 };
 
+// EMAIL_VERIFICATION=required blocks content creation until the email is verified;
+// the default ('optional') still sends verification emails but blocks nothing
+const isEmailVerificationRequired = () => process.env.EMAIL_VERIFICATION === 'required';
+
+// Middleware to require a verified email when the policy says so (use after authenticate)
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (isEmailVerificationRequired() && !req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before posting',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
+
 // Optional authentication - doesn't fail if no token provided
 const optionalAuth = async (req, res, next) => {
   try {
@@ -153,6 +152,11 @@ const optionalAuth = async (req, res, next) => {
 
     const token = authHeader.substring(7);
     const decoded = verifyAccessToken(token);
+    if (await isTokenBlacklisted(decoded)) {
+      req.user = null;
+      return next();
+    }
+
     const user = await User.findById(decoded.userId).select('-refreshTokens');
     
     if (user && user.isActive) {
@@ -168,27 +172,19 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Rate limiting for sensitive operations
-const sensitiveOpRateLimit = async (req, res, next) => {
-  // This is a simple in-memory rate limiter
-  // In production, use Redis or a proper rate limiting service
-  const clientIp = req.ip || req.connection.remoteAddress;
-  const key = `sensitive_${clientIp}`;
-  
-  // For now, we'll just log and continue
-  // In a real app, implement proper rate limiting here
-  console.log(`Sensitive operation attempted from IP: ${clientIp}`);
-  
-  next();
-};
+// Rate limiting for sensitive operations: requests per IP to each route
+// (SENSITIVE_RATE_LIMIT_MAX per SENSITIVE_RATE_LIMIT_WINDOW_MINUTES, 20 per 15 if unset)
+const sensitiveOpRateLimit = routeRateLimit({
+  max: parseInt(process.env.SENSITIVE_RATE_LIMIT_MAX, 10) || 20,
+  windowMinutes: parseInt(process.env.SENSITIVE_RATE_LIMIT_WINDOW_MINUTES, 10) || 15
+});
 
 module.exports = {
-  generateAccessToken,
-  generateRefreshToken,
-  verifyAccessToken,
-  verifyRefreshToken,
   authenticate,
-  authorize,
+  requireRole,
+  requirePermission,
+  requireVerifiedEmail,
+  isEmailVerificationRequired,
   optionalAuth,
   sensitiveOpRateLimit
 };
\ No newline at end of file
@@ -0,0 +1,347 @@
+const { getClient } = require('../config/redis');
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Brute-force protection
+ * Counters live in Redis (shared by every app instance) with a TTL. When Redis
+ * isn't configured or a call fails, they fall back to this process's memory.
+ *
+ * Two layers:
+ * - routeRateLimit() caps requests per IP to a route in a fixed window
+ * - failed password/code checks count against the IP and the account email.
+ *   Past a threshold each failure blocks the key for a doubling delay
+ *   (progressive backoff); at the lockout threshold it is locked for
+ *   LOCKOUT_MINUTES. A successful sign-in clears the account's count.
+ */
+
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const LOCKOUT_MINUTES = envInt('LOCKOUT_MINUTES', 15);
+const MAX_BACKOFF_SECONDS = 5 * 60;
+// Failures are forgotten after an hour without a new one
+const FAILURE_WINDOW_SECONDS = 60 * 60;
+
+// An IP can be shared by a whole office, so it gets more room than one account
+const POLICIES = {
+  account: {
+    backoffAfter: envInt('LOGIN_BACKOFF_AFTER', 3),
+    lockAfter: envInt('LOGIN_LOCKOUT_AFTER', 10)
+  },
+  ip: {
+    backoffAfter: envInt('IP_BACKOFF_AFTER', 10),
+    lockAfter: envInt('IP_LOCKOUT_AFTER', 50)
+  }
+};
+
+const memoryStore = new Map(); // key -> { value, expiresAt }
+
+const getMemoryEntry = (key) => {
+  const entry = memoryStore.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    memoryStore.delete(key);
+    return null;
+  }
+  return entry;
+};
+
+/**
+ * Increment a counter
+ * @param {string} key - Counter key
+ * @param {number} ttlSeconds - Lifetime of the counter
+ * @param {Object} options
+ * @param {boolean} [options.sliding] - Restart the TTL on every hit instead of only the first
+ * @returns {Promise<Object>} - { count, ttl } with ttl in seconds
+ */
+const increment = async (key, ttlSeconds, { sliding = false } = {}) => {
+  const client = getClient();
+  if (client) {
+    try {
+      const count = await client.incr(key);
+      if (count === 1 || sliding) {
+        await client.expire(key, ttlSeconds);
+        return { count, ttl: ttlSeconds };
+      }
+
+      let ttl = await client.ttl(key);
+      // No expiry means the EXPIRE after the first INCR never ran
+      if (ttl < 0) {
+        await client.expire(key, ttlSeconds);
+        ttl = ttlSeconds;
+      }
+      return { count, ttl };
+    } catch (error) {
+      console.error(' Redis INCR error (brute-force protection):', error);
+    }
+  }
+
+  const now = Date.now();
+  const entry = getMemoryEntry(key);
+  if (!entry) {
+    memoryStore.set(key, { value: 1, expiresAt: now + ttlSeconds * 1000 });
+    return { count: 1, ttl: ttlSeconds };
+  }
+
+  entry.value += 1;
+  if (sliding) {
+    entry.expiresAt = now + ttlSeconds * 1000;
+  }
+  return { count: entry.value, ttl: Math.ceil((entry.expiresAt - now) / 1000) };
+};
+
+const setValue = async (key, value, ttlSeconds) => {
+  const client = getClient();
+  if (client) {
+    try {
+      await client.setEx(key, ttlSeconds, value);
+      return;
+    } catch (error) {
+      console.error(' Redis SET error (brute-force protection):', error);
+    }
+  }
+
+  memoryStore.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+};
+
+const getValues = async (keys) => {
+  const values = keys.map(key => {
+    const entry = getMemoryEntry(key);
+    return entry ? entry.value : null;
+  });
+
+  const client = getClient();
+  if (client && keys.length > 0) {
+    try {
+      const stored = await client.mGet(keys);
+      return values.map((value, index) => value !== null ? value : stored[index]);
+    } catch (error) {
+      console.error(' Redis GET error (brute-force protection):', error);
+    }
+  }
+
+  return values;
+};
+
+const deleteKeys = async (keys) => {
+  keys.forEach(key => memoryStore.delete(key));
+
+  const client = getClient();
+  if (client) {
+    try {
+      await client.del(keys);
+    } catch (error) {
+      console.error(' Redis DEL error (brute-force protection):', error);
+    }
+  }
+};
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+// The IP and/or account a request's failures count against
+const getSubjects = ({ ip, email }) => [
+  ip && { scope: 'ip', id: ip },
+  email && { scope: 'account', id: normalizeEmail(email) }
+].filter(Boolean);
+
+const failureKey = ({ scope, id }) => `bf_fail_${scope}_${id}`;
+const blockKey = ({ scope, id }) => `bf_block_${scope}_${id}`;
+
+/**
+ * Find an active backoff or lockout for an IP or account
+ * @param {Object} subject - { ip, email } (either may be omitted)
+ * @returns {Promise<Object|null>} - The longest block { scope, reason, retryAfter, until, failures }, or null
+ */
+const getBlock = async ({ ip, email }) => {
+  const subjects = getSubjects({ ip, email });
+  const values = await getValues(subjects.map(blockKey));
+  const now = Date.now();
+
+  return values.reduce((longest, value, index) => {
+    if (!value) return longest;
+
+    const { reason, until, failures } = JSON.parse(value);
+    const retryAfter = Math.ceil((until - now) / 1000);
+    if (retryAfter <= 0 || (longest && longest.retryAfter >= retryAfter)) return longest;
+
+    return { scope: subjects[index].scope, reason, retryAfter, until: new Date(until), failures };
+  }, null);
+};
+
+/**
+ * Answer a blocked request with 429 and Retry-After
+ * @param {Object} res - Express response
+ * @param {Object} block - From getBlock()
+ */
+const sendBlocked = (res, block) => {
+  res.set('Retry-After', String(block.retryAfter));
+
+  const locked = block.reason === 'lockout';
+  const minutes = Math.ceil(block.retryAfter / 60);
+  let message = `Too many failed attempts. Please wait ${block.retryAfter} seconds and try again.`;
+  if (locked) {
+    message = block.scope === 'account'
+      ? `Too many failed attempts. This account is locked for ${minutes} minute(s).`
+      : `Too many failed attempts from your network. Please try again in ${minutes} minute(s).`;
+  }
+
+  return res.status(429).json({
+    success: false,
+    message,
+    code: locked ? 'ACCOUNT_LOCKED' : 'TOO_MANY_ATTEMPTS',
+    retryAfter: block.retryAfter
+  });
+};
+
+/**
+ * Middleware factory: refuse requests while their IP or account is blocked
+ * Fails open - a broken store must not lock everyone out.
+ * @param {Function} [getEmail] - Reads the account email from the request (request body by default)
+ * @returns {Function} - Express middleware
+ */
+const bruteForceGuard = (getEmail = req => req.body && req.body.email) => async (req, res, next) => {
+  try {
+    const block = await getBlock({ ip: req.ip, email: getEmail(req) });
+    if (block) {
+      console.warn(`🚫 Blocked ${req.method} ${req.originalUrl} from ${req.ip} (${block.scope} ${block.reason}, ${block.retryAfter}s left)`);
+      return sendBlocked(res, block);
+    }
+  } catch (error) {
+    console.error('Brute-force check error:', error);
+  }
+
+  next();
+};
+
+// Guard for routes that re-check the signed-in user's password (use after authenticate)
+const accountGuard = bruteForceGuard(req => req.user.email);
+
+/**
+ * Count a failed password or code check against the request's IP and the account
+ * @param {Object} req - Express request
+ * @param {Object} options
+ * @param {string} [options.email] - Account email (defaults to user.email)
+ * @param {Object} [options.user] - User document, when the account exists (audited on lockout)
+ */
+const recordFailure = async (req, { email, user } = {}) => {
+  try {
+    const subjects = getSubjects({ ip: req.ip, email: email || (user && user.email) });
+
+    for (const subject of subjects) {
+      const policy = POLICIES[subject.scope];
+      const { count } = await increment(failureKey(subject), FAILURE_WINDOW_SECONDS, { sliding: true });
+      if (count < policy.backoffAfter) continue;
+
+      const locked = count >= policy.lockAfter;
+      const seconds = locked
+        ? LOCKOUT_MINUTES * 60
+        : Math.min(2 ** (count - policy.backoffAfter), MAX_BACKOFF_SECONDS);
+      const block = { reason: locked ? 'lockout' : 'backoff', until: Date.now() + seconds * 1000, failures: count };
+      await setValue(blockKey(subject), JSON.stringify(block), seconds);
+
+      if (locked && count === policy.lockAfter) {
+        console.warn(`🔒 ${subject.scope} ${subject.id} locked for ${LOCKOUT_MINUTES} minutes after ${count} failed attempts`);
+
+        if (subject.scope === 'account' && user) {
+          await AuditLog.record(req, {
+            actor: user._id,
+            action: 'auth.lockout',
+            targetType: 'user',
+            targetId: user._id,
+            details: { failures: count, lockedMinutes: LOCKOUT_MINUTES }
+          });
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Brute-force failure tracking error:', error);
+  }
+};
+
+/**
+ * Forget an account's failures and lift its block (after a successful sign-in, or by an admin)
+ * The IP's count is kept, so one good account can't reset an attacker's budget.
+ * @param {string} email - Account email
+ */
+const clearFailures = async (email) => {
+  const [subject] = getSubjects({ email });
+  await deleteKeys([failureKey(subject), blockKey(subject)]);
+};
+
+/**
+ * Lockouts for a set of accounts (for the admin UI)
+ * @param {string[]} emails - Account emails
+ * @returns {Promise<Map>} - email -> { lockedUntil, failures }, only for locked accounts
+ */
+const getAccountLockouts = async (emails) => {
+  const lockouts = new Map();
+  if (emails.length === 0) return lockouts;
+
+  const values = await getValues(emails.map(email => blockKey({ scope: 'account', id: normalizeEmail(email) })));
+  values.forEach((value, index) => {
+    if (!value) return;
+
+    const { reason, until, failures } = JSON.parse(value);
+    if (reason === 'lockout' && until > Date.now()) {
+      lockouts.set(emails[index], { lockedUntil: new Date(until), failures });
+    }
+  });
+
+  return lockouts;
+};
+
+/**
+ * Middleware factory: cap requests per IP to a route within a fixed window
+ * @param {Object} options
+ * @param {number} options.max - Requests allowed per window
+ * @param {number} options.windowMinutes - Window length
+ * @returns {Function} - Express middleware
+ */
+const routeRateLimit = ({ max, windowMinutes }) => async (req, res, next) => {
+  try {
+    const route = `${req.method}:${req.baseUrl}${req.route ? req.route.path : req.path}`;
+    const { count, ttl } = await increment(`bf_rate_${req.ip}_${route}`, windowMinutes * 60);
+
+    if (count > max) {
+      res.set('Retry-After', String(ttl));
+      return res.status(429).json({
+        success: false,
+        message: `Too many requests. Please try again in ${Math.ceil(ttl / 60)} minute(s).`,
+        code: 'RATE_LIMITED',
+        retryAfter: ttl
+      });
+    }
+  } catch (error) {
+    console.error('Rate limit error:', error);
+  }
+
+  next();
+};
+
+/**
+ * Drop expired entries from the in-memory fallback
+ * Redis entries expire on their own.
+ */
+const clearExpiredEntries = () => {
+  const now = Date.now();
+  memoryStore.forEach((entry, key) => {
+    if (entry.expiresAt <= now) {
+      memoryStore.delete(key);
+    }
+  });
+};
+
+// Keep the fallback from growing without bound (doesn't hold the process open)
+setInterval(clearExpiredEntries, 10 * 60 * 1000).unref();
+
+module.exports = {
+  bruteForceGuard,
+  accountGuard,
+  routeRateLimit,
+  recordFailure,
+  clearFailures,
+  getBlock,
+  sendBlocked,
+  getAccountLockouts,
+  clearExpiredEntries,
+  LOCKOUT_MINUTES
+};
@@ -1,63 +1,245 @@
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
-
-// Ensure upload directory exists
-const uploadDir = path.join(__dirname, '../uploads');
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-  console.log('📁 Upload directory created:', uploadDir);
-}
-
-// Configure multer storage
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    // Create subdirectories based on file type for better organization
-    let subDir = 'others';
-    
-    if (file.mimetype.startsWith('image/')) {
-      subDir = 'images';
-    } else if (file.mimetype.startsWith('video/')) {
-      subDir = 'videos';
-    } else if (file.mimetype === 'application/pdf') {
-      subDir = 'documents';
+const { getStorage } = require('../storage');
+const {
+  RENDITION_NAMES,
+  RENDITION_EXTENSION,
+  isProcessableImage,
+  processImage,
+  getRenditionPaths
+} = require('../utils/imageProcessing');
+const { FILE_TYPE_RULES, SNIFF_LENGTH, getFileTypeMismatch } = require('../utils/fileType');
+const { getScanner } = require('../scanner');
+const { formatFileSize, getStoredFilesSize } = require('../utils/helpers');
+
+// Pick a sub-folder based on file type for better organization
+const getSubDir = (mimeType) => {
+  if (mimeType.startsWith('image/')) return 'images';
+  if (mimeType.startsWith('video/')) return 'videos';
+  if (mimeType === 'application/pdf') return 'documents';
+  return 'others';
+};
+
+// Unique storage key for a new upload, in a sub-folder by type
+const buildStorageKey = (upload) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const fileExtension = path.extname(upload.originalName);
+  const fileName = `${upload.fieldName}-${uniqueSuffix}${fileExtension}`;
+  return { fileName, key: `${getSubDir(upload.mimeType)}/${fileName}` };
+};
+
+// Errors raised while storing a file carry the HTTP status to respond with
+const createUploadError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+// Read an upload stream fully into memory - uploads are capped in size and
+// have to be sniffed and scanned in full before anything is stored
+const bufferStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Strip metadata from an image and save it alongside its renditions
+const saveImage = async (driver, key, upload) => {
+  let processed;
+  try {
+    processed = await processImage(upload.buffer);
+  } catch (error) {
+    console.error('Image processing error:', error.message);
+    throw createUploadError(400, `Could not process image ${upload.originalName}`);
+  }
+
+  const baseName = path.basename(key, path.extname(key));
+  const renditions = {};
+  const savedKeys = [];
+
+  try {
+    const { size } = await driver.save(key, processed.buffer, { contentType: upload.mimeType });
+    savedKeys.push(key);
+
+    for (const name of RENDITION_NAMES) {
+      const rendition = processed.renditions[name];
+      const renditionKey = `images/${name}/${baseName}${RENDITION_EXTENSION}`;
+
+      await driver.save(renditionKey, rendition.buffer, { contentType: rendition.mimeType });
+      savedKeys.push(renditionKey);
+
+      renditions[name] = {
+        filePath: renditionKey,
+        mimeType: rendition.mimeType,
+        size: rendition.size,
+        width: rendition.width,
+        height: rendition.height
+      };
     }
-    
-    const targetDir = path.join(uploadDir, subDir);
-    
-    // Create subdirectory if it doesn't exist
-    if (!fs.existsSync(targetDir)) {
-      fs.mkdirSync(targetDir, { recursive: true });
+
+    return { size, width: processed.width, height: processed.height, renditions };
+  } catch (error) {
+    // Don't leave half of an image behind
+    await Promise.all(savedKeys.map(savedKey => driver.remove(savedKey).catch(() => {})));
+    throw error;
+  }
+};
+
+// Keep a flagged file (and why it was flagged) out of reach of normal downloads
+const quarantineFile = async (driver, fileName, body, details) => {
+  const key = `quarantine/${fileName}`;
+
+  await driver.save(key, body, { contentType: 'application/octet-stream', size: details.size });
+  await driver.save(`${key}.json`, Buffer.from(JSON.stringify(details, null, 2)), {
+    contentType: 'application/json'
+  });
+
+  return key;
+};
+
+// Run the upload scanner; flagged files are quarantined and the upload rejected.
+// The file is upload.buffer, or for files already in storage, upload.storedKey.
+const scanFile = async (req, driver, fileName, upload) => {
+  const scanner = getScanner();
+  const readFile = () => (upload.storedKey ? driver.createReadStream(upload.storedKey) : upload.buffer);
+
+  let result;
+  try {
+    result = await scanner.scan(await readFile(), { fileName: upload.originalName });
+  } catch (error) {
+    // Fail closed - never store a file that couldn't be scanned
+    console.error(`Upload scan error (${scanner.name}):`, error.message);
+    throw createUploadError(503, 'Files cannot be scanned right now. Please try again later.');
+  }
+
+  if (result.clean) return;
+
+  const size = upload.storedKey ? upload.size : upload.buffer.length;
+  const quarantineKey = await quarantineFile(driver, fileName, await readFile(), {
+    originalName: upload.originalName,
+    mimeType: upload.mimeType,
+    size,
+    signature: result.signature,
+    scanner: scanner.name,
+    uploadedBy: req.user ? req.user._id : null,
+    quarantinedAt: new Date()
+  });
+
+  console.warn(`☣️ Upload quarantined: ${upload.originalName} (${result.signature}) -> ${quarantineKey}`);
+
+  throw createUploadError(422, `File ${upload.originalName} was rejected by the malware scan`);
+};
+
+/**
+ * Verify, scan and store an upload held in memory
+ * Shared by the multipart engine below and resumable upload sessions.
+ * @param {Object} req - Express request (the uploader is read from req.user)
+ * @param {Object} upload - { buffer, originalName, mimeType, fieldName }
+ * @returns {Promise<Object>} - { filename, path, size, storage, width?, height?, renditions? }
+ */
+const storeUpload = async (req, upload) => {
+  const driver = getStorage();
+  const { fileName, key } = buildStorageKey(upload);
+
+  // Don't trust the client-supplied type - the extension and the bytes must agree with it
+  const mismatch = getFileTypeMismatch(upload.buffer, {
+    mimeType: upload.mimeType,
+    originalName: upload.originalName
+  });
+  if (mismatch) {
+    throw createUploadError(400, mismatch);
+  }
+
+  await scanFile(req, driver, fileName, upload);
+
+  const saved = isProcessableImage(upload.mimeType)
+    ? await saveImage(driver, key, upload)
+    : await driver.save(key, upload.buffer, { contentType: upload.mimeType });
+
+  return {
+    ...saved,
+    filename: fileName,
+    path: key,
+    storage: driver.name
+  };
+};
+
+/**
+ * Verify, scan and store an upload read from a stream
+ * The stream is written straight to storage and checked there, so large
+ * resumable uploads are never held in memory whole (images are still read back
+ * for processing). Rejected files are removed again.
+ * @param {Object} req - Express request (the uploader is read from req.user)
+ * @param {Object} upload - { stream, size, originalName, mimeType, fieldName }
+ * @returns {Promise<Object>} - { filename, path, size, storage, width?, height?, renditions? }
+ */
+const storeUploadStream = async (req, upload) => {
+  const driver = getStorage();
+  const { fileName, key } = buildStorageKey(upload);
+
+  const { size } = await driver.save(key, upload.stream, { contentType: upload.mimeType, size: upload.size });
+  let keep = false;
+
+  try {
+    if (size !== upload.size) {
+      throw new Error(`Stored ${size} bytes of ${upload.originalName}, expected ${upload.size}`);
     }
-    
-    cb(null, targetDir);
+
+    const head = await bufferStream(await driver.createReadStream(key, { start: 0, end: Math.min(size, SNIFF_LENGTH) - 1 }));
+    const mismatch = getFileTypeMismatch(head, {
+      mimeType: upload.mimeType,
+      originalName: upload.originalName
+    });
+    if (mismatch) {
+      throw createUploadError(400, mismatch);
+    }
+
+    await scanFile(req, driver, fileName, { ...upload, size, storedKey: key });
+
+    let saved = { size };
+    if (isProcessableImage(upload.mimeType)) {
+      // sharp decodes the whole image anyway; the processed copy replaces the original
+      const buffer = await bufferStream(await driver.createReadStream(key));
+      saved = await saveImage(driver, key, { ...upload, buffer });
+    }
+
+    keep = true;
+    return {
+      ...saved,
+      filename: fileName,
+      path: key,
+      storage: driver.name
+    };
+  } finally {
+    if (!keep) {
+      await driver.remove(key).catch(() => {});
+    }
+  }
+};
+
+// Multer storage engine that hands files to the configured storage driver
+const storage = {
+  _handleFile(req, file, cb) {
+    bufferStream(file.stream)
+      .then(buffer => storeUpload(req, {
+        buffer,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        fieldName: file.fieldname
+      }))
+      .then(stored => cb(null, stored))
+      .catch(cb);
   },
-  filename: function (req, file, cb) {
-    // Generate unique filename to avoid conflicts
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const fileExtension = path.extname(file.originalname);
-    const fileName = `${file.fieldname}-${uniqueSuffix}${fileExtension}`;
-    
-    cb(null, fileName);
+
+  _removeFile(req, file, cb) {
+    deleteAttachmentFiles({ filePath: file.path, storage: file.storage, renditions: file.renditions })
+      .then(() => cb(null))
+      .catch(cb);
   }
-});
+};
 
 // File filter function
 const fileFilter = (req, file, cb) => {
-  // Define allowed file types
-  const allowedMimeTypes = [
-    'image/jpeg',
-    'image/jpg', 
-    'image/png',
-    'image/gif',
-    'image/webp',
-    'application/pdf',
-    'text/plain',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'application/vnd.ms-excel',
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-  ];
+  // Allowed file types (their content is verified once the file has been received)
+  const allowedMimeTypes = Object.keys(FILE_TYPE_RULES);
 
   if (allowedMimeTypes.includes(file.mimetype)) {
     cb(null, true);
@@ -76,6 +258,39 @@ const upload = multer({
   }
 });
 
+// Error body for uploads that would push the user past their storage quota (null if within it)
+// reservedBytes are held by the user's finished uploads that no post uses yet
+const getQuotaError = (user, uploadedBytes, reservedBytes = 0) => {
+  if (!user || uploadedBytes === 0) return null;
+
+  const quota = user.getStorageQuota();
+  const remaining = Math.max(0, user.getStorageRemaining() - reservedBytes);
+  if (uploadedBytes <= remaining) return null;
+
+  return {
+    success: false,
+    message: `Storage quota exceeded. This upload needs ${formatFileSize(uploadedBytes)} but only ${formatFileSize(remaining)} of your ${formatFileSize(quota)} quota is left.`,
+    storage: {
+      used: user.storageUsed || 0,
+      quota,
+      remaining
+    }
+  };
+};
+
+// Remove files that were stored but are being rejected (don't wait for completion)
+const discardUploadedFiles = (files) => {
+  files.forEach(file => {
+    deleteAttachmentFiles({
+      filePath: file.path,
+      storage: file.storage,
+      renditions: file.renditions
+    }).catch(err => {
+      console.error('Cleanup error:', err);
+    });
+  });
+};
+
 // Middleware to handle single file upload
 const uploadSingle = (fieldName = 'file') => {
   return (req, res, next) => {
@@ -100,12 +315,19 @@ const uploadSingle = (fieldName = 'file') => {
           }
         }
         
-        return res.status(400).json({
+        return res.status(error.statusCode || 400).json({
           success: false,
           message: error.message
         });
       }
       
+      // Enforce the uploader's storage quota now that stored sizes are known
+      const quotaError = req.file && getQuotaError(req.user, getStoredFilesSize([req.file]));
+      if (quotaError) {
+        discardUploadedFiles([req.file]);
+        return res.status(413).json(quotaError);
+      }
+
       // Add file metadata to request if file was uploaded
       if (req.file) {
         req.fileMetadata = {
@@ -113,7 +335,11 @@ const uploadSingle = (fieldName = 'file') => {
           originalName: req.file.originalname,
           mimeType: req.file.mimetype,
           size: req.file.size,
-          filePath: req.file.path
+          filePath: req.file.path,
+          storage: req.file.storage,
+          width: req.file.width,
+          height: req.file.height,
+          renditions: req.file.renditions
         };
         
         console.log('📎 File uploaded successfully:', {
@@ -152,12 +378,19 @@ const uploadMultiple = (fieldName = 'files', maxCount = 3) => {
           }
         }
         
-        return res.status(400).json({
+        return res.status(error.statusCode || 400).json({
           success: false,
           message: error.message
         });
       }
       
+      // Enforce the uploader's storage quota now that stored sizes are known
+      const quotaError = req.files && getQuotaError(req.user, getStoredFilesSize(req.files));
+      if (quotaError) {
+        discardUploadedFiles(req.files);
+        return res.status(413).json(quotaError);
+      }
+
       // Add files metadata to request
       if (req.files && req.files.length > 0) {
         req.filesMetadata = req.files.map(file => ({
@@ -165,7 +398,11 @@ const uploadMultiple = (fieldName = 'files', maxCount = 3) => {
           originalName: file.originalname,
           mimeType: file.mimetype,
           size: file.size,
-          filePath: file.path
+          filePath: file.path,
+          storage: file.storage,
+          width: file.width,
+          height: file.height,
+          renditions: file.renditions
         }));
         
         console.log(`📎 ${req.files.length} file(s) uploaded successfully`);
@@ -177,20 +414,22 @@ const uploadMultiple = (fieldName = 'files', maxCount = 3) => {
 };
 
 // Utility function to delete uploaded file (cleanup)
-const deleteFile = (filePath) => {
-  return new Promise((resolve, reject) => {
-    fs.unlink(filePath, (error) => {
-      if (error && error.code !== 'ENOENT') {
-        console.error('Error deleting file:', error);
-        reject(error);
-      } else {
-        console.log('🗑️ File deleted:', filePath);
-        resolve();
-      }
-    });
-  });
+// filePath is a storage key (or a legacy absolute path for local files)
+const deleteFile = async (filePath, storageName) => {
+  try {
+    await getStorage(storageName).remove(filePath);
+    console.log('🗑️ File deleted:', filePath);
+  } catch (error) {
+    console.error('Error deleting file:', error);
+    throw error;
+  }
 };
 
+// Utility function to delete an attachment together with its image renditions
+const deleteAttachmentFiles = ({ filePath, storage, renditions }) => Promise.all(
+  [filePath, ...getRenditionPaths(renditions)].map(key => deleteFile(key, storage))
+);
+
 // Middleware to clean up files on error
 const cleanupOnError = (req, res, next) => {
   const originalSend = res.send;
@@ -201,19 +440,15 @@ const cleanupOnError = (req, res, next) => {
       const filesToDelete = [];
       
       if (req.file) {
-        filesToDelete.push(req.file.path);
+        filesToDelete.push(req.file);
       }
       
       if (req.files) {
-        filesToDelete.push(...req.files.map(file => file.path));
+        filesToDelete.push(...req.files);
       }
       
       // Delete files asynchronously (don't wait for completion)
-      filesToDelete.forEach(filePath => {
-        deleteFile(filePath).catch(err => {
-          console.error('Cleanup error:', err);
-        });
-      });
+      discardUploadedFiles(filesToDelete);
     }
     
     originalSend.call(this, data);
@@ -226,5 +461,9 @@ module.exports = {
   uploadSingle,
   uploadMultiple,
   deleteFile,
-  cleanupOnError
+  deleteAttachmentFiles,
+  cleanupOnError,
+  storeUpload,
+  storeUploadStream,
+  getQuotaError
 };
\ No newline at end of file
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // Admin who performed the action (or the account itself for security events)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // e.g. 'user.deactivate', 'user.role.update', 'post.delete', 'comment.delete', 'auth.refresh_token.reuse'
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['user', 'post', 'comment'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Action-specific context (previous/new values, reason, post title...)
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+/**
+ * Static method to record an action taken in a request
+ * The actor defaults to the signed-in user.
+ * Never throws - a failed audit write is logged instead of undoing the action.
+ */
+auditLogSchema.statics.record = async function(req, { action, targetType, targetId, details = {}, actor = req.user && req.user._id }) {
+  try {
+    return await this.create({
+      actor,
+      action,
+      targetType,
+      targetId,
+      details,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action} ${targetType} ${targetId}):`, error);
+    return null;
+  }
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
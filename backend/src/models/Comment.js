@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The comment this replies to (null for a top-level comment)
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Every comment above this one, top-level first, so a whole thread is one query
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  }],
+  content: {
+    type: String,
+    // Deleted comments stay as tombstones without their text
+    required: [function() { return !this.deletedAt; }, 'Comment content is required'],
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters']
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.deletedBy;
+      // A tombstone keeps its place in the thread, but not who wrote what
+      ret.deleted = Boolean(ret.deletedAt);
+      if (ret.deleted) {
+        ret.content = null;
+        ret.author = null;
+      }
+      return ret;
+    }
+  }
+});
+
+// Top-level comments of a post in order, and threads by their root, oldest first
+commentSchema.index({ post: 1, parent: 1, createdAt: 1 });
+commentSchema.index({ ancestors: 1, createdAt: 1 });
+commentSchema.index({ author: 1 });
+
+// Instance method to build a reply to this comment
+commentSchema.methods.buildReply = function({ author, content }) {
+  return new this.constructor({
+    post: this.post,
+    author,
+    content,
+    parent: this._id,
+    ancestors: [...this.ancestors, this._id]
+  });
+};
+
+// Instance method to soft-delete: the text goes, the thread stays intact
+commentSchema.methods.softDelete = function(userId) {
+  this.content = undefined;
+  this.deletedAt = new Date();
+  this.deletedBy = userId;
+  return this.save();
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
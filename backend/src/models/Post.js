@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 
+// Generated image rendition (thumbnail, medium) stored next to the original
+const renditionSchema = new mongoose.Schema({
+  filePath: {
+    type: String,
+    required: true
+  },
+  mimeType: String,
+  size: Number,
+  width: Number,
+  height: Number
+}, { _id: false });
+
 const postSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -61,10 +73,22 @@ const postSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     },
-    // In a real app, you'd store the cloud URL here
+    // Storage key within the driver below (older local records hold an absolute disk path)
     filePath: {
       type: String,
       required: true
+    },
+    // Storage driver the file was written with ('local', 's3', 'memory')
+    storage: {
+      type: String,
+      default: 'local'
+    },
+    // Pixel dimensions (images only, after EXIF orientation is applied)
+    width: Number,
+    height: Number,
+    renditions: {
+      thumbnail: renditionSchema,
+      medium: renditionSchema
     }
   }],
   // Engagement metrics
@@ -82,42 +106,12 @@ const postSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
-  // Comments embedded for simplicity (in production, might be separate collection)
-  comments: [{
-    author: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
-    },
-    content: {
-      type: String,
-      required: [true, 'Comment content is required'],
-      trim: true,
-      maxlength: [1000, 'Comment cannot exceed 1000 characters']
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    },
-    // Simple nested replies support
-    replies: [{
-      author: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-        required: true
-      },
-      content: {
-        type: String,
-        required: true,
-        trim: true,
-        maxlength: [500, 'Reply cannot exceed 500 characters']
-      },
-      createdAt: {
-        type: Date,
-        default: Date.now
-      }
-    }]
-  }],
+  // Comments live in their own collection (see models/Comment.js); this counts
+  // the ones not deleted, for listings
+  commentsCount: {
+    type: Number,
+    default: 0
+  },
   // SEO fields
   slug: {
     type: String,
@@ -134,6 +128,17 @@ const postSchema = new mongoose.Schema({
     virtuals: true,
     transform: function(doc, ret) {
       delete ret.__v;
+      // Never leak server-side storage paths to clients
+      if (Array.isArray(ret.attachments)) {
+        ret.attachments.forEach(attachment => {
+          delete attachment.filePath;
+          if (attachment.renditions) {
+            Object.values(attachment.renditions).forEach(rendition => {
+              if (rendition) delete rendition.filePath;
+            });
+          }
+        });
+      }
       return ret;
     }
   }
@@ -144,10 +149,6 @@ postSchema.virtual('likesCount').get(function() {
   return this.likes ? this.likes.length : 0;
 });
 
-postSchema.virtual('commentsCount').get(function() {
-  return this.comments ? this.comments.length : 0;
-});
-
 postSchema.virtual('readingTime').get(function() {
   // Estimate reading time based on word count (average 200 words per minute)
   const wordCount = this.content.split(' ').length;
@@ -189,33 +190,19 @@ postSchema.pre('save', function(next) {
   next();
 });
 
-// Instance method to increment views
-postSchema.methods.incrementViews = function() {
-  this.views += 1;
-  return this.save();
-};
-
-// Instance method to add like
-postSchema.methods.addLike = function(userId) {
-  // Check if user already liked
-  const existingLike = this.likes.find(
-    like => like.user.toString() === userId.toString()
-  );
-  
-  if (!existingLike) {
-    this.likes.push({ user: userId });
-    return this.save();
-  }
-  
-  return Promise.resolve(this);
-};
-
-// Instance method to remove like
-postSchema.methods.removeLike = function(userId) {
-  this.likes = this.likes.filter(
-    like => like.user.toString() !== userId.toString()
-  );
-  return this.save();
+// Static method to like or unlike a post atomically (no read-modify-save).
+// Likes are { user, likedAt } subdocuments, which $addToSet can't dedupe, so a
+// like is only pushed when the filter finds no like by the user yet - a double
+// click can't add a second one. Resolves to { changed, likesCount }, or null.
+postSchema.statics.setLike = async function(postId, userId, liked) {
+  const filter = liked ? { _id: postId, 'likes.user': { $ne: userId } } : { _id: postId };
+  const update = liked
+    ? { $push: { likes: { user: userId, likedAt: new Date() } } }
+    : { $pull: { likes: { user: userId } } };
+
+  const { modifiedCount } = await this.updateOne(filter, update, { timestamps: false });
+  const post = await this.findById(postId).select('likes.user').lean();
+  return post && { changed: modifiedCount > 0, likesCount: post.likes.length };
 };
 
 // Static method to get popular posts
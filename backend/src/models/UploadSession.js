@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const { getStoredFilesSize } = require('../utils/helpers');
+
+// How long an unfinished (or finished but unused) upload is kept, extended on every chunk
+const UPLOAD_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const uploadSessionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  // Declared total size in bytes
+  size: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Bytes received so far - the next chunk must start here
+  offset: {
+    type: Number,
+    default: 0
+  },
+  // uploading -> finalizing -> complete -> attached (then the session is deleted)
+  status: {
+    type: String,
+    enum: ['uploading', 'finalizing', 'complete', 'attached'],
+    default: 'uploading'
+  },
+  // Storage driver holding the chunks and, once finalized, the file
+  storage: {
+    type: String,
+    required: true
+  },
+  // Stored file, set once the upload is finalized
+  file: {
+    fileName: String,
+    filePath: String,
+    size: Number,
+    width: Number,
+    height: Number,
+    renditions: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + UPLOAD_SESSION_TTL_MS)
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.storage;
+      delete ret.chunkPrefix;
+      // Never leak server-side storage paths to clients
+      if (ret.file) {
+        delete ret.file.filePath;
+        delete ret.file.renditions;
+      }
+      return ret;
+    }
+  }
+});
+
+// MongoDB drops expired sessions; their chunks are left to the upload sweeper
+uploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+uploadSessionSchema.index({ owner: 1, status: 1 });
+
+// Storage prefix for the session's chunks (one object per chunk, named by offset)
+uploadSessionSchema.virtual('chunkPrefix').get(function() {
+  return `tmp/uploads/${this._id}/`;
+});
+
+// Instance method to build the storage key of the chunk starting at offset
+uploadSessionSchema.methods.getChunkKey = function(offset) {
+  // Zero-padded so keys sort in byte order
+  return `${this.chunkPrefix}${String(offset).padStart(15, '0')}`;
+};
+
+// Instance method to convert a finished upload into Post attachment metadata
+uploadSessionSchema.methods.toAttachment = function() {
+  return {
+    fileName: this.file.fileName,
+    originalName: this.originalName,
+    mimeType: this.mimeType,
+    size: this.file.size,
+    filePath: this.file.filePath,
+    storage: this.storage,
+    width: this.file.width,
+    height: this.file.height,
+    renditions: this.file.renditions
+  };
+};
+
+/**
+ * Static method to reserve finished uploads for a post
+ * All-or-nothing: if any upload isn't finished or isn't owned by the user,
+ * nothing stays claimed and null is returned.
+ */
+uploadSessionSchema.statics.claimCompleted = async function(uploadIds, ownerId) {
+  const claimed = [];
+
+  for (const uploadId of uploadIds) {
+    const session = await this.findOneAndUpdate(
+      { _id: uploadId, owner: ownerId, status: 'complete' },
+      { status: 'attached' },
+      { new: true }
+    );
+
+    if (!session) {
+      await this.releaseClaimed(claimed.map(claimedSession => claimedSession._id));
+      return null;
+    }
+
+    claimed.push(session);
+  }
+
+  return claimed;
+};
+
+/**
+ * Static method to total the stored bytes of an owner's finished uploads that
+ * no post uses yet - they count against the storage quota until they're
+ * attached (or expire)
+ * @param {ObjectId} ownerId - Uploading user
+ * @param {Array} [except] - Session ids to leave out (e.g. the ones being attached)
+ * @returns {Promise<number>} - Bytes
+ */
+uploadSessionSchema.statics.getUnclaimedBytes = async function(ownerId, except = []) {
+  const sessions = await this.find({
+    _id: { $nin: except },
+    owner: ownerId,
+    status: { $in: ['complete', 'attached'] }
+  }).select('file');
+
+  return getStoredFilesSize(sessions.map(session => session.file));
+};
+
+// Static method to hand claimed uploads back (e.g. when saving the post failed)
+uploadSessionSchema.statics.releaseClaimed = function(uploadIds) {
+  if (uploadIds.length === 0) return Promise.resolve(null);
+
+  return this.updateMany(
+    { _id: { $in: uploadIds }, status: 'attached' },
+    { status: 'complete' }
+  );
+};
+
+uploadSessionSchema.statics.UPLOAD_SESSION_TTL_MS = UPLOAD_SESSION_TTL_MS;
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
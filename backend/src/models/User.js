@@ -1,5 +1,33 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { ROLES, roleHasPermission } = require('../config/permissions');
+const { generateSecret, verifyCode } = require('../utils/totp');
+
+// Most refresh token families (signed-in devices) kept per user; the least
+// recently used one is dropped to make room for a new sign-in
+const MAX_REFRESH_TOKEN_FAMILIES = 5;
+
+// Only a hash of each refresh token is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// How long a password reset link works (PASSWORD_RESET_TTL_MINUTES, 30 if unset)
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+
+// How long an email verification link works (EMAIL_VERIFICATION_TTL_HOURS, 24 if unset)
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24;
+
+// Recovery codes handed out when two-factor authentication is turned on
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are shown as "xxxxx-xxxxx"; compare them without the dash or case
+const normalizeRecoveryCode = (code) => {
+  const normalized = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+  return /^[0-9a-f]{10}$/.test(normalized) ? normalized : null;
+};
+
+// Default per-user upload quota in bytes (USER_STORAGE_QUOTA_MB, 100MB if unset)
+const DEFAULT_STORAGE_QUOTA = (parseInt(process.env.USER_STORAGE_QUOTA_MB, 10) || 100) * 1024 * 1024;
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -15,7 +43,8 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    // Accounts created through an OIDC provider start without one
+    required: [function() { return !this.identities || this.identities.length === 0; }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't return password by default
   },
@@ -42,30 +71,121 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Whether the user proved they own `email` (reset whenever the email changes)
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Pending verification: SHA-256 of the emailed token, its expiry and when it was sent
+  emailVerificationTokenHash: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpiresAt: {
+    type: Date,
+    select: false
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    select: false
+  },
+  // One entry per token family (a sign-in and every token rotated from it) -
+  // these are the user's sessions. Only the newest token of a family is valid;
+  // tokenHash is its SHA-256. Fields aren't required so entries from before
+  // hashing still load (they never match).
   refreshTokens: [{
-    token: {
-      type: String,
-      required: true
-    },
+    family: String,
+    tokenHash: String,
+    // Device that signed in, and where it was last seen
+    userAgent: String,
+    ip: String,
     createdAt: {
       type: Date,
-      default: Date.now,
-      expires: 604800 // 7 days in seconds
-    }
+      default: Date.now
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    rotatedAt: Date,
+    expiresAt: Date,
+    _id: false
   }],
+  // Accounts at OIDC providers that sign in as this user (see config/oidc.js)
+  identities: [{
+    provider: String,
+    // The provider's stable user id (the ID token's sub)
+    subject: String,
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }],
+  // Pending password reset: SHA-256 of the emailed token and when it stops working
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpiresAt: {
+    type: Date,
+    select: false
+  },
+  // TOTP two-factor authentication (see utils/totp.js)
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: Date,
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret being enrolled; becomes twoFactorSecret once a code from it is confirmed
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // Last time step accepted, so a code can't be used twice
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  // One-time recovery codes (SHA-256 hashes) for when the authenticator is lost
+  twoFactorRecoveryCodes: {
+    type: [{
+      codeHash: String,
+      usedAt: Date,
+      _id: false
+    }],
+    select: false
+  },
   lastLoginAt: {
     type: Date
   },
   loginCount: {
     type: Number,
     default: 0
+  },
+  // Bytes of attachments (including image renditions) across the user's posts
+  storageUsed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Per-user override of the default upload quota (bytes); null uses the default
+  storageQuota: {
+    type: Number,
+    default: null,
+    min: 0
   }
 }, {
   timestamps: true, // Adds createdAt and updatedAt
@@ -75,6 +195,15 @@ const userSchema = new mongoose.Schema({
       // Remove sensitive fields when converting to JSON
       delete ret.password;
       delete ret.refreshTokens;
+      delete ret.passwordResetTokenHash;
+      delete ret.passwordResetExpiresAt;
+      delete ret.emailVerificationTokenHash;
+      delete ret.emailVerificationExpiresAt;
+      delete ret.emailVerificationSentAt;
+      delete ret.twoFactorSecret;
+      delete ret.twoFactorPendingSecret;
+      delete ret.twoFactorLastStep;
+      delete ret.twoFactorRecoveryCodes;
       delete ret.__v;
       return ret;
     }
@@ -89,12 +218,26 @@ userSchema.virtual('fullName').get(function() {
 // Index for faster queries
 userSchema.index({ email: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+userSchema.index({ emailVerificationTokenHash: 1 }, { sparse: true });
+// Only accounts with a linked provider are indexed, so the many without one never collide
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new)
   if (!this.isModified('password')) return next();
 
+  // A new password makes any reset link sent earlier useless
+  this.passwordResetTokenHash = undefined;
+  this.passwordResetExpiresAt = undefined;
+
+  // Removed, not changed (see linkIdentity): nothing to hash
+  if (!this.password) return next();
+
   try {
     // Hash password with cost of 12
     const salt = await bcrypt.genSalt(12);
@@ -107,6 +250,9 @@ userSchema.pre('save', async function(next) {
 
 // Instance method to check password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  // Accounts that only sign in through a provider have no password to match
+  if (!this.password) return false;
+
   try {
     return await bcrypt.compare(candidatePassword, this.password);
   } catch (error) {
@@ -121,23 +267,283 @@ userSchema.methods.updateLastLogin = function() {
   return this.save();
 };
 
-// Instance method to add refresh token
-userSchema.methods.addRefreshToken = function(token) {
-  // Remove old tokens if user has too many
-  if (this.refreshTokens.length >= 5) {
-    this.refreshTokens.shift(); // Remove oldest token
+// Instance method to list live sessions (one per refresh token family)
+userSchema.methods.getActiveSessions = function() {
+  return this.refreshTokens.filter(entry => entry.tokenHash && entry.expiresAt > Date.now());
+};
+
+// Instance method to start a new refresh token family (on sign-in)
+userSchema.methods.addRefreshToken = function(token, { family, expiresAt, userAgent, ip }) {
+  // Drop expired families and entries from before tokens were hashed
+  const sessions = this.getActiveSessions();
+
+  // Make room by ending the least recently used sessions
+  sessions.sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+  while (sessions.length >= MAX_REFRESH_TOKEN_FAMILIES) {
+    const evicted = sessions.shift();
+    console.log(`🔐 Session limit reached for ${this.email}; signed out session ${evicted.family} (last used ${evicted.lastUsedAt.toISOString()})`);
   }
-  
-  this.refreshTokens.push({ token });
+
+  sessions.push({ family, tokenHash: hashToken(token), expiresAt, userAgent, ip });
+  this.refreshTokens = sessions;
   return this.save();
 };
 
-// Instance method to remove refresh token
-userSchema.methods.removeRefreshToken = function(token) {
-  this.refreshTokens = this.refreshTokens.filter(
-    tokenObj => tokenObj.token !== token
+/**
+ * Instance method to classify a presented refresh token
+ * @returns {string} - 'current' (valid), 'reused' (an already-rotated token of a
+ *   live family) or 'unknown' (family revoked, expired or never issued)
+ */
+userSchema.methods.getRefreshTokenStatus = function(family, token) {
+  const entry = this.refreshTokens.find(item => item.family === family);
+  if (!entry || !entry.tokenHash || entry.expiresAt <= Date.now()) return 'unknown';
+
+  return entry.tokenHash === hashToken(token) ? 'current' : 'reused';
+};
+
+/**
+ * Static method to swap a family's current refresh token for its successor
+ * Atomic: resolves false if the token is no longer the current one (already
+ * rotated by a concurrent request, or the family was revoked).
+ */
+userSchema.statics.rotateRefreshToken = async function(userId, { family, currentToken, nextToken, expiresAt, ip }) {
+  const now = new Date();
+  const result = await this.updateOne(
+    { _id: userId, refreshTokens: { $elemMatch: { family, tokenHash: hashToken(currentToken) } } },
+    {
+      $set: {
+        'refreshTokens.$.tokenHash': hashToken(nextToken),
+        'refreshTokens.$.rotatedAt': now,
+        'refreshTokens.$.lastUsedAt': now,
+        'refreshTokens.$.expiresAt': expiresAt,
+        ...(ip && { 'refreshTokens.$.ip': ip })
+      }
+    }
   );
-  return this.save();
+
+  return result.modifiedCount === 1;
+};
+
+// Static method to revoke a whole token family (sign-out, or reuse detected).
+// matchedCount is 0 when the user has no such family; modifiedCount can't tell,
+// since the updatedAt timestamp changes either way.
+userSchema.statics.revokeRefreshTokenFamily = function(userId, family) {
+  return this.updateOne({ _id: userId, 'refreshTokens.family': family }, { $pull: { refreshTokens: { family } } });
+};
+
+/**
+ * Instance method to start a password reset
+ * Stores only a hash of the token; the caller saves the user and emails the token.
+ * @returns {Object} - { token, expiresAt, expiresInMinutes }
+ */
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+  this.passwordResetTokenHash = hashToken(token);
+  this.passwordResetExpiresAt = expiresAt;
+
+  return { token, expiresAt, expiresInMinutes: PASSWORD_RESET_TTL_MINUTES };
+};
+
+/**
+ * Static method to use up a password reset token
+ * The token is cleared in the same update that finds it, so it works once
+ * even when two resets race.
+ * @param {string} token - Token from the reset link
+ * @returns {Promise<Object|null>} - The user, or null if the token is unknown or expired
+ */
+userSchema.statics.consumePasswordResetToken = function(token) {
+  return this.findOneAndUpdate(
+    {
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpiresAt: { $gt: new Date() },
+      isActive: true
+    },
+    { $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Instance method to start verifying the user's current email
+ * Replaces any earlier token, so only the newest link works. The caller
+ * saves the user and emails the token.
+ * @returns {Object} - { token, expiresAt, expiresInHours }
+ */
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+
+  this.emailVerified = false;
+  this.emailVerificationTokenHash = hashToken(token);
+  this.emailVerificationExpiresAt = expiresAt;
+  this.emailVerificationSentAt = new Date();
+
+  return { token, expiresAt, expiresInHours: EMAIL_VERIFICATION_TTL_HOURS };
+};
+
+/**
+ * Static method to verify an email with a token from a verification link
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object|null>} - The verified user, or null if the token is unknown or expired
+ */
+userSchema.statics.consumeEmailVerificationToken = function(token) {
+  return this.findOneAndUpdate(
+    {
+      emailVerificationTokenHash: hashToken(token),
+      emailVerificationExpiresAt: { $gt: new Date() },
+      isActive: true
+    },
+    {
+      $set: { emailVerified: true },
+      $unset: { emailVerificationTokenHash: 1, emailVerificationExpiresAt: 1, emailVerificationSentAt: 1 }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Instance method to start enrolling an authenticator app
+ * Two-factor stays off until confirmTwoFactorSetup() sees a valid code.
+ * The caller saves the user.
+ * @returns {string} - Base32 secret to show to the user
+ */
+userSchema.methods.startTwoFactorSetup = function() {
+  this.twoFactorPendingSecret = generateSecret();
+  return this.twoFactorPendingSecret;
+};
+
+/**
+ * Instance method to turn two-factor on with a code from the enrolled app
+ * Needs twoFactorPendingSecret selected. The caller saves the user.
+ * @param {string} code - Code from the authenticator app
+ * @returns {string[]|null} - New recovery codes, or null if the code is wrong
+ */
+userSchema.methods.confirmTwoFactorSetup = function(code) {
+  if (!this.twoFactorPendingSecret) return null;
+
+  const step = verifyCode(this.twoFactorPendingSecret, code);
+  if (step === null) return null;
+
+  this.twoFactorEnabled = true;
+  this.twoFactorEnabledAt = new Date();
+  this.twoFactorSecret = this.twoFactorPendingSecret;
+  this.twoFactorPendingSecret = undefined;
+  this.twoFactorLastStep = step;
+
+  return this.generateRecoveryCodes();
+};
+
+/**
+ * Instance method to replace the recovery codes (the old ones stop working)
+ * The caller saves the user.
+ * @returns {string[]} - Plain codes, shown to the user once
+ */
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  this.twoFactorRecoveryCodes = codes.map(code => ({ codeHash: hashToken(normalizeRecoveryCode(code)) }));
+  return codes;
+};
+
+// Instance method to turn two-factor off (the caller saves the user)
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorEnabledAt = undefined;
+  this.twoFactorSecret = undefined;
+  this.twoFactorPendingSecret = undefined;
+  this.twoFactorLastStep = undefined;
+  this.twoFactorRecoveryCodes = [];
+};
+
+/**
+ * Instance method to check a sign-in code: an authenticator code or a recovery code
+ * Needs twoFactorSecret and twoFactorLastStep selected. Each code is accepted
+ * once - the update only matches while the code is still unused, so two
+ * requests racing with the same code can't both succeed.
+ * @param {string} code - Code typed by the user
+ * @returns {Promise<string|null>} - 'totp', 'recovery', or null if the code is wrong or used
+ */
+userSchema.methods.useTwoFactorCode = async function(code) {
+  const User = this.constructor;
+
+  const step = verifyCode(this.twoFactorSecret, code, { afterStep: this.twoFactorLastStep ?? -1 });
+  if (step !== null) {
+    const result = await User.updateOne(
+      { _id: this._id, $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }] },
+      { $set: { twoFactorLastStep: step } }
+    );
+    return result.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  const recoveryCode = normalizeRecoveryCode(code);
+  if (!recoveryCode) return null;
+
+  const result = await User.updateOne(
+    { _id: this._id, twoFactorRecoveryCodes: { $elemMatch: { codeHash: hashToken(recoveryCode), usedAt: null } } },
+    { $set: { 'twoFactorRecoveryCodes.$.usedAt': new Date() } }
+  );
+  return result.modifiedCount === 1 ? 'recovery' : null;
+};
+
+// Instance method to count unused recovery codes (needs twoFactorRecoveryCodes selected)
+userSchema.methods.getRecoveryCodesRemaining = function() {
+  return (this.twoFactorRecoveryCodes || []).filter(entry => !entry.usedAt).length;
+};
+
+/**
+ * Instance method to link an OIDC provider account
+ * A provider that vouches for the same address also counts as verifying it.
+ * Until then nobody had proved they own the address - the account may have been
+ * registered in advance by someone waiting for the owner to sign in through the
+ * provider - so its password, two-factor setup and sessions are dropped. The
+ * caller saves the user and revokes the access tokens already issued.
+ * @returns {boolean} - True if an unverified account's credentials were dropped
+ */
+userSchema.methods.linkIdentity = function({ provider, subject, email }) {
+  this.identities.push({ provider, subject, email });
+  if (!email || email !== this.email) return false;
+
+  const claimed = !this.emailVerified;
+  this.emailVerified = true;
+
+  if (claimed) {
+    this.password = undefined;
+    this.disableTwoFactor();
+    this.refreshTokens = [];
+    this.emailVerificationTokenHash = undefined;
+    this.emailVerificationExpiresAt = undefined;
+  }
+
+  return claimed;
+};
+
+// Instance method to check a permission granted by the user's role
+userSchema.methods.hasPermission = function(permission) {
+  return roleHasPermission(this.role, permission);
+};
+
+// Instance method to get the effective upload quota in bytes
+userSchema.methods.getStorageQuota = function() {
+  return this.storageQuota ?? DEFAULT_STORAGE_QUOTA;
+};
+
+// Instance method to get the remaining upload allowance in bytes
+userSchema.methods.getStorageRemaining = function() {
+  return Math.max(0, this.getStorageQuota() - (this.storageUsed || 0));
+};
+
+// Static method to atomically adjust a user's storage usage (never drops below zero)
+userSchema.statics.adjustStorageUsed = function(userId, deltaBytes) {
+  if (!deltaBytes) return Promise.resolve(null);
+
+  return this.updateOne({ _id: userId }, [
+    { $set: { storageUsed: { $max: [0, { $add: [{ $ifNull: ['$storageUsed', 0] }, deltaBytes] }] } } }
+  ]);
 };
 
 // Static method to find user by email with password
@@ -145,6 +551,11 @@ userSchema.statics.findByEmailWithPassword = function(email) {
   return this.findOne({ email, isActive: true }).select('+password');
 };
 
+// Static method to find the user an OIDC provider account is linked to
+userSchema.statics.findByIdentity = function(provider, subject) {
+  return this.findOne({ identities: { $elemMatch: { provider, subject } } });
+};
+
 // Static method for user stats (could be useful for admin dashboard)
 userSchema.statics.getStats = async function() {
   const stats = await this.aggregate([
@@ -155,12 +566,17 @@ userSchema.statics.getStats = async function() {
         activeUsers: {
           $sum: { $cond: [{ $eq: ['$isActive', true] }, 1, 0] }
         },
-        avgLoginCount: { $avg: '$loginCount' }
+        adminUsers: {
+          $sum: { $cond: [{ $eq: ['$role', 'admin'] }, 1, 0] }
+        },
+        avgLoginCount: { $avg: '$loginCount' },
+        totalStorageUsed: { $sum: { $ifNull: ['$storageUsed', 0] } }
       }
-    }
+    },
+    { $project: { _id: 0 } }
   ]);
   
-  return stats[0] || { totalUsers: 0, activeUsers: 0, avgLoginCount: 0 };
+  return stats[0] || { totalUsers: 0, activeUsers: 0, adminUsers: 0, avgLoginCount: 0, totalStorageUsed: 0 };
 };
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers and middleware
+const {
+  getSiteStats,
+  getCacheStatistics,
+  listUsers,
+  getUser,
+  updateUserStatus,
+  updateUserRole,
+  forceLogout,
+  unlockUser,
+  listPosts,
+  updatePostStatus,
+  deletePost,
+  listAuditLogs,
+  paginationValidation,
+  userStatusValidation,
+  userRoleValidation,
+  postStatusValidation,
+  postDeleteValidation
+} = require('../controllers/adminController');
+
+const { authenticate, requireRole, requirePermission, sensitiveOpRateLimit } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+// All admin routes require an authenticated admin; each route then checks its permission
+router.use(authenticate, requireRole('admin'));
+
+// GET /api/admin/stats - Site-wide user, post and moderation stats
+router.get('/stats', requirePermission(PERMISSIONS.STATS_READ), getSiteStats);
+
+// GET /api/admin/cache-stats - Cache hit ratio, stale serves and coalesced loads for this process
+router.get('/cache-stats', requirePermission(PERMISSIONS.STATS_READ), getCacheStatistics);
+
+// GET /api/admin/users - List/search users (?search=&role=&isActive=&page=&limit=)
+router.get('/users', requirePermission(PERMISSIONS.USERS_READ), paginationValidation, listUsers);
+
+// GET /api/admin/users/:id - Get a user with post/session/storage stats
+router.get('/users/:id', requirePermission(PERMISSIONS.USERS_READ), getUser);
+
+// PATCH /api/admin/users/:id/status - Activate/deactivate a user ({ isActive, reason })
+router.patch('/users/:id/status',
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  userStatusValidation,
+  updateUserStatus
+);
+
+// PATCH /api/admin/users/:id/role - Promote/demote a user ({ role, reason })
+router.patch('/users/:id/role',
+  requirePermission(PERMISSIONS.USERS_ROLES),
+  sensitiveOpRateLimit,
+  userRoleValidation,
+  updateUserRole
+);
+
+// POST /api/admin/users/:id/logout - Revoke all of a user's refresh tokens
+router.post('/users/:id/logout', requirePermission(PERMISSIONS.USERS_MANAGE), forceLogout);
+
+// DELETE /api/admin/users/:id/lockout - Lift a sign-in lockout and clear failed attempts
+router.delete('/users/:id/lockout', requirePermission(PERMISSIONS.USERS_MANAGE), unlockUser);
+
+// GET /api/admin/posts - List any post, drafts and archived included (?status=&author=&search=)
+router.get('/posts', requirePermission(PERMISSIONS.POSTS_MODERATE), paginationValidation, listPosts);
+
+// PATCH /api/admin/posts/:id/status - Change any post's status ({ status, reason })
+router.patch('/posts/:id/status',
+  requirePermission(PERMISSIONS.POSTS_MODERATE),
+  postStatusValidation,
+  updatePostStatus
+);
+
+// DELETE /api/admin/posts/:id - Delete any post and its attachments ({ reason })
+router.delete('/posts/:id',
+  requirePermission(PERMISSIONS.POSTS_MODERATE),
+  postDeleteValidation,
+  deletePost
+);
+
+// GET /api/admin/audit-logs - Browse admin actions (?action=&actor=&targetType=&targetId=)
+router.get('/audit-logs', requirePermission(PERMISSIONS.AUDIT_READ), paginationValidation, listAuditLogs);
+
+module.exports = router;
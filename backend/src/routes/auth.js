@@ -5,20 +5,50 @@ const router = express.Router();
 const {
   register,
   login,
+  loginTwoFactor,
   refreshToken,
   logout,
   logoutAll,
+  getSessions,
+  revokeSession,
   me,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
   registerValidation,
-  loginValidation
+  loginValidation,
+  loginTwoFactorValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  verifyEmailValidation
 } = require('../controllers/authController');
 
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  enableTwoFactorValidation,
+  passwordConfirmationValidation
+} = require('../controllers/twoFactorController');
+
+const {
+  listOidcProviders,
+  startOidcLogin,
+  completeOidcLogin,
+  oidcCallbackValidation
+} = require('../controllers/oidcController');
+
 const { authenticate, sensitiveOpRateLimit } = require('../middleware/auth');
+const { bruteForceGuard, accountGuard } = require('../middleware/bruteForce');
 
 // POST /api/auth/register - Register new user
 router.post('/register', 
   sensitiveOpRateLimit, // Rate limit for security
   registerValidation, // Validation middleware
+  bruteForceGuard(), // Blocked IP or locked email
   register
 );
 
@@ -26,9 +56,62 @@ router.post('/register',
 router.post('/login',
   sensitiveOpRateLimit, // Rate limit for security
   loginValidation, // Validation middleware
+  bruteForceGuard(), // Backoff / lockout for the IP and email
   login
 );
 
+// POST /api/auth/login/2fa - Second sign-in step with a TOTP or recovery code
+router.post('/login/2fa',
+  sensitiveOpRateLimit, // Rate limit for security
+  loginTwoFactorValidation,
+  bruteForceGuard(() => null), // The IP here; the account is checked once the challenge names it
+  loginTwoFactor
+);
+
+// GET /api/auth/oidc/providers - OIDC providers available for sign-in
+router.get('/oidc/providers', listOidcProviders);
+
+// GET /api/auth/oidc/:provider/authorize - Start a provider sign-in (authorization URL + flow token)
+router.get('/oidc/:provider/authorize',
+  sensitiveOpRateLimit, // Rate limit for security
+  startOidcLogin
+);
+
+// POST /api/auth/oidc/callback - Finish a provider sign-in with the code from the redirect
+router.post('/oidc/callback',
+  sensitiveOpRateLimit, // Rate limit for security
+  oidcCallbackValidation,
+  completeOidcLogin
+);
+
+// POST /api/auth/forgot-password - Email a password reset link
+router.post('/forgot-password',
+  sensitiveOpRateLimit, // Rate limit for security
+  forgotPasswordValidation,
+  forgotPassword
+);
+
+// POST /api/auth/reset-password - Set a new password with a reset token
+router.post('/reset-password',
+  sensitiveOpRateLimit, // Rate limit for security
+  resetPasswordValidation,
+  resetPassword
+);
+
+// GET /api/auth/verify-email?token= - Confirm an email address from the emailed link
+router.get('/verify-email',
+  sensitiveOpRateLimit, // Rate limit for security
+  verifyEmailValidation,
+  verifyEmail
+);
+
+// POST /api/auth/resend-verification - Email a new verification link (requires auth)
+router.post('/resend-verification',
+  authenticate,
+  sensitiveOpRateLimit, // Rate limit for security
+  resendVerification
+);
+
 // POST /api/auth/refresh - Refresh access token
 router.post('/refresh', refreshToken);
 
@@ -38,6 +121,27 @@ router.post('/logout', authenticate, logout);
 // POST /api/auth/logout-all - Logout from all devices (requires auth)
 router.post('/logout-all', authenticate, logoutAll);
 
+// GET /api/auth/sessions - List active sessions/devices (requires auth)
+router.get('/sessions', authenticate, getSessions);
+
+// DELETE /api/auth/sessions/:id - Revoke a single session (requires auth)
+router.delete('/sessions/:id', authenticate, revokeSession);
+
+// GET /api/auth/2fa - Two-factor status (requires auth)
+router.get('/2fa', authenticate, getTwoFactorStatus);
+
+// POST /api/auth/2fa/setup - Start enrolling an authenticator app (requires auth)
+router.post('/2fa/setup', authenticate, setupTwoFactor);
+
+// POST /api/auth/2fa/enable - Confirm enrollment with a code; returns recovery codes (requires auth)
+router.post('/2fa/enable', authenticate, sensitiveOpRateLimit, enableTwoFactorValidation, enableTwoFactor);
+
+// POST /api/auth/2fa/disable - Turn two-factor off (requires auth and password)
+router.post('/2fa/disable', authenticate, sensitiveOpRateLimit, accountGuard, passwordConfirmationValidation, disableTwoFactor);
+
+// POST /api/auth/2fa/recovery-codes - Replace recovery codes (requires auth and password)
+router.post('/2fa/recovery-codes', authenticate, sensitiveOpRateLimit, accountGuard, passwordConfirmationValidation, regenerateRecoveryCodes);
+
 // GET /api/auth/me - Get current user info (requires auth)
 router.get('/me', authenticate, me);
 
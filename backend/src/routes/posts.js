@@ -9,13 +9,27 @@ const {
   updatePost,
   deletePost,
   getMyPosts,
-  addComment,
-  toggleLike,
+  likePost,
+  unlikePost,
+  downloadAttachment,
+  deleteAttachment,
+  reorderAttachments,
   postValidation
 } = require('../controllers/postsController');
 
-const { authenticate, optionalAuth } = require('../middleware/auth');
-const { uploadSingle, cleanupOnError } = require('../middleware/upload');
+const {
+  getComments,
+  getCommentThread,
+  addComment,
+  replyToComment,
+  updateComment,
+  deleteComment,
+  commentValidation,
+  commentListValidation
+} = require('../controllers/commentsController');
+
+const { authenticate, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+const { uploadMultiple, cleanupOnError } = require('../middleware/upload');
 
 // GET /api/posts - Get all posts (public, with optional auth for personalization)
 router.get('/', optionalAuth, getAllPosts);
@@ -26,19 +40,24 @@ router.get('/my', authenticate, getMyPosts);
 // GET /api/posts/:id - Get single post by ID (public, with optional auth)
 router.get('/:id', optionalAuth, getPostById);
 
-// POST /api/posts - Create new post (requires auth, with file upload)
+// GET /api/posts/:id/attachments/:attachmentId - Download/stream an attachment (requires auth, drafts only for the author)
+router.get('/:id/attachments/:attachmentId', authenticate, downloadAttachment);
+
+// POST /api/posts - Create new post (requires auth and, by policy, a verified email; with file upload)
 router.post('/',
   authenticate,
-  uploadSingle('attachment'), // Handle file upload
+  requireVerifiedEmail, // Before the upload so blocked users don't store files
+  uploadMultiple('attachments', 3), // Handle file uploads
   cleanupOnError, // Cleanup files on error
   postValidation, // Validation
   createPost
 );
 
-// PUT /api/posts/:id - Update post (requires auth and ownership)
+// PUT /api/posts/:id - Update post (requires auth, ownership and, by policy, a verified email)
 router.put('/:id',
   authenticate,
-  uploadSingle('attachment'), // Handle optional new file
+  requireVerifiedEmail, // Before the upload so blocked users don't store files
+  uploadMultiple('attachments', 3), // Handle optional new files
   cleanupOnError,
   postValidation,
   updatePost
@@ -47,10 +66,34 @@ router.put('/:id',
 // DELETE /api/posts/:id - Delete post (requires auth and ownership)
 router.delete('/:id', authenticate, deletePost);
 
-// POST /api/posts/:id/comments - Add comment to post (requires auth)
-router.post('/:id/comments', authenticate, addComment);
+// GET /api/posts/:id/comments - Page of top-level comments with their first replies (?page=&limit=; public, drafts only for their author)
+router.get('/:id/comments', optionalAuth, commentListValidation, getComments);
+
+// GET /api/posts/:id/comments/:commentId - The whole thread a comment is in (public, drafts only for their author)
+router.get('/:id/comments/:commentId', optionalAuth, getCommentThread);
+
+// POST /api/posts/:id/comments - Add comment to post (requires auth and, by policy, a verified email)
+router.post('/:id/comments', authenticate, requireVerifiedEmail, commentValidation, addComment);
+
+// POST /api/posts/:id/comments/:commentId/replies - Reply to a comment (requires auth and, by policy, a verified email)
+router.post('/:id/comments/:commentId/replies', authenticate, requireVerifiedEmail, commentValidation, replyToComment);
+
+// PATCH /api/posts/:id/comments/:commentId - Edit a comment (requires auth; author or moderator)
+router.patch('/:id/comments/:commentId', authenticate, commentValidation, updateComment);
+
+// DELETE /api/posts/:id/comments/:commentId - Delete a comment, leaving a tombstone (requires auth; author or moderator)
+router.delete('/:id/comments/:commentId', authenticate, deleteComment);
+
+// PUT /api/posts/:id/attachments/order - Reorder attachments (requires auth and ownership)
+router.put('/:id/attachments/order', authenticate, reorderAttachments);
+
+// DELETE /api/posts/:id/attachments/:attachmentId - Remove an attachment (requires auth and ownership)
+router.delete('/:id/attachments/:attachmentId', authenticate, deleteAttachment);
+
+// PUT /api/posts/:id/like - Like post; liking again changes nothing (requires auth)
+router.put('/:id/like', authenticate, likePost);
 
-// POST /api/posts/:id/like - Toggle like on post (requires auth)
-router.post('/:id/like', authenticate, toggleLike);
+// DELETE /api/posts/:id/like - Remove your like; safe to repeat (requires auth)
+router.delete('/:id/like', authenticate, unlikePost);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers and middleware
+const {
+  createUpload,
+  getUpload,
+  uploadChunk,
+  finalizeUpload,
+  cancelUpload,
+  MAX_CHUNK_SIZE
+} = require('../controllers/uploadsController');
+
+const { authenticate, requireVerifiedEmail } = require('../middleware/auth');
+
+// Chunks arrive as raw bytes (tus-style content type)
+const parseChunk = express.raw({
+  type: 'application/offset+octet-stream',
+  limit: MAX_CHUNK_SIZE
+});
+
+// All upload routes require authentication
+router.use(authenticate);
+
+// POST /api/uploads - Start a resumable upload ({ fileName, mimeType, size }; by policy, a verified email)
+router.post('/', requireVerifiedEmail, createUpload);
+
+// GET /api/uploads/:id - Get upload progress (Upload-Offset header + JSON)
+router.get('/:id', getUpload);
+
+// PATCH /api/uploads/:id - Append a chunk at the Upload-Offset header
+router.patch('/:id', parseChunk, uploadChunk);
+
+// POST /api/uploads/:id/finalize - Verify, scan and store the assembled file
+router.post('/:id/finalize', finalizeUpload);
+
+// DELETE /api/uploads/:id - Abandon an upload
+router.delete('/:id', cancelUpload);
+
+module.exports = router;
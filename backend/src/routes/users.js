@@ -12,6 +12,7 @@ const {
 } = require('../controllers/usersController');
 
 const { authenticate, sensitiveOpRateLimit } = require('../middleware/auth');
+const { accountGuard } = require('../middleware/bruteForce');
 
 // All user routes require authentication
 router.use(authenticate);
@@ -31,12 +32,14 @@ router.get('/stats', getUserStats);
 // POST /api/users/change-password - Change password
 router.post('/change-password',
   sensitiveOpRateLimit, // Rate limit for security
+  accountGuard, // Wrong passwords count towards the account's lockout
   changePassword
 );
 
 // DELETE /api/users/account - Delete user account (soft delete)
 router.delete('/account',
   sensitiveOpRateLimit, // Rate limit for security
+  accountGuard, // Wrong passwords count towards the account's lockout
   deleteAccount
 );
 
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const { getJwks } = require('../controllers/wellKnownController');
+
+// GET /.well-known/jwks.json - Public keys for verifying access tokens (no auth)
+router.get('/jwks.json', getJwks);
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const net = require('net');
+
+// clamd reads INSTREAM data in length-prefixed chunks
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * ClamAV scanner speaking the clamd INSTREAM protocol over TCP or a unix socket
+ * @param {Object} options
+ * @param {string} [options.host] - clamd host (ignored when socketPath is set)
+ * @param {number} [options.port] - clamd TCP port
+ * @param {string} [options.socketPath] - clamd unix socket path
+ * @param {number} [options.timeout] - Socket timeout in ms
+ * @returns {Object} - Scanner
+ */
+const createClamavScanner = ({ host = '127.0.0.1', port = 3310, socketPath, timeout = 10000 } = {}) => {
+  const connect = () => (socketPath
+    ? net.createConnection({ path: socketPath })
+    : net.createConnection({ host, port }));
+
+  // Replies look like "stream: OK", "stream: <signature> FOUND" or "<reason> ERROR"
+  const parseReply = (reply) => {
+    const text = reply.replace(/\0/g, '').trim();
+
+    if (/:\s*OK$/.test(text)) {
+      return { clean: true };
+    }
+
+    const found = text.match(/:\s*(.+)\s+FOUND$/);
+    if (found) {
+      return { clean: false, signature: found[1] };
+    }
+
+    throw new Error(`Unexpected clamd reply: ${text}`);
+  };
+
+  // Write one length-prefixed INSTREAM chunk per CHUNK_SIZE bytes
+  const writeChunks = (socket, buffer) => {
+    for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+      const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+      const length = Buffer.alloc(4);
+      length.writeUInt32BE(chunk.length);
+      socket.write(length);
+      socket.write(chunk);
+    }
+  };
+
+  const scan = (body) => new Promise((resolve, reject) => {
+    const socket = connect();
+    const replyChunks = [];
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      if (error) reject(error);
+      else resolve(result);
+    };
+
+    socket.setTimeout(timeout, () => finish(new Error('clamd scan timed out')));
+    socket.on('error', finish);
+    socket.on('data', (chunk) => replyChunks.push(chunk));
+    socket.on('end', () => {
+      try {
+        finish(null, parseReply(Buffer.concat(replyChunks).toString('utf8')));
+      } catch (error) {
+        finish(error);
+      }
+    });
+
+    socket.on('connect', async () => {
+      // 'z' prefix means NUL-terminated command and reply
+      socket.write('zINSTREAM\0');
+
+      try {
+        if (Buffer.isBuffer(body)) {
+          writeChunks(socket, body);
+        } else {
+          for await (const data of body) {
+            if (settled) return;
+            writeChunks(socket, data);
+            // Respect backpressure instead of queueing the whole file in the socket
+            if (socket.writableNeedDrain) {
+              await new Promise(resolveDrain => socket.once('drain', resolveDrain));
+            }
+          }
+        }
+      } catch (error) {
+        return finish(error);
+      }
+
+      // A zero-length chunk ends the stream
+      socket.end(Buffer.alloc(4));
+    });
+  });
+
+  return {
+    name: 'clamav',
+    scan
+  };
+};
+
+module.exports = createClamavScanner;
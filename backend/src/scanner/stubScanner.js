@@ -0,0 +1,38 @@
+// The industry-standard EICAR test string - harmless, but every scanner flags it
+const EICAR_SIGNATURE = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+/**
+ * Local stand-in for a real virus scanner
+ * Flags only the EICAR test file (reported the way clamd names it), so the
+ * quarantine path can be exercised without running ClamAV.
+ * @returns {Object} - Scanner
+ */
+const createStubScanner = () => {
+  const scan = async (body) => {
+    const flagged = { clean: false, signature: 'Eicar-Test-Signature' };
+
+    if (Buffer.isBuffer(body)) {
+      return body.includes(EICAR_SIGNATURE) ? flagged : { clean: true };
+    }
+
+    // Keep the tail of the previous chunk so a signature split across chunks is found
+    let tail = Buffer.alloc(0);
+    for await (const chunk of body) {
+      const window = Buffer.concat([tail, chunk]);
+      if (window.includes(EICAR_SIGNATURE)) {
+        body.destroy && body.destroy();
+        return flagged;
+      }
+      tail = window.subarray(-(EICAR_SIGNATURE.length - 1));
+    }
+
+    return { clean: true };
+  };
+
+  return {
+    name: 'stub',
+    scan
+  };
+};
+
+module.exports = createStubScanner;
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * Move comments embedded in posts (Post.comments and their replies) into the
+ * comments collection
+ *
+ * Usage:
+ *   npm run migrate:comments -- --db <mongodb-uri> [--dry-run]
+ *
+ * --db falls back to MONGODB_URI. Comments keep their ids, so existing links to
+ * /posts/:postId/comments/:commentId still work, and the migration can be run
+ * again after an interruption: comments already moved are left alone. Each post
+ * loses its embedded comments and gets commentsCount once its comments are
+ * stored. When REDIS_URL is set, the cached pages of migrated posts are invalidated.
+ */
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const { initRedis, getClient } = require('../config/redis');
+const { invalidatePostCaches } = require('../controllers/postsController');
+
+// Accepts both "--name value" and "--name=value"
+const parseArgs = (argv) => {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+    if (!flag.startsWith('--')) continue;
+
+    const name = flag.slice(2);
+    if (inlineValue !== undefined) {
+      args[name] = inlineValue;
+    } else if (argv[i + 1] && !argv[i + 1].startsWith('--')) {
+      args[name] = argv[++i];
+    } else {
+      args[name] = true;
+    }
+  }
+
+  return args;
+};
+
+// Embedded comments become top-level comments, their replies answer them
+const toComments = (post) => post.comments.flatMap(comment => {
+  const createdAt = comment.createdAt || post.createdAt;
+  const topLevel = {
+    _id: comment._id,
+    post: post._id,
+    author: comment.author,
+    parent: null,
+    ancestors: [],
+    content: comment.content,
+    createdAt,
+    updatedAt: createdAt
+  };
+
+  const replies = (comment.replies || []).map(reply => ({
+    _id: reply._id,
+    post: post._id,
+    author: reply.author,
+    parent: comment._id,
+    ancestors: [comment._id],
+    content: reply.content,
+    createdAt: reply.createdAt || createdAt,
+    updatedAt: reply.createdAt || createdAt
+  }));
+
+  return [topLevel, ...replies];
+});
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  const mongoURI = args.db || process.env.MONGODB_URI;
+  if (!mongoURI) {
+    console.error('No database given. Pass --db <mongodb-uri> or set MONGODB_URI.');
+    process.exit(1);
+  }
+
+  const dryRun = Boolean(args['dry-run']);
+
+  await mongoose.connect(mongoURI, { serverSelectionTimeoutMS: 5000 });
+  if (!dryRun) {
+    await initRedis();
+  }
+
+  const report = { posts: 0, comments: 0, inserted: 0 };
+  const migrated = [];
+
+  try {
+    // The Post schema no longer has comments, so read the raw documents
+    const posts = Post.collection.find(
+      { 'comments.0': { $exists: true } },
+      { projection: { comments: 1, createdAt: 1 } }
+    );
+
+    for await (const post of posts) {
+      const comments = toComments(post);
+      report.posts++;
+      report.comments += comments.length;
+
+      if (dryRun) {
+        console.log(`would move  ${comments.length} comment(s) from post ${post._id}`);
+        continue;
+      }
+
+      const result = await Comment.bulkWrite(comments.map(({ _id, ...comment }) => ({
+        updateOne: {
+          filter: { _id },
+          update: { $setOnInsert: comment },
+          upsert: true,
+          timestamps: false
+        }
+      })), { ordered: false });
+      report.inserted += result.upsertedCount;
+
+      const commentsCount = await Comment.countDocuments({ post: post._id, deletedAt: null });
+      await Post.collection.updateOne(
+        { _id: post._id },
+        { $unset: { comments: '' }, $set: { commentsCount } }
+      );
+      migrated.push(post._id);
+
+      console.log(`moved      ${comments.length} comment(s) from post ${post._id}`);
+    }
+
+    if (migrated.length > 0 && getClient()) {
+      await invalidatePostCaches(...migrated);
+    }
+
+    console.log(`\n${dryRun ? 'Dry run - nothing was changed.' : 'Migration complete.'}`);
+    console.log(`Posts:        ${report.posts}`);
+    console.log(`Comments:     ${report.comments}`);
+    if (!dryRun) {
+      console.log(`Inserted:     ${report.inserted} (the rest were moved before)`);
+    }
+  } finally {
+    await mongoose.disconnect();
+    if (getClient()) {
+      await getClient().quit();
+    }
+  }
+};
+
+main().catch(error => {
+  console.error('Comment migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+/**
+ * Local mock OpenID Connect provider for developing and testing social login
+ *
+ * Usage:
+ *   npm run oidc:mock -- [--port 9400] [--client-id dashboard-dev] [--client-secret secret]
+ *
+ * Then start the API with:
+ *   OIDC_PROVIDERS=mock
+ *   OIDC_MOCK_ISSUER=http://localhost:9400
+ *   OIDC_MOCK_CLIENT_ID=dashboard-dev
+ *   OIDC_MOCK_NAME="Mock Provider"
+ *
+ * /authorize shows a form to pick the signed-in user (email, name, whether the
+ * email is verified). Pass login_hint=<email> to skip it and approve at once,
+ * which makes the flow scriptable. The token endpoint enforces PKCE (S256),
+ * the redirect URI and, when --client-secret is given, client authentication.
+ * Everything is kept in memory and a new signing key is made on every start.
+ */
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Accepts both "--name value" and "--name=value"
+const parseArgs = (argv) => {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+    if (!flag.startsWith('--')) continue;
+
+    const name = flag.slice(2);
+    if (inlineValue !== undefined) {
+      args[name] = inlineValue;
+    } else if (argv[i + 1] && !argv[i + 1].startsWith('--')) {
+      args[name] = argv[++i];
+    } else {
+      args[name] = true;
+    }
+  }
+
+  return args;
+};
+
+const args = parseArgs(process.argv.slice(2));
+const PORT = parseInt(args.port, 10) || 9400;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = args['client-id'] || 'dashboard-dev';
+const CLIENT_SECRET = args['client-secret'] || null;
+const KID = `mock-${Date.now()}`;
+const CODE_TTL_MS = 60 * 1000;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const codes = new Map(); // code -> { clientId, redirectUri, codeChallenge, nonce, claims, expiresAt }
+const accessTokens = new Map(); // token -> claims
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const sendError = (res, status, error, description) => sendJson(res, status, { error, error_description: description });
+
+const readForm = (req) => new Promise((resolve, reject) => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => resolve(new URLSearchParams(data)));
+  req.on('error', reject);
+});
+
+// The user a login form (or login_hint) describes
+const buildClaims = (params) => {
+  const email = String(params.get('email') || params.get('login_hint')).trim().toLowerCase();
+  const name = String(params.get('name') || '').trim() || email.split('@')[0];
+  const [givenName, ...familyName] = name.split(/\s+/);
+
+  return {
+    sub: params.get('sub') || crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+    email,
+    email_verified: params.get('email_verified') !== 'false',
+    name,
+    given_name: givenName,
+    family_name: familyName.join(' ') || undefined
+  };
+};
+
+const renderLoginForm = (res, query) => {
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method', 'scope']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(query.get(name))}">`)
+    .join('\n      ');
+
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(`<!doctype html>
+<html>
+  <head><title>Mock OIDC provider</title></head>
+  <body style="font-family: sans-serif; max-width: 360px; margin: 48px auto">
+    <h2>Mock OIDC provider</h2>
+    <p>Sign in to <b>${escapeHtml(query.get('client_id'))}</b> as:</p>
+    <form method="GET" action="/authorize">
+      ${hidden}
+      <p><label>Email<br><input name="login_hint" type="email" required value="dev@example.com"></label></p>
+      <p><label>Name<br><input name="name" value="Dev User"></label></p>
+      <p><label><input type="checkbox" name="email_verified" value="false"> Email is <b>not</b> verified</label></p>
+      <p><button type="submit">Sign in</button></p>
+    </form>
+  </body>
+</html>`);
+};
+
+const authorize = (req, res, query) => {
+  const redirectUri = query.get('redirect_uri');
+  if (query.get('client_id') !== CLIENT_ID || !redirectUri) {
+    return sendError(res, 400, 'invalid_request', 'Unknown client_id or missing redirect_uri');
+  }
+  if (query.get('response_type') && query.get('response_type') !== 'code') {
+    return sendError(res, 400, 'unsupported_response_type', 'Only the code flow is supported');
+  }
+  if (!query.get('code_challenge') || query.get('code_challenge_method') !== 'S256') {
+    return sendError(res, 400, 'invalid_request', 'PKCE with S256 is required');
+  }
+
+  if (!query.get('login_hint')) {
+    return renderLoginForm(res, query);
+  }
+
+  const code = crypto.randomBytes(24).toString('base64url');
+  const claims = buildClaims(query);
+  codes.set(code, {
+    clientId: CLIENT_ID,
+    redirectUri,
+    codeChallenge: query.get('code_challenge'),
+    nonce: query.get('nonce'),
+    claims,
+    expiresAt: Date.now() + CODE_TTL_MS
+  });
+
+  const location = new URL(redirectUri);
+  location.searchParams.set('code', code);
+  if (query.get('state')) location.searchParams.set('state', query.get('state'));
+
+  console.log(`🔑 Approved ${claims.email} (sub ${claims.sub}), redirecting to ${location.origin}${location.pathname}`);
+  res.writeHead(302, { Location: location.toString() });
+  res.end();
+};
+
+// client_secret_basic or client_secret_post
+const authenticateClient = (req, form) => {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(header.slice(6), 'base64').toString().split(':').map(decodeURIComponent);
+    return { clientId: id, clientSecret: secret };
+  }
+  return { clientId: form.get('client_id'), clientSecret: form.get('client_secret') };
+};
+
+const token = async (req, res) => {
+  const form = await readForm(req);
+  const { clientId, clientSecret } = authenticateClient(req, form);
+
+  if (clientId !== CLIENT_ID || (CLIENT_SECRET && clientSecret !== CLIENT_SECRET)) {
+    return sendError(res, 401, 'invalid_client', 'Client authentication failed');
+  }
+  if (form.get('grant_type') !== 'authorization_code') {
+    return sendError(res, 400, 'unsupported_grant_type', 'Only authorization_code is supported');
+  }
+
+  const code = codes.get(form.get('code'));
+  codes.delete(form.get('code'));
+  if (!code || code.expiresAt < Date.now()) {
+    return sendError(res, 400, 'invalid_grant', 'Unknown, used or expired code');
+  }
+  if (code.redirectUri !== form.get('redirect_uri')) {
+    return sendError(res, 400, 'invalid_grant', 'redirect_uri does not match');
+  }
+
+  const verifier = form.get('code_verifier') || '';
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  if (challenge !== code.codeChallenge) {
+    return sendError(res, 400, 'invalid_grant', 'PKCE verification failed');
+  }
+
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, code.claims);
+
+  const idToken = jwt.sign({ ...code.claims, nonce: code.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: '5m'
+  });
+
+  sendJson(res, 200, { access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+};
+
+const userInfo = (req, res) => {
+  const claims = accessTokens.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+  if (!claims) {
+    return sendError(res, 401, 'invalid_token', 'Unknown access token');
+  }
+  sendJson(res, 200, claims);
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  try {
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+        scopes_supported: ['openid', 'email', 'profile']
+      });
+    }
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }] });
+    }
+    if (req.method === 'GET' && url.pathname === '/authorize') {
+      return authorize(req, res, url.searchParams);
+    }
+    if (req.method === 'POST' && url.pathname === '/token') {
+      return await token(req, res);
+    }
+    if (req.method === 'GET' && url.pathname === '/userinfo') {
+      return userInfo(req, res);
+    }
+
+    sendError(res, 404, 'not_found', `${req.method} ${url.pathname}`);
+  } catch (error) {
+    console.error('Mock OIDC error:', error);
+    sendError(res, 500, 'server_error', error.message);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 Mock OIDC provider at ${ISSUER} (client_id ${CLIENT_ID}${CLIENT_SECRET ? ', secret required' : ''})`);
+});
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Remove uploaded files that no post references any more
+ *
+ * Usage:
+ *   npm run gc:uploads -- --db <mongodb-uri> [--dry-run] [--grace-hours 24] [--driver local]
+ *
+ * --db falls back to MONGODB_URI. Storage settings (STORAGE_DRIVER, UPLOAD_DIR,
+ * S3_*) are read from the environment just like the API server.
+ */
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { getStorage } = require('../storage');
+const { DEFAULT_GRACE_PERIOD_MS, sweepOrphanedUploads } = require('../utils/uploadSweeper');
+const { formatFileSize } = require('../utils/helpers');
+
+// Accepts both "--name value" and "--name=value"
+const parseArgs = (argv) => {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+    if (!flag.startsWith('--')) continue;
+
+    const name = flag.slice(2);
+    if (inlineValue !== undefined) {
+      args[name] = inlineValue;
+    } else if (argv[i + 1] && !argv[i + 1].startsWith('--')) {
+      args[name] = argv[++i];
+    } else {
+      args[name] = true;
+    }
+  }
+
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  const mongoURI = args.db || process.env.MONGODB_URI;
+  if (!mongoURI) {
+    console.error('No database given. Pass --db <mongodb-uri> or set MONGODB_URI.');
+    process.exit(1);
+  }
+
+  const graceHours = args['grace-hours'] !== undefined ? Number(args['grace-hours']) : null;
+  if (graceHours !== null && (Number.isNaN(graceHours) || graceHours < 0)) {
+    console.error('--grace-hours must be a non-negative number');
+    process.exit(1);
+  }
+
+  const dryRun = Boolean(args['dry-run']);
+  const driver = getStorage(args.driver || undefined);
+
+  await mongoose.connect(mongoURI, { serverSelectionTimeoutMS: 5000 });
+
+  try {
+    const report = await sweepOrphanedUploads({
+      driver,
+      dryRun,
+      gracePeriodMs: graceHours !== null ? graceHours * 60 * 60 * 1000 : DEFAULT_GRACE_PERIOD_MS
+    });
+
+    report.orphans.forEach(orphan => {
+      console.log(`${dryRun ? 'would delete' : 'deleted'}  ${orphan.key}  (${formatFileSize(orphan.size)})`);
+    });
+
+    console.log(`\n${dryRun ? 'Dry run - nothing was deleted.' : 'Sweep complete.'}`);
+    console.log(`Driver:       ${report.driver}`);
+    console.log(`Scanned:      ${report.scanned}`);
+    console.log(`Referenced:   ${report.referenced}`);
+    console.log(`Protected:    ${report.protected}`);
+    console.log(`Too recent:   ${report.tooRecent}`);
+    console.log(`Orphans:      ${report.orphans.length}`);
+    if (!dryRun) {
+      console.log(`Deleted:      ${report.deleted} (${formatFileSize(report.freedBytes)} freed)`);
+    }
+
+    if (report.errors.length > 0) {
+      console.error(`Failed:       ${report.errors.length}`);
+      process.exitCode = 1;
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch(error => {
+  console.error('Upload sweep failed:', error.message);
+  process.exit(1);
+});
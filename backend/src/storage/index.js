@@ -0,0 +1,73 @@
+const path = require('path');
+const createLocalDriver = require('./localDriver');
+const createS3Driver = require('./s3Driver');
+const createMemoryDriver = require('./memoryDriver');
+
+/**
+ * Storage adapter registry
+ *
+ * Every driver exposes the same async interface:
+ *   save(key, bufferOrStream, { contentType, size }) -> { key, size }
+ *   stat(key)                                        -> { size, lastModified } | null
+ *   createReadStream(key, { start, end })           -> Readable
+ *   remove(key)                                      -> void (missing keys are ignored)
+ *   list(prefix)                                     -> [{ key, size, lastModified }]
+ *
+ * STORAGE_DRIVER selects where new uploads go ('local' by default). Each
+ * attachment remembers the driver it was written with, so switching drivers
+ * doesn't orphan files that were stored before the switch.
+ */
+
+const DEFAULT_DRIVER = process.env.STORAGE_DRIVER || 'local';
+
+const driverFactories = {
+  local: () => createLocalDriver({
+    rootDir: process.env.UPLOAD_DIR || path.join(__dirname, '../uploads')
+  }),
+  s3: () => createS3Driver({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION,
+    endpoint: process.env.S3_ENDPOINT,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    prefix: process.env.S3_KEY_PREFIX || ''
+  }),
+  memory: () => createMemoryDriver()
+};
+
+// Drivers are created lazily and reused
+const drivers = new Map();
+
+/**
+ * Get a storage driver
+ * @param {string} [name] - Driver name; defaults to the configured driver
+ * @returns {Object} - Storage driver
+ */
+const getStorage = (name = DEFAULT_DRIVER) => {
+  if (!drivers.has(name)) {
+    const factory = driverFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    drivers.set(name, factory());
+    console.log(`🗄️ Storage driver initialized: ${name}`);
+  }
+
+  return drivers.get(name);
+};
+
+/**
+ * Register (or replace) a driver instance - mainly useful in tests
+ * @param {string} name - Driver name
+ * @param {Object} driver - Driver implementing the storage interface
+ */
+const setStorage = (name, driver) => {
+  drivers.set(name, driver);
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+  DEFAULT_DRIVER
+};
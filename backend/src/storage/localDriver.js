@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Local disk storage driver
+ * Keys are forward-slash separated paths relative to the upload root,
+ * e.g. "images/attachments-1690000000000-123.png"
+ * @param {Object} options - Driver options
+ * @param {string} options.rootDir - Directory that holds all uploads
+ * @returns {Object} - Storage driver
+ */
+const createLocalDriver = ({ rootDir }) => {
+  const root = path.resolve(rootDir);
+
+  if (!fs.existsSync(root)) {
+    fs.mkdirSync(root, { recursive: true });
+    console.log('📁 Upload directory created:', root);
+  }
+
+  /**
+   * Map a storage key to an absolute path inside the upload root.
+   * Older attachments stored an absolute disk path instead of a key, so those
+   * are translated back into a key first (this also survives the upload
+   * directory being moved, since the layout is always <subDir>/<fileName>).
+   */
+  const toKey = (keyOrPath) => {
+    if (!path.isAbsolute(keyOrPath)) {
+      return keyOrPath;
+    }
+
+    const relative = path.relative(root, keyOrPath);
+    if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+      return relative.split(path.sep).join('/');
+    }
+
+    return [path.basename(path.dirname(keyOrPath)), path.basename(keyOrPath)].join('/');
+  };
+
+  const resolvePath = (keyOrPath) => {
+    const fullPath = path.resolve(root, ...toKey(keyOrPath).split('/'));
+
+    // Refuse anything that would escape the upload root
+    if (!fullPath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${keyOrPath}`);
+    }
+
+    return fullPath;
+  };
+
+  const save = async (key, body) => {
+    const fullPath = resolvePath(key);
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+
+    if (Buffer.isBuffer(body)) {
+      await fs.promises.writeFile(fullPath, body);
+    } else {
+      await pipeline(body, fs.createWriteStream(fullPath));
+    }
+
+    const stats = await fs.promises.stat(fullPath);
+    return { key, size: stats.size };
+  };
+
+  const stat = async (key) => {
+    try {
+      const stats = await fs.promises.stat(resolvePath(key));
+      return { size: stats.size, lastModified: stats.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const createReadStream = async (key, { start, end } = {}) => {
+    return fs.createReadStream(resolvePath(key), { start, end });
+  };
+
+  const remove = async (key) => {
+    try {
+      await fs.promises.unlink(resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  };
+
+  const list = async (prefix = '') => {
+    const results = [];
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        const key = path.relative(root, fullPath).split(path.sep).join('/');
+        if (entry.isDirectory()) {
+          // Skip directories that can't hold a matching key
+          if (`${key}/`.startsWith(prefix) || prefix.startsWith(`${key}/`)) {
+            await walk(fullPath);
+          }
+        } else if (entry.isFile() && key.startsWith(prefix)) {
+          const stats = await fs.promises.stat(fullPath);
+          results.push({ key, size: stats.size, lastModified: stats.mtime });
+        }
+      }
+    };
+
+    // Start in the directory the prefix points into rather than at the root
+    const dir = prefix.endsWith('/') ? prefix.slice(0, -1) : path.posix.dirname(prefix);
+    await walk(dir && dir !== '.' ? resolvePath(dir) : root);
+    return results;
+  };
+
+  return {
+    name: 'local',
+    rootDir: root,
+    toKey,
+    save,
+    stat,
+    createReadStream,
+    remove,
+    list
+  };
+};
+
+module.exports = createLocalDriver;
@@ -0,0 +1,71 @@
+const { Readable } = require('stream');
+
+/**
+ * In-memory storage driver
+ * Nothing survives a restart - intended for tests and throwaway environments.
+ * @returns {Object} - Storage driver
+ */
+const createMemoryDriver = () => {
+  const objects = new Map();
+
+  const toBuffer = async (body) => {
+    if (Buffer.isBuffer(body)) return body;
+
+    const chunks = [];
+    for await (const chunk of body) {
+      chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+  };
+
+  const save = async (key, body, { contentType } = {}) => {
+    const buffer = await toBuffer(body);
+    objects.set(key, { buffer, contentType, lastModified: new Date() });
+    return { key, size: buffer.length };
+  };
+
+  const stat = async (key) => {
+    const object = objects.get(key);
+    if (!object) return null;
+    return { size: object.buffer.length, lastModified: object.lastModified };
+  };
+
+  const createReadStream = async (key, { start = 0, end } = {}) => {
+    const object = objects.get(key);
+    if (!object) {
+      const error = new Error(`Object not found: ${key}`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+
+    const last = end === undefined ? object.buffer.length - 1 : end;
+    return Readable.from([object.buffer.subarray(start, last + 1)]);
+  };
+
+  const remove = async (key) => {
+    objects.delete(key);
+  };
+
+  const list = async (prefix = '') => {
+    return [...objects.entries()]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, object]) => ({
+        key,
+        size: object.buffer.length,
+        lastModified: object.lastModified
+      }));
+  };
+
+  return {
+    name: 'memory',
+    save,
+    stat,
+    createReadStream,
+    remove,
+    list,
+    // Test helper
+    clear: () => objects.clear()
+  };
+};
+
+module.exports = createMemoryDriver;
@@ -0,0 +1,146 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, R2, ...)
+ * @param {Object} options - Driver options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.region - Bucket region
+ * @param {string} [options.endpoint] - Custom endpoint for S3-compatible servers
+ * @param {boolean} [options.forcePathStyle] - Use path-style URLs (required by MinIO)
+ * @param {string} [options.accessKeyId] - Access key (falls back to the default AWS credential chain)
+ * @param {string} [options.secretAccessKey] - Secret key
+ * @param {string} [options.prefix] - Key prefix inside the bucket
+ * @returns {Object} - Storage driver
+ */
+const createS3Driver = ({
+  bucket,
+  region = 'us-east-1',
+  endpoint,
+  forcePathStyle = false,
+  accessKeyId,
+  secretAccessKey,
+  prefix = ''
+}) => {
+  if (!bucket) {
+    throw new Error('S3 storage requires a bucket (S3_BUCKET)');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    ...(accessKeyId && secretAccessKey && {
+      credentials: { accessKeyId, secretAccessKey }
+    })
+  });
+
+  const toObjectKey = (key) => `${prefix}${key}`;
+
+  const isNotFound = (error) =>
+    error.name === 'NotFound' ||
+    error.name === 'NoSuchKey' ||
+    error.$metadata?.httpStatusCode === 404;
+
+  // PutObject needs a known length, so streams of unknown size are buffered
+  // (uploads are capped well below what is sensible to hold in memory)
+  const toBody = async (body, size) => {
+    if (Buffer.isBuffer(body) || size !== undefined) return body;
+
+    const chunks = [];
+    for await (const chunk of body) {
+      chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+  };
+
+  const save = async (key, body, { contentType, size } = {}) => {
+    const payload = await toBody(body, size);
+    const contentLength = Buffer.isBuffer(payload) ? payload.length : size;
+
+    await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: toObjectKey(key),
+      Body: payload,
+      ContentType: contentType,
+      ContentLength: contentLength
+    }));
+
+    return { key, size: contentLength };
+  };
+
+  const stat = async (key) => {
+    try {
+      const head = await client.send(new HeadObjectCommand({
+        Bucket: bucket,
+        Key: toObjectKey(key)
+      }));
+      return { size: head.ContentLength, lastModified: head.LastModified };
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  };
+
+  const createReadStream = async (key, { start, end } = {}) => {
+    const range = start !== undefined && end !== undefined ? `bytes=${start}-${end}` : undefined;
+
+    const object = await client.send(new GetObjectCommand({
+      Bucket: bucket,
+      Key: toObjectKey(key),
+      Range: range
+    }));
+
+    return object.Body;
+  };
+
+  const remove = async (key) => {
+    // DeleteObject succeeds for missing keys, so this is idempotent
+    await client.send(new DeleteObjectCommand({
+      Bucket: bucket,
+      Key: toObjectKey(key)
+    }));
+  };
+
+  const list = async (keyPrefix = '') => {
+    const results = [];
+    let continuationToken;
+
+    do {
+      const page = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: toObjectKey(keyPrefix),
+        ContinuationToken: continuationToken
+      }));
+
+      (page.Contents || []).forEach(object => {
+        results.push({
+          key: object.Key.slice(prefix.length),
+          size: object.Size,
+          lastModified: object.LastModified
+        });
+      });
+
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return results;
+  };
+
+  return {
+    name: 's3',
+    save,
+    stat,
+    createReadStream,
+    remove,
+    list
+  };
+};
+
+module.exports = createS3Driver;
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const { JsonWebTokenError, TokenExpiredError, NotBeforeError } = require('jsonwebtoken');
+
+/**
+ * EdDSA (Ed25519) JWTs
+ * jsonwebtoken can't sign or verify EdDSA, so these tokens are built with
+ * Node's crypto. Claims are checked the way jsonwebtoken checks them and
+ * failures throw its error classes, so callers handle both kinds alike.
+ */
+
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * Sign an EdDSA JWT
+ * @param {Object} payload - Token payload (iat is added if missing)
+ * @param {KeyObject} privateKey - Ed25519 private key
+ * @param {Object} options - { keyid, expiresIn (seconds), issuer, audience }
+ * @returns {string} - JWT token string
+ */
+const signEdDSA = (payload, privateKey, { keyid, expiresIn, issuer, audience } = {}) => {
+  const iat = payload.iat || Math.floor(Date.now() / 1000);
+  const header = { alg: 'EdDSA', typ: 'JWT', ...(keyid && { kid: keyid }) };
+  const claims = {
+    ...payload,
+    iat,
+    ...(expiresIn !== undefined && { exp: iat + expiresIn }),
+    ...(audience && { aud: audience }),
+    ...(issuer && { iss: issuer })
+  };
+
+  const signingInput = `${encodeSegment(header)}.${encodeSegment(claims)}`;
+  const signature = crypto.sign(null, Buffer.from(signingInput), privateKey).toString('base64url');
+
+  return `${signingInput}.${signature}`;
+};
+
+/**
+ * Verify an EdDSA JWT
+ * @param {string} token - JWT token to verify
+ * @param {KeyObject} publicKey - Ed25519 public key
+ * @param {Object} options - { issuer, audience }
+ * @returns {Object} - Decoded token payload
+ */
+const verifyEdDSA = (token, publicKey, { issuer, audience } = {}) => {
+  const segments = typeof token === 'string' ? token.split('.') : [];
+  if (segments.length !== 3) {
+    throw new JsonWebTokenError('jwt malformed');
+  }
+
+  let header;
+  let payload;
+  try {
+    header = decodeSegment(segments[0]);
+    payload = decodeSegment(segments[1]);
+  } catch (error) {
+    throw new JsonWebTokenError('invalid token');
+  }
+
+  if (header.alg !== 'EdDSA') {
+    throw new JsonWebTokenError('invalid algorithm');
+  }
+
+  const signingInput = Buffer.from(`${segments[0]}.${segments[1]}`);
+  if (!crypto.verify(null, signingInput, publicKey, Buffer.from(segments[2], 'base64url'))) {
+    throw new JsonWebTokenError('invalid signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+
+  if (payload.nbf !== undefined && (typeof payload.nbf !== 'number' || payload.nbf > now)) {
+    throw new NotBeforeError('jwt not active', new Date(payload.nbf * 1000));
+  }
+
+  if (payload.exp !== undefined) {
+    if (typeof payload.exp !== 'number') {
+      throw new JsonWebTokenError('invalid exp value');
+    }
+    if (now >= payload.exp) {
+      throw new TokenExpiredError('jwt expired', new Date(payload.exp * 1000));
+    }
+  }
+
+  if (audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(audience)) {
+      throw new JsonWebTokenError(`jwt audience invalid. expected: ${audience}`);
+    }
+  }
+
+  if (issuer && payload.iss !== issuer) {
+    throw new JsonWebTokenError(`jwt issuer invalid. expected: ${issuer}`);
+  }
+
+  return payload;
+};
+
+module.exports = {
+  signEdDSA,
+  verifyEdDSA
+};
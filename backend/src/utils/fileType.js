@@ -0,0 +1,108 @@
+const path = require('path');
+
+// Container formats shared by several declared types
+const OLE_CONTAINER = 'application/x-ole-storage'; // .doc / .xls
+const ZIP_CONTAINER = 'application/zip'; // .docx / .xlsx
+
+// Magic-byte signatures, checked in order
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38, 0x37, 0x61] }, // GIF87a
+  { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38, 0x39, 0x61] }, // GIF89a
+  { mimeType: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], offsetBytes: { 8: [0x57, 0x45, 0x42, 0x50] } }, // RIFF....WEBP
+  { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] }, // %PDF-
+  { mimeType: OLE_CONTAINER, bytes: [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1] },
+  { mimeType: ZIP_CONTAINER, bytes: [0x50, 0x4B, 0x03, 0x04] },
+  // Executables are sniffed only so they can never pass as text
+  { mimeType: 'application/x-msdownload', bytes: [0x4D, 0x5A] }, // MZ
+  { mimeType: 'application/x-executable', bytes: [0x7F, 0x45, 0x4C, 0x46] }, // ELF
+  { mimeType: 'application/x-mach-binary', bytes: [0xCF, 0xFA, 0xED, 0xFE] }
+];
+
+// What each accepted declared type must look like on disk
+const FILE_TYPE_RULES = {
+  'image/jpeg': { sniffed: 'image/jpeg', extensions: ['.jpg', '.jpeg'] },
+  'image/jpg': { sniffed: 'image/jpeg', extensions: ['.jpg', '.jpeg'] },
+  'image/png': { sniffed: 'image/png', extensions: ['.png'] },
+  'image/gif': { sniffed: 'image/gif', extensions: ['.gif'] },
+  'image/webp': { sniffed: 'image/webp', extensions: ['.webp'] },
+  'application/pdf': { sniffed: 'application/pdf', extensions: ['.pdf'] },
+  'text/plain': { sniffed: 'text/plain', extensions: ['.txt', '.text', '.log', '.md', '.csv'] },
+  'application/msword': { sniffed: OLE_CONTAINER, extensions: ['.doc'] },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { sniffed: ZIP_CONTAINER, extensions: ['.docx'] },
+  'application/vnd.ms-excel': { sniffed: OLE_CONTAINER, extensions: ['.xls'] },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { sniffed: ZIP_CONTAINER, extensions: ['.xlsx'] }
+};
+
+// Only the start of the file is needed to classify it
+const SNIFF_LENGTH = 8192;
+
+const matchesBytes = (buffer, bytes, offset = 0) => {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+};
+
+// Plain text: no NUL bytes and valid UTF-8
+const looksLikeText = (sample) => {
+  if (sample.includes(0)) return false;
+
+  try {
+    // stream: true tolerates a multi-byte character cut off at the sample boundary
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Detect a file's type from its leading bytes
+ * @param {Buffer} buffer - File contents (or at least the first few KB)
+ * @returns {string|null} - Sniffed MIME type, or null if unrecognised
+ */
+const sniffMimeType = (buffer) => {
+  const sample = buffer.subarray(0, SNIFF_LENGTH);
+
+  const signature = SIGNATURES.find(({ bytes, offsetBytes = {} }) => (
+    matchesBytes(sample, bytes) &&
+    Object.entries(offsetBytes).every(([offset, extra]) => matchesBytes(sample, extra, Number(offset)))
+  ));
+
+  if (signature) return signature.mimeType;
+  if (looksLikeText(sample)) return 'text/plain';
+  return null;
+};
+
+/**
+ * Check that the declared MIME type, the file extension and the actual
+ * contents all agree
+ * @param {Buffer} buffer - File contents
+ * @param {Object} file - { mimeType, originalName }
+ * @returns {string|null} - Reason for rejection, or null if the file is consistent
+ */
+const getFileTypeMismatch = (buffer, { mimeType, originalName }) => {
+  const rule = FILE_TYPE_RULES[mimeType];
+  if (!rule) {
+    return `File type ${mimeType} is not allowed`;
+  }
+
+  const extension = path.extname(originalName).toLowerCase();
+  if (!rule.extensions.includes(extension)) {
+    return `File extension "${extension || '(none)'}" does not match type ${mimeType}`;
+  }
+
+  const sniffed = sniffMimeType(buffer);
+  if (sniffed !== rule.sniffed) {
+    return `File content of ${originalName} does not match its declared type ${mimeType}`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  FILE_TYPE_RULES,
+  SNIFF_LENGTH,
+  sniffMimeType,
+  getFileTypeMismatch
+};
@@ -1,6 +1,7 @@
 const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs').promises;
+const { RENDITION_NAMES } = require('./imageProcessing');
 
 /**
  * Generate a random string of specified length
@@ -223,6 +224,39 @@ const sanitizeText = (input) => {
     .replace(/\//g, '&#x2F;');
 };
 
+/**
+ * Describe a User-Agent header as "Browser on OS" for session lists
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} - e.g. "Chrome on Windows", or "Unknown device"
+ */
+const describeUserAgent = (userAgent = '') => {
+  if (!userAgent) return 'Unknown device';
+
+  // Order matters: Edge and Opera also claim to be Chrome, Chrome claims to be Safari
+  const browsers = [
+    ['Edge', /Edg(e|A|iOS)?\//],
+    ['Opera', /OPR\/|Opera/],
+    ['Firefox', /Firefox\/|FxiOS\//],
+    ['Chrome', /Chrome\/|CriOS\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return truncateText(userAgent, 60);
+  if (!browser) return system[0];
+  if (!system) return browser[0];
+  return `${browser[0]} on ${system[0]}`;
+};
+
 /**
  * Extract metadata from uploaded file
  * @param {Object} file - Multer file object
@@ -237,6 +271,11 @@ const extractFileMetadata = (file) => {
     mimeType: file.mimetype,
     size: file.size,
     filePath: file.path,
+    storage: file.storage,
+    // Set by the upload pipeline for images (dimensions + thumbnail/medium renditions)
+    width: file.width,
+    height: file.height,
+    renditions: file.renditions,
     uploadedAt: new Date(),
     extension: path.extname(file.originalname).toLowerCase(),
     isImage: file.mimetype.startsWith('image/'),
@@ -251,6 +290,29 @@ const extractFileMetadata = (file) => {
   };
 };
 
+/**
+ * Total bytes a stored file occupies, including any image renditions
+ * @param {Object} file - Multer file object or attachment subdocument
+ * @returns {number} - Size in bytes
+ */
+const getStoredFileSize = (file) => {
+  if (!file) return 0;
+
+  return RENDITION_NAMES.reduce((total, name) => {
+    const rendition = file.renditions && file.renditions[name];
+    return total + (rendition && rendition.size ? rendition.size : 0);
+  }, file.size || 0);
+};
+
+/**
+ * Total stored bytes of a list of files/attachments
+ * @param {Array} files - Multer file objects or attachment subdocuments
+ * @returns {number} - Size in bytes
+ */
+const getStoredFilesSize = (files = []) => {
+  return files.reduce((total, file) => total + getStoredFileSize(file), 0);
+};
+
 /**
  * Create a standardized API response
  * @param {boolean} success - Success status
@@ -444,7 +506,10 @@ module.exports = {
   isValidEmail,
   isValidObjectId,
   sanitizeText,
+  describeUserAgent,
   extractFileMetadata,
+  getStoredFileSize,
+  getStoredFilesSize,
   createAPIResponse,
   createPaginationMetadata,
   deepClone,
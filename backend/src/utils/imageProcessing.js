@@ -0,0 +1,97 @@
+const sharp = require('sharp');
+
+// Rendition presets - images are scaled to fit inside the box, never enlarged
+const RENDITIONS = {
+  thumbnail: { width: 320, height: 320, quality: 75 },
+  medium: { width: 1280, height: 1280, quality: 82 }
+};
+
+const RENDITION_NAMES = Object.keys(RENDITIONS);
+
+// Renditions are always written as WebP regardless of the source format
+const RENDITION_MIME_TYPE = 'image/webp';
+const RENDITION_EXTENSION = '.webp';
+
+// Image types we know how to re-encode and resize
+const PROCESSABLE_MIME_TYPES = [
+  'image/jpeg',
+  'image/jpg',
+  'image/png',
+  'image/gif',
+  'image/webp'
+];
+
+const isProcessableImage = (mimeType) => PROCESSABLE_MIME_TYPES.includes(mimeType);
+
+// Re-encode the original in its own format. sharp drops EXIF/XMP/IPTC
+// (including GPS) unless asked to keep it, so this is what strips metadata.
+const stripMetadata = (buffer, format) => {
+  // rotate() with no arguments applies the EXIF orientation before it is lost
+  const image = sharp(buffer).rotate();
+
+  switch (format) {
+    case 'jpeg':
+      return image.jpeg({ quality: 90 }).toBuffer({ resolveWithObject: true });
+    case 'png':
+      return image.png().toBuffer({ resolveWithObject: true });
+    case 'webp':
+      return image.webp({ quality: 90 }).toBuffer({ resolveWithObject: true });
+    default:
+      return null;
+  }
+};
+
+const createRendition = async (buffer, { width, height, quality }) => {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize({ width, height, fit: 'inside', withoutEnlargement: true })
+    .webp({ quality })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    buffer: data,
+    width: info.width,
+    height: info.height,
+    size: info.size,
+    mimeType: RENDITION_MIME_TYPE
+  };
+};
+
+// Strip metadata from an uploaded image, measure it and build its renditions
+const processImage = async (buffer) => {
+  const metadata = await sharp(buffer).metadata();
+
+  let output = buffer;
+  // Animated GIFs report the full strip height - pageHeight is a single frame
+  let width = metadata.width;
+  let height = metadata.pageHeight || metadata.height;
+
+  // GIFs are kept byte-for-byte so animations survive (they carry no EXIF)
+  const stripped = await stripMetadata(buffer, metadata.format);
+  if (stripped) {
+    output = stripped.data;
+    width = stripped.info.width;
+    height = stripped.info.height;
+  }
+
+  const renditions = {};
+  for (const name of RENDITION_NAMES) {
+    renditions[name] = await createRendition(buffer, RENDITIONS[name]);
+  }
+
+  return { buffer: output, width, height, renditions };
+};
+
+// Storage keys of every rendition recorded for a file/attachment
+const getRenditionPaths = (renditions) => RENDITION_NAMES
+  .map(name => renditions && renditions[name] && renditions[name].filePath)
+  .filter(Boolean);
+
+module.exports = {
+  RENDITIONS,
+  RENDITION_NAMES,
+  RENDITION_EXTENSION,
+  isProcessableImage,
+  processImage,
+  getRenditionPaths
+};
@@ -0,0 +1,158 @@
+const Post = require('../models/Post');
+const UploadSession = require('../models/UploadSession');
+const { getStorage } = require('../storage');
+const { getRenditionPaths } = require('./imageProcessing');
+
+// Files under these prefixes are never swept (quarantined uploads are kept for review)
+const PROTECTED_PREFIXES = ['quarantine/'];
+
+// Files younger than this are left alone - the post that owns them may still be saving
+const DEFAULT_GRACE_PERIOD_MS = 24 * 60 * 60 * 1000;
+
+const toKey = (driver, filePath) => (driver.toKey ? driver.toKey(filePath) : filePath);
+
+// Every storage key still referenced by a post attachment stored with this driver,
+// plus what live resumable uploads hold (finished files and chunk folders)
+const getReferences = async (driver) => {
+  const keys = new Set();
+  const prefixes = [];
+
+  const posts = Post.find({ 'attachments.0': { $exists: true } })
+    .select('attachments')
+    .lean()
+    .cursor();
+
+  for await (const post of posts) {
+    post.attachments.forEach(attachment => {
+      if ((attachment.storage || 'local') !== driver.name) return;
+
+      [attachment.filePath, ...getRenditionPaths(attachment.renditions)].forEach(filePath => {
+        // Older local records hold absolute paths - compare them as keys
+        keys.add(toKey(driver, filePath));
+      });
+    });
+  }
+
+  const sessions = UploadSession.find({ storage: driver.name }).cursor();
+
+  for await (const session of sessions) {
+    prefixes.push(session.chunkPrefix);
+
+    if (session.file && session.file.filePath) {
+      [session.file.filePath, ...getRenditionPaths(session.file.renditions)].forEach(filePath => {
+        keys.add(toKey(driver, filePath));
+      });
+    }
+  }
+
+  return { keys, prefixes };
+};
+
+/**
+ * Reconcile a storage driver against Post attachments and remove files no
+ * post references any more
+ * @param {Object} [options]
+ * @param {Object} [options.driver] - Storage driver to sweep (defaults to the configured one)
+ * @param {number} [options.gracePeriodMs] - Minimum age before an orphan is removed
+ * @param {boolean} [options.dryRun] - Only report what would be removed
+ * @returns {Promise<Object>} - Sweep report
+ */
+const sweepOrphanedUploads = async ({
+  driver = getStorage(),
+  gracePeriodMs = DEFAULT_GRACE_PERIOD_MS,
+  dryRun = false
+} = {}) => {
+  // Gather references before listing so a file saved in between is
+  // either referenced already or still inside the grace period
+  const references = await getReferences(driver);
+  const objects = await driver.list('');
+  const now = Date.now();
+
+  const report = {
+    driver: driver.name,
+    dryRun,
+    gracePeriodMs,
+    scanned: objects.length,
+    referenced: 0,
+    protected: 0,
+    tooRecent: 0,
+    orphans: [],
+    deleted: 0,
+    freedBytes: 0,
+    errors: []
+  };
+
+  for (const object of objects) {
+    if (references.keys.has(object.key) || references.prefixes.some(prefix => object.key.startsWith(prefix))) {
+      report.referenced++;
+      continue;
+    }
+
+    if (PROTECTED_PREFIXES.some(prefix => object.key.startsWith(prefix))) {
+      report.protected++;
+      continue;
+    }
+
+    if (now - new Date(object.lastModified).getTime() < gracePeriodMs) {
+      report.tooRecent++;
+      continue;
+    }
+
+    report.orphans.push({ key: object.key, size: object.size, lastModified: object.lastModified });
+
+    if (dryRun) continue;
+
+    try {
+      await driver.remove(object.key);
+      report.deleted++;
+      report.freedBytes += object.size;
+    } catch (error) {
+      console.error(`Failed to remove orphaned upload ${object.key}:`, error.message);
+      report.errors.push({ key: object.key, message: error.message });
+    }
+  }
+
+  return report;
+};
+
+/**
+ * Run the sweeper on an interval inside the API process
+ * @param {Object} options
+ * @param {number} options.intervalMs - Time between sweeps
+ * @param {number} [options.gracePeriodMs] - Minimum age before an orphan is removed
+ * @returns {Function} - Stops the schedule
+ */
+const startUploadSweeper = ({ intervalMs, gracePeriodMs = DEFAULT_GRACE_PERIOD_MS }) => {
+  let running = false;
+
+  const run = async () => {
+    // Skip a tick rather than overlap with a slow sweep
+    if (running) return;
+    running = true;
+
+    try {
+      const report = await sweepOrphanedUploads({ gracePeriodMs });
+      if (report.orphans.length > 0 || report.errors.length > 0) {
+        console.log(`🧹 Upload sweep (${report.driver}): removed ${report.deleted} orphaned file(s), ${report.freedBytes} bytes freed`);
+      }
+    } catch (error) {
+      console.error('Upload sweep error:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+
+  console.log(`🧹 Upload sweeper scheduled every ${Math.round(intervalMs / 60000)} minute(s)`);
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  DEFAULT_GRACE_PERIOD_MS,
+  sweepOrphanedUploads,
+  startUploadSweeper
+};
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const { getClient, cacheKey } = require('../config/redis');
+
+// A viewer (signed-in user, or IP address for guests) counts once per post in this window
+const DEDUP_WINDOW_SECONDS = (parseInt(process.env.VIEW_DEDUP_WINDOW_MINUTES, 10) || 30) * 60;
+// How often buffered views are written to MongoDB
+const DEFAULT_FLUSH_INTERVAL_MS = (parseInt(process.env.VIEW_FLUSH_INTERVAL_SECONDS, 10) || 30) * 1000;
+
+// Redis: post id -> views not yet written. The flusher renames it to FLUSHING_KEY
+// first, so views recorded during a flush go into a new hash.
+const PENDING_KEY = cacheKey('views', 'pending');
+const FLUSHING_KEY = cacheKey('views', 'flushing');
+const FLUSH_LOCK_KEY = cacheKey('views', 'flush-lock');
+
+// Without Redis: the same, in this process
+const pendingViews = new Map(); // post id -> count
+const seenViews = new Map(); // post id + viewer -> expiresAt
+
+// Called with the ids of the posts whose views a flush wrote
+let viewsFlushedListener = null;
+
+/**
+ * Be told which posts' stored view counts a flush changed (e.g. to invalidate
+ * caches holding the old counts)
+ * @param {Function} listener - (postIds) => void | Promise
+ */
+const onViewsFlushed = (listener) => {
+  viewsFlushedListener = listener;
+};
+
+const seenKey = (postId, viewer) => {
+  const hash = crypto.createHash('sha1').update(viewer).digest('hex').slice(0, 16);
+  return `${postId}:${hash}`;
+};
+
+const clearExpiredViews = () => {
+  const now = Date.now();
+  seenViews.forEach((expiresAt, key) => {
+    if (expiresAt <= now) seenViews.delete(key);
+  });
+};
+
+/**
+ * Count a post view, once per viewer within VIEW_DEDUP_WINDOW_MINUTES
+ * Views are buffered and written by flushViews(), never with a save per read.
+ * @param {string} postId - Post that was viewed
+ * @param {Object} viewer
+ * @param {string} [viewer.userId] - Signed-in viewer
+ * @param {string} [viewer.ip] - Guest's address
+ * @returns {Promise<boolean>} - Whether the view was counted
+ */
+const recordView = async (postId, { userId, ip }) => {
+  const viewer = userId ? `user:${userId}` : `ip:${ip}`;
+  const key = seenKey(String(postId), viewer);
+  const redisClient = getClient();
+
+  try {
+    if (redisClient) {
+      const firstView = await redisClient.set(cacheKey('views', 'seen', key), '1', { NX: true, EX: DEDUP_WINDOW_SECONDS });
+      if (!firstView) return false;
+
+      await redisClient.hIncrBy(PENDING_KEY, String(postId), 1);
+      return true;
+    }
+
+    if (seenViews.get(key) > Date.now()) return false;
+
+    seenViews.set(key, Date.now() + DEDUP_WINDOW_SECONDS * 1000);
+    pendingViews.set(String(postId), (pendingViews.get(String(postId)) || 0) + 1);
+    return true;
+  } catch (error) {
+    console.error('Record view error:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Views of a post recorded but not yet written to MongoDB
+ * @param {string} postId
+ * @returns {Promise<number>}
+ */
+const getPendingViews = async (postId) => {
+  const redisClient = getClient();
+  if (!redisClient) return pendingViews.get(String(postId)) || 0;
+
+  try {
+    const counts = await Promise.all([
+      redisClient.hGet(PENDING_KEY, String(postId)),
+      redisClient.hGet(FLUSHING_KEY, String(postId))
+    ]);
+    return counts.reduce((total, count) => total + (parseInt(count, 10) || 0), 0);
+  } catch (error) {
+    console.error('Pending views error:', error.message);
+    return 0;
+  }
+};
+
+// [postId, count] pairs worth writing
+const toEntries = (counts) => Object.entries(counts)
+  .map(([postId, count]) => [postId, parseInt(count, 10)])
+  .filter(([, count]) => count > 0);
+
+const sumViews = (entries) => entries.reduce((total, [, count]) => total + count, 0);
+
+/**
+ * One $inc per post; timestamps are left alone since a view isn't an edit
+ * The writes are ordered, so when one fails the ones before it are known to be
+ * written and the rest not: the error's `written` lists the entries a retry
+ * must skip ($inc isn't idempotent).
+ * @param {Array} entries - [postId, count] pairs
+ */
+const writeViews = async (entries) => {
+  if (entries.length === 0) return;
+
+  try {
+    await Post.bulkWrite(entries.map(([postId, count]) => ({
+      updateOne: {
+        filter: { _id: postId },
+        update: { $inc: { views: count } },
+        timestamps: false
+      }
+    })), { ordered: true });
+  } catch (error) {
+    // A write error names the operation that failed. After anything else (e.g. a
+    // lost connection) nothing is known to be written.
+    const failedAt = error.writeErrors && error.writeErrors.length > 0 ? error.writeErrors[0].index : 0;
+    error.written = entries.slice(0, failedAt);
+    throw error;
+  }
+};
+
+const notifyFlushed = async (entries) => {
+  if (!viewsFlushedListener || entries.length === 0) return;
+
+  try {
+    await viewsFlushedListener(entries.map(([postId]) => postId));
+  } catch (error) {
+    console.error('Views flushed listener error:', error.message);
+  }
+};
+
+/**
+ * Write buffered views to MongoDB
+ * With Redis, one instance flushes per interval (the others skip). Views whose
+ * write failed are retried on the next flush; views that were written aren't.
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - How long other instances skip after this flush
+ * @returns {Promise<number>} - Views written
+ */
+const flushViews = async ({ intervalMs = DEFAULT_FLUSH_INTERVAL_MS } = {}) => {
+  const redisClient = getClient();
+
+  if (!redisClient) {
+    clearExpiredViews();
+    if (pendingViews.size === 0) return 0;
+
+    const entries = toEntries(Object.fromEntries(pendingViews));
+    pendingViews.clear();
+
+    try {
+      await writeViews(entries);
+    } catch (error) {
+      // Put back the ones not written, for the next flush
+      const written = error.written || [];
+      entries.slice(written.length).forEach(([postId, count]) => {
+        pendingViews.set(postId, (pendingViews.get(postId) || 0) + count);
+      });
+      await notifyFlushed(written);
+      throw error;
+    }
+
+    await notifyFlushed(entries);
+    return sumViews(entries);
+  }
+
+  const leader = await redisClient.set(FLUSH_LOCK_KEY, '1', { NX: true, PX: Math.max(intervalMs - 1000, 1000) });
+  if (!leader) return 0;
+
+  // A batch left by a failed flush goes first; it's only deleted once written
+  let counts = await redisClient.hGetAll(FLUSHING_KEY);
+  if (Object.keys(counts).length === 0) {
+    if (!await redisClient.exists(PENDING_KEY)) return 0;
+
+    await redisClient.rename(PENDING_KEY, FLUSHING_KEY);
+    counts = await redisClient.hGetAll(FLUSHING_KEY);
+  }
+
+  const entries = toEntries(counts);
+  try {
+    await writeViews(entries);
+  } catch (error) {
+    // Only the posts not written stay in the batch
+    const written = error.written || [];
+    if (written.length > 0) {
+      await redisClient.hDel(FLUSHING_KEY, written.map(([postId]) => postId));
+      await notifyFlushed(written);
+    }
+    throw error;
+  }
+
+  await redisClient.del(FLUSHING_KEY);
+  await notifyFlushed(entries);
+  return sumViews(entries);
+};
+
+/**
+ * Flush buffered views on an interval inside the API process
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Time between flushes
+ * @returns {Function} - Stops the schedule
+ */
+const startViewFlusher = ({ intervalMs = DEFAULT_FLUSH_INTERVAL_MS } = {}) => {
+  let running = false;
+
+  const run = async () => {
+    // Skip a tick rather than overlap with a slow flush
+    if (running) return;
+    running = true;
+
+    try {
+      const written = await flushViews({ intervalMs });
+      if (written > 0) {
+        console.log(`👀 Flushed ${written} post view(s)`);
+      }
+    } catch (error) {
+      console.error('View flush error:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  // Don't keep the process alive just for the flusher
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  recordView,
+  getPendingViews,
+  flushViews,
+  onViewsFlushed,
+  startViewFlusher
+};
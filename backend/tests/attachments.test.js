@@ -0,0 +1,93 @@
+const request = require('supertest');
+const { getStorage } = require('../src/storage');
+const { createApp, createUser, createPost, bearer } = require('./helpers/app');
+
+const app = createApp();
+
+const CONTENT = Buffer.from('0123456789abcdefghijklmnopqrstuvwxyz');
+
+// A published post with one text attachment kept in the memory driver
+const createPostWithAttachment = async (fields = {}) => {
+  const { user, accessToken } = await createUser();
+  const key = `attachments/${user._id}/${Date.now()}-notes.txt`;
+  await getStorage('memory').save(key, CONTENT, { contentType: 'text/plain' });
+
+  const post = await createPost(user, {
+    attachments: [{
+      fileName: 'notes.txt',
+      originalName: 'notes.txt',
+      mimeType: 'text/plain',
+      size: CONTENT.length,
+      filePath: key,
+      storage: 'memory'
+    }],
+    ...fields
+  });
+
+  return { post, user, accessToken, url: `/api/posts/${post._id}/attachments/${post.attachments[0]._id}` };
+};
+
+// Read the response body as bytes whatever its content type
+const download = (req) => req.buffer(true).parse((res, done) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => done(null, Buffer.concat(chunks)));
+});
+
+describe('GET /api/posts/:id/attachments/:attachmentId', () => {
+  it('requires authentication', async () => {
+    const { url } = await createPostWithAttachment();
+    await request(app).get(url).expect(401);
+  });
+
+  it('sends the whole file and advertises range support', async () => {
+    const { url, accessToken } = await createPostWithAttachment();
+
+    const res = await download(request(app).get(url).set(bearer(accessToken))).expect(200);
+    expect(res.headers['accept-ranges']).toBe('bytes');
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="notes.txt"/);
+    expect(res.body.equals(CONTENT)).toBe(true);
+  });
+
+  it('answers a byte range with 206 and Content-Range', async () => {
+    const { url, accessToken } = await createPostWithAttachment();
+
+    const res = await download(request(app).get(url).set(bearer(accessToken)).set('Range', 'bytes=10-19')).expect(206);
+    expect(res.headers['content-range']).toBe(`bytes 10-19/${CONTENT.length}`);
+    expect(res.headers['content-length']).toBe('10');
+    expect(res.body.toString()).toBe('abcdefghij');
+  });
+
+  it('supports suffix and open-ended ranges', async () => {
+    const { url, accessToken } = await createPostWithAttachment();
+
+    const suffix = await download(request(app).get(url).set(bearer(accessToken)).set('Range', 'bytes=-4')).expect(206);
+    expect(suffix.body.toString()).toBe('wxyz');
+
+    const open = await download(request(app).get(url).set(bearer(accessToken)).set('Range', 'bytes=30-')).expect(206);
+    expect(open.headers['content-range']).toBe(`bytes 30-35/${CONTENT.length}`);
+    expect(open.body.toString()).toBe('uvwxyz');
+  });
+
+  it('answers 416 with the file size for a range past the end', async () => {
+    const { url, accessToken } = await createPostWithAttachment();
+
+    const res = await request(app).get(url).set(bearer(accessToken)).set('Range', 'bytes=100-200').expect(416);
+    expect(res.headers['content-range']).toBe(`bytes */${CONTENT.length}`);
+  });
+
+  it('ignores a malformed range and sends the whole file', async () => {
+    const { url, accessToken } = await createPostWithAttachment();
+
+    const res = await download(request(app).get(url).set(bearer(accessToken)).set('Range', 'lines=1-2')).expect(200);
+    expect(res.body.equals(CONTENT)).toBe(true);
+  });
+
+  it('hides draft attachments from everyone but the author', async () => {
+    const { url, accessToken } = await createPostWithAttachment({ status: 'draft' });
+    const other = await createUser();
+
+    await request(app).get(url).set(bearer(other.accessToken)).expect(404);
+    await download(request(app).get(url).set(bearer(accessToken))).expect(200);
+  });
+});
@@ -0,0 +1,98 @@
+const request = require('supertest');
+const AuditLog = require('../src/models/AuditLog');
+const { recordFailure, getBlock, LOCKOUT_MINUTES } = require('../src/middleware/bruteForce');
+const { createApp, createUser, nextIp } = require('./helpers/app');
+
+const app = createApp();
+
+const login = (credentials, ip = nextIp()) => request(app)
+  .post('/api/auth/login')
+  .set('X-Forwarded-For', ip)
+  .send(credentials);
+
+describe('Brute-force protection', () => {
+  it('backs off an account after repeated wrong passwords, whatever the IP', async () => {
+    const { user, password } = await createUser();
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await login({ email: user.email, password: 'WrongPass1' }).expect(401);
+    }
+
+    const blocked = await login({ email: user.email, password }).expect(429);
+    expect(blocked.body.code).toBe('TOO_MANY_ATTEMPTS');
+    expect(Number(blocked.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  it('doubles the backoff with each further failure', async () => {
+    const email = 'victim@example.com';
+    const req = { ip: nextIp() };
+
+    const delays = [];
+    for (let attempt = 0; attempt < 6; attempt++) {
+      await recordFailure(req, { email });
+      const block = await getBlock({ email });
+      delays.push(block ? block.retryAfter : 0);
+    }
+
+    expect(delays).toEqual([0, 0, 1, 2, 4, 8]);
+  });
+
+  it('locks the account at the threshold and audits it', async () => {
+    const { user, password } = await createUser();
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+      await recordFailure({ ip: nextIp(), get: () => 'jest' }, { user });
+    }
+
+    const block = await getBlock({ email: user.email });
+    expect(block).toMatchObject({ scope: 'account', reason: 'lockout', failures: 10 });
+    expect(block.retryAfter).toBe(LOCKOUT_MINUTES * 60);
+
+    const res = await login({ email: user.email, password }).expect(429);
+    expect(res.body.code).toBe('ACCOUNT_LOCKED');
+
+    expect(await AuditLog.countDocuments({ action: 'auth.lockout', targetId: user._id })).toBe(1);
+  });
+
+  it('counts failures for unknown emails, so probing them is throttled too', async () => {
+    const ip = nextIp();
+    const email = 'nobody@example.com';
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await login({ email, password: 'WrongPass1' }, ip).expect(401);
+    }
+
+    await login({ email, password: 'WrongPass1' }, ip).expect(429);
+  });
+
+  it('clears the account\'s failures after a successful sign-in', async () => {
+    const { user, password } = await createUser();
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      await login({ email: user.email, password: 'WrongPass1' }).expect(401);
+    }
+    await login({ email: user.email, password }).expect(200);
+
+    // Two more failures would have crossed the threshold without the reset
+    for (let attempt = 0; attempt < 2; attempt++) {
+      await login({ email: user.email, password: 'WrongPass1' }).expect(401);
+    }
+    expect(await getBlock({ email: user.email })).toBeNull();
+  });
+
+  it('rate limits sensitive routes per IP', async () => {
+    const ip = nextIp();
+
+    for (let attempt = 0; attempt < 20; attempt++) {
+      await request(app).post('/api/auth/forgot-password').set('X-Forwarded-For', ip).send({ email: 'a@example.com' });
+    }
+
+    const res = await request(app)
+      .post('/api/auth/forgot-password')
+      .set('X-Forwarded-For', ip)
+      .send({ email: 'a@example.com' })
+      .expect(429);
+    expect(res.body.code).toBe('RATE_LIMITED');
+    expect(res.headers['retry-after']).toBeDefined();
+  });
+});
@@ -0,0 +1,99 @@
+const { cacheKey, cached, invalidateTags } = require('../src/config/redis');
+
+let keyCounter = 0;
+// Entries outlive a test, so each test reads its own keys
+const nextKey = () => cacheKey('test', 'entry', String(++keyCounter));
+
+describe('cached() without Redis', () => {
+  it('loads once and serves later reads from the cache', async () => {
+    const key = nextKey();
+    const loader = jest.fn().mockResolvedValue({ value: 1 });
+
+    expect(await cached(key, 60, loader)).toEqual({ value: 1 });
+    expect(await cached(key, 60, loader)).toEqual({ value: 1 });
+    expect(loader).toHaveBeenCalledTimes(1);
+  });
+
+  it('hands every caller its own copy', async () => {
+    const key = nextKey();
+    const first = await cached(key, 60, async () => ({ list: [1] }));
+    first.list.push(2);
+
+    expect(await cached(key, 60, async () => null)).toEqual({ list: [1] });
+  });
+
+  it('reloads entries whose tags were invalidated, and only those', async () => {
+    const tagged = nextKey();
+    const other = nextKey();
+    let version = 0;
+    const loader = async () => ({ version: ++version });
+
+    await cached(tagged, 60, loader, { tags: ['test:a'] });
+    await cached(other, 60, loader, { tags: ['test:b'] });
+    await invalidateTags('test:a');
+
+    expect(await cached(tagged, 60, loader, { tags: ['test:a'] })).toEqual({ version: 3 });
+    expect(await cached(other, 60, loader, { tags: ['test:b'] })).toEqual({ version: 2 });
+  });
+
+  it('does not keep a value loaded while its tags were invalidated', async () => {
+    const key = nextKey();
+    let version = 0;
+    let invalidated;
+    const loader = async () => {
+      version += 1;
+      // The write lands (and invalidates) while the first load is still running
+      if (version === 1) invalidated = invalidateTags('test:race');
+      return { version };
+    };
+
+    expect(await cached(key, 60, loader, { tags: ['test:race'] })).toEqual({ version: 1 });
+    await invalidated;
+
+    expect(await cached(key, 60, loader, { tags: ['test:race'] })).toEqual({ version: 2 });
+  });
+
+  it('shares one load between concurrent misses', async () => {
+    const key = nextKey();
+    const loader = jest.fn(() => new Promise(resolve => setTimeout(() => resolve({ value: 1 }), 20)));
+
+    const results = await Promise.all([cached(key, 60, loader), cached(key, 60, loader), cached(key, 60, loader)]);
+    expect(results).toEqual([{ value: 1 }, { value: 1 }, { value: 1 }]);
+    expect(loader).toHaveBeenCalledTimes(1);
+  });
+
+  it('hands concurrent callers their own copies of a shared load', async () => {
+    const key = nextKey();
+    const loader = jest.fn(() => new Promise(resolve => setTimeout(() => resolve({ list: [1] }), 20)));
+
+    const [first, second] = await Promise.all([cached(key, 60, loader), cached(key, 60, loader)]);
+    first.list.push(2);
+
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(second).toEqual({ list: [1] });
+    expect(await cached(key, 60, loader)).toEqual({ list: [1] });
+  });
+
+  it('does not cache null results', async () => {
+    const key = nextKey();
+    const loader = jest.fn().mockResolvedValue(null);
+
+    await cached(key, 60, loader);
+    await cached(key, 60, loader);
+    expect(loader).toHaveBeenCalledTimes(2);
+  });
+
+  it('serves a stale entry while it is rebuilt in the background', async () => {
+    const key = nextKey();
+    let version = 0;
+    const loader = jest.fn(async () => ({ version: ++version }));
+    await cached(key, 1, loader, { staleTtl: 60 });
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 2000);
+
+    expect(await cached(key, 1, loader, { staleTtl: 60 })).toEqual({ version: 1 });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(await cached(key, 1, loader, { staleTtl: 60 })).toEqual({ version: 2 });
+  });
+});
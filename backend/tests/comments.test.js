@@ -0,0 +1,163 @@
+const request = require('supertest');
+const AuditLog = require('../src/models/AuditLog');
+const Comment = require('../src/models/Comment');
+const Post = require('../src/models/Post');
+const { createApp, createUser, createPost, bearer } = require('./helpers/app');
+
+const app = createApp();
+
+const comment = (post, accessToken, content) => request(app)
+  .post(`/api/posts/${post._id}/comments`)
+  .set(bearer(accessToken))
+  .send({ content });
+
+const reply = (post, parent, accessToken, content) => request(app)
+  .post(`/api/posts/${post._id}/comments/${parent._id}/replies`)
+  .set(bearer(accessToken))
+  .send({ content });
+
+const commentsCount = async (post) => (await Post.findById(post._id)).commentsCount;
+
+describe('Comments', () => {
+  let author;
+  let post;
+  let reader;
+
+  beforeEach(async () => {
+    author = await createUser();
+    post = await createPost(author.user);
+    reader = await createUser();
+  });
+
+  it('nests replies at any depth under their top-level comment', async () => {
+    const root = (await comment(post, reader.accessToken, 'First!').expect(201)).body.data.comment;
+    const child = (await reply(post, root, author.accessToken, 'Thanks').expect(201)).body.data.comment;
+    const grandchild = (await reply(post, child, reader.accessToken, 'You are welcome').expect(201)).body.data.comment;
+    await comment(post, author.accessToken, 'Second thread').expect(201);
+
+    expect(grandchild.ancestors).toEqual([root._id, child._id]);
+
+    const res = await request(app).get(`/api/posts/${post._id}/comments`).expect(200);
+    const [thread, second] = res.body.data.comments;
+    expect(thread.content).toBe('First!');
+    expect(thread.replies[0].content).toBe('Thanks');
+    expect(thread.replies[0].replies[0].content).toBe('You are welcome');
+    expect(second.replies).toEqual([]);
+    expect(res.body.data.totalComments).toBe(4);
+    expect(res.body.data.pagination.totalThreads).toBe(2);
+    expect(await commentsCount(post)).toBe(4);
+  });
+
+  it('returns the whole thread for a link to a reply', async () => {
+    const root = (await comment(post, reader.accessToken, 'Root comment').expect(201)).body.data.comment;
+    const child = (await reply(post, root, author.accessToken, 'A reply').expect(201)).body.data.comment;
+
+    const res = await request(app).get(`/api/posts/${post._id}/comments/${child._id}`).expect(200);
+    expect(res.body.data.thread._id).toBe(root._id);
+    expect(res.body.data.thread.replies[0]._id).toBe(child._id);
+  });
+
+  it('keeps a deleted comment as a tombstone so its replies stay in place', async () => {
+    const root = (await comment(post, reader.accessToken, 'Soon gone').expect(201)).body.data.comment;
+    await reply(post, root, author.accessToken, 'Still here').expect(201);
+
+    await request(app)
+      .delete(`/api/posts/${post._id}/comments/${root._id}`)
+      .set(bearer(reader.accessToken))
+      .expect(200);
+
+    const res = await request(app).get(`/api/posts/${post._id}/comments`).expect(200);
+    const [thread] = res.body.data.comments;
+    expect(thread).toMatchObject({ deleted: true, content: null, author: null });
+    expect(thread.replies[0].content).toBe('Still here');
+    expect(res.body.data.totalComments).toBe(1);
+    expect(await commentsCount(post)).toBe(1);
+
+    await reply(post, root, author.accessToken, 'Too late').expect(400);
+  });
+
+  it('lets only the author edit or delete a comment', async () => {
+    const mine = (await comment(post, reader.accessToken, 'Original text').expect(201)).body.data.comment;
+    const url = `/api/posts/${post._id}/comments/${mine._id}`;
+
+    await request(app).patch(url).set(bearer(author.accessToken)).send({ content: 'Hijacked' }).expect(403);
+    await request(app).delete(url).set(bearer(author.accessToken)).expect(403);
+
+    const edited = await request(app).patch(url).set(bearer(reader.accessToken)).send({ content: 'Edited text' }).expect(200);
+    expect(edited.body.data.comment.content).toBe('Edited text');
+    expect(edited.body.data.comment.editedAt).toBeTruthy();
+  });
+
+  it('lets moderators manage any comment and audits it', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const theirs = (await comment(post, reader.accessToken, 'Needs moderation').expect(201)).body.data.comment;
+    const url = `/api/posts/${post._id}/comments/${theirs._id}`;
+
+    await request(app).patch(url).set(bearer(admin.accessToken)).send({ content: 'Moderated' }).expect(200);
+    await request(app).delete(url).set(bearer(admin.accessToken)).expect(200);
+
+    const actions = (await AuditLog.find({ targetId: theirs._id })).map(entry => entry.action).sort();
+    expect(actions).toEqual(['comment.delete', 'comment.update']);
+  });
+
+  it('does not find a comment through another post', async () => {
+    const other = await createPost(author.user);
+    const theirs = (await comment(post, reader.accessToken, 'On the first post').expect(201)).body.data.comment;
+
+    await request(app).get(`/api/posts/${other._id}/comments/${theirs._id}`).expect(404);
+    await request(app)
+      .delete(`/api/posts/${other._id}/comments/${theirs._id}`)
+      .set(bearer(reader.accessToken))
+      .expect(404);
+  });
+
+  it('requires a signed-in user with a verified email when the policy says so', async () => {
+    await request(app).post(`/api/posts/${post._id}/comments`).send({ content: 'Anonymous' }).expect(401);
+
+    const unverified = await createUser({ emailVerified: false });
+    process.env.EMAIL_VERIFICATION = 'required';
+    try {
+      const res = await comment(post, unverified.accessToken, 'Unverified').expect(403);
+      expect(res.body.code).toBe('EMAIL_NOT_VERIFIED');
+    } finally {
+      delete process.env.EMAIL_VERIFICATION;
+    }
+  });
+
+  it('hides the comments of a draft from everyone but its author and admins', async () => {
+    const draft = await createPost(author.user, { status: 'draft' });
+    const admin = await createUser({ role: 'admin' });
+    const own = (await comment(draft, author.accessToken, 'Note to self').expect(201)).body.data.comment;
+
+    await request(app).get(`/api/posts/${draft._id}/comments`).expect(404);
+    await request(app).get(`/api/posts/${draft._id}/comments`).set(bearer(reader.accessToken)).expect(404);
+    await request(app).get(`/api/posts/${draft._id}/comments/${own._id}`).set(bearer(reader.accessToken)).expect(404);
+    await comment(draft, reader.accessToken, 'Found it').expect(404);
+    await reply(draft, own, reader.accessToken, 'Found it').expect(404);
+
+    const forAuthor = await request(app).get(`/api/posts/${draft._id}/comments`).set(bearer(author.accessToken)).expect(200);
+    expect(forAuthor.body.data.comments).toHaveLength(1);
+    await request(app).get(`/api/posts/${draft._id}/comments/${own._id}`).set(bearer(admin.accessToken)).expect(200);
+  });
+
+  it('sends each thread of a page with its first replies and the whole thread on its own', async () => {
+    const root = (await comment(post, reader.accessToken, 'Busy thread').expect(201)).body.data.comment;
+    await Comment.insertMany(Array.from({ length: 21 }, (_, index) => ({
+      post: post._id,
+      author: author.user._id,
+      parent: root._id,
+      ancestors: [root._id],
+      content: `Reply ${index}`
+    })));
+
+    const page = await request(app).get(`/api/posts/${post._id}/comments`).expect(200);
+    const [listed] = page.body.data.comments;
+    expect(listed.replies).toHaveLength(20);
+    expect(listed.replies[0].content).toBe('Reply 0');
+    expect(listed.hasMoreReplies).toBe(true);
+
+    const whole = await request(app).get(`/api/posts/${post._id}/comments/${root._id}`).expect(200);
+    expect(whole.body.data.thread.replies).toHaveLength(21);
+    expect(whole.body.data.thread.hasMoreReplies).toBe(false);
+  });
+});
@@ -0,0 +1,8 @@
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// One throwaway mongod for the whole run; tests/setup.js connects each worker to it
+module.exports = async () => {
+  const mongod = await MongoMemoryServer.create();
+  globalThis.__MONGOD__ = mongod;
+  process.env.MONGODB_TEST_URI = mongod.getUri();
+};
@@ -0,0 +1,94 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const { generateAccessToken } = require('../../src/config/jwt');
+
+const authRoutes = require('../../src/routes/auth');
+const postRoutes = require('../../src/routes/posts');
+const uploadRoutes = require('../../src/routes/uploads');
+const userRoutes = require('../../src/routes/users');
+
+/**
+ * The API as app.js mounts it, without the database connection, Redis or listen()
+ * Proxies are trusted so each test can pick its client IP (X-Forwarded-For) and
+ * not share rate limit and lockout counters with the others.
+ */
+const createApp = () => {
+  const app = express();
+  app.set('trust proxy', true);
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  app.use('/api/posts', postRoutes);
+  app.use('/api/uploads', uploadRoutes);
+  app.use('/api/users', userRoutes);
+  return app;
+};
+
+let ipCounter = 0;
+
+// A client IP no other test has used
+const nextIp = () => {
+  ipCounter += 1;
+  return `10.0.${Math.floor(ipCounter / 250)}.${(ipCounter % 250) + 1}`;
+};
+
+let userCounter = 0;
+
+/**
+ * Insert a user straight into the collection (skipping the 12-round bcrypt pre-save hook)
+ * @param {Object} fields - Overrides for the defaults
+ * @returns {Promise<Object>} - { user, password, accessToken }
+ */
+const createUser = async (fields = {}) => {
+  userCounter += 1;
+  const password = fields.password || 'Password123';
+  const now = new Date();
+
+  const { insertedId } = await User.collection.insertOne({
+    username: `user${userCounter}`,
+    firstName: 'Test',
+    lastName: 'User',
+    email: `user${userCounter}@example.com`,
+    role: 'user',
+    isActive: true,
+    emailVerified: true,
+    refreshTokens: [],
+    identities: [],
+    twoFactorRecoveryCodes: [],
+    createdAt: now,
+    updatedAt: now,
+    ...fields,
+    password: await bcrypt.hash(password, 4)
+  });
+
+  const user = await User.findById(insertedId);
+  return { user, password, accessToken: generateAccessToken({ userId: user._id }) };
+};
+
+let postCounter = 0;
+
+/**
+ * Create a published post
+ * Titles are numbered: slugs are unique and two posts created in the same
+ * millisecond would otherwise get the same one.
+ * @param {Object} author - User document
+ * @param {Object} fields - Overrides for the defaults
+ * @returns {Promise<Object>} - Post document
+ */
+const createPost = (author, fields = {}) => Post.create({
+  title: `A post for testing ${++postCounter}`,
+  content: 'Some content that is long enough.',
+  author: author._id,
+  ...fields
+});
+
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+module.exports = {
+  createApp,
+  createUser,
+  createPost,
+  nextIp,
+  bearer
+};
@@ -0,0 +1,66 @@
+const request = require('supertest');
+const Post = require('../src/models/Post');
+const { createApp, createUser, createPost, bearer } = require('./helpers/app');
+
+const app = createApp();
+
+const like = (post, accessToken) => request(app).put(`/api/posts/${post._id}/like`).set(bearer(accessToken));
+const unlike = (post, accessToken) => request(app).delete(`/api/posts/${post._id}/like`).set(bearer(accessToken));
+
+describe('PUT/DELETE /api/posts/:id/like', () => {
+  it('likes a post once however many times the request is sent', async () => {
+    const { user } = await createUser();
+    const post = await createPost(user);
+    const reader = await createUser();
+
+    const first = await like(post, reader.accessToken).expect(200);
+    const again = await like(post, reader.accessToken).expect(200);
+
+    expect(first.body.data).toEqual({ likedByMe: true, likesCount: 1 });
+    expect(again.body.data).toEqual({ likedByMe: true, likesCount: 1 });
+    expect((await Post.findById(post._id)).likes).toHaveLength(1);
+  });
+
+  it('adds one like for concurrent requests from the same user', async () => {
+    const { user } = await createUser();
+    const post = await createPost(user);
+    const reader = await createUser();
+
+    await Promise.all([like(post, reader.accessToken), like(post, reader.accessToken), like(post, reader.accessToken)]);
+
+    expect((await Post.findById(post._id)).likes).toHaveLength(1);
+  });
+
+  it('unlikes idempotently and keeps other users\' likes', async () => {
+    const { user } = await createUser();
+    const post = await createPost(user);
+    const reader = await createUser();
+    const other = await createUser();
+    await like(post, reader.accessToken).expect(200);
+    await like(post, other.accessToken).expect(200);
+
+    const first = await unlike(post, reader.accessToken).expect(200);
+    const again = await unlike(post, reader.accessToken).expect(200);
+
+    expect(first.body.data).toEqual({ likedByMe: false, likesCount: 1 });
+    expect(again.body.data).toEqual({ likedByMe: false, likesCount: 1 });
+  });
+
+  it('leaves updatedAt alone', async () => {
+    const { user } = await createUser();
+    const post = await createPost(user);
+    const reader = await createUser();
+
+    await like(post, reader.accessToken).expect(200);
+
+    expect((await Post.findById(post._id)).updatedAt).toEqual(post.updatedAt);
+  });
+
+  it('answers 404 for a missing post and 401 without a token', async () => {
+    const { user, accessToken } = await createUser();
+    const post = await createPost(user);
+
+    await like({ _id: '64b000000000000000000000' }, accessToken).expect(404);
+    await request(app).put(`/api/posts/${post._id}/like`).expect(401);
+  });
+});
@@ -0,0 +1,135 @@
+const request = require('supertest');
+const AuditLog = require('../src/models/AuditLog');
+const User = require('../src/models/User');
+const { generateOidcStateToken } = require('../src/config/jwt');
+const { createApp, createUser, nextIp, bearer } = require('./helpers/app');
+
+// Stand in for the provider: the code exchange returns whatever identity the test sets
+jest.mock('../src/config/oidc', () => ({
+  ...jest.requireActual('../src/config/oidc'),
+  getProvider: (id) => (id === 'mock' ? { id: 'mock', name: 'Mock' } : null),
+  getIdentity: jest.fn()
+}));
+const { getIdentity } = require('../src/config/oidc');
+
+const app = createApp();
+
+const signInWithProvider = (identity) => {
+  getIdentity.mockResolvedValue({ subject: 'provider-user-1', emailVerified: true, ...identity });
+
+  const flowToken = generateOidcStateToken({ provider: 'mock', state: 'state', nonce: 'nonce', codeVerifier: 'verifier' });
+  return request(app)
+    .post('/api/auth/oidc/callback')
+    .set('X-Forwarded-For', nextIp())
+    .send({ code: 'code', state: 'state', flowToken });
+};
+
+const login = ({ user, password }) => request(app)
+  .post('/api/auth/login')
+  .set('X-Forwarded-For', nextIp())
+  .send({ email: user.email, password });
+
+describe('POST /api/auth/oidc/callback', () => {
+  it('creates an account for a new verified email', async () => {
+    const res = await signInWithProvider({ email: 'new@example.com', firstName: 'New', lastName: 'Person' }).expect(200);
+
+    expect(res.body.data.user).toMatchObject({ email: 'new@example.com', emailVerified: true });
+    expect(await User.findByIdentity('mock', 'provider-user-1')).not.toBeNull();
+  });
+
+  it('refuses an email the provider has not verified', async () => {
+    const res = await signInWithProvider({ email: 'new@example.com', emailVerified: false }).expect(400);
+    expect(res.body.code).toBe('OIDC_EMAIL_NOT_VERIFIED');
+  });
+
+  it('links a verified account and keeps its password and sessions', async () => {
+    const account = await createUser();
+    const session = (await login(account).expect(200)).body.data;
+
+    await signInWithProvider({ email: account.user.email }).expect(200);
+
+    await login(account).expect(200);
+    await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken }).expect(200);
+  });
+
+  it('takes an unverified account away from whoever registered it', async () => {
+    // Registered in advance with the victim's address, two-factor on and a session open
+    const squatter = await createUser({ emailVerified: false });
+    const session = (await login(squatter).expect(200)).body.data;
+    await User.updateOne({ _id: squatter.user._id }, { twoFactorEnabled: true, twoFactorSecret: 'JBSWY3DPEHPK3PXP' });
+
+    // Revocation cutoffs have one-second resolution
+    const later = Date.now() + 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+
+    // The address's real owner signs in through the provider
+    const res = await signInWithProvider({ email: squatter.user.email }).expect(200);
+    expect(res.body.data.accessToken).toEqual(expect.any(String));
+    expect(res.body.data.twoFactorRequired).toBeUndefined();
+
+    await login(squatter).expect(401);
+    await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken }).expect(401);
+    const revoked = await request(app).get('/api/auth/sessions').set(bearer(session.accessToken)).expect(401);
+    expect(revoked.body.code).toBe('TOKEN_REVOKED');
+
+    // The owner's own session works
+    const sessions = await request(app).get('/api/auth/sessions').set(bearer(res.body.data.accessToken)).expect(200);
+    expect(sessions.body.data.sessions).toHaveLength(1);
+
+    const user = await User.findById(squatter.user._id).select('+password');
+    expect(user.password).toBeUndefined();
+    expect(user.emailVerified).toBe(true);
+    expect(user.twoFactorEnabled).toBe(false);
+
+    const audit = await AuditLog.findOne({ action: 'auth.oidc.linked', targetId: user._id });
+    expect(audit.details.claimedUnverified).toBe(true);
+  });
+});
+
+describe('Linked identities', () => {
+  const identity = { provider: 'mock', subject: 'provider-user-1', email: 'linked@example.com' };
+
+  it('keeps a provider account on one user', async () => {
+    await createUser({ identities: [identity] });
+    await expect(createUser({ identities: [identity] })).rejects.toMatchObject({ code: 11000 });
+  });
+
+  it('lets any number of users go without a provider account', async () => {
+    await createUser();
+    await createUser();
+    await createUser({ identities: null });
+  });
+
+  it('answers 409 when another sign-in linked the provider account first', async () => {
+    await signInWithProvider({ email: 'first@example.com' }).expect(200);
+
+    // This sign-in looked the identity up just before the first one stored it
+    jest.spyOn(User, 'findByIdentity').mockResolvedValueOnce(null);
+    await signInWithProvider({ email: 'second@example.com' }).expect(409);
+
+    expect(await User.countDocuments({ 'identities.subject': 'provider-user-1' })).toBe(1);
+  });
+});
+
+describe('Accounts without a password', () => {
+  it('are told to set one instead of collecting failed attempts', async () => {
+    const { accessToken } = (await signInWithProvider({ email: 'new@example.com' }).expect(200)).body.data;
+    const ip = nextIp();
+    const send = (method, url, body) => request(app)[method](url)
+      .set(bearer(accessToken))
+      .set('X-Forwarded-For', ip)
+      .send(body);
+
+    // Past the point where failed passwords would lock the account
+    for (let attempt = 0; attempt < 11; attempt++) {
+      const res = await send('post', '/api/auth/2fa/disable', { password: 'a guess' }).expect(400);
+      expect(res.body.code).toBe('PASSWORD_NOT_SET');
+    }
+
+    const deletion = await send('delete', '/api/users/account', { password: 'a guess' }).expect(400);
+    expect(deletion.body.code).toBe('PASSWORD_NOT_SET');
+
+    const change = await send('post', '/api/users/change-password', { currentPassword: 'a guess', newPassword: 'Password123' }).expect(400);
+    expect(change.body.code).toBe('PASSWORD_NOT_SET');
+  });
+});
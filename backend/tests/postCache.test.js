@@ -0,0 +1,72 @@
+const request = require('supertest');
+const { invalidateTags } = require('../src/config/redis');
+const { createApp, createUser, createPost, bearer } = require('./helpers/app');
+
+const app = createApp();
+
+describe('Post caches', () => {
+  beforeEach(() => invalidateTags('posts'));
+
+  const listedPost = async (id) => {
+    const res = await request(app).get('/api/posts').expect(200);
+    return res.body.data.posts.find(post => String(post._id) === String(id));
+  };
+
+  it('shows an edit in listings and on the post page', async () => {
+    const { user, accessToken } = await createUser();
+    const post = await createPost(user);
+
+    expect((await listedPost(post._id)).title).toBe(post.title);
+    await request(app).get(`/api/posts/${post._id}`).expect(200);
+
+    await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set(bearer(accessToken))
+      .send({ title: 'An edited title', content: post.content, status: 'published' })
+      .expect(200);
+
+    expect((await listedPost(post._id)).title).toBe('An edited title');
+    const page = await request(app).get(`/api/posts/${post._id}`).expect(200);
+    expect(page.body.data.post.title).toBe('An edited title');
+  });
+
+  it('shows a new like in listings and on the post page', async () => {
+    const { user } = await createUser();
+    const post = await createPost(user);
+    const reader = await createUser();
+
+    expect((await listedPost(post._id)).likes).toHaveLength(0);
+    await request(app).get(`/api/posts/${post._id}`).expect(200);
+
+    await request(app).put(`/api/posts/${post._id}/like`).set(bearer(reader.accessToken)).expect(200);
+
+    expect((await listedPost(post._id)).likes).toHaveLength(1);
+    const page = await request(app).get(`/api/posts/${post._id}`).set(bearer(reader.accessToken)).expect(200);
+    expect(page.body.data.post.likes).toHaveLength(1);
+    expect(page.body.data.post.likedByMe).toBe(true);
+  });
+
+  it('works out likedByMe per viewer on the shared cached copy', async () => {
+    const { user } = await createUser();
+    const post = await createPost(user);
+    const fan = await createUser();
+    await request(app).put(`/api/posts/${post._id}/like`).set(bearer(fan.accessToken)).expect(200);
+
+    const forFan = await request(app).get('/api/posts').set(bearer(fan.accessToken)).expect(200);
+    const forGuest = await request(app).get('/api/posts').expect(200);
+
+    expect(forFan.body.data.posts[0].likedByMe).toBe(true);
+    expect(forGuest.body.data.posts[0].likedByMe).toBe(false);
+  });
+
+  it('stops serving a deleted post', async () => {
+    const { user, accessToken } = await createUser();
+    const post = await createPost(user);
+
+    expect(await listedPost(post._id)).toBeDefined();
+    await request(app).delete(`/api/posts/${post._id}`).set(bearer(accessToken)).expect(200);
+
+    expect(await listedPost(post._id)).toBeUndefined();
+    await request(app).get(`/api/posts/${post._id}`).expect(404);
+  });
+});
@@ -0,0 +1,73 @@
+const request = require('supertest');
+const User = require('../src/models/User');
+const { createApp, createUser, nextIp, bearer } = require('./helpers/app');
+
+const app = createApp();
+
+// Sign in and return the session's { accessToken, refreshToken }
+const login = async ({ user, password }) => {
+  const res = await request(app)
+    .post('/api/auth/login')
+    .set('X-Forwarded-For', nextIp())
+    .send({ email: user.email, password })
+    .expect(200);
+  return res.body.data;
+};
+
+const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+describe('POST /api/auth/refresh', () => {
+  it('rotates the refresh token and keeps one entry per session', async () => {
+    const account = await createUser();
+    const tokens = await login(account);
+
+    const res = await refresh(tokens.refreshToken).expect(200);
+    expect(res.body.data.refreshToken).not.toBe(tokens.refreshToken);
+
+    await request(app).get('/api/auth/sessions').set(bearer(res.body.data.accessToken)).expect(200);
+
+    const user = await User.findById(account.user._id);
+    expect(user.getActiveSessions()).toHaveLength(1);
+    expect(user.getRefreshTokenStatus(user.refreshTokens[0].family, res.body.data.refreshToken)).toBe('current');
+  });
+
+  it('treats a rotated-out token as stolen and ends its session', async () => {
+    const account = await createUser();
+    const tokens = await login(account);
+    const rotated = (await refresh(tokens.refreshToken).expect(200)).body.data;
+
+    const reuse = await refresh(tokens.refreshToken).expect(401);
+    expect(reuse.body.code).toBe('REFRESH_TOKEN_REUSED');
+
+    // The legitimate holder's token went with the family, and so did its access tokens
+    await refresh(rotated.refreshToken).expect(401);
+    const me = await request(app).get('/api/auth/sessions').set(bearer(rotated.accessToken)).expect(401);
+    expect(me.body.code).toBe('TOKEN_REVOKED');
+  });
+
+  it('lets only one of two concurrent refreshes with the same token through', async () => {
+    const account = await createUser();
+    const tokens = await login(account);
+
+    const results = await Promise.all([refresh(tokens.refreshToken), refresh(tokens.refreshToken)]);
+    expect(results.map(res => res.status).sort()).toEqual([200, 401]);
+  });
+
+  it('leaves the user\'s other sessions alone when one is reused', async () => {
+    const account = await createUser();
+    const first = await login(account);
+    const second = await login(account);
+
+    await refresh(first.refreshToken).expect(200);
+    await refresh(first.refreshToken).expect(401);
+
+    await refresh(second.refreshToken).expect(200);
+  });
+
+  it('rejects an access token presented as a refresh token', async () => {
+    const account = await createUser();
+    const tokens = await login(account);
+
+    await refresh(tokens.accessToken).expect(401);
+  });
+});
@@ -0,0 +1,97 @@
+const request = require('supertest');
+const { createApp, createUser, nextIp, bearer } = require('./helpers/app');
+
+const app = createApp();
+
+const login = async ({ user, password }, userAgent = 'jest') => {
+  const res = await request(app)
+    .post('/api/auth/login')
+    .set('X-Forwarded-For', nextIp())
+    .set('User-Agent', userAgent)
+    .send({ email: user.email, password })
+    .expect(200);
+  return res.body.data;
+};
+
+const listSessions = async (accessToken) => {
+  const res = await request(app).get('/api/auth/sessions').set(bearer(accessToken)).expect(200);
+  return res.body.data.sessions;
+};
+
+describe('Sessions', () => {
+  it('lists one session per sign-in and marks the current one', async () => {
+    const account = await createUser();
+    await login(account, 'laptop');
+    const phone = await login(account, 'phone');
+
+    const sessions = await listSessions(phone.accessToken);
+    expect(sessions).toHaveLength(2);
+    expect(sessions.filter(session => session.current)).toHaveLength(1);
+    expect(sessions.find(session => session.current).userAgent).toBe('phone');
+  });
+
+  it('revoking a session ends its refresh token and its access tokens', async () => {
+    const account = await createUser();
+    const laptop = await login(account, 'laptop');
+    const phone = await login(account, 'phone');
+
+    const target = (await listSessions(phone.accessToken)).find(session => session.userAgent === 'laptop');
+    const res = await request(app)
+      .delete(`/api/auth/sessions/${target.id}`)
+      .set(bearer(phone.accessToken))
+      .expect(200);
+    expect(res.body.data.current).toBe(false);
+
+    await request(app).post('/api/auth/refresh').send({ refreshToken: laptop.refreshToken }).expect(401);
+    const revoked = await request(app).get('/api/auth/sessions').set(bearer(laptop.accessToken)).expect(401);
+    expect(revoked.body.code).toBe('TOKEN_REVOKED');
+
+    // The session doing the revoking keeps working
+    expect(await listSessions(phone.accessToken)).toHaveLength(1);
+  });
+
+  it('answers 404 for a session the user does not have', async () => {
+    const account = await createUser();
+    const other = await createUser();
+    const tokens = await login(account);
+    const otherTokens = await login(other);
+
+    const [otherSession] = await listSessions(otherTokens.accessToken);
+    await request(app)
+      .delete(`/api/auth/sessions/${otherSession.id}`)
+      .set(bearer(tokens.accessToken))
+      .expect(404);
+
+    await listSessions(otherTokens.accessToken);
+  });
+
+  it('logout ends the session its refresh token belongs to', async () => {
+    const account = await createUser();
+    const tokens = await login(account);
+    const other = await login(account);
+
+    await request(app)
+      .post('/api/auth/logout')
+      .set(bearer(tokens.accessToken))
+      .send({ refreshToken: tokens.refreshToken })
+      .expect(200);
+
+    await request(app).post('/api/auth/refresh').send({ refreshToken: tokens.refreshToken }).expect(401);
+    expect(await listSessions(other.accessToken)).toHaveLength(1);
+  });
+
+  it('logout-all ends every session', async () => {
+    const account = await createUser();
+    const first = await login(account);
+    const second = await login(account);
+
+    // The cutoff has one-second resolution and spares tokens issued in its own second
+    const later = Date.now() + 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+
+    await request(app).post('/api/auth/logout-all').set(bearer(first.accessToken)).expect(200);
+
+    await request(app).post('/api/auth/refresh').send({ refreshToken: second.refreshToken }).expect(401);
+    await request(app).get('/api/auth/sessions').set(bearer(second.accessToken)).expect(401);
+  });
+});
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+beforeAll(async () => {
+  // Jest workers run their files one at a time, so a database per worker keeps them apart
+  await mongoose.connect(process.env.MONGODB_TEST_URI, {
+    dbName: `test_${process.env.JEST_WORKER_ID}`
+  });
+  // Build the schema indexes up front so unique constraints hold from the first test
+  await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).syncIndexes()));
+});
+
+beforeEach(async () => {
+  await Promise.all(
+    Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({}))
+  );
+  // Controllers narrate what they do; keep test output readable
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+});
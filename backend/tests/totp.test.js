@@ -0,0 +1,138 @@
+const request = require('supertest');
+const User = require('../src/models/User');
+const { generateCode, getTimeStep, verifyCode, base32Encode, generateSecret } = require('../src/utils/totp');
+const { createApp, createUser, nextIp } = require('./helpers/app');
+
+const app = createApp();
+
+// Sign in with a password and return the two-factor challenge token
+const startLogin = async ({ email, password }, ip) => {
+  const res = await request(app)
+    .post('/api/auth/login')
+    .set('X-Forwarded-For', ip)
+    .send({ email, password })
+    .expect(200);
+
+  expect(res.body.data.twoFactorRequired).toBe(true);
+  return res.body.data.challengeToken;
+};
+
+const createTwoFactorUser = async () => {
+  const secret = generateSecret();
+  const created = await createUser({ twoFactorEnabled: true, twoFactorSecret: secret });
+  const user = await User.findById(created.user._id).select('+twoFactorPendingSecret');
+  return { ...created, user, secret };
+};
+
+describe('TOTP codes', () => {
+  it('matches the RFC 6238 SHA-1 test vector', () => {
+    const secret = base32Encode(Buffer.from('12345678901234567890'));
+    // T = 59s -> step 1 -> 94287082, truncated to six digits
+    expect(generateCode(secret, 1)).toBe('287082');
+  });
+
+  it('accepts the previous and next step but nothing further out', () => {
+    const secret = generateSecret();
+    const step = getTimeStep();
+
+    expect(verifyCode(secret, generateCode(secret, step))).toBe(step);
+    expect(verifyCode(secret, generateCode(secret, step - 1))).toBe(step - 1);
+    expect(verifyCode(secret, generateCode(secret, step + 1))).toBe(step + 1);
+    expect(verifyCode(secret, generateCode(secret, step - 2))).toBeNull();
+  });
+
+  it('rejects steps at or before afterStep', () => {
+    const secret = generateSecret();
+    const step = getTimeStep();
+
+    expect(verifyCode(secret, generateCode(secret, step), { afterStep: step })).toBeNull();
+    expect(verifyCode(secret, generateCode(secret, step - 1), { afterStep: step - 1 })).toBeNull();
+  });
+});
+
+describe('Two-factor setup', () => {
+  it('turns on only after a code from the pending secret is confirmed', async () => {
+    const { user } = await createUser();
+    const secret = user.startTwoFactorSetup();
+
+    expect(user.confirmTwoFactorSetup('000000')).toBeNull();
+    expect(user.twoFactorEnabled).toBe(false);
+
+    const codes = user.confirmTwoFactorSetup(generateCode(secret, getTimeStep()));
+    expect(codes).toHaveLength(10);
+    expect(user.twoFactorEnabled).toBe(true);
+    expect(user.twoFactorSecret).toBe(secret);
+  });
+});
+
+describe('POST /api/auth/login/2fa', () => {
+  it('signs in with a current code and refuses to replay it', async () => {
+    const { user, password, secret } = await createTwoFactorUser();
+    const ip = nextIp();
+    const code = generateCode(secret, getTimeStep());
+
+    const first = await request(app)
+      .post('/api/auth/login/2fa')
+      .set('X-Forwarded-For', ip)
+      .send({ challengeToken: await startLogin({ email: user.email, password }, ip), code })
+      .expect(200);
+    expect(first.body.data.accessToken).toEqual(expect.any(String));
+
+    const replay = await request(app)
+      .post('/api/auth/login/2fa')
+      .set('X-Forwarded-For', ip)
+      .send({ challengeToken: await startLogin({ email: user.email, password }, ip), code })
+      .expect(400);
+    expect(replay.body.code).toBe('INVALID_2FA_CODE');
+  });
+
+  it('accepts only one of two concurrent uses of the same code', async () => {
+    const { user, secret } = await createTwoFactorUser();
+    const stored = await User.findById(user._id).select('+twoFactorSecret +twoFactorLastStep');
+    const code = generateCode(secret, getTimeStep());
+
+    const results = await Promise.all([stored.useTwoFactorCode(code), stored.useTwoFactorCode(code)]);
+    expect(results.sort()).toEqual([null, 'totp']);
+  });
+
+  it('does not reuse a challenge token', async () => {
+    const { user, password, secret } = await createTwoFactorUser();
+    const ip = nextIp();
+    const challengeToken = await startLogin({ email: user.email, password }, ip);
+
+    await request(app)
+      .post('/api/auth/login/2fa')
+      .set('X-Forwarded-For', ip)
+      .send({ challengeToken, code: generateCode(secret, getTimeStep()) })
+      .expect(200);
+
+    const again = await request(app)
+      .post('/api/auth/login/2fa')
+      .set('X-Forwarded-For', ip)
+      .send({ challengeToken, code: generateCode(secret, getTimeStep() + 1) })
+      .expect(400);
+    expect(again.body.code).toBe('INVALID_CHALLENGE');
+  });
+
+  it('accepts each recovery code once', async () => {
+    const { user, password } = await createTwoFactorUser();
+    const withCodes = await User.findById(user._id).select('+twoFactorRecoveryCodes');
+    const [recoveryCode] = withCodes.generateRecoveryCodes();
+    await withCodes.save();
+    const ip = nextIp();
+
+    const first = await request(app)
+      .post('/api/auth/login/2fa')
+      .set('X-Forwarded-For', ip)
+      .send({ challengeToken: await startLogin({ email: user.email, password }, ip), code: recoveryCode })
+      .expect(200);
+    expect(first.body.data.recoveryCodesRemaining).toBe(9);
+
+    const second = await request(app)
+      .post('/api/auth/login/2fa')
+      .set('X-Forwarded-For', ip)
+      .send({ challengeToken: await startLogin({ email: user.email, password }, ip), code: recoveryCode })
+      .expect(400);
+    expect(second.body.code).toBe('INVALID_2FA_CODE');
+  });
+});
@@ -0,0 +1,102 @@
+// New files go to the memory driver (read when the storage module loads)
+process.env.STORAGE_DRIVER = 'memory';
+
+const request = require('supertest');
+const UploadSession = require('../src/models/UploadSession');
+const User = require('../src/models/User');
+const { createApp, createUser, createPost, bearer } = require('./helpers/app');
+
+const app = createApp();
+
+const FILE = Buffer.from('Thirty bytes of plain old text');
+
+// Start, send and finalize a text file in one chunk
+const uploadFile = async (accessToken, content = FILE) => {
+  const created = await request(app)
+    .post('/api/uploads')
+    .set(bearer(accessToken))
+    .send({ fileName: 'notes.txt', mimeType: 'text/plain', size: content.length })
+    .expect(201);
+  const { id } = created.body.data.upload;
+
+  await request(app)
+    .patch(`/api/uploads/${id}`)
+    .set(bearer(accessToken))
+    .set('Upload-Offset', '0')
+    .set('Content-Type', 'application/offset+octet-stream')
+    .send(content)
+    .expect(200);
+
+  await request(app).post(`/api/uploads/${id}/finalize`).set(bearer(accessToken)).expect(200);
+  return id;
+};
+
+describe('Resumable uploads and the storage quota', () => {
+  it('counts finished uploads no post uses yet', async () => {
+    const { accessToken } = await createUser({ storageQuota: 50 });
+    await uploadFile(accessToken);
+
+    const res = await request(app)
+      .post('/api/uploads')
+      .set(bearer(accessToken))
+      .send({ fileName: 'more.txt', mimeType: 'text/plain', size: FILE.length })
+      .expect(413);
+    expect(res.body.storage).toMatchObject({ used: 0, quota: 50, remaining: 20 });
+  });
+
+  it('rejects a post whose uploads no longer fit and leaves them finished', async () => {
+    const { user, accessToken } = await createUser({ storageQuota: 50 });
+    const uploadId = await uploadFile(accessToken);
+
+    // Another post took up space since the upload finished
+    await User.updateOne({ _id: user._id }, { storageUsed: 40 });
+
+    await request(app)
+      .post('/api/posts')
+      .set(bearer(accessToken))
+      .send({ title: 'A post with an upload', content: 'Some content that is long enough.', uploadIds: [uploadId] })
+      .expect(413);
+
+    expect((await UploadSession.findById(uploadId)).status).toBe('complete');
+  });
+
+  it('charges the author for the uploads a post takes on', async () => {
+    const { user, accessToken } = await createUser({ storageQuota: 50 });
+    const uploadId = await uploadFile(accessToken);
+
+    await request(app)
+      .post('/api/posts')
+      .set(bearer(accessToken))
+      .send({ title: 'A post with an upload', content: 'Some content that is long enough.', uploadIds: [uploadId] })
+      .expect(201);
+
+    expect((await User.findById(user._id)).storageUsed).toBe(FILE.length);
+    expect(await UploadSession.findById(uploadId)).toBeNull();
+  });
+});
+
+describe('Email verification policy', () => {
+  it('keeps unverified users from starting uploads and editing posts', async () => {
+    const { user, accessToken } = await createUser({ emailVerified: false });
+    const post = await createPost(user);
+
+    process.env.EMAIL_VERIFICATION = 'required';
+    try {
+      const upload = await request(app)
+        .post('/api/uploads')
+        .set(bearer(accessToken))
+        .send({ fileName: 'notes.txt', mimeType: 'text/plain', size: FILE.length })
+        .expect(403);
+      expect(upload.body.code).toBe('EMAIL_NOT_VERIFIED');
+
+      const edit = await request(app)
+        .put(`/api/posts/${post._id}`)
+        .set(bearer(accessToken))
+        .send({ title: 'An edited title', content: post.content, status: 'published' })
+        .expect(403);
+      expect(edit.body.code).toBe('EMAIL_NOT_VERIFIED');
+    } finally {
+      delete process.env.EMAIL_VERIFICATION;
+    }
+  });
+});
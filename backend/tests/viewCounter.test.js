@@ -0,0 +1,91 @@
+const request = require('supertest');
+const Post = require('../src/models/Post');
+const { recordView, getPendingViews, flushViews } = require('../src/utils/viewCounter');
+const { createApp, createUser, createPost, nextIp } = require('./helpers/app');
+
+const app = createApp();
+
+const views = async (post) => (await Post.findById(post._id)).views;
+
+const viewPage = async (post) => {
+  const res = await request(app).get(`/api/posts/${post._id}`).set('X-Forwarded-For', nextIp()).expect(200);
+  return res.body.data.post.views;
+};
+
+describe('View counter without Redis', () => {
+  let author;
+
+  beforeEach(async () => {
+    ({ user: author } = await createUser());
+    // Leave nothing buffered by an earlier test
+    await flushViews();
+  });
+
+  it('counts a viewer once and writes the buffered views in one flush', async () => {
+    const post = await createPost(author);
+
+    expect(await recordView(post._id, { ip: '10.1.0.1' })).toBe(true);
+    expect(await recordView(post._id, { ip: '10.1.0.1' })).toBe(false);
+    expect(await recordView(post._id, { userId: author._id })).toBe(true);
+    expect(await getPendingViews(post._id)).toBe(2);
+
+    expect(await flushViews()).toBe(2);
+    expect(await views(post)).toBe(2);
+    expect(await getPendingViews(post._id)).toBe(0);
+  });
+
+  it('retries only the posts whose write failed', async () => {
+    const first = await createPost(author);
+    const second = await createPost(author, { title: 'Another post for testing' });
+    await recordView(first._id, { ip: '10.1.0.2' });
+    await recordView(second._id, { ip: '10.1.0.2' });
+
+    // The first $inc lands, the second fails
+    const bulkWrite = Post.bulkWrite.bind(Post);
+    jest.spyOn(Post, 'bulkWrite').mockImplementationOnce(async (operations) => {
+      await bulkWrite(operations.slice(0, 1));
+      throw Object.assign(new Error('write failed'), { writeErrors: [{ index: 1 }] });
+    });
+
+    await expect(flushViews()).rejects.toThrow('write failed');
+    expect(await getPendingViews(first._id)).toBe(0);
+    expect(await getPendingViews(second._id)).toBe(1);
+
+    await flushViews();
+    expect(await views(first)).toBe(1);
+    expect(await views(second)).toBe(1);
+  });
+
+  it('keeps every view buffered when nothing is known to be written', async () => {
+    const post = await createPost(author);
+    await recordView(post._id, { ip: '10.1.0.3' });
+
+    jest.spyOn(Post, 'bulkWrite').mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(flushViews()).rejects.toThrow('connection lost');
+    expect(await getPendingViews(post._id)).toBe(1);
+  });
+});
+
+describe('GET /api/posts/:id views', () => {
+  it('reads the stored count from the cached post, without another query per read', async () => {
+    const { user } = await createUser();
+    const post = await createPost(user);
+    const findById = jest.spyOn(Post, 'findById');
+
+    expect(await viewPage(post)).toBe(1);
+    expect(await viewPage(post)).toBe(2);
+    expect(findById).toHaveBeenCalledTimes(1);
+  });
+
+  it('shows the same total after views are flushed', async () => {
+    const { user } = await createUser();
+    const post = await createPost(user);
+
+    await viewPage(post);
+    await viewPage(post);
+    await flushViews();
+
+    expect(await viewPage(post)).toBe(3);
+  });
+});
@@ -11,13 +11,19 @@ import ProtectedRoute from './components/common/ProtectedRoute';
 
 // Import pages
 import Login from './pages/Login';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import OAuthCallback from './pages/OAuthCallback';
 import Posts from './pages/Posts';
 import PostDetail from './pages/PostDetail';
 import MyPosts from './pages/MyPosts';
 import Profile from './pages/Profile';
+import Admin from './pages/Admin';
 
 // Import auth state
 import { selectIsAuthenticated, selectAuthLoading } from './store/slices/authSlice';
+import { USER_ROLES } from './utils/constants';
 
 // Modern Material-UI theme
 const theme = createTheme({
@@ -205,6 +211,21 @@ function App() {
                 isAuthenticated ? <Navigate to="/posts" replace /> : <Login />
               } 
             />
+
+            {/* Public routes - Password reset */}
+            <Route
+              path="/forgot-password"
+              element={
+                isAuthenticated ? <Navigate to="/posts" replace /> : <ForgotPassword />
+              }
+            />
+            <Route path="/reset-password" element={<ResetPassword />} />
+
+            {/* Public route - Email verification link (works signed in or out) */}
+            <Route path="/verify-email" element={<VerifyEmail />} />
+
+            {/* Public route - OIDC provider redirect */}
+            <Route path="/oauth/callback" element={<OAuthCallback />} />
             
             {/* Protected routes */}
             <Route
@@ -215,8 +236,19 @@ function App() {
                     <Routes>
                       <Route path="/posts" element={<Posts />} />
                       <Route path="/posts/:postId" element={<PostDetail />} />
+                      <Route path="/posts/:postId/comments/:commentId" element={<PostDetail />} />
                       <Route path="/my_posts" element={<MyPosts />} />
                       <Route path="/profile" element={<Profile />} />
+
+                      {/* Admin-only area */}
+                      <Route
+                        path="/admin"
+                        element={
+                          <ProtectedRoute roles={[USER_ROLES.ADMIN]}>
+                            <Admin />
+                          </ProtectedRoute>
+                        }
+                      />
                       
                       {/* Default redirect */}
                       <Route path="/" element={<Navigate to="/posts" replace />} />
@@ -0,0 +1,165 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Grid,
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Skeleton,
+} from '@mui/material';
+import {
+  People,
+  PersonOff,
+  AdminPanelSettings,
+  Article,
+  Drafts,
+  Archive,
+  Visibility,
+  Storage,
+} from '@mui/icons-material';
+
+import adminService from '../../services/adminService';
+import ErrorState from '../common/ErrorState';
+import { formatFileSize } from '../../utils/helpers';
+
+function StatCard({ icon, label, value, caption, color = 'primary.main' }) {
+  return (
+    <Card>
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          <Box sx={{ color, display: 'flex' }}>{icon}</Box>
+          <Box sx={{ minWidth: 0 }}>
+            <Typography variant="h4" component="div">
+              {value}
+            </Typography>
+            <Typography variant="body2" color="textSecondary">
+              {label}
+            </Typography>
+            {caption && (
+              <Typography variant="caption" color="textSecondary">
+                {caption}
+              </Typography>
+            )}
+          </Box>
+        </Box>
+      </CardContent>
+    </Card>
+  );
+}
+
+function AdminStats() {
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchStats = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await adminService.getStats();
+      setStats(response.data.stats);
+    } catch (err) {
+      console.error('Failed to fetch admin stats:', err);
+      setError(err.response?.data?.message || 'Failed to load statistics');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStats();
+  }, [fetchStats]);
+
+  if (error) {
+    return <ErrorState message={error} onRetry={fetchStats} fullHeight={false} />;
+  }
+
+  if (loading || !stats) {
+    return (
+      <Grid container spacing={2}>
+        {Array.from({ length: 8 }).map((_, index) => (
+          <Grid item xs={12} sm={6} md={3} key={index}>
+            <Skeleton variant="rounded" height={110} />
+          </Grid>
+        ))}
+      </Grid>
+    );
+  }
+
+  const { users, posts } = stats;
+  const inactiveUsers = users.totalUsers - users.activeUsers;
+
+  return (
+    <Grid container spacing={2}>
+      <Grid item xs={12} sm={6} md={3}>
+        <StatCard
+          icon={<People fontSize="large" />}
+          label="Active users"
+          value={users.activeUsers}
+          caption={`${users.newLastWeek} joined in the last 7 days`}
+        />
+      </Grid>
+      <Grid item xs={12} sm={6} md={3}>
+        <StatCard
+          icon={<PersonOff fontSize="large" />}
+          label="Deactivated users"
+          value={inactiveUsers}
+          color="error.main"
+        />
+      </Grid>
+      <Grid item xs={12} sm={6} md={3}>
+        <StatCard
+          icon={<AdminPanelSettings fontSize="large" />}
+          label="Admins"
+          value={users.adminUsers}
+          caption={`${stats.adminActionsLastWeek} admin actions in the last 7 days`}
+          color="secondary.main"
+        />
+      </Grid>
+      <Grid item xs={12} sm={6} md={3}>
+        <StatCard
+          icon={<Storage fontSize="large" />}
+          label="Attachment storage"
+          value={formatFileSize(users.totalStorageUsed)}
+          caption={`Avg. ${Math.round(users.avgLoginCount || 0)} logins per user`}
+          color="info.main"
+        />
+      </Grid>
+      <Grid item xs={12} sm={6} md={3}>
+        <StatCard
+          icon={<Article fontSize="large" />}
+          label="Published posts"
+          value={posts.byStatus.published || 0}
+          caption={`${posts.newLastWeek} posts in the last 7 days`}
+        />
+      </Grid>
+      <Grid item xs={12} sm={6} md={3}>
+        <StatCard
+          icon={<Drafts fontSize="large" />}
+          label="Drafts"
+          value={posts.byStatus.draft || 0}
+          color="text.secondary"
+        />
+      </Grid>
+      <Grid item xs={12} sm={6} md={3}>
+        <StatCard
+          icon={<Archive fontSize="large" />}
+          label="Archived posts"
+          value={posts.byStatus.archived || 0}
+          color="warning.main"
+        />
+      </Grid>
+      <Grid item xs={12} sm={6} md={3}>
+        <StatCard
+          icon={<Visibility fontSize="large" />}
+          label="Total views"
+          value={posts.views}
+          caption={`${posts.likes} likes`}
+          color="success.main"
+        />
+      </Grid>
+    </Grid>
+  );
+}
+
+export default AdminStats;
\ No newline at end of file
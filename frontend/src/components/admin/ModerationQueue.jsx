@@ -0,0 +1,242 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useSnackbar } from 'notistack';
+import { DataGrid } from '@mui/x-data-grid';
+import {
+  Box,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Chip,
+  IconButton,
+  Tooltip,
+  Paper,
+  InputAdornment,
+} from '@mui/material';
+import {
+  Search,
+  Visibility,
+  Archive,
+  Unarchive,
+  Delete,
+} from '@mui/icons-material';
+
+import adminService from '../../services/adminService';
+import { PAGINATION, DEBOUNCE_DELAYS } from '../../utils/constants';
+import { formatDate } from '../../utils/helpers';
+
+const STATUS_COLORS = {
+  published: 'success',
+  draft: 'default',
+  archived: 'warning',
+};
+
+// Newest posts first, across every author and status
+function ModerationQueue() {
+  const navigate = useNavigate();
+  const { enqueueSnackbar } = useSnackbar();
+
+  const [rows, setRows] = useState([]);
+  const [rowCount, setRowCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [busyPostId, setBusyPostId] = useState(null);
+
+  const [paginationModel, setPaginationModel] = useState({ page: 0, pageSize: 25 });
+  const [statusFilter, setStatusFilter] = useState('published');
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setSearch(searchInput.trim());
+      setPaginationModel(prev => ({ ...prev, page: 0 }));
+    }, DEBOUNCE_DELAYS.SEARCH);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  const fetchPosts = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await adminService.getPosts({
+        page: paginationModel.page + 1,
+        limit: paginationModel.pageSize,
+        ...(statusFilter && { status: statusFilter }),
+        ...(search && { search }),
+      });
+      setRows(response.data.posts);
+      setRowCount(response.data.pagination.totalItems);
+    } catch (error) {
+      console.error('Failed to fetch posts for moderation:', error);
+      enqueueSnackbar(error.response?.data?.message || 'Failed to load posts', { variant: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  }, [paginationModel, statusFilter, search, enqueueSnackbar]);
+
+  useEffect(() => {
+    fetchPosts();
+  }, [fetchPosts]);
+
+  const handleSetStatus = async (post, status) => {
+    const reason = window.prompt(`Set "${post.title}" to ${status}? Optional reason:`);
+    if (reason === null) return;
+
+    setBusyPostId(post._id);
+    try {
+      await adminService.setPostStatus(post._id, status, reason || undefined);
+      enqueueSnackbar(`Post set to ${status}`, { variant: 'success' });
+      fetchPosts();
+    } catch (error) {
+      enqueueSnackbar(error.response?.data?.message || 'Failed to update post', { variant: 'error' });
+    } finally {
+      setBusyPostId(null);
+    }
+  };
+
+  const handleDelete = async (post) => {
+    const reason = window.prompt(`Permanently delete "${post.title}" and its attachments? Optional reason:`);
+    if (reason === null) return;
+
+    setBusyPostId(post._id);
+    try {
+      await adminService.deletePost(post._id, reason || undefined);
+      enqueueSnackbar('Post deleted', { variant: 'success' });
+      fetchPosts();
+    } catch (error) {
+      enqueueSnackbar(error.response?.data?.message || 'Failed to delete post', { variant: 'error' });
+    } finally {
+      setBusyPostId(null);
+    }
+  };
+
+  const columns = [
+    { field: 'title', headerName: 'Title', flex: 1, minWidth: 220, sortable: false },
+    {
+      field: 'author',
+      headerName: 'Author',
+      flex: 1,
+      minWidth: 180,
+      sortable: false,
+      valueGetter: (params) => {
+        const author = params.row.author;
+        return author ? `${author.firstName} ${author.lastName} (${author.email})` : 'Deleted user';
+      },
+    },
+    {
+      field: 'status',
+      headerName: 'Status',
+      width: 120,
+      sortable: false,
+      renderCell: (params) => (
+        <Chip size="small" label={params.value} color={STATUS_COLORS[params.value]} variant="outlined" />
+      ),
+    },
+    {
+      field: 'attachments',
+      headerName: 'Files',
+      width: 80,
+      sortable: false,
+      valueGetter: (params) => (params.row.attachments || []).length,
+    },
+    {
+      field: 'createdAt',
+      headerName: 'Created',
+      width: 130,
+      sortable: false,
+      valueFormatter: (params) => formatDate(params.value, 'SHORT'),
+    },
+    {
+      field: 'actions',
+      headerName: '',
+      width: 140,
+      sortable: false,
+      renderCell: (params) => {
+        const post = params.row;
+        const isBusy = busyPostId === post._id;
+        const isArchived = post.status === 'archived';
+
+        return (
+          <Box>
+            <Tooltip title="View">
+              <IconButton size="small" onClick={() => navigate(`/posts/${post._id}`)}>
+                <Visibility fontSize="small" />
+              </IconButton>
+            </Tooltip>
+            <Tooltip title={isArchived ? 'Republish' : 'Archive'}>
+              <span>
+                <IconButton
+                  size="small"
+                  color="warning"
+                  disabled={isBusy}
+                  onClick={() => handleSetStatus(post, isArchived ? 'published' : 'archived')}
+                >
+                  {isArchived ? <Unarchive fontSize="small" /> : <Archive fontSize="small" />}
+                </IconButton>
+              </span>
+            </Tooltip>
+            <Tooltip title="Delete">
+              <span>
+                <IconButton size="small" color="error" disabled={isBusy} onClick={() => handleDelete(post)}>
+                  <Delete fontSize="small" />
+                </IconButton>
+              </span>
+            </Tooltip>
+          </Box>
+        );
+      },
+    },
+  ];
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Box sx={{ display: 'flex', gap: 2, mb: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+        <TextField
+          size="small"
+          placeholder="Search titles"
+          value={searchInput}
+          onChange={(event) => setSearchInput(event.target.value)}
+          sx={{ flex: 1, minWidth: 220 }}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <Search fontSize="small" />
+              </InputAdornment>
+            ),
+          }}
+        />
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={statusFilter}
+          onChange={(event, value) => {
+            if (value === null) return;
+            setStatusFilter(value);
+            setPaginationModel(prev => ({ ...prev, page: 0 }));
+          }}
+        >
+          <ToggleButton value="published">Published</ToggleButton>
+          <ToggleButton value="draft">Drafts</ToggleButton>
+          <ToggleButton value="archived">Archived</ToggleButton>
+          <ToggleButton value="">All</ToggleButton>
+        </ToggleButtonGroup>
+      </Box>
+
+      <DataGrid
+        autoHeight
+        rows={rows}
+        columns={columns}
+        getRowId={(row) => row._id}
+        rowCount={rowCount}
+        loading={loading}
+        paginationMode="server"
+        paginationModel={paginationModel}
+        onPaginationModelChange={setPaginationModel}
+        pageSizeOptions={PAGINATION.PAGE_SIZE_OPTIONS}
+        disableRowSelectionOnClick
+        disableColumnMenu
+      />
+    </Paper>
+  );
+}
+
+export default ModerationQueue;
\ No newline at end of file
@@ -0,0 +1,328 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { useSnackbar } from 'notistack';
+import { DataGrid } from '@mui/x-data-grid';
+import {
+  Box,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Chip,
+  IconButton,
+  Tooltip,
+  Paper,
+  InputAdornment,
+} from '@mui/material';
+import {
+  Search,
+  Block,
+  CheckCircle,
+  Logout,
+  LockOpen,
+} from '@mui/icons-material';
+
+import adminService from '../../services/adminService';
+import { selectUser } from '../../store/slices/authSlice';
+import { USER_ROLES, PAGINATION, DEBOUNCE_DELAYS } from '../../utils/constants';
+import { formatDate, formatFileSize } from '../../utils/helpers';
+
+function UsersTable() {
+  const { enqueueSnackbar } = useSnackbar();
+  const currentUser = useSelector(selectUser);
+
+  const [rows, setRows] = useState([]);
+  const [rowCount, setRowCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [busyUserId, setBusyUserId] = useState(null);
+
+  const [paginationModel, setPaginationModel] = useState({ page: 0, pageSize: 25 });
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [roleFilter, setRoleFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+
+  // Debounce the search box so every keystroke doesn't hit the API
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setSearch(searchInput.trim());
+      setPaginationModel(prev => ({ ...prev, page: 0 }));
+    }, DEBOUNCE_DELAYS.SEARCH);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await adminService.getUsers({
+        page: paginationModel.page + 1,
+        limit: paginationModel.pageSize,
+        ...(search && { search }),
+        ...(roleFilter && { role: roleFilter }),
+        ...(statusFilter && { isActive: statusFilter === 'active' }),
+      });
+      setRows(response.data.users);
+      setRowCount(response.data.pagination.totalItems);
+    } catch (error) {
+      console.error('Failed to fetch users:', error);
+      enqueueSnackbar(error.response?.data?.message || 'Failed to load users', { variant: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  }, [paginationModel, search, roleFilter, statusFilter, enqueueSnackbar]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  // Merge, so fields only the list returns (like lockout) survive an update
+  const replaceRow = (user) => {
+    setRows(prev => prev.map(row => (row._id === user._id ? { ...row, ...user } : row)));
+  };
+
+  // Run an admin action for one user, keeping its row disabled meanwhile
+  const runAction = async (userId, action, successMessage) => {
+    setBusyUserId(userId);
+    try {
+      const response = await action();
+      if (response.data?.user) {
+        replaceRow(response.data.user);
+      }
+      enqueueSnackbar(successMessage, { variant: 'success' });
+    } catch (error) {
+      enqueueSnackbar(error.response?.data?.message || 'Action failed', { variant: 'error' });
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  const handleToggleActive = (user) => {
+    const activate = !user.isActive;
+    const reason = activate ? undefined : window.prompt(`Deactivate ${user.email}? Optional reason:`);
+    // prompt() returns null when cancelled
+    if (!activate && reason === null) return;
+
+    runAction(
+      user._id,
+      () => adminService.setUserActive(user._id, activate, reason || undefined),
+      activate ? 'User activated' : 'User deactivated'
+    );
+  };
+
+  const handleRoleChange = (user, role) => {
+    if (role === user.role) return;
+    if (!window.confirm(`Change ${user.email} from ${user.role} to ${role}?`)) return;
+
+    runAction(user._id, () => adminService.setUserRole(user._id, role), `Role set to ${role}`);
+  };
+
+  const handleForceLogout = (user) => {
+    if (!window.confirm(`Sign ${user.email} out of every device?`)) return;
+
+    runAction(user._id, () => adminService.forceLogout(user._id), 'User signed out everywhere');
+  };
+
+  const handleUnlock = (user) => {
+    if (!window.confirm(`Unlock ${user.email}? Their failed sign-in attempts will be cleared.`)) return;
+
+    runAction(user._id, () => adminService.unlockUser(user._id), 'User unlocked');
+  };
+
+  const columns = [
+    {
+      field: 'fullName',
+      headerName: 'Name',
+      flex: 1,
+      minWidth: 160,
+      sortable: false,
+      valueGetter: (params) => params.row.fullName || `${params.row.firstName} ${params.row.lastName}`,
+    },
+    { field: 'email', headerName: 'Email', flex: 1, minWidth: 200, sortable: false },
+    {
+      field: 'role',
+      headerName: 'Role',
+      width: 140,
+      sortable: false,
+      renderCell: (params) => (
+        <Select
+          size="small"
+          variant="standard"
+          value={params.row.role}
+          disabled={params.row._id === currentUser?._id || busyUserId === params.row._id}
+          onChange={(event) => handleRoleChange(params.row, event.target.value)}
+        >
+          {Object.values(USER_ROLES).map(role => (
+            <MenuItem key={role} value={role}>{role}</MenuItem>
+          ))}
+        </Select>
+      ),
+    },
+    {
+      field: 'isActive',
+      headerName: 'Status',
+      width: 180,
+      sortable: false,
+      renderCell: (params) => (
+        <Box sx={{ display: 'flex', gap: 0.5 }}>
+          <Chip
+            size="small"
+            label={params.row.isActive ? 'Active' : 'Deactivated'}
+            color={params.row.isActive ? 'success' : 'default'}
+            variant="outlined"
+          />
+          {params.row.lockout && (
+            <Tooltip
+              title={`Locked until ${formatDate(params.row.lockout.lockedUntil, 'TIME_ONLY')} after ${params.row.lockout.failures} failed attempts`}
+            >
+              <Chip size="small" label="Locked" color="warning" variant="outlined" />
+            </Tooltip>
+          )}
+        </Box>
+      ),
+    },
+    {
+      field: 'storageUsed',
+      headerName: 'Storage',
+      width: 110,
+      sortable: false,
+      valueFormatter: (params) => formatFileSize(params.value || 0),
+    },
+    {
+      field: 'lastLoginAt',
+      headerName: 'Last login',
+      width: 150,
+      sortable: false,
+      valueFormatter: (params) => (params.value ? formatDate(params.value, 'SHORT') : 'Never'),
+    },
+    {
+      field: 'createdAt',
+      headerName: 'Joined',
+      width: 130,
+      sortable: false,
+      valueFormatter: (params) => formatDate(params.value, 'SHORT'),
+    },
+    {
+      field: 'actions',
+      headerName: '',
+      width: 140,
+      sortable: false,
+      filterable: false,
+      renderCell: (params) => {
+        const isSelf = params.row._id === currentUser?._id;
+        const isBusy = busyUserId === params.row._id;
+
+        return (
+          <Box>
+            <Tooltip title={params.row.isActive ? 'Deactivate' : 'Activate'}>
+              <span>
+                <IconButton
+                  size="small"
+                  color={params.row.isActive ? 'error' : 'success'}
+                  disabled={isSelf || isBusy}
+                  onClick={() => handleToggleActive(params.row)}
+                >
+                  {params.row.isActive ? <Block fontSize="small" /> : <CheckCircle fontSize="small" />}
+                </IconButton>
+              </span>
+            </Tooltip>
+            <Tooltip title="Sign out everywhere">
+              <span>
+                <IconButton
+                  size="small"
+                  disabled={isBusy}
+                  onClick={() => handleForceLogout(params.row)}
+                >
+                  <Logout fontSize="small" />
+                </IconButton>
+              </span>
+            </Tooltip>
+            {params.row.lockout && (
+              <Tooltip title="Unlock sign-in">
+                <span>
+                  <IconButton
+                    size="small"
+                    color="warning"
+                    disabled={isBusy}
+                    onClick={() => handleUnlock(params.row)}
+                  >
+                    <LockOpen fontSize="small" />
+                  </IconButton>
+                </span>
+              </Tooltip>
+            )}
+          </Box>
+        );
+      },
+    },
+  ];
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Box sx={{ display: 'flex', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+        <TextField
+          size="small"
+          placeholder="Search name or email"
+          value={searchInput}
+          onChange={(event) => setSearchInput(event.target.value)}
+          sx={{ flex: 1, minWidth: 220 }}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <Search fontSize="small" />
+              </InputAdornment>
+            ),
+          }}
+        />
+        <FormControl size="small" sx={{ minWidth: 140 }}>
+          <InputLabel>Role</InputLabel>
+          <Select
+            label="Role"
+            value={roleFilter}
+            onChange={(event) => {
+              setRoleFilter(event.target.value);
+              setPaginationModel(prev => ({ ...prev, page: 0 }));
+            }}
+          >
+            <MenuItem value="">All roles</MenuItem>
+            {Object.values(USER_ROLES).map(role => (
+              <MenuItem key={role} value={role}>{role}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl size="small" sx={{ minWidth: 140 }}>
+          <InputLabel>Status</InputLabel>
+          <Select
+            label="Status"
+            value={statusFilter}
+            onChange={(event) => {
+              setStatusFilter(event.target.value);
+              setPaginationModel(prev => ({ ...prev, page: 0 }));
+            }}
+          >
+            <MenuItem value="">All</MenuItem>
+            <MenuItem value="active">Active</MenuItem>
+            <MenuItem value="inactive">Deactivated</MenuItem>
+          </Select>
+        </FormControl>
+      </Box>
+
+      <DataGrid
+        autoHeight
+        rows={rows}
+        columns={columns}
+        getRowId={(row) => row._id}
+        rowCount={rowCount}
+        loading={loading}
+        paginationMode="server"
+        paginationModel={paginationModel}
+        onPaginationModelChange={setPaginationModel}
+        pageSizeOptions={PAGINATION.PAGE_SIZE_OPTIONS}
+        disableRowSelectionOnClick
+        disableColumnMenu
+      />
+    </Paper>
+  );
+}
+
+export default UsersTable;
\ No newline at end of file
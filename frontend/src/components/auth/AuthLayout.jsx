@@ -0,0 +1,48 @@
+import React from 'react';
+import { Container, Paper, Box, Typography } from '@mui/material';
+
+// Centered card used by the signed-out account pages (forgot/reset password)
+function AuthLayout({ title, subtitle, children }) {
+  return (
+    <Container component="main" maxWidth="sm">
+      <Box
+        sx={{
+          minHeight: '100vh',
+          display: 'flex',
+          flexDirection: 'column',
+          justifyContent: 'center',
+          alignItems: 'center',
+          py: 4,
+        }}
+      >
+        <Paper
+          elevation={0}
+          sx={{
+            p: 4,
+            width: '100%',
+            maxWidth: 480,
+            borderRadius: 3,
+            border: '1px solid',
+            borderColor: 'grey.200',
+            bgcolor: 'background.paper',
+          }}
+        >
+          <Box textAlign="center" mb={3}>
+            <Typography variant="h5" component="h1" gutterBottom fontWeight={700}>
+              {title}
+            </Typography>
+            {subtitle && (
+              <Typography variant="body2" color="text.secondary">
+                {subtitle}
+              </Typography>
+            )}
+          </Box>
+
+          {children}
+        </Paper>
+      </Box>
+    </Container>
+  );
+}
+
+export default AuthLayout;
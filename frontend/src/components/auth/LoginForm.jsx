@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
 import {
   Box,
   TextField,
@@ -18,12 +19,19 @@ import {
   Login,
 } from '@mui/icons-material';
 
+import TwoFactorForm from './TwoFactorForm';
+import SocialLoginButtons from './SocialLoginButtons';
+
 function LoginForm({ 
   onSubmit, 
   loading = false, 
   error = null, 
   onToggleMode = null,
-  showToggle = true 
+  showToggle = true,
+  // Set after a correct password when the account has two-factor on
+  twoFactorChallenge = null,
+  onVerifyCode = null,
+  onCancelTwoFactor = null,
 }) {
   const [formData, setFormData] = useState({
     email: '',
@@ -80,6 +88,18 @@ function LoginForm({
     onSubmit(formData);
   };
 
+  // Second step: ask for the authenticator or recovery code
+  if (twoFactorChallenge) {
+    return (
+      <TwoFactorForm
+        onSubmit={onVerifyCode}
+        onCancel={onCancelTwoFactor}
+        loading={loading}
+        error={error}
+      />
+    );
+  }
+
   return (
     <Box component="form" onSubmit={handleSubmit} noValidate>
       {/* Error Display */}
@@ -151,15 +171,7 @@ function LoginForm({
 
       {/* Forgot Password Link */}
       <Box sx={{ textAlign: 'right', mt: 1, mb: 2 }}>
-        <Link
-          href="#"
-          variant="body2"
-          onClick={(e) => {
-            e.preventDefault();
-            // Handle forgot password
-            console.log('Forgot password clicked');
-          }}
-        >
+        <Link component={RouterLink} to="/forgot-password" variant="body2">
           Forgot password?
         </Link>
       </Box>
@@ -176,6 +188,9 @@ function LoginForm({
         {loading ? 'Signing In...' : 'Sign In'}
       </Button>
 
+      {/* OIDC Providers (FEATURE_FLAGS.ENABLE_SOCIAL_LOGIN) */}
+      <SocialLoginButtons disabled={loading} />
+
       {/* Toggle to Register */}
       {showToggle && onToggleMode && (
         <Box sx={{ textAlign: 'center', mt: 2 }}>
@@ -0,0 +1,69 @@
+import React, { useEffect, useState } from 'react';
+import { useSnackbar } from 'notistack';
+import { Box, Button, Divider, Typography, CircularProgress } from '@mui/material';
+import { Login } from '@mui/icons-material';
+
+import authService from '../../services/authService';
+import { FEATURE_FLAGS, STORAGE_KEYS } from '../../utils/constants';
+import { getErrorMessage } from '../../utils/helpers';
+
+// "Continue with ..." buttons for the OIDC providers the server has configured.
+// Renders nothing unless FEATURE_FLAGS.ENABLE_SOCIAL_LOGIN is on and a provider exists.
+function SocialLoginButtons({ disabled = false }) {
+  const { enqueueSnackbar } = useSnackbar();
+  const [providers, setProviders] = useState([]);
+  const [redirecting, setRedirecting] = useState(null);
+
+  useEffect(() => {
+    if (!FEATURE_FLAGS.ENABLE_SOCIAL_LOGIN) return;
+
+    authService.getOidcProviders()
+      .then(response => setProviders(response.data.providers))
+      .catch(error => console.error('Failed to load sign-in providers:', error));
+  }, []);
+
+  const handleClick = async (provider) => {
+    setRedirecting(provider.id);
+    try {
+      const response = await authService.startOidcLogin(provider.id);
+      const { authorizationUrl, state, flowToken } = response.data;
+
+      // Read back by the /oauth/callback page; never leaves this tab
+      sessionStorage.setItem(STORAGE_KEYS.OIDC_FLOW, JSON.stringify({ provider: provider.id, state, flowToken }));
+      window.location.assign(authorizationUrl);
+    } catch (error) {
+      setRedirecting(null);
+      enqueueSnackbar(getErrorMessage(error), { variant: 'error' });
+    }
+  };
+
+  if (!FEATURE_FLAGS.ENABLE_SOCIAL_LOGIN || providers.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box sx={{ mt: 1, mb: 2 }}>
+      <Divider sx={{ mb: 2 }}>
+        <Typography variant="body2" color="text.secondary">
+          or
+        </Typography>
+      </Divider>
+      <Box display="flex" flexDirection="column" gap={1}>
+        {providers.map(provider => (
+          <Button
+            key={provider.id}
+            fullWidth
+            variant="outlined"
+            disabled={disabled || !!redirecting}
+            startIcon={redirecting === provider.id ? <CircularProgress size={20} /> : <Login />}
+            onClick={() => handleClick(provider)}
+          >
+            Continue with {provider.name}
+          </Button>
+        ))}
+      </Box>
+    </Box>
+  );
+}
+
+export default SocialLoginButtons;
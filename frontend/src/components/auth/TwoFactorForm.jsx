@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  TextField,
+  Button,
+  Typography,
+  Link,
+  Alert,
+  CircularProgress,
+  InputAdornment,
+} from '@mui/material';
+import { Security } from '@mui/icons-material';
+
+// Second sign-in step: a code from the authenticator app, or a recovery code
+function TwoFactorForm({ onSubmit, onCancel, loading = false, error = null }) {
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [codeError, setCodeError] = useState('');
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+
+    const value = code.trim();
+    if (useRecoveryCode ? !/^[0-9a-fA-F]{5}-?[0-9a-fA-F]{5}$/.test(value) : !/^\d{6}$/.test(value)) {
+      setCodeError(useRecoveryCode ? 'Enter one of your recovery codes (xxxxx-xxxxx)' : 'Enter the 6-digit code');
+      return;
+    }
+
+    setCodeError('');
+    onSubmit(value);
+  };
+
+  const toggleRecoveryCode = (event) => {
+    event.preventDefault();
+    setUseRecoveryCode(!useRecoveryCode);
+    setCode('');
+    setCodeError('');
+  };
+
+  return (
+    <Box component="form" onSubmit={handleSubmit} noValidate>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        {useRecoveryCode
+          ? 'Enter one of the recovery codes you saved when you turned on two-factor authentication. Each code works once.'
+          : 'Open your authenticator app and enter the 6-digit code for this account.'}
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ my: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <TextField
+        margin="normal"
+        required
+        fullWidth
+        id="twoFactorCode"
+        label={useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+        name="code"
+        autoComplete="one-time-code"
+        autoFocus
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        error={!!codeError}
+        helperText={codeError}
+        disabled={loading}
+        inputProps={useRecoveryCode ? {} : { inputMode: 'numeric', maxLength: 6 }}
+        InputProps={{
+          startAdornment: (
+            <InputAdornment position="start">
+              <Security color="action" />
+            </InputAdornment>
+          ),
+        }}
+      />
+
+      <Box sx={{ textAlign: 'right', mt: 1 }}>
+        <Link href="#" variant="body2" underline="hover" onClick={toggleRecoveryCode}>
+          {useRecoveryCode ? 'Use an authenticator code' : 'Use a recovery code'}
+        </Link>
+      </Box>
+
+      <Button
+        type="submit"
+        fullWidth
+        variant="contained"
+        size="large"
+        disabled={loading}
+        sx={{ mt: 3, mb: 2, py: 1.5, fontSize: '1rem', fontWeight: 600 }}
+      >
+        {loading ? <CircularProgress size={24} /> : 'Verify'}
+      </Button>
+
+      <Box textAlign="center">
+        <Link
+          href="#"
+          variant="body2"
+          underline="hover"
+          onClick={(e) => {
+            e.preventDefault();
+            onCancel();
+          }}
+        >
+          Back to sign in
+        </Link>
+      </Box>
+    </Box>
+  );
+}
+
+export default TwoFactorForm;
@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+import { useSelector } from 'react-redux';
+import { useSnackbar } from 'notistack';
+import { Alert, Button, CircularProgress } from '@mui/material';
+
+import authService from '../../services/authService';
+import { selectUser } from '../../store/slices/authSlice';
+import { getErrorMessage } from '../../utils/helpers';
+
+// Reminder shown above every page until the signed-in user verifies their email
+function EmailVerificationBanner() {
+  const user = useSelector(selectUser);
+  const { enqueueSnackbar } = useSnackbar();
+  const [sending, setSending] = useState(false);
+
+  // Accounts stored before verification existed have no flag; don't nag them
+  if (!user || user.emailVerified !== false) return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const response = await authService.resendVerification();
+      enqueueSnackbar(response.message, { variant: 'success' });
+    } catch (error) {
+      enqueueSnackbar(getErrorMessage(error), { variant: 'error' });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <Alert
+      severity="warning"
+      sx={{ mb: 3 }}
+      action={
+        <Button color="inherit" size="small" onClick={handleResend} disabled={sending}>
+          {sending ? <CircularProgress size={18} color="inherit" /> : 'Resend email'}
+        </Button>
+      }
+    >
+      Please verify your email address ({user.email}). Check your inbox for the link we sent you.
+    </Alert>
+  );
+}
+
+export default EmailVerificationBanner;
@@ -1,10 +1,13 @@
 import React from 'react';
 import { useSelector } from 'react-redux';
 import { Navigate, useLocation } from 'react-router-dom';
-import { selectIsAuthenticated } from '../../store/slices/authSlice';
+import { selectIsAuthenticated, selectUser } from '../../store/slices/authSlice';
 
-function ProtectedRoute({ children }) {
+// roles: when given, only users with one of these roles get through;
+// everyone else who is signed in is sent to redirectTo
+function ProtectedRoute({ children, roles, redirectTo = '/posts' }) {
   const isAuthenticated = useSelector(selectIsAuthenticated);
+  const user = useSelector(selectUser);
   const location = useLocation();
 
   if (!isAuthenticated) {
@@ -12,6 +15,10 @@ function ProtectedRoute({ children }) {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
+  if (roles && !roles.includes(user?.role)) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
   return children;
 }
 
@@ -1,6 +1,7 @@
 import React from 'react';
 import { Box, Container } from '@mui/material';
 import Navbar from './Navbar';
+import EmailVerificationBanner from '../common/EmailVerificationBanner';
 
 function Layout({ children }) {
   return (
@@ -24,6 +25,7 @@ function Layout({ children }) {
         }}
       >
         <Container maxWidth="xl">
+          <EmailVerificationBanner />
           {children}
         </Container>
       </Box>
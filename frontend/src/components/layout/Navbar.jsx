@@ -26,10 +26,12 @@ import {
   Logout,
   AccountCircle,
   Menu as MenuIcon,
+  AdminPanelSettings,
 } from '@mui/icons-material';
 
 import { logoutUser } from '../../store/slices/authSlice';
 import { selectUser } from '../../store/slices/authSlice';
+import { USER_ROLES } from '../../utils/constants';
 
 function Navbar() {
   const dispatch = useDispatch();
@@ -38,6 +40,7 @@ function Navbar() {
   const { enqueueSnackbar } = useSnackbar();
   
   const user = useSelector(selectUser);
+  const isAdmin = user?.role === USER_ROLES.ADMIN;
   
   const [anchorEl, setAnchorEl] = useState(null);
   const [drawerOpen, setDrawerOpen] = useState(false);
@@ -153,6 +156,22 @@ function Navbar() {
           >
             My Posts
           </Button>
+          {isAdmin && (
+            <Button
+              color="inherit"
+              startIcon={<AdminPanelSettings />}
+              onClick={() => navigate('/admin')}
+              sx={{
+                color: isActiveRoute('/admin') ? 'primary.main' : 'text.secondary',
+                fontWeight: isActiveRoute('/admin') ? 600 : 400,
+                '&:hover': {
+                  bgcolor: 'grey.100',
+                },
+              }}
+            >
+              Admin
+            </Button>
+          )}
         </Box>
 
         {/* User Profile Section (desktop only) */}
@@ -288,6 +307,23 @@ function Navbar() {
               </ListItemIcon>
               <ListItemText primary="My Posts" />
             </ListItemButton>
+            {isAdmin && (
+              <ListItemButton
+                onClick={() => navigate('/admin')}
+                selected={isActiveRoute('/admin')}
+                sx={{
+                  '&.Mui-selected': { bgcolor: 'rgba(255,255,255,0.12)' },
+                  '@media (hover: hover) and (pointer: fine)': {
+                    '&:hover': { bgcolor: 'rgba(255,255,255,0.08)' },
+                  },
+                }}
+              >
+                <ListItemIcon sx={{ color: 'inherit' }}>
+                  <AdminPanelSettings />
+                </ListItemIcon>
+                <ListItemText primary="Admin" />
+              </ListItemButton>
+            )}
             <ListItemButton
               onClick={() => navigate('/profile')}
               selected={isActiveRoute('/profile')}
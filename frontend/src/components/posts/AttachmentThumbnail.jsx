@@ -0,0 +1,73 @@
+import React, { useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { Box, Skeleton } from '@mui/material';
+import postsService from '../../services/postsService';
+import { selectIsAuthenticated } from '../../store/slices/authSlice';
+
+// Renditions are fetched as blobs through the API (downloads need the auth
+// header), so a plain <img src="/api/..."> wouldn't work here. Guests get the fallback.
+function AttachmentThumbnail({
+  postId,
+  attachment,
+  variant = 'thumbnail',
+  width = 48,
+  height = 48,
+  fallback = null,
+  sx = {},
+}) {
+  const attachmentId = attachment?._id;
+  const isAuthenticated = useSelector(selectIsAuthenticated);
+  const hasRendition = Boolean(attachment?.renditions?.[variant]) && isAuthenticated;
+  const [src, setSrc] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    if (!hasRendition) return undefined;
+
+    let objectUrl = null;
+    let cancelled = false;
+
+    postsService.downloadAttachment(postId, attachmentId, { variant })
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setSrc(objectUrl);
+      })
+      .catch(() => {
+        if (!cancelled) setFailed(true);
+      });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [postId, attachmentId, variant, hasRendition]);
+
+  // Non-images, older uploads without renditions and failed loads keep the icon
+  if (!hasRendition || failed) {
+    return fallback;
+  }
+
+  if (!src) {
+    return <Skeleton variant="rectangular" width={width} height={height} sx={{ borderRadius: 1, ...sx }} />;
+  }
+
+  return (
+    <Box
+      component="img"
+      src={src}
+      alt={attachment.originalName}
+      sx={{
+        width,
+        height,
+        objectFit: 'cover',
+        borderRadius: 1,
+        display: 'block',
+        flexShrink: 0,
+        ...sx,
+      }}
+    />
+  );
+}
+
+export default AttachmentThumbnail;
\ No newline at end of file
@@ -0,0 +1,437 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useSnackbar } from 'notistack';
+import {
+  Box,
+  Paper,
+  Typography,
+  Avatar,
+  Button,
+  TextField,
+  Alert,
+  Skeleton,
+} from '@mui/material';
+import { Send, Reply, Edit, Delete } from '@mui/icons-material';
+import { format } from 'date-fns';
+
+import postsService from '../../services/postsService';
+import { USER_ROLES } from '../../utils/constants';
+import { getErrorMessage } from '../../utils/helpers';
+
+const THREADS_PER_PAGE = 20;
+// Deeper replies stop indenting so long threads stay readable on small screens
+const MAX_INDENT_DEPTH = 5;
+
+// Apply `update` to the comment with this id, wherever it is in the threads
+const updateComment = (comments, id, update) => comments.map(comment => {
+  if (comment._id === id) return update(comment);
+  if (!comment.replies?.length) return comment;
+  return { ...comment, replies: updateComment(comment.replies, id, update) };
+});
+
+const containsComment = (comments, id) =>
+  comments.some(comment => comment._id === id || containsComment(comment.replies || [], id));
+
+function CommentEditor({ initialValue = '', placeholder, submitLabel, onSubmit, onCancel, autoFocus = false }) {
+  const [text, setText] = useState(initialValue);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+
+    setSubmitting(true);
+    try {
+      const saved = await onSubmit(text.trim());
+      if (saved) setText('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box component="form" onSubmit={handleSubmit}>
+      <TextField
+        fullWidth
+        multiline
+        minRows={2}
+        size="small"
+        placeholder={placeholder}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        disabled={submitting}
+        autoFocus={autoFocus}
+        inputProps={{ maxLength: 1000 }}
+      />
+      <Box sx={{ mt: 1, display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+        {onCancel && (
+          <Button size="small" onClick={onCancel} disabled={submitting}>
+            Cancel
+          </Button>
+        )}
+        <Button
+          type="submit"
+          variant="contained"
+          size="small"
+          disabled={submitting || !text.trim()}
+          startIcon={<Send />}
+        >
+          {submitting ? 'Saving...' : submitLabel}
+        </Button>
+      </Box>
+    </Box>
+  );
+}
+
+function CommentItem({ comment, depth, currentUser, highlightedId, onReply, onEdit, onDelete, onShowThread }) {
+  const [mode, setMode] = useState(null); // 'reply' | 'edit' | null
+
+  const highlighted = highlightedId === comment._id;
+
+  const isOwn = currentUser && comment.author?._id === currentUser._id;
+  const canManage = !comment.deleted && (isOwn || currentUser?.role === USER_ROLES.ADMIN);
+
+  const submitReply = async (content) => {
+    const saved = await onReply(comment, content);
+    if (saved) setMode(null);
+    return saved;
+  };
+
+  const submitEdit = async (content) => {
+    const saved = await onEdit(comment, content);
+    if (saved) setMode(null);
+    return saved;
+  };
+
+  return (
+    <Box
+      id={`comment-${comment._id}`}
+      sx={{
+        mt: 2,
+        pl: depth > 0 && depth <= MAX_INDENT_DEPTH ? 2 : 0,
+        borderLeft: depth > 0 && depth <= MAX_INDENT_DEPTH ? 2 : 0,
+        borderColor: 'divider',
+      }}
+    >
+      <Box
+        sx={{
+          display: 'flex',
+          gap: 2,
+          alignItems: 'flex-start',
+          p: 1,
+          borderRadius: 1,
+          bgcolor: highlighted ? '#fff3e0' : 'transparent',
+          transition: 'background-color 0.3s ease',
+        }}
+      >
+        <Avatar sx={{ width: 32, height: 32 }} src={comment.author?.profilePicture || undefined}>
+          {comment.author?.firstName?.[0]}{comment.author?.lastName?.[0]}
+        </Avatar>
+        <Box sx={{ flex: 1, minWidth: 0 }}>
+          <Box sx={{ mb: 0.5 }}>
+            <Typography variant="subtitle2" component="span" color={comment.deleted ? 'text.secondary' : 'inherit'}>
+              {comment.deleted ? 'Deleted comment' : `${comment.author?.firstName} ${comment.author?.lastName}`}
+            </Typography>
+            <Typography variant="caption" color="text.secondary" sx={{ ml: 2 }}>
+              {format(new Date(comment.createdAt), 'MMM dd, yyyy • h:mm a')}
+              {comment.editedAt && !comment.deleted && ' (edited)'}
+            </Typography>
+          </Box>
+
+          {mode === 'edit' ? (
+            <CommentEditor
+              initialValue={comment.content}
+              submitLabel="Save"
+              onSubmit={submitEdit}
+              onCancel={() => setMode(null)}
+              autoFocus
+            />
+          ) : (
+            <Typography
+              variant="body2"
+              color={comment.deleted ? 'text.secondary' : 'inherit'}
+              sx={{ whiteSpace: 'pre-wrap', fontStyle: comment.deleted ? 'italic' : 'normal' }}
+            >
+              {comment.deleted ? 'This comment was deleted.' : comment.content}
+            </Typography>
+          )}
+
+          {mode !== 'edit' && (
+            <Box sx={{ display: 'flex', gap: 1, mt: 0.5 }}>
+              {currentUser && !comment.deleted && (
+                <Button size="small" startIcon={<Reply />} onClick={() => setMode(mode === 'reply' ? null : 'reply')}>
+                  Reply
+                </Button>
+              )}
+              {canManage && (
+                <>
+                  <Button size="small" startIcon={<Edit />} onClick={() => setMode('edit')}>
+                    Edit
+                  </Button>
+                  <Button size="small" color="error" startIcon={<Delete />} onClick={() => onDelete(comment)}>
+                    Delete
+                  </Button>
+                </>
+              )}
+            </Box>
+          )}
+
+          {mode === 'reply' && (
+            <Box sx={{ mt: 1 }}>
+              <CommentEditor
+                placeholder={`Reply to ${comment.author?.firstName}...`}
+                submitLabel="Reply"
+                onSubmit={submitReply}
+                onCancel={() => setMode(null)}
+                autoFocus
+              />
+            </Box>
+          )}
+        </Box>
+      </Box>
+
+      {comment.replies?.map(reply => (
+        <CommentItem
+          key={reply._id}
+          comment={reply}
+          depth={depth + 1}
+          currentUser={currentUser}
+          highlightedId={highlightedId}
+          onReply={onReply}
+          onEdit={onEdit}
+          onDelete={onDelete}
+        />
+      ))}
+
+      {/* A page only carries the first replies of each thread */}
+      {depth === 0 && comment.hasMoreReplies && !comment.threadLoaded && (
+        <Button size="small" sx={{ mt: 1 }} onClick={() => onShowThread(comment)}>
+          Show all replies
+        </Button>
+      )}
+    </Box>
+  );
+}
+
+// Threaded comments of a post. With `highlightId` (from a /posts/:postId/comments/:commentId
+// link) the thread holding that comment is shown even when it isn't on the first page.
+function CommentsSection({ postId, count = 0, currentUser, highlightId = null, onCountChange }) {
+  const navigate = useNavigate();
+  const { enqueueSnackbar } = useSnackbar();
+
+  const [comments, setComments] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [highlighted, setHighlighted] = useState(null);
+
+  const fetchComments = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await postsService.getComments(postId, { page: 1, limit: THREADS_PER_PAGE });
+      let threads = response.data.comments;
+
+      if (highlightId && !containsComment(threads, highlightId)) {
+        try {
+          const threadResponse = await postsService.getCommentThread(postId, highlightId);
+          const { thread } = threadResponse.data;
+          // Replaces the shorter copy when the thread is on this page but the reply was cut
+          threads = [{ ...thread, threadLoaded: true }, ...threads.filter(shown => shown._id !== thread._id)];
+        } catch (error) {
+          enqueueSnackbar('That comment is no longer available', { variant: 'info' });
+        }
+      }
+
+      setComments(threads);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Failed to fetch comments:', error);
+      enqueueSnackbar(getErrorMessage(error), { variant: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  }, [postId, highlightId, enqueueSnackbar]);
+
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments]);
+
+  // Scroll to the linked comment once it's rendered
+  useEffect(() => {
+    if (loading || !highlightId) return undefined;
+
+    const timer = setTimeout(() => {
+      const element = document.getElementById(`comment-${highlightId}`);
+      if (element) {
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        setHighlighted(highlightId);
+      }
+    }, 300);
+    const clear = setTimeout(() => setHighlighted(null), 2300);
+
+    return () => {
+      clearTimeout(timer);
+      clearTimeout(clear);
+    };
+  }, [loading, highlightId]);
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const response = await postsService.getComments(postId, {
+        page: pagination.currentPage + 1,
+        limit: THREADS_PER_PAGE,
+      });
+      // The linked thread may already be shown at the top
+      setComments(current => [
+        ...current,
+        ...response.data.comments.filter(thread => !current.some(shown => shown._id === thread._id)),
+      ]);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      enqueueSnackbar(getErrorMessage(error), { variant: 'error' });
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleShowThread = async (root) => {
+    try {
+      const response = await postsService.getCommentThread(postId, root._id);
+      const { thread } = response.data;
+      setComments(current => current.map(shown => (
+        shown._id === thread._id ? { ...thread, threadLoaded: true } : shown
+      )));
+    } catch (error) {
+      enqueueSnackbar(getErrorMessage(error), { variant: 'error' });
+    }
+  };
+
+  // Handlers resolve to true once saved, so editors know to close
+  const handleAdd = async (content) => {
+    try {
+      const response = await postsService.addComment(postId, content);
+      setComments(current => [...current, response.data.comment]);
+      onCountChange && onCountChange(1);
+      enqueueSnackbar('Comment added successfully!', { variant: 'success' });
+      return true;
+    } catch (error) {
+      enqueueSnackbar(getErrorMessage(error), { variant: 'error' });
+      return false;
+    }
+  };
+
+  const handleReply = async (parent, content) => {
+    try {
+      const response = await postsService.replyToComment(postId, parent._id, content);
+      setComments(current => updateComment(current, parent._id, comment => ({
+        ...comment,
+        replies: [...(comment.replies || []), response.data.comment],
+      })));
+      onCountChange && onCountChange(1);
+      return true;
+    } catch (error) {
+      enqueueSnackbar(getErrorMessage(error), { variant: 'error' });
+      return false;
+    }
+  };
+
+  const handleEdit = async (target, content) => {
+    try {
+      const response = await postsService.updateComment(postId, target._id, content);
+      setComments(current => updateComment(current, target._id, comment => ({
+        ...comment,
+        ...response.data.comment,
+        replies: comment.replies,
+      })));
+      return true;
+    } catch (error) {
+      enqueueSnackbar(getErrorMessage(error), { variant: 'error' });
+      return false;
+    }
+  };
+
+  const handleDelete = async (target) => {
+    if (!window.confirm('Delete this comment? Replies to it will stay.')) return;
+
+    try {
+      const response = await postsService.deleteComment(postId, target._id);
+      setComments(current => updateComment(current, target._id, comment => ({
+        ...comment,
+        ...response.data.comment,
+        replies: comment.replies,
+      })));
+      onCountChange && onCountChange(-1);
+      enqueueSnackbar('Comment deleted', { variant: 'success' });
+    } catch (error) {
+      enqueueSnackbar(getErrorMessage(error), { variant: 'error' });
+    }
+  };
+
+  return (
+    <Paper sx={{ p: { xs: 2, md: 3 } }} id="comment-section">
+      <Typography variant="h6" gutterBottom>
+        Comments ({count})
+      </Typography>
+
+      {/* Add Comment Form */}
+      {currentUser ? (
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start', mb: 3 }}>
+          <Avatar sx={{ width: 32, height: 32 }}>
+            {currentUser.firstName?.[0]}{currentUser.lastName?.[0]}
+          </Avatar>
+          <Box sx={{ flex: 1, minWidth: 0 }}>
+            <CommentEditor placeholder="Write a comment..." submitLabel="Post Comment" onSubmit={handleAdd} />
+          </Box>
+        </Box>
+      ) : (
+        <Alert severity="info" sx={{ mb: 3 }}>
+          <Button onClick={() => navigate('/login')}>Login</Button> to post a comment.
+        </Alert>
+      )}
+
+      {/* Comments List */}
+      {loading ? (
+        [1, 2].map(item => (
+          <Box key={item} sx={{ display: 'flex', gap: 2, mb: 2 }}>
+            <Skeleton variant="circular" width={32} height={32} />
+            <Box sx={{ flex: 1 }}>
+              <Skeleton width="30%" />
+              <Skeleton />
+            </Box>
+          </Box>
+        ))
+      ) : comments.length > 0 ? (
+        <Box>
+          {comments.map(comment => (
+            <CommentItem
+              key={comment._id}
+              comment={comment}
+              depth={0}
+              currentUser={currentUser}
+              highlightedId={highlighted}
+              onReply={handleReply}
+              onEdit={handleEdit}
+              onDelete={handleDelete}
+              onShowThread={handleShowThread}
+            />
+          ))}
+
+          {pagination?.hasNextPage && (
+            <Box sx={{ textAlign: 'center', mt: 2 }}>
+              <Button onClick={handleLoadMore} disabled={loadingMore}>
+                {loadingMore ? 'Loading...' : 'Load more comments'}
+              </Button>
+            </Box>
+          )}
+        </Box>
+      ) : (
+        <Typography variant="body2" color="text.secondary" sx={{ textAlign: 'center', py: 4 }}>
+          No comments yet. Be the first to comment!
+        </Typography>
+      )}
+    </Paper>
+  );
+}
+
+export default CommentsSection;
@@ -1,4 +1,5 @@
-import React, { useCallback, useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import axios from 'axios';
 import { useDropzone } from 'react-dropzone';
 import {
   Box,
@@ -8,6 +9,7 @@ import {
   LinearProgress,
   Alert,
   Chip,
+  Stack,
 } from '@mui/material';
 import {
   CloudUpload,
@@ -17,10 +19,18 @@ import {
   Image,
   PictureAsPdf,
   Description,
+  ArrowUpward,
+  ArrowDownward,
+  Pause,
+  PlayArrow,
+  Refresh,
 } from '@mui/icons-material';
 
+import uploadsService from '../../services/uploadsService';
+import { FILE_UPLOAD } from '../../utils/constants';
+
 // File type icons mapping
-const getFileIcon = (mimeType) => {
+const getFileIcon = (mimeType = '') => {
   if (mimeType.startsWith('image/')) return <Image color="primary" />;
   if (mimeType === 'application/pdf') return <PictureAsPdf color="error" />;
   if (mimeType.includes('document') || mimeType.includes('word')) return <Description color="info" />;
@@ -38,7 +48,7 @@ const formatFileSize = (bytes) => {
 
 // Validate file type and size
 const validateFile = (file) => {
-  const maxSize = 5 * 1024 * 1024; // 5MB
+  const maxSize = FILE_UPLOAD.MAX_SIZE;
   const allowedTypes = [
     'image/jpeg',
     'image/jpg',
@@ -63,187 +73,367 @@ const validateFile = (file) => {
   if (file.size > maxSize) {
     return {
       isValid: false,
-      error: `File size (${formatFileSize(file.size)}) exceeds the 5MB limit.`
+      error: `File size (${formatFileSize(file.size)}) exceeds the ${formatFileSize(maxSize)} limit.`
     };
   }
 
   return { isValid: true };
 };
 
-function FileUploader({ onFileSelect, selectedFile, disabled = false }) {
+// Give every selected file a stable key for React lists and progress updates.
+// status: uploading -> complete, or paused / error until resumed
+let nextFileId = 0;
+const createFileItem = (file) => ({
+  id: `file-${Date.now()}-${nextFileId++}`,
+  file,
+  progress: 0,
+  status: 'uploading',
+  uploadId: null,
+  error: null,
+});
+
+const getStatusText = (status, progress, error) => {
+  switch (status) {
+    case 'complete':
+      return 'Uploaded';
+    case 'paused':
+      return `Paused at ${progress}%`;
+    case 'error':
+      return error || 'Upload failed';
+    default:
+      return `Uploading... ${progress}%`;
+  }
+};
+
+// Swap an item with its neighbour (direction -1 = up, 1 = down)
+const moveItem = (items, index, direction) => {
+  const target = index + direction;
+  if (target < 0 || target >= items.length) return items;
+
+  const reordered = [...items];
+  [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+  return reordered;
+};
+
+// Single row in the attachment list (used for both saved and pending files)
+function FileRow({
+  name,
+  size,
+  mimeType,
+  progress = null,
+  status = null,
+  error = null,
+  saved = false,
+  isFirst,
+  isLast,
+  disabled,
+  onMoveUp,
+  onMoveDown,
+  onRemove,
+  onPause,
+  onResume,
+}) {
+  return (
+    <Paper
+      variant="outlined"
+      sx={{
+        p: 1.5,
+        borderColor: saved ? 'divider' : status === 'error' ? 'error.main' : 'success.main',
+      }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 1 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, minWidth: 0 }}>
+          {getFileIcon(mimeType)}
+          <Box sx={{ minWidth: 0 }}>
+            <Typography variant="body2" fontWeight="medium" noWrap>
+              {name}
+            </Typography>
+            <Typography variant="caption" color="textSecondary">
+              {formatFileSize(size)} • {saved ? 'Attached' : status === 'complete' ? 'Ready to post' : 'Not uploaded yet'}
+            </Typography>
+          </Box>
+        </Box>
+
+        <Box sx={{ display: 'flex', alignItems: 'center', flexShrink: 0 }}>
+          {status === 'uploading' && (
+            <IconButton size="small" onClick={onPause} disabled={disabled} title="Pause upload">
+              <Pause fontSize="small" />
+            </IconButton>
+          )}
+          {status === 'paused' && (
+            <IconButton size="small" onClick={onResume} disabled={disabled} title="Resume upload">
+              <PlayArrow fontSize="small" />
+            </IconButton>
+          )}
+          {status === 'error' && (
+            <IconButton size="small" onClick={onResume} disabled={disabled} title="Retry upload">
+              <Refresh fontSize="small" />
+            </IconButton>
+          )}
+          <IconButton size="small" onClick={onMoveUp} disabled={disabled || isFirst} title="Move up">
+            <ArrowUpward fontSize="small" />
+          </IconButton>
+          <IconButton size="small" onClick={onMoveDown} disabled={disabled || isLast} title="Move down">
+            <ArrowDownward fontSize="small" />
+          </IconButton>
+          <IconButton size="small" color="error" onClick={onRemove} disabled={disabled} title="Remove file">
+            <Delete fontSize="small" />
+          </IconButton>
+        </Box>
+      </Box>
+
+      {progress !== null && status && (
+        <Box sx={{ mt: 1 }}>
+          <LinearProgress
+            variant="determinate"
+            value={progress}
+            color={status === 'error' ? 'error' : 'primary'}
+            sx={{ borderRadius: 1 }}
+          />
+          <Typography variant="caption" color={status === 'error' ? 'error' : 'textSecondary'}>
+            {getStatusText(status, progress, error)}
+          </Typography>
+        </Box>
+      )}
+    </Paper>
+  );
+}
+
+/**
+ * Files start uploading (in chunks, through uploadsService) as soon as they are
+ * dropped. onFilesChange receives a state updater so progress from several
+ * uploads never overwrites each other - pass a useState setter.
+ */
+function FileUploader({
+  files = [],
+  onFilesChange,
+  existingAttachments = [],
+  onRemoveExisting,
+  onReorderExisting,
+  maxFiles = FILE_UPLOAD.MAX_FILES_PER_UPLOAD,
+  maxTotal = FILE_UPLOAD.MAX_ATTACHMENTS_PER_POST,
+  disabled = false,
+}) {
   const [uploadError, setUploadError] = useState(null);
-  const [uploadProgress, setUploadProgress] = useState(0);
-  const [isUploading, setIsUploading] = useState(false);
+  // AbortController per running upload, keyed by item id
+  const controllers = useRef(new Map());
+
+  // Stop running uploads when the uploader goes away
+  useEffect(() => {
+    const running = controllers.current;
+    return () => {
+      running.forEach(controller => controller.abort());
+      running.clear();
+    };
+  }, []);
+
+  const updateItem = useCallback((itemId, changes) => {
+    onFilesChange(prev => prev.map(item => (item.id === itemId ? { ...item, ...changes } : item)));
+  }, [onFilesChange]);
+
+  const startUpload = useCallback((item) => {
+    const controller = new AbortController();
+    controllers.current.set(item.id, controller);
+    updateItem(item.id, { status: 'uploading', error: null });
+
+    uploadsService.uploadFile(item.file, {
+      uploadId: item.uploadId,
+      signal: controller.signal,
+      onSessionCreated: (uploadId) => updateItem(item.id, { uploadId }),
+      onProgress: (sent, total) => updateItem(item.id, {
+        progress: total ? Math.min(Math.round((sent / total) * 100), 100) : 100,
+      }),
+    })
+      .then(upload => {
+        updateItem(item.id, { status: 'complete', progress: 100, uploadId: upload._id });
+      })
+      .catch(error => {
+        // Paused or removed - the item has already been updated
+        if (axios.isCancel(error)) return;
+        updateItem(item.id, {
+          status: 'error',
+          error: error.response?.data?.message || 'Upload failed',
+        });
+      })
+      .finally(() => {
+        if (controllers.current.get(item.id) === controller) {
+          controllers.current.delete(item.id);
+        }
+      });
+  }, [updateItem]);
+
+  const pauseUpload = (item) => {
+    const controller = controllers.current.get(item.id);
+    controller && controller.abort();
+    controllers.current.delete(item.id);
+    updateItem(item.id, { status: 'paused' });
+  };
+
+  const remainingSlots = Math.max(
+    Math.min(maxFiles - files.length, maxTotal - existingAttachments.length - files.length),
+    0
+  );
 
   const onDrop = useCallback((acceptedFiles, rejectedFiles) => {
     // Handle rejected files
     if (rejectedFiles.length > 0) {
       const rejection = rejectedFiles[0];
       const errorMessage = rejection.errors.map(e => e.message).join(', ');
-      setUploadError(errorMessage);
-      return;
+      setUploadError(`${rejection.file.name}: ${errorMessage}`);
     }
 
-    const file = acceptedFiles[0];
-    if (!file) return;
+    if (acceptedFiles.length === 0) return;
 
-    // Validate the file
-    const validation = validateFile(file);
-    if (!validation.isValid) {
-      setUploadError(validation.error);
+    if (acceptedFiles.length > remainingSlots) {
+      setUploadError(`You can add ${remainingSlots} more file(s) to this post.`);
       return;
     }
 
-    // Clear any previous errors
-    setUploadError(null);
-    
-    // Simulate upload progress (in a real app, this would be actual upload progress)
-    setIsUploading(true);
-    setUploadProgress(0);
-
-    const progressInterval = setInterval(() => {
-      setUploadProgress(prev => {
-        if (prev >= 90) {
-          clearInterval(progressInterval);
-          
-          // Simulate final processing time
-          setTimeout(() => {
-            setIsUploading(false);
-            setUploadProgress(100);
-            onFileSelect(file);
-          }, 500);
-          
-          return 90;
-        }
-        return prev + Math.random() * 30;
-      });
-    }, 200);
+    // Validate every file before adding any of them
+    for (const file of acceptedFiles) {
+      const validation = validateFile(file);
+      if (!validation.isValid) {
+        setUploadError(`${file.name}: ${validation.error}`);
+        return;
+      }
+    }
+
+    if (rejectedFiles.length === 0) {
+      setUploadError(null);
+    }
 
-  }, [onFileSelect]);
+    const items = acceptedFiles.map(createFileItem);
+    onFilesChange(prev => [...prev, ...items]);
+    items.forEach(startUpload);
+  }, [onFilesChange, remainingSlots, startUpload]);
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
-    multiple: false,
-    disabled: disabled || isUploading,
-    accept: {
-      'image/*': ['.jpeg', '.jpg', '.png', '.gif', '.webp'],
-      'application/pdf': ['.pdf'],
-      'text/plain': ['.txt'],
-      'application/msword': ['.doc'],
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
-      'application/vnd.ms-excel': ['.xls'],
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx']
-    }
+    multiple: true,
+    disabled: disabled || remainingSlots === 0,
+    accept: FILE_UPLOAD.ACCEPTED_EXTENSIONS,
   });
 
-  const removeFile = () => {
-    onFileSelect(null);
+  const removeFile = (item) => {
+    const controller = controllers.current.get(item.id);
+    controller && controller.abort();
+    controllers.current.delete(item.id);
+
+    // Free the server-side copy; anything left behind expires on its own
+    if (item.uploadId) {
+      uploadsService.cancelUpload(item.uploadId).catch(() => {});
+    }
+
+    onFilesChange(prev => prev.filter(file => file.id !== item.id));
     setUploadError(null);
-    setUploadProgress(0);
-    setIsUploading(false);
   };
 
+  const moveFile = (index, direction) => {
+    onFilesChange(prev => moveItem(prev, index, direction));
+  };
+
+  const moveExisting = (index, direction) => {
+    const reordered = moveItem(existingAttachments, index, direction);
+    onReorderExisting && onReorderExisting(reordered.map(attachment => attachment._id));
+  };
+
+  const isDropzoneDisabled = disabled || remainingSlots === 0;
+
   return (
     <Box>
       {/* Upload Area */}
-      {!selectedFile && (
-        <Paper
-          {...getRootProps()}
-          sx={{
-            border: 2,
-            borderColor: isDragActive ? 'primary.main' : 'grey.300',
-            borderStyle: 'dashed',
-            borderRadius: 2,
-            p: 3,
-            textAlign: 'center',
-            cursor: disabled ? 'not-allowed' : 'pointer',
-            backgroundColor: isDragActive ? 'action.hover' : 'transparent',
-            transition: 'all 0.2s ease',
-            opacity: disabled ? 0.6 : 1,
-            '&:hover': {
-              borderColor: disabled ? 'grey.300' : 'primary.main',
-              backgroundColor: disabled ? 'transparent' : 'action.hover',
-            }
-          }}
-        >
-          <input {...getInputProps()} />
-          
-          <CloudUpload 
-            sx={{ 
-              fontSize: 48, 
-              color: isDragActive ? 'primary.main' : 'grey.500',
-              mb: 2 
-            }} 
-          />
-          
-          <Typography variant="h6" color="textPrimary" gutterBottom>
-            {isDragActive ? 'Drop the file here' : 'Drag & drop a file here'}
-          </Typography>
-          
-          <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
-            or click to browse files
-          </Typography>
-          
-          <Box sx={{ display: 'flex', justifyContent: 'center', flexWrap: 'wrap', gap: 1 }}>
-            <Chip label="Images" size="small" variant="outlined" />
-            <Chip label="PDFs" size="small" variant="outlined" />
-            <Chip label="Documents" size="small" variant="outlined" />
-          </Box>
-          
-          <Typography variant="caption" color="textSecondary" sx={{ mt: 1, display: 'block' }}>
-            Maximum file size: 5MB
-          </Typography>
-        </Paper>
-      )}
-
-      {/* Upload Progress */}
-      {isUploading && (
-        <Box sx={{ mt: 2 }}>
-          <Typography variant="body2" color="textSecondary" gutterBottom>
-            Uploading file... {Math.round(uploadProgress)}%
-          </Typography>
-          <LinearProgress 
-            variant="determinate" 
-            value={uploadProgress} 
-            sx={{ borderRadius: 1 }}
-          />
+      <Paper
+        {...getRootProps()}
+        sx={{
+          border: 2,
+          borderColor: isDragActive ? 'primary.main' : 'grey.300',
+          borderStyle: 'dashed',
+          borderRadius: 2,
+          p: 3,
+          textAlign: 'center',
+          cursor: isDropzoneDisabled ? 'not-allowed' : 'pointer',
+          backgroundColor: isDragActive ? 'action.hover' : 'transparent',
+          transition: 'all 0.2s ease',
+          opacity: isDropzoneDisabled ? 0.6 : 1,
+          '&:hover': {
+            borderColor: isDropzoneDisabled ? 'grey.300' : 'primary.main',
+            backgroundColor: isDropzoneDisabled ? 'transparent' : 'action.hover',
+          }
+        }}
+      >
+        <input {...getInputProps()} />
+        
+        <CloudUpload 
+          sx={{ 
+            fontSize: 48, 
+            color: isDragActive ? 'primary.main' : 'grey.500',
+            mb: 2 
+          }} 
+        />
+        
+        <Typography variant="h6" color="textPrimary" gutterBottom>
+          {isDragActive ? 'Drop the files here' : 'Drag & drop files here'}
+        </Typography>
+        
+        <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+          or click to browse files
+        </Typography>
+        
+        <Box sx={{ display: 'flex', justifyContent: 'center', flexWrap: 'wrap', gap: 1 }}>
+          <Chip label="Images" size="small" variant="outlined" />
+          <Chip label="PDFs" size="small" variant="outlined" />
+          <Chip label="Documents" size="small" variant="outlined" />
         </Box>
+        
+        <Typography variant="caption" color="textSecondary" sx={{ mt: 1, display: 'block' }}>
+          Up to {maxFiles} files at a time • Maximum file size: {formatFileSize(FILE_UPLOAD.MAX_SIZE)}
+        </Typography>
+      </Paper>
+
+      {/* Saved attachments (editing an existing post) */}
+      {existingAttachments.length > 0 && (
+        <Stack spacing={1} sx={{ mt: 2 }}>
+          {existingAttachments.map((attachment, index) => (
+            <FileRow
+              key={attachment._id}
+              name={attachment.originalName}
+              size={attachment.size}
+              mimeType={attachment.mimeType}
+              saved
+              isFirst={index === 0}
+              isLast={index === existingAttachments.length - 1}
+              disabled={disabled}
+              onMoveUp={() => moveExisting(index, -1)}
+              onMoveDown={() => moveExisting(index, 1)}
+              onRemove={() => onRemoveExisting && onRemoveExisting(attachment)}
+            />
+          ))}
+        </Stack>
       )}
 
-      {/* Selected File Display */}
-      {selectedFile && !isUploading && (
-        <Paper
-          sx={{
-            p: 2,
-            mt: 2,
-            border: 1,
-            borderColor: 'success.main',
-            backgroundColor: 'success.50',
-          }}
-        >
-          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
-            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
-              {getFileIcon(selectedFile.type)}
-              <Box>
-                <Typography variant="body2" fontWeight="medium">
-                  {selectedFile.name}
-                </Typography>
-                <Typography variant="caption" color="textSecondary">
-                  {formatFileSize(selectedFile.size)} • {selectedFile.type}
-                </Typography>
-              </Box>
-            </Box>
-            
-            <IconButton
-              onClick={removeFile}
-              size="small"
-              color="error"
-              title="Remove file"
-            >
-              <Delete />
-            </IconButton>
-          </Box>
-        </Paper>
+      {/* Files uploading or waiting to be posted */}
+      {files.length > 0 && (
+        <Stack spacing={1} sx={{ mt: 2 }}>
+          {files.map((item, index) => (
+            <FileRow
+              key={item.id}
+              name={item.file.name}
+              size={item.file.size}
+              mimeType={item.file.type}
+              progress={item.progress}
+              status={item.status}
+              error={item.error}
+              isFirst={index === 0}
+              isLast={index === files.length - 1}
+              disabled={disabled}
+              onMoveUp={() => moveFile(index, -1)}
+              onMoveDown={() => moveFile(index, 1)}
+              onRemove={() => removeFile(item)}
+              onPause={() => pauseUpload(item)}
+              onResume={() => startUpload(item)}
+            />
+          ))}
+        </Stack>
       )}
 
       {/* Error Display */}
@@ -254,7 +444,7 @@ function FileUploader({ onFileSelect, selectedFile, disabled = false }) {
       )}
 
       {/* Helper Text */}
-      {!selectedFile && !uploadError && (
+      {files.length === 0 && !uploadError && (
         <Typography variant="caption" color="textSecondary" sx={{ mt: 1, display: 'block' }}>
           <AttachFile sx={{ fontSize: 16, verticalAlign: 'middle', mr: 0.5 }} />
           Supported formats: JPEG, PNG, GIF, WebP, PDF, TXT, DOC, DOCX, XLS, XLSX
@@ -27,6 +27,10 @@ import {
 } from '@mui/icons-material';
 import { format } from 'date-fns';
 
+import postsService from '../../services/postsService';
+import AttachmentThumbnail from './AttachmentThumbnail';
+import { saveBlob } from '../../utils/helpers';
+
 function PostDetail({ 
   post, 
   currentUser = null,
@@ -84,9 +88,16 @@ function PostDetail({
     }
   };
 
-  const handleFileDownload = (attachment) => {
-    // Mock download - in real app, would download from actual URL
-    console.log('Downloading:', attachment.originalName);
+  const handleFileDownload = async (attachment) => {
+    // Downloads require a signed-in user
+    if (!currentUser) return;
+
+    try {
+      const blob = await postsService.downloadAttachment(post._id, attachment._id);
+      saveBlob(blob, attachment.originalName);
+    } catch (error) {
+      console.error('Download failed:', error);
+    }
   };
 
   return (
@@ -219,13 +230,18 @@ function PostDetail({
               <CardContent sx={{ p: 2, '&:last-child': { pb: 2 } }}>
                 <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
                   <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
-                    <AttachFile color="action" />
+                    <AttachmentThumbnail
+                      postId={post._id}
+                      attachment={attachment}
+                      fallback={<AttachFile color="action" />}
+                    />
                     <Box>
                       <Typography variant="body2" fontWeight="medium">
                         {attachment.originalName}
                       </Typography>
                       <Typography variant="caption" color="text.secondary">
                         {(attachment.size / 1024).toFixed(1)} KB • {attachment.mimeType}
+                        {attachment.width && attachment.height && ` • ${attachment.width}×${attachment.height}`}
                       </Typography>
                     </Box>
                   </Box>
@@ -267,7 +283,7 @@ function PostDetail({
             color="inherit"
             size={variant === 'compact' ? 'small' : 'medium'}
           >
-            {post.comments?.length || 0} {post.comments?.length === 1 ? 'Comment' : 'Comments'}
+            {post.commentsCount || 0} {post.commentsCount === 1 ? 'Comment' : 'Comments'}
           </Button>
 
           <Button
@@ -22,7 +22,12 @@ import {
 } from '@mui/material';
 import { Close, CloudUpload } from '@mui/icons-material';
 
-import { createPost, updatePost } from '../../store/slices/postsSlice';
+import {
+  createPost,
+  updatePost,
+  deleteAttachment,
+  reorderAttachments,
+} from '../../store/slices/postsSlice';
 import FileUploader from './FileUploader';
 
 const POST_CATEGORIES = [
@@ -60,7 +65,9 @@ function PostDialog({ open, onClose, post = null }) {
   });
 
   const [tagInput, setTagInput] = useState('');
-  const [uploadedFile, setUploadedFile] = useState(null);
+  const [newFiles, setNewFiles] = useState([]);
+  const [existingAttachments, setExistingAttachments] = useState([]);
+  const [attachmentsBusy, setAttachmentsBusy] = useState(false);
   const [formErrors, setFormErrors] = useState({});
 
   // Initialize form data when post changes
@@ -88,7 +95,8 @@ function PostDialog({ open, onClose, post = null }) {
       });
     }
     setTagInput('');
-    setUploadedFile(null);
+    setNewFiles([]);
+    setExistingAttachments(isEditing && post ? post.attachments || [] : []);
     setFormErrors({});
   }, [post, isEditing, open]);
 
@@ -134,6 +142,47 @@ function PostDialog({ open, onClose, post = null }) {
     }));
   };
 
+  // Saved attachments are changed right away rather than on submit
+  const handleRemoveExisting = async (attachment) => {
+    if (!window.confirm(`Remove "${attachment.originalName}" from this post?`)) {
+      return;
+    }
+
+    setAttachmentsBusy(true);
+    try {
+      const result = await dispatch(deleteAttachment({
+        postId: post._id,
+        attachmentId: attachment._id,
+      })).unwrap();
+      setExistingAttachments(result.attachments);
+      enqueueSnackbar('Attachment removed', { variant: 'success' });
+    } catch (error) {
+      enqueueSnackbar(error || 'Failed to remove attachment', { variant: 'error' });
+    } finally {
+      setAttachmentsBusy(false);
+    }
+  };
+
+  const handleReorderExisting = async (attachmentIds) => {
+    const previous = existingAttachments;
+
+    // Optimistic reorder, reverted if the server rejects it
+    setExistingAttachments(attachmentIds.map(id => previous.find(a => a._id === id)));
+    setAttachmentsBusy(true);
+    try {
+      const result = await dispatch(reorderAttachments({
+        postId: post._id,
+        attachmentIds,
+      })).unwrap();
+      setExistingAttachments(result.attachments);
+    } catch (error) {
+      setExistingAttachments(previous);
+      enqueueSnackbar(error || 'Failed to reorder attachments', { variant: 'error' });
+    } finally {
+      setAttachmentsBusy(false);
+    }
+  };
+
   // Validation
   const validateForm = () => {
     const errors = {};
@@ -175,29 +224,24 @@ function PostDialog({ open, onClose, post = null }) {
       return;
     }
 
-    try {
-      // Create FormData for file upload
-      const submitData = new FormData();
-      
-      // Add text fields
-      Object.entries(formData).forEach(([key, value]) => {
-        if (key === 'tags') {
-          (Array.isArray(value) ? value : []).forEach(t => submitData.append('tags', t));
-        } else {
-          submitData.append(key, value);
-        }
-      });
+    // Files are uploaded as soon as they're added; the post only references them
+    if (newFiles.some(item => item.status !== 'complete')) {
+      enqueueSnackbar('Wait for all attachments to finish uploading', { variant: 'warning' });
+      return;
+    }
 
-      // Add file if uploaded
-      if (uploadedFile) {
-        submitData.append('attachment', uploadedFile);
-      }
+    try {
+      const submitData = {
+        ...formData,
+        // In the order shown in the uploader
+        uploadIds: newFiles.map(item => item.uploadId),
+      };
 
       if (isEditing) {
         await dispatch(updatePost({ id: post._id, postData: submitData })).unwrap();
         enqueueSnackbar('Post updated successfully!', { variant: 'success' });
       } else {
-        await dispatch(createPost(submitData)).unwrap();
+        await dispatch(createPost({ postData: submitData })).unwrap();
         enqueueSnackbar('Post created successfully!', { variant: 'success' });
       }
 
@@ -342,8 +386,12 @@ function PostDialog({ open, onClose, post = null }) {
             {/* File Upload */}
             <Grid item xs={12}>
               <FileUploader
-                onFileUpload={setUploadedFile}
-                uploadedFile={uploadedFile}
+                files={newFiles}
+                onFilesChange={setNewFiles}
+                existingAttachments={existingAttachments}
+                onRemoveExisting={handleRemoveExisting}
+                onReorderExisting={handleReorderExisting}
+                disabled={isLoading || attachmentsBusy}
               />
             </Grid>
           </Grid>
@@ -25,6 +25,7 @@ import {
   Person,
 } from '@mui/icons-material';
 import { format } from 'date-fns';
+import AttachmentThumbnail from './AttachmentThumbnail';
 
 function PostsList({ 
   posts = [], 
@@ -80,6 +81,11 @@ function PostsList({
     }
   };
 
+  // First image attachment with a generated thumbnail doubles as the card cover
+  const getCoverAttachment = (post) => {
+    return post.attachments?.find(attachment => attachment.renditions?.thumbnail);
+  };
+
   const isOwner = (post) => {
     return currentUser && post.author?._id === currentUser._id;
   };
@@ -135,6 +141,19 @@ function PostsList({
               }
             }}
           >
+            {/* Cover image */}
+            {getCoverAttachment(post) && (
+              <Box sx={{ cursor: 'pointer' }} onClick={() => handleViewPost(post._id)}>
+                <AttachmentThumbnail
+                  postId={post._id}
+                  attachment={getCoverAttachment(post)}
+                  width="100%"
+                  height={160}
+                  sx={{ borderRadius: 0 }}
+                />
+              </Box>
+            )}
+
             <CardContent sx={{ flexGrow: 1 }}>
               {/* Status and Category */}
               <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 2 }}>
@@ -0,0 +1,145 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { useSnackbar } from 'notistack';
+import {
+  Paper,
+  Box,
+  Typography,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  IconButton,
+  Tooltip,
+  Chip,
+  Skeleton,
+} from '@mui/material';
+import {
+  Devices,
+  PhoneIphone,
+  Computer,
+  Logout,
+} from '@mui/icons-material';
+
+import authService from '../../services/authService';
+import { logoutUser } from '../../store/slices/authSlice';
+import { getRelativeTime, formatDate } from '../../utils/helpers';
+
+const MOBILE_PATTERN = /Android|iOS/;
+
+function ActiveSessions() {
+  const dispatch = useDispatch();
+  const { enqueueSnackbar } = useSnackbar();
+
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revokingId, setRevokingId] = useState(null);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await authService.getSessions();
+      setSessions(response.data.sessions);
+    } catch (error) {
+      console.error('Failed to fetch sessions:', error);
+      enqueueSnackbar(error.response?.data?.message || 'Failed to load sessions', { variant: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  }, [enqueueSnackbar]);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (session) => {
+    // Signing out this device is a regular logout
+    if (session.current) {
+      if (!window.confirm('Sign out of this device?')) return;
+      dispatch(logoutUser());
+      return;
+    }
+
+    setRevokingId(session.id);
+    try {
+      await authService.revokeSession(session.id);
+      setSessions(prev => prev.filter(item => item.id !== session.id));
+      enqueueSnackbar(`Signed out ${session.device}`, { variant: 'success' });
+    } catch (error) {
+      enqueueSnackbar(error.response?.data?.message || 'Failed to revoke session', { variant: 'error' });
+      fetchSessions();
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3, mb: 3 }}>
+      <Box display="flex" alignItems="center" gap={1} mb={1}>
+        <Devices color="primary" />
+        <Typography variant="h6">
+          Active Sessions
+        </Typography>
+      </Box>
+
+      {loading ? (
+        <Box>
+          <Skeleton height={56} />
+          <Skeleton height={56} />
+        </Box>
+      ) : sessions.length === 0 ? (
+        <Typography color="text.secondary">
+          No active sessions
+        </Typography>
+      ) : (
+        <List disablePadding>
+          {sessions.map(session => (
+            <ListItem
+              key={session.id}
+              disableGutters
+              secondaryAction={
+                <Tooltip title={session.current ? 'Sign out of this device' : 'Revoke session'}>
+                  <span>
+                    <IconButton
+                      edge="end"
+                      color="error"
+                      disabled={revokingId === session.id}
+                      onClick={() => handleRevoke(session)}
+                    >
+                      <Logout fontSize="small" />
+                    </IconButton>
+                  </span>
+                </Tooltip>
+              }
+            >
+              <ListItemIcon sx={{ minWidth: 40 }}>
+                {MOBILE_PATTERN.test(session.device) ? <PhoneIphone /> : <Computer />}
+              </ListItemIcon>
+              <ListItemText
+                primary={
+                  <Box display="flex" alignItems="center" gap={1} flexWrap="wrap">
+                    {session.device}
+                    {session.current && (
+                      <Chip label="This device" size="small" color="primary" variant="outlined" />
+                    )}
+                  </Box>
+                }
+                secondary={
+                  <Tooltip title={session.userAgent || ''} placement="bottom-start">
+                    <span>
+                      {session.ip ? `${session.ip} · ` : ''}
+                      Active {getRelativeTime(session.lastUsedAt)}
+                      {' · '}Signed in {formatDate(session.createdAt, 'SHORT')}
+                    </span>
+                  </Tooltip>
+                }
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+    </Paper>
+  );
+}
+
+export default ActiveSessions;
@@ -0,0 +1,330 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useSnackbar } from 'notistack';
+import {
+  Paper,
+  Box,
+  Typography,
+  Button,
+  TextField,
+  Chip,
+  Link,
+  Alert,
+  Skeleton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+} from '@mui/material';
+import { Security, ContentCopy, Download } from '@mui/icons-material';
+
+import authService from '../../services/authService';
+import { formatDate, getErrorMessage } from '../../utils/helpers';
+
+// Secrets are easier to type from an app's "enter key manually" screen in groups of four
+const formatSecret = (secret) => secret.match(/.{1,4}/g).join(' ');
+
+const PASSWORD_ACTIONS = {
+  disable: {
+    title: 'Turn off two-factor authentication',
+    description: 'Signing in will only need your password. Enter your password to confirm.',
+    confirmLabel: 'Turn off',
+  },
+  regenerate: {
+    title: 'Generate new recovery codes',
+    description: 'Your current recovery codes will stop working. Enter your password to confirm.',
+    confirmLabel: 'Generate',
+  },
+};
+
+function TwoFactorSettings() {
+  const { enqueueSnackbar } = useSnackbar();
+
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  // Enrollment in progress: { secret, otpauthUri }
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [codeError, setCodeError] = useState('');
+
+  // Codes to show once, after enabling or regenerating
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  // 'disable' or 'regenerate' while the password dialog is open
+  const [passwordAction, setPasswordAction] = useState(null);
+  const [password, setPassword] = useState('');
+  const [passwordError, setPasswordError] = useState('');
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await authService.getTwoFactorStatus();
+      setStatus(response.data);
+    } catch (error) {
+      console.error('Failed to fetch two-factor status:', error);
+      enqueueSnackbar(getErrorMessage(error), { variant: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  }, [enqueueSnackbar]);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const handleStartSetup = async () => {
+    setBusy(true);
+    try {
+      const response = await authService.setupTwoFactor();
+      setSetup(response.data);
+      setCode('');
+      setCodeError('');
+    } catch (error) {
+      enqueueSnackbar(getErrorMessage(error), { variant: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+
+    if (!/^\d{6}$/.test(code.trim())) {
+      setCodeError('Enter the 6-digit code from your authenticator app');
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const response = await authService.enableTwoFactor(code.trim());
+      setSetup(null);
+      setRecoveryCodes(response.data.recoveryCodes);
+      enqueueSnackbar(response.message, { variant: 'success' });
+      fetchStatus();
+    } catch (error) {
+      setCodeError(getErrorMessage(error));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const closePasswordDialog = () => {
+    setPasswordAction(null);
+    setPassword('');
+    setPasswordError('');
+  };
+
+  const handlePasswordConfirm = async () => {
+    if (!password) {
+      setPasswordError('Password is required');
+      return;
+    }
+
+    setBusy(true);
+    try {
+      if (passwordAction === 'disable') {
+        const response = await authService.disableTwoFactor(password);
+        enqueueSnackbar(response.message, { variant: 'success' });
+      } else {
+        const response = await authService.regenerateRecoveryCodes(password);
+        setRecoveryCodes(response.data.recoveryCodes);
+      }
+      closePasswordDialog();
+      fetchStatus();
+    } catch (error) {
+      setPasswordError(getErrorMessage(error));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCopyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+      enqueueSnackbar('Recovery codes copied', { variant: 'success' });
+    } catch (error) {
+      enqueueSnackbar('Could not copy - select the codes and copy them manually', { variant: 'warning' });
+    }
+  };
+
+  const handleDownloadCodes = () => {
+    const blob = new Blob([`${recoveryCodes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const renderSetup = () => (
+    <Box component="form" onSubmit={handleEnable} noValidate>
+      <Typography variant="body2" sx={{ mb: 1 }}>
+        1. Add this account to an authenticator app (Google Authenticator, Authy, 1Password...).
+        On a phone, <Link href={setup.otpauthUri}>open it in your authenticator app</Link>; otherwise
+        choose "enter a setup key" and type:
+      </Typography>
+      <Box
+        sx={{
+          fontFamily: 'monospace',
+          fontSize: '1.1rem',
+          letterSpacing: 1,
+          bgcolor: 'grey.100',
+          borderRadius: 1,
+          p: 1.5,
+          mb: 2,
+          wordBreak: 'break-all',
+        }}
+      >
+        {formatSecret(setup.secret)}
+      </Box>
+      <Typography variant="body2" sx={{ mb: 1 }}>
+        2. Enter the 6-digit code the app shows to finish.
+      </Typography>
+      <Box display="flex" gap={2} alignItems="flex-start" flexWrap="wrap">
+        <TextField
+          size="small"
+          label="Authentication Code"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          error={!!codeError}
+          helperText={codeError}
+          autoComplete="one-time-code"
+          inputProps={{ inputMode: 'numeric', maxLength: 6 }}
+          disabled={busy}
+        />
+        <Button type="submit" variant="contained" disabled={busy}>
+          Turn on
+        </Button>
+        <Button onClick={() => setSetup(null)} disabled={busy}>
+          Cancel
+        </Button>
+      </Box>
+    </Box>
+  );
+
+  return (
+    <Paper sx={{ p: 3, mb: 3 }}>
+      <Box display="flex" alignItems="center" gap={1} mb={1}>
+        <Security color="primary" />
+        <Typography variant="h6">
+          Two-Factor Authentication
+        </Typography>
+        {status?.enabled && <Chip label="On" size="small" color="success" variant="outlined" />}
+      </Box>
+
+      {loading && !status ? (
+        <Skeleton height={56} />
+      ) : status?.enabled ? (
+        <Box>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Signing in needs a code from your authenticator app
+            {status.enabledAt && ` (on since ${formatDate(status.enabledAt, 'SHORT')})`}.
+            {' '}{status.recoveryCodesRemaining} of your recovery codes are unused.
+          </Typography>
+          {status.recoveryCodesRemaining <= 2 && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              You're running out of recovery codes. Generate new ones so you can still sign in if you lose your device.
+            </Alert>
+          )}
+          <Box display="flex" gap={2} flexWrap="wrap">
+            <Button variant="outlined" onClick={() => setPasswordAction('regenerate')}>
+              New recovery codes
+            </Button>
+            <Button variant="outlined" color="error" onClick={() => setPasswordAction('disable')}>
+              Turn off
+            </Button>
+          </Box>
+        </Box>
+      ) : setup ? (
+        renderSetup()
+      ) : (
+        <Box>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Protect your account with a code from an authenticator app in addition to your password.
+          </Typography>
+          <Button variant="contained" onClick={handleStartSetup} disabled={busy}>
+            Set up two-factor authentication
+          </Button>
+        </Box>
+      )}
+
+      {/* Password confirmation */}
+      <Dialog open={!!passwordAction} onClose={closePasswordDialog} maxWidth="xs" fullWidth>
+        <DialogTitle>{passwordAction && PASSWORD_ACTIONS[passwordAction].title}</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            {passwordAction && PASSWORD_ACTIONS[passwordAction].description}
+          </DialogContentText>
+          <TextField
+            fullWidth
+            autoFocus
+            type="password"
+            label="Password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            error={!!passwordError}
+            helperText={passwordError}
+            disabled={busy}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closePasswordDialog} disabled={busy}>
+            Cancel
+          </Button>
+          <Button
+            variant="contained"
+            color={passwordAction === 'disable' ? 'error' : 'primary'}
+            onClick={handlePasswordConfirm}
+            disabled={busy}
+          >
+            {passwordAction && PASSWORD_ACTIONS[passwordAction].confirmLabel}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Recovery codes, shown once */}
+      <Dialog open={!!recoveryCodes} maxWidth="xs" fullWidth>
+        <DialogTitle>Save your recovery codes</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            If you lose your authenticator, each of these codes signs you in once.
+            Store them somewhere safe - they won't be shown again.
+          </DialogContentText>
+          <Box
+            sx={{
+              display: 'grid',
+              gridTemplateColumns: '1fr 1fr',
+              gap: 1,
+              fontFamily: 'monospace',
+              fontSize: '1rem',
+              bgcolor: 'grey.100',
+              borderRadius: 1,
+              p: 2,
+            }}
+          >
+            {recoveryCodes?.map(recoveryCode => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button startIcon={<ContentCopy />} onClick={handleCopyCodes}>
+            Copy
+          </Button>
+          <Button startIcon={<Download />} onClick={handleDownloadCodes}>
+            Download
+          </Button>
+          <Button variant="contained" onClick={() => setRecoveryCodes(null)}>
+            I've saved them
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+}
+
+export default TwoFactorSettings;
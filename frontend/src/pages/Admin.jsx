@@ -0,0 +1,51 @@
+import React from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Box, Typography, Tabs, Tab } from '@mui/material';
+import { Insights, People, Gavel } from '@mui/icons-material';
+
+import AdminStats from '../components/admin/AdminStats';
+import UsersTable from '../components/admin/UsersTable';
+import ModerationQueue from '../components/admin/ModerationQueue';
+
+const TABS = [
+  { value: 'overview', label: 'Overview', icon: <Insights />, component: AdminStats },
+  { value: 'users', label: 'Users', icon: <People />, component: UsersTable },
+  { value: 'moderation', label: 'Moderation', icon: <Gavel />, component: ModerationQueue },
+];
+
+function Admin() {
+  // Keep the open tab in the URL so it survives reloads and can be linked to
+  const [searchParams, setSearchParams] = useSearchParams();
+  const activeTab = TABS.find(tab => tab.value === searchParams.get('tab')) || TABS[0];
+  const ActiveComponent = activeTab.component;
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ mb: 3, textAlign: { xs: 'center', md: 'left' } }}>
+        <Typography variant="h4" component="h1" gutterBottom fontWeight={700}>
+          Admin
+        </Typography>
+        <Typography variant="body1" color="text.secondary">
+          Site statistics, user management and post moderation
+        </Typography>
+      </Box>
+
+      <Tabs
+        value={activeTab.value}
+        onChange={(event, value) => setSearchParams({ tab: value })}
+        variant="scrollable"
+        allowScrollButtonsMobile
+        sx={{ mb: 3 }}
+      >
+        {TABS.map(tab => (
+          <Tab key={tab.value} value={tab.value} label={tab.label} icon={tab.icon} iconPosition="start" />
+        ))}
+      </Tabs>
+
+      <ActiveComponent />
+    </Box>
+  );
+}
+
+export default Admin;
\ No newline at end of file
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  TextField,
+  Button,
+  Alert,
+  Link,
+  CircularProgress,
+  InputAdornment,
+} from '@mui/material';
+import { Email } from '@mui/icons-material';
+
+import AuthLayout from '../components/auth/AuthLayout';
+import authService from '../services/authService';
+import { validateEmail, getErrorMessage } from '../utils/helpers';
+
+function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [emailError, setEmailError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [sentMessage, setSentMessage] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validation = validateEmail(email.trim());
+    if (!validation.isValid) {
+      setEmailError(validation.error);
+      return;
+    }
+
+    setEmailError('');
+    setError(null);
+    setLoading(true);
+    try {
+      const response = await authService.forgotPassword(email.trim());
+      setSentMessage(response.message);
+    } catch (err) {
+      setError(getErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <AuthLayout
+      title="Forgot your password?"
+      subtitle="Enter your account's email and we'll send you a link to reset it"
+    >
+      {sentMessage ? (
+        <Alert severity="success" sx={{ mb: 2 }}>
+          {sentMessage}. Check your inbox (and spam folder) for the link.
+        </Alert>
+      ) : (
+        <Box component="form" onSubmit={handleSubmit} noValidate>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          <TextField
+            margin="normal"
+            required
+            fullWidth
+            id="email"
+            label="Email Address"
+            name="email"
+            autoComplete="email"
+            autoFocus
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            error={!!emailError}
+            helperText={emailError}
+            InputProps={{
+              startAdornment: (
+                <InputAdornment position="start">
+                  <Email color="action" />
+                </InputAdornment>
+              ),
+            }}
+          />
+          <Button
+            type="submit"
+            fullWidth
+            variant="contained"
+            size="large"
+            disabled={loading}
+            sx={{ mt: 3, mb: 2, py: 1.5, fontWeight: 600 }}
+          >
+            {loading ? <CircularProgress size={24} /> : 'Send reset link'}
+          </Button>
+        </Box>
+      )}
+
+      <Box textAlign="center">
+        <Link component={RouterLink} to="/login" variant="body2" underline="hover">
+          Back to sign in
+        </Link>
+      </Box>
+    </AuthLayout>
+  );
+}
+
+export default ForgotPassword;
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link as RouterLink } from 'react-router-dom';
 import { useSnackbar } from 'notistack';
 import {
   Container,
@@ -15,6 +15,7 @@ import {
   InputAdornment,
   IconButton,
   Divider,
+  Link,
 } from '@mui/material';
 import {
   Visibility,
@@ -24,7 +25,15 @@ import {
   Lock,
 } from '@mui/icons-material';
 
-import { loginUser, registerUser, clearError } from '../store/slices/authSlice';
+import TwoFactorForm from '../components/auth/TwoFactorForm';
+import SocialLoginButtons from '../components/auth/SocialLoginButtons';
+import {
+  loginUser,
+  registerUser,
+  verifyTwoFactorLogin,
+  cancelTwoFactorLogin,
+  clearError,
+} from '../store/slices/authSlice';
 
 function TabPanel({ children, value, index, ...other }) {
   return (
@@ -45,7 +54,7 @@ function Login() {
   const navigate = useNavigate();
   const { enqueueSnackbar } = useSnackbar();
   
-  const { isLoading, error, isAuthenticated } = useSelector(state => state.auth);
+  const { isLoading, error, isAuthenticated, twoFactorChallenge } = useSelector(state => state.auth);
   
   const [tabValue, setTabValue] = useState(0);
   const [showPassword, setShowPassword] = useState(false);
@@ -123,10 +132,15 @@ function Login() {
     try {
       const resultAction = await dispatch(loginUser(loginForm));
       
+      // With two-factor on, the form switches to the code step instead
       if (loginUser.fulfilled.match(resultAction)) {
-        enqueueSnackbar('Welcome back!', { variant: 'success' });
-        navigate('/posts');
+        if (!resultAction.payload.twoFactorRequired) {
+          enqueueSnackbar('Welcome back!', { variant: 'success' });
+          navigate('/posts');
+        }
       } else {
+        // e.g. 429 while the account is locked after too many failed attempts
+        enqueueSnackbar(resultAction.payload || 'Login failed. Please try again.', { variant: 'error' });
       }
     } catch (error) {
       console.error('Login error:', error);
@@ -134,6 +148,24 @@ function Login() {
     }
   };
 
+  // Handle the two-factor code step
+  const handleVerifyCode = async (code) => {
+    const resultAction = await dispatch(verifyTwoFactorLogin(code));
+
+    if (verifyTwoFactorLogin.fulfilled.match(resultAction)) {
+      const { recoveryCodesRemaining } = resultAction.payload;
+      if (recoveryCodesRemaining !== undefined) {
+        enqueueSnackbar(
+          `Signed in with a recovery code. ${recoveryCodesRemaining} left - generate new ones from your profile if you're running low.`,
+          { variant: recoveryCodesRemaining > 2 ? 'info' : 'warning' }
+        );
+      } else {
+        enqueueSnackbar('Welcome back!', { variant: 'success' });
+      }
+      navigate('/posts');
+    }
+  };
+
   // Handle register form submission
   const handleRegister = async (e) => {
     e.preventDefault();
@@ -224,242 +256,259 @@ function Login() {
             </Typography>
           </Box>
 
-          {/* Tabs */}
-          <Box sx={{ borderBottom: 1, borderColor: 'divider', mb: 3 }}>
-            <Tabs
-              value={tabValue}
-              onChange={handleTabChange}
-              variant="fullWidth"
-              sx={{
-                '& .MuiTab-root': {
-                  textTransform: 'none',
-                  fontWeight: 500,
-                  fontSize: '1rem',
-                },
-              }}
-            >
-              <Tab label="Sign In" />
-              <Tab label="Sign Up" />
-            </Tabs>
-          </Box>
-
-          {/* Login Tab */}
-          <TabPanel value={tabValue} index={0}>
-            <Box component="form" onSubmit={handleLogin} noValidate>
-              <TextField
-                margin="normal"
-                required
-                fullWidth
-                id="email"
-                label="Email Address"
-                name="email"
-                autoComplete="email"
-                autoFocus
-                value={loginForm.email}
-                onChange={(e) => setLoginForm({ ...loginForm, email: e.target.value })}
-                error={!!formErrors.email}
-                helperText={formErrors.email}
-                InputProps={{
-                  startAdornment: (
-                    <InputAdornment position="start">
-                      <Email color="action" />
-                    </InputAdornment>
-                  ),
-                }}
-              />
-              <TextField
-                margin="normal"
-                required
-                fullWidth
-                name="password"
-                label="Password"
-                type={showPassword ? 'text' : 'password'}
-                id="password"
-                autoComplete="current-password"
-                value={loginForm.password}
-                onChange={(e) => setLoginForm({ ...loginForm, password: e.target.value })}
-                error={!!formErrors.password}
-                helperText={formErrors.password}
-                InputProps={{
-                  startAdornment: (
-                    <InputAdornment position="start">
-                      <Lock color="action" />
-                    </InputAdornment>
-                  ),
-                  endAdornment: (
-                    <InputAdornment position="end">
-                      <IconButton
-                        onClick={() => setShowPassword(!showPassword)}
-                        edge="end"
-                      >
-                        {showPassword ? <VisibilityOff /> : <Visibility />}
-                      </IconButton>
-                    </InputAdornment>
-                  ),
-                }}
-              />
-              <Button
-                type="submit"
-                fullWidth
-                variant="contained"
-                size="large"
-                disabled={isLoading}
-                sx={{
-                  mt: 3,
-                  mb: 2,
-                  py: 1.5,
-                  fontSize: '1rem',
-                  fontWeight: 600,
-                }}
-              >
-                {isLoading ? <CircularProgress size={24} /> : 'Sign In'}
-              </Button>
-            </Box>
-          </TabPanel>
-
-          {/* Register Tab */}
-          <TabPanel value={tabValue} index={1}>
-            <Box component="form" onSubmit={handleRegister} noValidate>
-              <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
-                <TextField
-                  required
-                  fullWidth
-                  id="firstName"
-                  label="First Name"
-                  name="firstName"
-                  autoComplete="given-name"
-                  value={registerForm.firstName}
-                  onChange={(e) => setRegisterForm({ ...registerForm, firstName: e.target.value })}
-                  error={!!formErrors.firstName}
-                  helperText={formErrors.firstName}
-                  InputProps={{
-                    startAdornment: (
-                      <InputAdornment position="start">
-                        <Person color="action" />
-                      </InputAdornment>
-                    ),
-                  }}
-                />
-                <TextField
-                  required
-                  fullWidth
-                  id="lastName"
-                  label="Last Name"
-                  name="lastName"
-                  autoComplete="family-name"
-                  value={registerForm.lastName}
-                  onChange={(e) => setRegisterForm({ ...registerForm, lastName: e.target.value })}
-                  error={!!formErrors.lastName}
-                  helperText={formErrors.lastName}
-                  InputProps={{
-                    startAdornment: (
-                      <InputAdornment position="start">
-                        <Person color="action" />
-                      </InputAdornment>
-                    ),
+          {twoFactorChallenge ? (
+            <TwoFactorForm
+              onSubmit={handleVerifyCode}
+              onCancel={() => dispatch(cancelTwoFactorLogin())}
+              loading={isLoading}
+              error={error}
+            />
+          ) : (
+            <>
+              {/* Tabs */}
+              <Box sx={{ borderBottom: 1, borderColor: 'divider', mb: 3 }}>
+                <Tabs
+                  value={tabValue}
+                  onChange={handleTabChange}
+                  variant="fullWidth"
+                  sx={{
+                    '& .MuiTab-root': {
+                      textTransform: 'none',
+                      fontWeight: 500,
+                      fontSize: '1rem',
+                    },
                   }}
-                />
+                >
+                  <Tab label="Sign In" />
+                  <Tab label="Sign Up" />
+                </Tabs>
               </Box>
-              <TextField
-                margin="normal"
-                required
-                fullWidth
-                id="email"
-                label="Email Address"
-                name="email"
-                autoComplete="email"
-                value={registerForm.email}
-                onChange={(e) => setRegisterForm({ ...registerForm, email: e.target.value })}
-                error={!!formErrors.email}
-                helperText={formErrors.email}
-                InputProps={{
-                  startAdornment: (
-                    <InputAdornment position="start">
-                      <Email color="action" />
-                    </InputAdornment>
-                  ),
-                }}
-              />
-              <TextField
-                margin="normal"
-                required
-                fullWidth
-                name="password"
-                label="Password"
-                type={showPassword ? 'text' : 'password'}
-                id="password"
-                autoComplete="new-password"
-                value={registerForm.password}
-                onChange={(e) => setRegisterForm({ ...registerForm, password: e.target.value })}
-                error={!!formErrors.password}
-                helperText={formErrors.password}
-                InputProps={{
-                  startAdornment: (
-                    <InputAdornment position="start">
-                      <Lock color="action" />
-                    </InputAdornment>
-                  ),
-                  endAdornment: (
-                    <InputAdornment position="end">
-                      <IconButton
-                        onClick={() => setShowPassword(!showPassword)}
-                        edge="end"
-                      >
-                        {showPassword ? <VisibilityOff /> : <Visibility />}
-                      </IconButton>
-                    </InputAdornment>
-                  ),
-                }}
-              />
-              <TextField
-                margin="normal"
-                required
-                fullWidth
-                name="confirmPassword"
-                label="Confirm Password"
-                type={showConfirmPassword ? 'text' : 'password'}
-                id="confirmPassword"
-                autoComplete="new-password"
-                value={registerForm.confirmPassword}
-                onChange={(e) => setRegisterForm({ ...registerForm, confirmPassword: e.target.value })}
-                error={!!formErrors.confirmPassword}
-                helperText={formErrors.confirmPassword}
-                InputProps={{
-                  startAdornment: (
-                    <InputAdornment position="start">
-                      <Lock color="action" />
-                    </InputAdornment>
-                  ),
-                  endAdornment: (
-                    <InputAdornment position="end">
-                      <IconButton
-                        onClick={() => setShowConfirmPassword(!showConfirmPassword)}
-                        edge="end"
-                      >
-                        {showConfirmPassword ? <VisibilityOff /> : <Visibility />}
-                      </IconButton>
-                    </InputAdornment>
-                  ),
-                }}
-              />
-              <Button
-                type="submit"
-                fullWidth
-                variant="contained"
-                size="large"
-                disabled={isLoading}
-                sx={{
-                  mt: 3,
-                  mb: 2,
-                  py: 1.5,
-                  fontSize: '1rem',
-                  fontWeight: 600,
-                }}
-              >
-                {isLoading ? <CircularProgress size={24} /> : 'Create Account'}
-              </Button>
-            </Box>
-          </TabPanel>
+
+              {/* Login Tab */}
+              <TabPanel value={tabValue} index={0}>
+                <Box component="form" onSubmit={handleLogin} noValidate>
+                  <TextField
+                    margin="normal"
+                    required
+                    fullWidth
+                    id="email"
+                    label="Email Address"
+                    name="email"
+                    autoComplete="email"
+                    autoFocus
+                    value={loginForm.email}
+                    onChange={(e) => setLoginForm({ ...loginForm, email: e.target.value })}
+                    error={!!formErrors.email}
+                    helperText={formErrors.email}
+                    InputProps={{
+                      startAdornment: (
+                        <InputAdornment position="start">
+                          <Email color="action" />
+                        </InputAdornment>
+                      ),
+                    }}
+                  />
+                  <TextField
+                    margin="normal"
+                    required
+                    fullWidth
+                    name="password"
+                    label="Password"
+                    type={showPassword ? 'text' : 'password'}
+                    id="password"
+                    autoComplete="current-password"
+                    value={loginForm.password}
+                    onChange={(e) => setLoginForm({ ...loginForm, password: e.target.value })}
+                    error={!!formErrors.password}
+                    helperText={formErrors.password}
+                    InputProps={{
+                      startAdornment: (
+                        <InputAdornment position="start">
+                          <Lock color="action" />
+                        </InputAdornment>
+                      ),
+                      endAdornment: (
+                        <InputAdornment position="end">
+                          <IconButton
+                            onClick={() => setShowPassword(!showPassword)}
+                            edge="end"
+                          >
+                            {showPassword ? <VisibilityOff /> : <Visibility />}
+                          </IconButton>
+                        </InputAdornment>
+                      ),
+                    }}
+                  />
+                  <Box sx={{ textAlign: 'right', mt: 1 }}>
+                    <Link component={RouterLink} to="/forgot-password" variant="body2" underline="hover">
+                      Forgot password?
+                    </Link>
+                  </Box>
+                  <Button
+                    type="submit"
+                    fullWidth
+                    variant="contained"
+                    size="large"
+                    disabled={isLoading}
+                    sx={{
+                      mt: 3,
+                      mb: 2,
+                      py: 1.5,
+                      fontSize: '1rem',
+                      fontWeight: 600,
+                    }}
+                  >
+                    {isLoading ? <CircularProgress size={24} /> : 'Sign In'}
+                  </Button>
+                  <SocialLoginButtons disabled={isLoading} />
+                </Box>
+              </TabPanel>
+
+              {/* Register Tab */}
+              <TabPanel value={tabValue} index={1}>
+                <Box component="form" onSubmit={handleRegister} noValidate>
+                  <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+                    <TextField
+                      required
+                      fullWidth
+                      id="firstName"
+                      label="First Name"
+                      name="firstName"
+                      autoComplete="given-name"
+                      value={registerForm.firstName}
+                      onChange={(e) => setRegisterForm({ ...registerForm, firstName: e.target.value })}
+                      error={!!formErrors.firstName}
+                      helperText={formErrors.firstName}
+                      InputProps={{
+                        startAdornment: (
+                          <InputAdornment position="start">
+                            <Person color="action" />
+                          </InputAdornment>
+                        ),
+                      }}
+                    />
+                    <TextField
+                      required
+                      fullWidth
+                      id="lastName"
+                      label="Last Name"
+                      name="lastName"
+                      autoComplete="family-name"
+                      value={registerForm.lastName}
+                      onChange={(e) => setRegisterForm({ ...registerForm, lastName: e.target.value })}
+                      error={!!formErrors.lastName}
+                      helperText={formErrors.lastName}
+                      InputProps={{
+                        startAdornment: (
+                          <InputAdornment position="start">
+                            <Person color="action" />
+                          </InputAdornment>
+                        ),
+                      }}
+                    />
+                  </Box>
+                  <TextField
+                    margin="normal"
+                    required
+                    fullWidth
+                    id="email"
+                    label="Email Address"
+                    name="email"
+                    autoComplete="email"
+                    value={registerForm.email}
+                    onChange={(e) => setRegisterForm({ ...registerForm, email: e.target.value })}
+                    error={!!formErrors.email}
+                    helperText={formErrors.email}
+                    InputProps={{
+                      startAdornment: (
+                        <InputAdornment position="start">
+                          <Email color="action" />
+                        </InputAdornment>
+                      ),
+                    }}
+                  />
+                  <TextField
+                    margin="normal"
+                    required
+                    fullWidth
+                    name="password"
+                    label="Password"
+                    type={showPassword ? 'text' : 'password'}
+                    id="password"
+                    autoComplete="new-password"
+                    value={registerForm.password}
+                    onChange={(e) => setRegisterForm({ ...registerForm, password: e.target.value })}
+                    error={!!formErrors.password}
+                    helperText={formErrors.password}
+                    InputProps={{
+                      startAdornment: (
+                        <InputAdornment position="start">
+                          <Lock color="action" />
+                        </InputAdornment>
+                      ),
+                      endAdornment: (
+                        <InputAdornment position="end">
+                          <IconButton
+                            onClick={() => setShowPassword(!showPassword)}
+                            edge="end"
+                          >
+                            {showPassword ? <VisibilityOff /> : <Visibility />}
+                          </IconButton>
+                        </InputAdornment>
+                      ),
+                    }}
+                  />
+                  <TextField
+                    margin="normal"
+                    required
+                    fullWidth
+                    name="confirmPassword"
+                    label="Confirm Password"
+                    type={showConfirmPassword ? 'text' : 'password'}
+                    id="confirmPassword"
+                    autoComplete="new-password"
+                    value={registerForm.confirmPassword}
+                    onChange={(e) => setRegisterForm({ ...registerForm, confirmPassword: e.target.value })}
+                    error={!!formErrors.confirmPassword}
+                    helperText={formErrors.confirmPassword}
+                    InputProps={{
+                      startAdornment: (
+                        <InputAdornment position="start">
+                          <Lock color="action" />
+                        </InputAdornment>
+                      ),
+                      endAdornment: (
+                        <InputAdornment position="end">
+                          <IconButton
+                            onClick={() => setShowConfirmPassword(!showConfirmPassword)}
+                            edge="end"
+                          >
+                            {showConfirmPassword ? <VisibilityOff /> : <Visibility />}
+                          </IconButton>
+                        </InputAdornment>
+                      ),
+                    }}
+                  />
+                  <Button
+                    type="submit"
+                    fullWidth
+                    variant="contained"
+                    size="large"
+                    disabled={isLoading}
+                    sx={{
+                      mt: 3,
+                      mb: 2,
+                      py: 1.5,
+                      fontSize: '1rem',
+                      fontWeight: 600,
+                    }}
+                  >
+                    {isLoading ? <CircularProgress size={24} /> : 'Create Account'}
+                  </Button>
+                </Box>
+              </TabPanel>
+            </>
+          )}
         </Paper>
       </Box>
     </Container>
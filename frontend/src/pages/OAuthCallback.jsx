@@ -0,0 +1,83 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link as RouterLink, useNavigate, useSearchParams } from 'react-router-dom';
+import { useDispatch } from 'react-redux';
+import { useSnackbar } from 'notistack';
+import { Box, Alert, Link, CircularProgress } from '@mui/material';
+
+import AuthLayout from '../components/auth/AuthLayout';
+import { loginWithProvider } from '../store/slices/authSlice';
+import { STORAGE_KEYS } from '../utils/constants';
+
+// Where OIDC providers send the browser back to (OIDC_REDIRECT_URI on the server)
+function OAuthCallback() {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { enqueueSnackbar } = useSnackbar();
+  const [searchParams] = useSearchParams();
+
+  const [message, setMessage] = useState(null);
+  // The code only works once, so don't send it twice (StrictMode runs effects twice)
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+
+    const stored = sessionStorage.getItem(STORAGE_KEYS.OIDC_FLOW);
+    sessionStorage.removeItem(STORAGE_KEYS.OIDC_FLOW);
+    const flow = stored ? JSON.parse(stored) : null;
+
+    const code = searchParams.get('code');
+    const state = searchParams.get('state');
+
+    if (searchParams.get('error')) {
+      setMessage(searchParams.get('error_description') || 'Sign-in was cancelled.');
+      return;
+    }
+    // Only finish a sign-in this tab started
+    if (!code || !flow || flow.state !== state) {
+      setMessage('This sign-in link is no longer valid. Please start again.');
+      return;
+    }
+
+    dispatch(loginWithProvider({ code, state, flowToken: flow.flowToken }))
+      .then((resultAction) => {
+        if (loginWithProvider.rejected.match(resultAction)) {
+          setMessage(resultAction.payload);
+          return;
+        }
+
+        // Accounts with two-factor on finish on the sign-in page
+        if (resultAction.payload.twoFactorRequired) {
+          navigate('/login', { replace: true });
+          return;
+        }
+
+        enqueueSnackbar('Welcome!', { variant: 'success' });
+        navigate('/posts', { replace: true });
+      });
+  }, [searchParams, dispatch, navigate, enqueueSnackbar]);
+
+  return (
+    <AuthLayout title="Signing you in">
+      {message ? (
+        <>
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {message}
+          </Alert>
+          <Box textAlign="center">
+            <Link component={RouterLink} to="/login" variant="body2" underline="hover">
+              Back to sign in
+            </Link>
+          </Box>
+        </>
+      ) : (
+        <Box display="flex" justifyContent="center" my={3}>
+          <CircularProgress />
+        </Box>
+      )}
+    </AuthLayout>
+  );
+}
+
+export default OAuthCallback;
@@ -10,7 +10,6 @@ import {
   Chip,
   IconButton,
   Button,
-  TextField,
   Divider,
   Card,
   CardContent,
@@ -32,7 +31,6 @@ import {
   Visibility,
   Schedule,
   Person,
-  Send,
   AttachFile,
   Download,
 } from '@mui/icons-material';
@@ -40,15 +38,19 @@ import { format } from 'date-fns';
 
 import {
   fetchPostById,
-  addComment,
   likePost,
   deletePost,
   clearCurrentPost,
+  commentsCountChanged,
   selectCurrentPost,
   selectCurrentPostLoading,
   selectCurrentPostError,
 } from '../store/slices/postsSlice';
 import { selectUser } from '../store/slices/authSlice';
+import postsService from '../services/postsService';
+import AttachmentThumbnail from '../components/posts/AttachmentThumbnail';
+import CommentsSection from '../components/posts/CommentsSection';
+import { saveBlob, getErrorMessage } from '../utils/helpers';
 
 function PostDetail() {
   const { postId, commentId } = useParams();
@@ -61,10 +63,8 @@ function PostDetail() {
   const error = useSelector(selectCurrentPostError);
   const currentUser = useSelector(selectUser);
 
-  const [commentText, setCommentText] = useState('');
-  const [isLiked, setIsLiked] = useState(false);
+  const [liking, setLiking] = useState(false);
   const [isBookmarked, setIsBookmarked] = useState(false);
-  const [submittingComment, setSubmittingComment] = useState(false);
 
   // Fetch post on component mount
   useEffect(() => {
@@ -78,31 +78,8 @@ function PostDetail() {
     };
   }, [dispatch, postId]);
 
-  // Scroll to comment if commentId is provided
-  useEffect(() => {
-    if (commentId && post?.comments) {
-      const timer = setTimeout(() => {
-        const commentElement = document.getElementById(`comment-${commentId}`);
-        if (commentElement) {
-          commentElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
-          commentElement.style.backgroundColor = '#fff3e0';
-          setTimeout(() => {
-            commentElement.style.backgroundColor = 'transparent';
-          }, 2000);
-        }
-      }, 500);
-
-      return () => clearTimeout(timer);
-    }
-  }, [commentId, post]);
-
-  // Check if current user liked the post
-  useEffect(() => {
-    if (post && currentUser) {
-      const userLike = post.likes?.find(like => like.user === currentUser._id);
-      setIsLiked(!!userLike);
-    }
-  }, [post, currentUser]);
+  // The server works out likedByMe; the button shows what it last reported
+  const isLiked = !!post?.likedByMe;
 
   // Handle like/unlike
   const handleLikeToggle = async () => {
@@ -111,46 +88,17 @@ function PostDetail() {
       return;
     }
 
-    setIsLiked(!isLiked); // Optimistic update
-
+    setLiking(true);
     try {
-      await dispatch(likePost(postId)).unwrap();
+      await dispatch(likePost({ postId, liked: !isLiked })).unwrap();
     } catch (error) {
-      setIsLiked(isLiked); // Revert on error
       enqueueSnackbar(error || 'Failed to update like', { variant: 'error' });
+    } finally {
+      setLiking(false);
     }
   };
 
-  // Handle comment submission
-  const handleCommentSubmit = async (e) => {
-    e.preventDefault();
-    
-    if (!commentText.trim()) {
-      enqueueSnackbar('Please enter a comment', { variant: 'warning' });
-      return;
-    }
 
-    if (!currentUser) {
-      enqueueSnackbar('Please login to comment', { variant: 'warning' });
-      return;
-    }
-
-    setSubmittingComment(true);
-
-    try {
-      await dispatch(addComment({ 
-        postId, 
-        content: commentText.trim() 
-      })).unwrap();
-      
-      setCommentText('');
-      enqueueSnackbar('Comment added successfully!', { variant: 'success' });
-    } catch (error) {
-      enqueueSnackbar(error || 'Failed to add comment', { variant: 'error' });
-    } finally {
-      setSubmittingComment(false);
-    }
-  };
 
   // Handle post deletion
   const handleDeletePost = async () => {
@@ -186,10 +134,21 @@ function PostDetail() {
     }
   };
 
-  // Handle file download (mock implementation)
-  const handleFileDownload = (attachment) => {
+  // Handle file download
+  const handleFileDownload = async (attachment) => {
+    if (!currentUser) {
+      enqueueSnackbar('Please login to download attachments', { variant: 'warning' });
+      return;
+    }
+
     enqueueSnackbar(`Downloading ${attachment.originalName}...`, { variant: 'info' });
-    // In a real app, you'd download from the actual file URL
+
+    try {
+      const blob = await postsService.downloadAttachment(postId, attachment._id);
+      saveBlob(blob, attachment.originalName);
+    } catch (error) {
+      enqueueSnackbar(getErrorMessage(error) || 'Failed to download file', { variant: 'error' });
+    }
   };
 
   // Loading state
@@ -374,13 +333,18 @@ function PostDetail() {
                 <CardContent sx={{ p: 2, '&:last-child': { pb: 2 } }}>
                   <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap' }}>
                     <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
-                      <AttachFile color="action" />
+                      <AttachmentThumbnail
+                        postId={postId}
+                        attachment={attachment}
+                        fallback={<AttachFile color="action" />}
+                      />
                       <Box>
                         <Typography variant="body2" fontWeight="medium">
                           {attachment.originalName}
                         </Typography>
                         <Typography variant="caption" color="text.secondary">
                           {(attachment.size / 1024).toFixed(1)} KB • {attachment.mimeType}
+                          {attachment.width && attachment.height && ` • ${attachment.width}×${attachment.height}`}
                         </Typography>
                       </Box>
                     </Box>
@@ -403,6 +367,7 @@ function PostDetail() {
           <Button
             startIcon={isLiked ? <ThumbUp /> : <ThumbUpOutlined />}
             onClick={handleLikeToggle}
+            disabled={liking}
             color={isLiked ? 'primary' : 'inherit'}
           >
             {post?.likesCount || 0} {post?.likesCount === 1 ? 'Like' : 'Likes'}
@@ -413,7 +378,7 @@ function PostDetail() {
             color="inherit"
             onClick={() => document.getElementById('comment-section')?.scrollIntoView({ behavior: 'smooth' })}
           >
-            {post?.comments?.length || 0} {post?.comments?.length === 1 ? 'Comment' : 'Comments'}
+            {post?.commentsCount || 0} {post?.commentsCount === 1 ? 'Comment' : 'Comments'}
           </Button>
 
           <Button
@@ -435,106 +400,13 @@ function PostDetail() {
       </Paper>
 
       {/* Comments Section */}
-      <Paper sx={{ p: { xs: 2, md: 3 } }} id="comment-section">
-        <Typography variant="h6" gutterBottom>
-          Comments ({post?.comments?.length || 0})
-        </Typography>
-
-        {/* Add Comment Form */}
-        {currentUser ? (
-          <Box component="form" onSubmit={handleCommentSubmit} sx={{ mb: 3 }}>
-            <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start', flexWrap: 'wrap' }}>
-              <Avatar sx={{ width: 32, height: 32 }}>
-                {currentUser.firstName?.[0]}{currentUser.lastName?.[0]}
-              </Avatar>
-              <Box sx={{ flex: 1, minWidth: 0 }}>
-                <TextField
-                  fullWidth
-                  multiline
-                  rows={3}
-                  placeholder="Write a comment..."
-                  value={commentText}
-                  onChange={(e) => setCommentText(e.target.value)}
-                  disabled={submittingComment}
-                />
-                <Box sx={{ mt: 1, display: 'flex', justifyContent: 'flex-end' }}>
-                  <Button
-                    type="submit"
-                    variant="contained"
-                    size="small"
-                    disabled={submittingComment || !commentText.trim()}
-                    startIcon={<Send />}
-                  >
-                    {submittingComment ? 'Posting...' : 'Post Comment'}
-                  </Button>
-                </Box>
-              </Box>
-            </Box>
-          </Box>
-        ) : (
-          <Alert severity="info" sx={{ mb: 3 }}>
-            <Button onClick={() => navigate('/login')}>Login</Button> to post a comment.
-          </Alert>
-        )}
-
-        {/* Comments List */}
-        {post?.comments && post.comments.length > 0 ? (
-          <Box>
-            {post.comments.map((comment, index) => (
-              <Box
-                key={comment._id || index}
-                id={`comment-${comment._id}`}
-                sx={{ 
-                  mb: 3, 
-                  pb: 2, 
-                  borderBottom: index < post.comments.length - 1 ? 1 : 0, 
-                  borderColor: 'divider',
-                  transition: 'background-color 0.3s ease'
-                }}
-              >
-                <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start', flexWrap: 'wrap' }}>
-                  <Avatar sx={{ width: 32, height: 32 }}>
-                    {comment.author?.firstName?.[0]}{comment.author?.lastName?.[0]}
-                  </Avatar>
-                  <Box sx={{ flex: 1, minWidth: 0 }}>
-                    <Box sx={{ mb: 1 }}>
-                      <Typography variant="subtitle2" component="span">
-                        {comment.author?.firstName} {comment.author?.lastName}
-                      </Typography>
-                      <Typography variant="caption" color="text.secondary" sx={{ ml: 2 }}>
-                        {format(new Date(comment.createdAt || Date.now()), 'MMM dd, yyyy • h:mm a')}
-                      </Typography>
-                    </Box>
-                    <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
-                      {comment.content}
-                    </Typography>
-
-                    {/* Comment replies would go here in a full implementation */}
-                    {comment.replies && comment.replies.length > 0 && (
-                      <Box sx={{ mt: 2, pl: 2, borderLeft: 2, borderColor: 'divider' }}>
-                        {comment.replies.map((reply, replyIndex) => (
-                          <Box key={reply._id || replyIndex} sx={{ mb: 1 }}>
-                            <Typography variant="caption" fontWeight="medium">
-                              {reply.author?.firstName} {reply.author?.lastName}
-                            </Typography>
-                            <Typography variant="body2" sx={{ mt: 0.5 }}>
-                              {reply.content}
-                            </Typography>
-                          </Box>
-                        ))}
-                      </Box>
-                    )}
-                  </Box>
-                </Box>
-              </Box>
-            ))}
-          </Box>
-        ) : (
-          <Typography variant="body2" color="text.secondary" sx={{ textAlign: 'center', py: 4 }}>
-            No comments yet. Be the first to comment!
-          </Typography>
-        )}
-      </Paper>
+      <CommentsSection
+        postId={postId}
+        count={post?.commentsCount || 0}
+        currentUser={currentUser}
+        highlightId={commentId}
+        onCountChange={(delta) => dispatch(commentsCountChanged({ postId, delta }))}
+      />
     </Box>
   );
 }
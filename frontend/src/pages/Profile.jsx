@@ -22,6 +22,7 @@ import {
   IconButton,
   Tooltip,
   CircularProgress,
+  LinearProgress,
 } from '@mui/material';
 import {
   Person,
@@ -37,7 +38,10 @@ import {
 import { format } from 'date-fns';
 
 import { selectUser, updateUserProfile } from '../store/slices/authSlice';
+import ActiveSessions from '../components/profile/ActiveSessions';
+import TwoFactorSettings from '../components/profile/TwoFactorSettings';
 import usersService from '../services/usersService';
+import { formatFileSize } from '../utils/helpers';
 
 function Profile() {
   const dispatch = useDispatch();
@@ -567,6 +571,27 @@ function Profile() {
                     </Typography>
                   </Box>
                 </Grid>
+                {userStats.storageQuota > 0 && (
+                  <Grid item xs={12}>
+                    <Box display="flex" justifyContent="space-between" mb={0.5}>
+                      <Typography variant="body2" color="text.secondary">
+                        Storage
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        {formatFileSize(userStats.storageUsed)} of {formatFileSize(userStats.storageQuota)}
+                      </Typography>
+                    </Box>
+                    <LinearProgress
+                      variant="determinate"
+                      value={Math.min(100, (userStats.storageUsed / userStats.storageQuota) * 100)}
+                      color={userStats.storageRemaining < userStats.storageQuota * 0.1 ? 'warning' : 'primary'}
+                      sx={{ height: 8, borderRadius: 4 }}
+                    />
+                    <Typography variant="caption" color="text.secondary">
+                      {formatFileSize(userStats.storageRemaining)} remaining
+                    </Typography>
+                  </Grid>
+                )}
               </Grid>
             ) : (
               <Typography color="text.secondary">
@@ -575,6 +600,12 @@ function Profile() {
             )}
           </Paper>
 
+          {/* Two-Factor Authentication */}
+          <TwoFactorSettings />
+
+          {/* Active Sessions */}
+          <ActiveSessions />
+
           {/* Account Actions */}
           <Paper sx={{ p: 3 }}>
             <Typography variant="h6" gutterBottom>
@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { Link as RouterLink, useNavigate, useSearchParams } from 'react-router-dom';
+import { useSnackbar } from 'notistack';
+import {
+  Box,
+  TextField,
+  Button,
+  Alert,
+  Link,
+  CircularProgress,
+  InputAdornment,
+  IconButton,
+} from '@mui/material';
+import { Lock, Visibility, VisibilityOff } from '@mui/icons-material';
+
+import AuthLayout from '../components/auth/AuthLayout';
+import authService from '../services/authService';
+import { validatePassword, getErrorMessage } from '../utils/helpers';
+
+function ResetPassword() {
+  const navigate = useNavigate();
+  const { enqueueSnackbar } = useSnackbar();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [form, setForm] = useState({ password: '', confirmPassword: '' });
+  const [formErrors, setFormErrors] = useState({});
+  const [showPassword, setShowPassword] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [linkExpired, setLinkExpired] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = {};
+    const validation = validatePassword(form.password);
+    if (!validation.isValid) {
+      errors.password = validation.error;
+    }
+    if (form.password !== form.confirmPassword) {
+      errors.confirmPassword = 'Passwords do not match';
+    }
+    setFormErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    setError(null);
+    setLoading(true);
+    try {
+      const response = await authService.resetPassword(token, form.password);
+      enqueueSnackbar(response.message, { variant: 'success' });
+      navigate('/login', { replace: true });
+    } catch (err) {
+      setLinkExpired(err.response?.data?.code === 'INVALID_RESET_TOKEN');
+      setError(getErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <AuthLayout title="Reset your password">
+        <Alert severity="error" sx={{ mb: 2 }}>
+          This reset link is incomplete. Please use the full link from the email, or request a new one.
+        </Alert>
+        <Box textAlign="center">
+          <Link component={RouterLink} to="/forgot-password" variant="body2" underline="hover">
+            Request a new reset link
+          </Link>
+        </Box>
+      </AuthLayout>
+    );
+  }
+
+  return (
+    <AuthLayout
+      title="Reset your password"
+      subtitle="Choose a new password. You'll be signed out on every device."
+    >
+      <Box component="form" onSubmit={handleSubmit} noValidate>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <TextField
+          margin="normal"
+          required
+          fullWidth
+          name="password"
+          label="New Password"
+          type={showPassword ? 'text' : 'password'}
+          id="password"
+          autoComplete="new-password"
+          autoFocus
+          value={form.password}
+          onChange={(e) => setForm({ ...form, password: e.target.value })}
+          error={!!formErrors.password}
+          helperText={formErrors.password}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <Lock color="action" />
+              </InputAdornment>
+            ),
+            endAdornment: (
+              <InputAdornment position="end">
+                <IconButton onClick={() => setShowPassword(!showPassword)} edge="end">
+                  {showPassword ? <VisibilityOff /> : <Visibility />}
+                </IconButton>
+              </InputAdornment>
+            ),
+          }}
+        />
+        <TextField
+          margin="normal"
+          required
+          fullWidth
+          name="confirmPassword"
+          label="Confirm New Password"
+          type={showPassword ? 'text' : 'password'}
+          id="confirmPassword"
+          autoComplete="new-password"
+          value={form.confirmPassword}
+          onChange={(e) => setForm({ ...form, confirmPassword: e.target.value })}
+          error={!!formErrors.confirmPassword}
+          helperText={formErrors.confirmPassword}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <Lock color="action" />
+              </InputAdornment>
+            ),
+          }}
+        />
+        <Button
+          type="submit"
+          fullWidth
+          variant="contained"
+          size="large"
+          disabled={loading || linkExpired}
+          sx={{ mt: 3, mb: 2, py: 1.5, fontWeight: 600 }}
+        >
+          {loading ? <CircularProgress size={24} /> : 'Reset password'}
+        </Button>
+      </Box>
+
+      <Box textAlign="center">
+        {linkExpired ? (
+          <Link component={RouterLink} to="/forgot-password" variant="body2" underline="hover">
+            Request a new reset link
+          </Link>
+        ) : (
+          <Link component={RouterLink} to="/login" variant="body2" underline="hover">
+            Back to sign in
+          </Link>
+        )}
+      </Box>
+    </AuthLayout>
+  );
+}
+
+export default ResetPassword;
@@ -0,0 +1,71 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link as RouterLink, useSearchParams } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { Box, Alert, Link, CircularProgress, Typography } from '@mui/material';
+
+import AuthLayout from '../components/auth/AuthLayout';
+import authService from '../services/authService';
+import { selectUser, updateUserProfile } from '../store/slices/authSlice';
+import { getErrorMessage } from '../utils/helpers';
+
+function VerifyEmail() {
+  const dispatch = useDispatch();
+  const user = useSelector(selectUser);
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(
+    token ? null : 'This verification link is incomplete. Please use the full link from the email.'
+  );
+  // The token only works once, so don't send it twice (StrictMode runs effects twice)
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    authService.verifyEmail(token)
+      .then((response) => {
+        setStatus('verified');
+        setMessage(response.message);
+        // Clear the banner if the account verified here is the one signed in
+        if (user && user._id === response.data.userId) {
+          dispatch(updateUserProfile({ emailVerified: true }));
+        }
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(getErrorMessage(err));
+      });
+  }, [token, user, dispatch]);
+
+  return (
+    <AuthLayout title="Verify your email">
+      {status === 'verifying' ? (
+        <Box display="flex" justifyContent="center" my={3}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <Alert severity={status === 'verified' ? 'success' : 'error'} sx={{ mb: 2 }}>
+          {message}
+        </Alert>
+      )}
+
+      {status !== 'verifying' && (
+        <Box textAlign="center">
+          <Link component={RouterLink} to={user ? '/posts' : '/login'} variant="body2" underline="hover">
+            {user ? 'Continue to the app' : 'Go to sign in'}
+          </Link>
+          {status === 'error' && user && (
+            <Typography variant="body2" color="text.secondary" mt={1}>
+              You can request a new link from the banner at the top of any page.
+            </Typography>
+          )}
+        </Box>
+      )}
+    </AuthLayout>
+  );
+}
+
+export default VerifyEmail;
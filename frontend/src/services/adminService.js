@@ -0,0 +1,68 @@
+import api from './api';
+import { API_ENDPOINTS } from '../utils/constants';
+
+const { ADMIN } = API_ENDPOINTS;
+
+const adminService = {
+  // Site-wide user/post stats
+  getStats: async () => {
+    const response = await api.get(ADMIN.STATS);
+    return response.data;
+  },
+
+  // List/search users ({ search, role, isActive, page, limit })
+  getUsers: async (params = {}) => {
+    const response = await api.get(ADMIN.USERS, { params });
+    return response.data;
+  },
+
+  // Activate or deactivate a user
+  setUserActive: async (userId, isActive, reason) => {
+    const response = await api.patch(ADMIN.USER_STATUS(userId), { isActive, reason });
+    return response.data;
+  },
+
+  // Promote or demote a user
+  setUserRole: async (userId, role, reason) => {
+    const response = await api.patch(ADMIN.USER_ROLE(userId), { role, reason });
+    return response.data;
+  },
+
+  // Sign a user out of every session
+  forceLogout: async (userId) => {
+    const response = await api.post(ADMIN.USER_LOGOUT(userId));
+    return response.data;
+  },
+
+  // Lift a sign-in lockout
+  unlockUser: async (userId) => {
+    const response = await api.delete(ADMIN.USER_LOCKOUT(userId));
+    return response.data;
+  },
+
+  // List any post ({ status, author, search, page, limit })
+  getPosts: async (params = {}) => {
+    const response = await api.get(ADMIN.POSTS, { params });
+    return response.data;
+  },
+
+  // Change any post's status
+  setPostStatus: async (postId, status, reason) => {
+    const response = await api.patch(ADMIN.POST_STATUS(postId), { status, reason });
+    return response.data;
+  },
+
+  // Delete any post
+  deletePost: async (postId, reason) => {
+    const response = await api.delete(ADMIN.POST(postId), { data: { reason } });
+    return response.data;
+  },
+
+  // Browse the audit trail
+  getAuditLogs: async (params = {}) => {
+    const response = await api.get(ADMIN.AUDIT_LOGS, { params });
+    return response.data;
+  },
+};
+
+export default adminService;
\ No newline at end of file
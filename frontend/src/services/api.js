@@ -13,6 +13,14 @@ const api = axios.create({
 let isRefreshing = false;
 let failedQueue = [];
 
+// Called with { accessToken, refreshToken } after the interceptor refreshes them,
+// so the Redux store can stay in step with localStorage
+let tokensRefreshedListener = null;
+
+export const onTokensRefreshed = (listener) => {
+  tokensRefreshedListener = listener;
+};
+
 // Process the queue of failed requests after token refresh
 const processQueue = (error, token = null) => {
   failedQueue.forEach(({ resolve, reject }) => {
@@ -54,20 +62,73 @@ const getRefreshToken = () => {
   return null;
 };
 
-// Update token in localStorage
-const updateToken = (newAccessToken) => {
+// Update tokens in localStorage. Refresh tokens are single-use (the server
+// rotates them on every refresh), so the new one must replace the old one
+const updateTokens = ({ accessToken, refreshToken }) => {
   try {
     const authState = localStorage.getItem('authState');
     if (authState) {
       const parsed = JSON.parse(authState);
-      parsed.accessToken = newAccessToken;
+      parsed.accessToken = accessToken;
+      if (refreshToken) {
+        parsed.refreshToken = refreshToken;
+      }
       localStorage.setItem('authState', JSON.stringify(parsed));
     }
   } catch (error) {
-    console.error('Error updating token in localStorage:', error);
+    console.error('Error updating tokens in localStorage:', error);
   }
+
+  tokensRefreshedListener && tokensRefreshedListener({ accessToken, refreshToken });
 };
 
+// Read the tokens another tab may have stored since this tab last looked
+const getStoredTokens = () => ({ accessToken: getToken(), refreshToken: getRefreshToken() });
+
+// Refresh tokens are single-use and shared by every tab through localStorage. If
+// two tabs sent the same one, the server would treat the second as token theft
+// and sign the user out everywhere, so refreshes take a cross-tab lock (Web Locks
+// API, where available) and re-read the tokens once they hold it.
+const withRefreshLock = (callback) => {
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    return navigator.locks.request('auth-token-refresh', callback);
+  }
+  return callback();
+};
+
+// Get a fresh access token, unless another tab already refreshed the one that failed
+const refreshAccessToken = (failedToken) => withRefreshLock(async () => {
+  const stored = getStoredTokens();
+
+  if (stored.accessToken && stored.accessToken !== failedToken) {
+    tokensRefreshedListener && tokensRefreshedListener(stored);
+    return stored.accessToken;
+  }
+
+  if (!stored.refreshToken) {
+    throw new Error('No refresh token available');
+  }
+
+  const response = await api.post('/auth/refresh', { refreshToken: stored.refreshToken });
+
+  // Store the new access token and the rotated refresh token
+  updateTokens(response.data.data);
+  return response.data.data.accessToken;
+});
+
+// Keep this tab's store in step when another tab rotates the tokens, so it never
+// writes the rotated-out refresh token back to localStorage
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key !== 'authState' || !event.newValue) return;
+
+    const stored = getStoredTokens();
+    if (stored.accessToken && tokensRefreshedListener) {
+      tokensRefreshedListener(stored);
+    }
+  });
+}
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
   (config) => {
@@ -119,10 +180,11 @@ api.interceptors.response.use(
     
     // Handle 401 errors (unauthorized)
     if (error.response?.status === 401 && !originalRequest._retry) {
-      // Check if it's a token expired error
+      // Check if it's a token expired error. Revoked access tokens (e.g. after a
+      // password change) are refreshed too; that fails if the session was ended.
       const errorCode = error.response?.data?.code;
       
-      if (errorCode === 'TOKEN_EXPIRED') {
+      if (errorCode === 'TOKEN_EXPIRED' || errorCode === 'TOKEN_REVOKED') {
         // If we're already refreshing, queue this request
         if (isRefreshing) {
           return new Promise((resolve, reject) => {
@@ -138,17 +200,8 @@ api.interceptors.response.use(
         isRefreshing = true;
         
         try {
-          const refreshToken = getRefreshToken();
-          if (!refreshToken) {
-            throw new Error('No refresh token available');
-          }
-
-          // Attempt to refresh token
-          const response = await api.post('/auth/refresh', { refreshToken });
-          const newToken = response.data.data.accessToken;
-          
-          // Update token in localStorage
-          updateToken(newToken);
+          const failedToken = originalRequest.headers.Authorization?.replace(/^Bearer /, '');
+          const newToken = await refreshAccessToken(failedToken);
           
           // Process queued requests
           processQueue(null, newToken);
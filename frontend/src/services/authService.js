@@ -31,6 +31,96 @@ const authService = {
     return response.data;
   },
 
+  // Second sign-in step: challenge token from login plus a TOTP or recovery code
+  loginTwoFactor: async (challengeToken, code) => {
+    const response = await api.post('/auth/login/2fa', { challengeToken, code });
+    return response.data;
+  },
+
+  // Two-factor status for the signed-in user
+  getTwoFactorStatus: async () => {
+    const response = await api.get('/auth/2fa');
+    return response.data;
+  },
+
+  // Start enrolling an authenticator app (returns the secret and otpauth:// URI)
+  setupTwoFactor: async () => {
+    const response = await api.post('/auth/2fa/setup');
+    return response.data;
+  },
+
+  // Confirm enrollment with a code from the app (returns recovery codes)
+  enableTwoFactor: async (code) => {
+    const response = await api.post('/auth/2fa/enable', { code });
+    return response.data;
+  },
+
+  // Turn two-factor off
+  disableTwoFactor: async (password) => {
+    const response = await api.post('/auth/2fa/disable', { password });
+    return response.data;
+  },
+
+  // Replace the recovery codes
+  regenerateRecoveryCodes: async (password) => {
+    const response = await api.post('/auth/2fa/recovery-codes', { password });
+    return response.data;
+  },
+
+  // OIDC providers configured on the server
+  getOidcProviders: async () => {
+    const response = await api.get('/auth/oidc/providers');
+    return response.data;
+  },
+
+  // Start signing in with a provider: returns its authorization URL and the flow token to keep
+  startOidcLogin: async (provider) => {
+    const response = await api.get(`/auth/oidc/${provider}/authorize`);
+    return response.data;
+  },
+
+  // Finish signing in with the code the provider redirected back with
+  completeOidcLogin: async ({ code, state, flowToken }) => {
+    const response = await api.post('/auth/oidc/callback', { code, state, flowToken });
+    return response.data;
+  },
+
+  // Email a password reset link
+  forgotPassword: async (email) => {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  // Set a new password with the token from the reset link
+  resetPassword: async (token, password) => {
+    const response = await api.post('/auth/reset-password', { token, password });
+    return response.data;
+  },
+
+  // Confirm an email address with the token from the verification link
+  verifyEmail: async (token) => {
+    const response = await api.get('/auth/verify-email', { params: { token } });
+    return response.data;
+  },
+
+  // Email the signed-in user a new verification link
+  resendVerification: async () => {
+    const response = await api.post('/auth/resend-verification');
+    return response.data;
+  },
+
+  // List signed-in devices
+  getSessions: async () => {
+    const response = await api.get('/auth/sessions');
+    return response.data;
+  },
+
+  // Sign out a single device
+  revokeSession: async (sessionId) => {
+    const response = await api.delete(`/auth/sessions/${sessionId}`);
+    return response.data;
+  },
+
   // Get current user info
   getCurrentUser: async () => {
     const response = await api.get('/auth/me');
@@ -1,4 +1,18 @@
-import api, { createFormData } from './api';
+import api from './api';
+
+// Multipart requests report upload progress to the caller
+const getUploadConfig = (postData, onUploadProgress) => {
+  if (!(postData instanceof FormData)) {
+    return {};
+  }
+
+  return {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+    onUploadProgress,
+  };
+};
 
 const postsService = {
   // Get all posts with optional parameters
@@ -19,59 +33,16 @@ const postsService = {
     return response.data;
   },
 
-  // Create new post
-  createPost: async (postData) => {
-    // Check if we have a file to upload
-    const hasFile = postData.attachment instanceof File;
-    
-    if (hasFile) {
-      // Use FormData for file upload
-      const formData = createFormData(postData);
-      const response = await api.post('/posts', formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-        },
-        // Track upload progress if needed
-        onUploadProgress: (progressEvent) => {
-          const percentCompleted = Math.round(
-            (progressEvent.loaded * 100) / progressEvent.total
-          );
-          console.log(`Upload progress: ${percentCompleted}%`);
-        },
-      });
-      return response.data;
-    } else {
-      // Regular JSON request
-      const response = await api.post('/posts', postData);
-      return response.data;
-    }
+  // Create new post (postData is FormData when files are sent inline, or JSON with uploadIds)
+  createPost: async (postData, { onUploadProgress } = {}) => {
+    const response = await api.post('/posts', postData, getUploadConfig(postData, onUploadProgress));
+    return response.data;
   },
 
   // Update existing post
-  updatePost: async (postId, postData) => {
-    // Check if we have a file to upload
-    const hasFile = postData.attachment instanceof File;
-    
-    if (hasFile) {
-      // Use FormData for file upload
-      const formData = createFormData(postData);
-      const response = await api.put(`/posts/${postId}`, formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-        },
-        onUploadProgress: (progressEvent) => {
-          const percentCompleted = Math.round(
-            (progressEvent.loaded * 100) / progressEvent.total
-          );
-          console.log(`Upload progress: ${percentCompleted}%`);
-        },
-      });
-      return response.data;
-    } else {
-      // Regular JSON request
-      const response = await api.put(`/posts/${postId}`, postData);
-      return response.data;
-    }
+  updatePost: async (postId, postData, { onUploadProgress } = {}) => {
+    const response = await api.put(`/posts/${postId}`, postData, getUploadConfig(postData, onUploadProgress));
+    return response.data;
   },
 
   // Delete post
@@ -80,9 +51,27 @@ const postsService = {
     return response.data;
   },
 
-  // Toggle like on post
-  toggleLike: async (postId) => {
-    const response = await api.post(`/posts/${postId}/like`);
+  // Like post (liking again changes nothing)
+  likePost: async (postId) => {
+    const response = await api.put(`/posts/${postId}/like`);
+    return response.data;
+  },
+
+  // Remove like from post
+  unlikePost: async (postId) => {
+    const response = await api.delete(`/posts/${postId}/like`);
+    return response.data;
+  },
+
+  // Get a page of top-level comments, each with its replies
+  getComments: async (postId, params = {}) => {
+    const response = await api.get(`/posts/${postId}/comments`, { params });
+    return response.data;
+  },
+
+  // Get the whole thread a comment is in
+  getCommentThread: async (postId, commentId) => {
+    const response = await api.get(`/posts/${postId}/comments/${commentId}`);
     return response.data;
   },
 
@@ -92,6 +81,47 @@ const postsService = {
     return response.data;
   },
 
+  // Reply to a comment
+  replyToComment: async (postId, commentId, content) => {
+    const response = await api.post(`/posts/${postId}/comments/${commentId}/replies`, { content });
+    return response.data;
+  },
+
+  // Edit a comment
+  updateComment: async (postId, commentId, content) => {
+    const response = await api.patch(`/posts/${postId}/comments/${commentId}`, { content });
+    return response.data;
+  },
+
+  // Delete a comment (replies stay, under a "deleted" placeholder)
+  deleteComment: async (postId, commentId) => {
+    const response = await api.delete(`/posts/${postId}/comments/${commentId}`);
+    return response.data;
+  },
+
+  // Remove a single attachment from a post
+  deleteAttachment: async (postId, attachmentId) => {
+    const response = await api.delete(`/posts/${postId}/attachments/${attachmentId}`);
+    return response.data;
+  },
+
+  // Persist a new attachment order
+  reorderAttachments: async (postId, attachmentIds) => {
+    const response = await api.put(`/posts/${postId}/attachments/order`, { attachmentIds });
+    return response.data;
+  },
+
+  // Download a post attachment as a Blob (goes through the auth interceptor)
+  // variant: 'thumbnail' | 'medium' fetches a generated image rendition instead
+  downloadAttachment: async (postId, attachmentId, { variant } = {}) => {
+    const response = await api.get(`/posts/${postId}/attachments/${attachmentId}`, {
+      params: variant ? { variant } : undefined,
+      responseType: 'blob',
+      timeout: 0, // Large files can take longer than the default timeout
+    });
+    return response.data;
+  },
+
   // Search posts (using the existing API with search parameter)
   searchPosts: async (query, params = {}) => {
     const searchParams = {
@@ -0,0 +1,147 @@
+import axios from 'axios';
+import api from './api';
+import { API_ENDPOINTS, FILE_UPLOAD } from '../utils/constants';
+
+// Back-off between attempts at a failed chunk
+const CHUNK_RETRY_DELAYS = [1000, 3000, 10000];
+
+// Network drops, timeouts and server hiccups are worth retrying - validation errors aren't
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  return !status || status === 408 || status === 429 || status >= 500;
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new axios.CanceledError());
+  }, { once: true });
+});
+
+const uploadsService = {
+  // Start a resumable upload session
+  createUpload: async ({ fileName, mimeType, size }) => {
+    const response = await api.post(API_ENDPOINTS.UPLOADS.CREATE, { fileName, mimeType, size });
+    return response.data;
+  },
+
+  // Get an upload's progress (offset = bytes the server already has)
+  getUpload: async (uploadId) => {
+    const response = await api.get(API_ENDPOINTS.UPLOADS.BY_ID(uploadId));
+    return response.data;
+  },
+
+  // Send one chunk starting at offset
+  uploadChunk: async (uploadId, offset, chunk, { signal, onUploadProgress } = {}) => {
+    const response = await api.patch(API_ENDPOINTS.UPLOADS.BY_ID(uploadId), chunk, {
+      headers: {
+        'Content-Type': 'application/offset+octet-stream',
+        'Upload-Offset': String(offset),
+      },
+      timeout: FILE_UPLOAD.CHUNK_TIMEOUT,
+      signal,
+      onUploadProgress,
+    });
+    return response.data;
+  },
+
+  // Verify and store the assembled file
+  finalizeUpload: async (uploadId) => {
+    const response = await api.post(API_ENDPOINTS.UPLOADS.FINALIZE(uploadId), null, {
+      timeout: FILE_UPLOAD.CHUNK_TIMEOUT,
+    });
+    return response.data;
+  },
+
+  // Abandon an upload and free its storage
+  cancelUpload: async (uploadId) => {
+    const response = await api.delete(API_ENDPOINTS.UPLOADS.BY_ID(uploadId));
+    return response.data;
+  },
+
+  /**
+   * Upload a whole file in chunks, resuming an earlier session when uploadId is given.
+   * Failed chunks are retried with back-off; aborting signal pauses the upload
+   * (the session stays on the server and can be resumed later).
+   * Resolves with the finished upload, whose _id is sent with the post.
+   */
+  uploadFile: async (file, { uploadId = null, signal, onSessionCreated, onProgress } = {}) => {
+    let upload = null;
+
+    if (uploadId) {
+      try {
+        upload = (await uploadsService.getUpload(uploadId)).data.upload;
+      } catch (error) {
+        // Expired or rejected sessions start over; anything else bubbles up
+        if (error.response?.status !== 404) throw error;
+      }
+    }
+
+    if (!upload) {
+      upload = (await uploadsService.createUpload({
+        fileName: file.name,
+        mimeType: file.type,
+        size: file.size,
+      })).data.upload;
+      onSessionCreated && onSessionCreated(upload._id);
+    }
+
+    if (upload.status === 'complete') {
+      onProgress && onProgress(file.size, file.size);
+      return upload;
+    }
+
+    const chunkSize = upload.chunkSize || FILE_UPLOAD.CHUNK_SIZE;
+    let offset = upload.offset;
+    let attempt = 0;
+
+    onProgress && onProgress(offset, file.size);
+
+    while (offset < file.size) {
+      const chunkStart = offset;
+
+      try {
+        const result = await uploadsService.uploadChunk(
+          upload._id,
+          chunkStart,
+          file.slice(chunkStart, chunkStart + chunkSize),
+          {
+            signal,
+            onUploadProgress: (event) => onProgress && onProgress(chunkStart + event.loaded, file.size),
+          }
+        );
+        offset = result.data.upload.offset;
+        attempt = 0;
+      } catch (error) {
+        if (axios.isCancel(error)) throw error;
+
+        const serverOffset = error.response?.data?.data?.offset;
+        const canRetry = isRetryable(error) || (error.response?.status === 409 && serverOffset !== undefined);
+        if (!canRetry || attempt >= CHUNK_RETRY_DELAYS.length) throw error;
+
+        // Out of step with the server (e.g. the last chunk arrived before the connection dropped)
+        if (serverOffset !== undefined) {
+          offset = serverOffset;
+          attempt++;
+          continue;
+        }
+
+        await wait(CHUNK_RETRY_DELAYS[attempt++], signal);
+
+        // Ask the server where to continue - the failed chunk may have landed anyway
+        try {
+          offset = (await uploadsService.getUpload(upload._id)).data.upload.offset;
+        } catch (statusError) {
+          if (axios.isCancel(statusError)) throw statusError;
+        }
+      }
+
+      onProgress && onProgress(offset, file.size);
+    }
+
+    return (await uploadsService.finalizeUpload(upload._id)).data.upload;
+  },
+};
+
+export default uploadsService;
\ No newline at end of file
@@ -1,7 +1,8 @@
 import { configureStore } from '@reduxjs/toolkit';
-import authSlice from './slices/authSlice';
+import authSlice, { tokensRefreshed } from './slices/authSlice';
 import postsSlice from './slices/postsSlice';
 import userSlice from './slices/userSlice';
+import { onTokensRefreshed } from '../services/api';
 // Remove the problematic middleware import
 
 // Configure the Redux store with all slices
@@ -22,4 +23,7 @@ const store = configureStore({
   devTools: process.env.NODE_ENV !== 'production', // Enable Redux DevTools in development
 });
 
+// Keep the store's tokens in step with refreshes done by the api interceptor
+onTokensRefreshed((tokens) => store.dispatch(tokensRefreshed(tokens)));
+
 export default store;
\ No newline at end of file
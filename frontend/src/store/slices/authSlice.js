@@ -16,6 +16,41 @@ export const loginUser = createAsyncThunk(
   }
 );
 
+// Second sign-in step for accounts with two-factor authentication
+export const verifyTwoFactorLogin = createAsyncThunk(
+  'auth/verifyTwoFactor',
+  async (code, { getState, dispatch, rejectWithValue }) => {
+    try {
+      const { auth } = getState();
+      const response = await authService.loginTwoFactor(auth.twoFactorChallenge.challengeToken, code);
+      return response.data;
+    } catch (error) {
+      // The challenge expired or was used: start over from the password step
+      if (error.response?.data?.code === 'INVALID_CHALLENGE') {
+        dispatch(cancelTwoFactorLogin());
+      }
+      return rejectWithValue(
+        error.response?.data?.message || 'Verification failed'
+      );
+    }
+  }
+);
+
+// Finish a sign-in with an OIDC provider (answers like loginUser)
+export const loginWithProvider = createAsyncThunk(
+  'auth/loginWithProvider',
+  async (callback, { rejectWithValue }) => {
+    try {
+      const response = await authService.completeOidcLogin(callback);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Login failed'
+      );
+    }
+  }
+);
+
 export const registerUser = createAsyncThunk(
   'auth/register',
   async (userData, { rejectWithValue }) => {
@@ -82,8 +117,45 @@ const getInitialAuthState = () => {
   };
 };
 
+// Store a new session and persist it
+const startSession = (state, { user, accessToken, refreshToken }) => {
+  state.user = user;
+  state.accessToken = accessToken;
+  state.refreshToken = refreshToken;
+  state.isAuthenticated = true;
+  state.twoFactorChallenge = null;
+  state.error = null;
+
+  // Save to localStorage
+  const authState = {
+    user: state.user,
+    accessToken: state.accessToken,
+    refreshToken: state.refreshToken,
+    isAuthenticated: true,
+  };
+  localStorage.setItem('authState', JSON.stringify(authState));
+};
+
+// First sign-in step passed: start the session, or wait for the two-factor code
+const handleSignIn = (state, payload) => {
+  state.isLoading = false;
+
+  if (payload.twoFactorRequired) {
+    state.twoFactorChallenge = {
+      challengeToken: payload.challengeToken,
+      expiresIn: payload.expiresIn,
+    };
+    state.error = null;
+    return;
+  }
+
+  startSession(state, payload);
+};
+
 const initialState = {
   ...getInitialAuthState(),
+  // Set between a correct password and the two-factor code (never persisted)
+  twoFactorChallenge: null,
   isLoading: false,
   error: null,
 };
@@ -112,6 +184,19 @@ const authSlice = createSlice({
       }
     },
 
+    // Tokens refreshed outside a thunk (by the api interceptor)
+    tokensRefreshed: (state, action) => {
+      state.accessToken = action.payload.accessToken;
+      if (action.payload.refreshToken) {
+        state.refreshToken = action.payload.refreshToken;
+      }
+    },
+
+    // Leave the two-factor step and go back to the password form
+    cancelTwoFactorLogin: (state) => {
+      state.twoFactorChallenge = null;
+    },
+
     // Manual logout (for cases like token expiry)
     forceLogout: (state) => {
       state.user = null;
@@ -130,28 +215,42 @@ const authSlice = createSlice({
         state.error = null;
       })
       .addCase(loginUser.fulfilled, (state, action) => {
+        handleSignIn(state, action.payload);
+      })
+      .addCase(loginUser.rejected, (state, action) => {
         state.isLoading = false;
-        state.user = action.payload.user;
-        state.accessToken = action.payload.accessToken;
-        state.refreshToken = action.payload.refreshToken;
-        state.isAuthenticated = true;
+        state.error = action.payload;
+        state.isAuthenticated = false;
+      })
+
+      // Provider sign-in cases
+      .addCase(loginWithProvider.pending, (state) => {
+        state.isLoading = true;
         state.error = null;
-        
-        // Save to localStorage
-        const authState = {
-          user: state.user,
-          accessToken: state.accessToken,
-          refreshToken: state.refreshToken,
-          isAuthenticated: true,
-        };
-        localStorage.setItem('authState', JSON.stringify(authState));
       })
-      .addCase(loginUser.rejected, (state, action) => {
+      .addCase(loginWithProvider.fulfilled, (state, action) => {
+        handleSignIn(state, action.payload);
+      })
+      .addCase(loginWithProvider.rejected, (state, action) => {
         state.isLoading = false;
         state.error = action.payload;
         state.isAuthenticated = false;
       })
 
+      // Two-factor sign-in cases
+      .addCase(verifyTwoFactorLogin.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(verifyTwoFactorLogin.fulfilled, (state, action) => {
+        state.isLoading = false;
+        startSession(state, action.payload);
+      })
+      .addCase(verifyTwoFactorLogin.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      })
+
       // Register cases
       .addCase(registerUser.pending, (state) => {
         state.isLoading = true;
@@ -183,6 +282,8 @@ const authSlice = createSlice({
       // Refresh token cases
       .addCase(refreshToken.fulfilled, (state, action) => {
         state.accessToken = action.payload.accessToken;
+        // The old refresh token was rotated out and no longer works
+        state.refreshToken = action.payload.refreshToken;
         
         // Update localStorage
         const authState = {
@@ -214,7 +315,7 @@ const authSlice = createSlice({
   },
 });
 
-export const { clearError, updateUserProfile, forceLogout } = authSlice.actions;
+export const { clearError, updateUserProfile, tokensRefreshed, cancelTwoFactorLogin, forceLogout } = authSlice.actions;
 
 // Selectors
 export const selectAuth = (state) => state.auth;
@@ -222,5 +323,6 @@ export const selectUser = (state) => state.auth.user;
 export const selectIsAuthenticated = (state) => state.auth.isAuthenticated;
 export const selectAuthLoading = (state) => state.auth.isLoading;
 export const selectAuthError = (state) => state.auth.error;
+export const selectTwoFactorChallenge = (state) => state.auth.twoFactorChallenge;
 
 export default authSlice.reducer;
\ No newline at end of file
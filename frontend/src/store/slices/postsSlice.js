@@ -46,9 +46,9 @@ export const fetchPostById = createAsyncThunk(
 
 export const createPost = createAsyncThunk(
   'posts/createPost',
-  async (postData, { rejectWithValue }) => {
+  async ({ postData, onUploadProgress }, { rejectWithValue }) => {
     try {
-      const response = await postsService.createPost(postData);
+      const response = await postsService.createPost(postData, { onUploadProgress });
       return response.data;
     } catch (error) {
       return rejectWithValue(
@@ -60,9 +60,9 @@ export const createPost = createAsyncThunk(
 
 export const updatePost = createAsyncThunk(
   'posts/updatePost',
-  async ({ id, postData }, { rejectWithValue }) => {
+  async ({ id, postData, onUploadProgress }, { rejectWithValue }) => {
     try {
-      const response = await postsService.updatePost(id, postData);
+      const response = await postsService.updatePost(id, postData, { onUploadProgress });
       return response.data;
     } catch (error) {
       return rejectWithValue(
@@ -86,34 +86,60 @@ export const deletePost = createAsyncThunk(
   }
 );
 
-export const likePost = createAsyncThunk(
-  'posts/likePost',
-  async (postId, { rejectWithValue }) => {
+export const deleteAttachment = createAsyncThunk(
+  'posts/deleteAttachment',
+  async ({ postId, attachmentId }, { rejectWithValue }) => {
     try {
-      const response = await postsService.toggleLike(postId);
-      return { postId, ...response.data };
+      const response = await postsService.deleteAttachment(postId, attachmentId);
+      return { postId, attachments: response.data.attachments };
     } catch (error) {
       return rejectWithValue(
-        error.response?.data?.message || 'Failed to like post'
+        error.response?.data?.message || 'Failed to delete attachment'
       );
     }
   }
 );
 
-export const addComment = createAsyncThunk(
-  'posts/addComment',
-  async ({ postId, content }, { rejectWithValue }) => {
+export const reorderAttachments = createAsyncThunk(
+  'posts/reorderAttachments',
+  async ({ postId, attachmentIds }, { rejectWithValue }) => {
     try {
-      const response = await postsService.addComment(postId, content);
-      return { postId, comment: response.data.comment };
+      const response = await postsService.reorderAttachments(postId, attachmentIds);
+      return { postId, attachments: response.data.attachments };
     } catch (error) {
       return rejectWithValue(
-        error.response?.data?.message || 'Failed to add comment'
+        error.response?.data?.message || 'Failed to reorder attachments'
+      );
+    }
+  }
+);
+
+// Sets the like to `liked`; the server answers with the resulting state
+export const likePost = createAsyncThunk(
+  'posts/likePost',
+  async ({ postId, liked }, { rejectWithValue }) => {
+    try {
+      const response = liked
+        ? await postsService.likePost(postId)
+        : await postsService.unlikePost(postId);
+      return { postId, ...response.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Failed to like post'
       );
     }
   }
 );
 
+// Apply a new attachments list to every copy of the post held in state
+const setPostAttachments = (state, postId, attachments) => {
+  [...state.posts, ...state.myPosts, state.currentPost].forEach(post => {
+    if (post && post._id === postId) {
+      post.attachments = attachments;
+    }
+  });
+};
+
 const initialState = {
   // Posts list (for main posts page)
   posts: [],
@@ -168,6 +194,17 @@ const postsSlice = createSlice({
       state.currentPostError = null;
     },
     
+    // Comments are loaded separately; keep the post's count in step with them
+    commentsCountChanged: (state, action) => {
+      const { postId, delta } = action.payload;
+
+      [...state.posts, ...state.myPosts, state.currentPost].forEach(post => {
+        if (post && post._id === postId) {
+          post.commentsCount = Math.max((post.commentsCount || 0) + delta, 0);
+        }
+      });
+    },
+    
     // Optimistic update for likes (instant UI feedback)
     optimisticLike: (state, action) => {
       const { postId, liked } = action.payload;
@@ -317,36 +354,33 @@ const postsSlice = createSlice({
         state.deletePostLoading = false;
       })
 
+      // Attachment cases
+      .addCase(deleteAttachment.fulfilled, (state, action) => {
+        setPostAttachments(state, action.payload.postId, action.payload.attachments);
+      })
+      .addCase(reorderAttachments.fulfilled, (state, action) => {
+        setPostAttachments(state, action.payload.postId, action.payload.attachments);
+      })
+
       // Like post cases
       .addCase(likePost.fulfilled, (state, action) => {
-        const { postId, liked, likesCount } = action.payload;
+        const { postId, likedByMe, likesCount } = action.payload;
         
         // Update in posts array
         const postIndex = state.posts.findIndex(post => post._id === postId);
         if (postIndex !== -1) {
-          state.posts[postIndex].likesCount = likesCount;
+          Object.assign(state.posts[postIndex], { likedByMe, likesCount });
         }
         
         // Update in my posts array
         const myPostIndex = state.myPosts.findIndex(post => post._id === postId);
         if (myPostIndex !== -1) {
-          state.myPosts[myPostIndex].likesCount = likesCount;
-        }
-        
-        // Update current post if it matches
-        if (state.currentPost && state.currentPost._id === postId) {
-          state.currentPost.likesCount = likesCount;
+          Object.assign(state.myPosts[myPostIndex], { likedByMe, likesCount });
         }
-      })
-
-      // Add comment cases
-      .addCase(addComment.fulfilled, (state, action) => {
-        const { postId, comment } = action.payload;
         
         // Update current post if it matches
         if (state.currentPost && state.currentPost._id === postId) {
-          state.currentPost.comments = state.currentPost.comments || [];
-          state.currentPost.comments.push(comment);
+          Object.assign(state.currentPost, { likedByMe, likesCount });
         }
       });
   },
@@ -356,6 +390,7 @@ export const {
   clearPostsError, 
   setFilters, 
   clearCurrentPost, 
+  commentsCountChanged,
   optimisticLike 
 } = postsSlice.actions;
 
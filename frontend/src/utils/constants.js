@@ -13,6 +13,8 @@ export const STORAGE_KEYS = {
   LANGUAGE_PREFERENCE: 'languagePreference',
   POSTS_FILTER: 'postsFilter',
   DASHBOARD_LAYOUT: 'dashboardLayout',
+  // Provider sign-in in progress (sessionStorage): { provider, state, flowToken }
+  OIDC_FLOW: 'oidcFlow',
 };
 
 // Post Categories
@@ -40,7 +42,11 @@ export const USER_ROLES = {
 
 // File Upload
 export const FILE_UPLOAD = {
-  MAX_SIZE: 5 * 1024 * 1024, // 5MB
+  MAX_SIZE: 50 * 1024 * 1024, // 50MB (files are sent in resumable chunks)
+  CHUNK_SIZE: 1024 * 1024, // 1MB, unless the server suggests otherwise
+  CHUNK_TIMEOUT: 60000, // Per chunk - slow links shouldn't hit the default 10s timeout
+  MAX_FILES_PER_UPLOAD: 3,
+  MAX_ATTACHMENTS_PER_POST: 10,
   ALLOWED_TYPES: [
     'image/jpeg',
     'image/jpg',
@@ -211,6 +217,21 @@ export const API_ENDPOINTS = {
     LOGOUT_ALL: '/auth/logout-all',
     REFRESH: '/auth/refresh',
     ME: '/auth/me',
+    LOGIN_2FA: '/auth/login/2fa',
+    TWO_FACTOR: '/auth/2fa',
+    TWO_FACTOR_SETUP: '/auth/2fa/setup',
+    TWO_FACTOR_ENABLE: '/auth/2fa/enable',
+    TWO_FACTOR_DISABLE: '/auth/2fa/disable',
+    TWO_FACTOR_RECOVERY_CODES: '/auth/2fa/recovery-codes',
+    FORGOT_PASSWORD: '/auth/forgot-password',
+    RESET_PASSWORD: '/auth/reset-password',
+    VERIFY_EMAIL: '/auth/verify-email',
+    RESEND_VERIFICATION: '/auth/resend-verification',
+    SESSIONS: '/auth/sessions',
+    SESSION_BY_ID: (id) => `/auth/sessions/${id}`,
+    OIDC_PROVIDERS: '/auth/oidc/providers',
+    OIDC_AUTHORIZE: (provider) => `/auth/oidc/${provider}/authorize`,
+    OIDC_CALLBACK: '/auth/oidc/callback',
   },
   POSTS: {
     GET_ALL: '/posts',
@@ -220,12 +241,34 @@ export const API_ENDPOINTS = {
     DELETE: (id) => `/posts/${id}`,
     GET_MY_POSTS: '/posts/my',
     LIKE: (id) => `/posts/${id}/like`,
+    COMMENTS: (id) => `/posts/${id}/comments`,
     ADD_COMMENT: (id) => `/posts/${id}/comments`,
+    COMMENT: (id, commentId) => `/posts/${id}/comments/${commentId}`,
+    COMMENT_REPLIES: (id, commentId) => `/posts/${id}/comments/${commentId}/replies`,
+    REORDER_ATTACHMENTS: (id) => `/posts/${id}/attachments/order`,
   },
   USERS: {
     PROFILE: '/users/profile',
     UPDATE_PROFILE: '/users/profile',
   },
+  UPLOADS: {
+    CREATE: '/uploads',
+    BY_ID: (id) => `/uploads/${id}`,
+    FINALIZE: (id) => `/uploads/${id}/finalize`,
+  },
+  ADMIN: {
+    STATS: '/admin/stats',
+    USERS: '/admin/users',
+    USER: (id) => `/admin/users/${id}`,
+    USER_STATUS: (id) => `/admin/users/${id}/status`,
+    USER_ROLE: (id) => `/admin/users/${id}/role`,
+    USER_LOGOUT: (id) => `/admin/users/${id}/logout`,
+    USER_LOCKOUT: (id) => `/admin/users/${id}/lockout`,
+    POSTS: '/admin/posts',
+    POST: (id) => `/admin/posts/${id}`,
+    POST_STATUS: (id) => `/admin/posts/${id}/status`,
+    AUDIT_LOGS: '/admin/audit-logs',
+  },
 };
 
 // Social Media Sharing
@@ -283,7 +326,8 @@ export const Z_INDEX = {
 export const FEATURE_FLAGS = {
   ENABLE_DARK_MODE: true,
   ENABLE_NOTIFICATIONS: true,
-  ENABLE_SOCIAL_LOGIN: false,
+  // Sign-in with the OIDC providers the API has configured (OIDC_PROVIDERS)
+  ENABLE_SOCIAL_LOGIN: process.env.REACT_APP_ENABLE_SOCIAL_LOGIN === 'true',
   ENABLE_ADVANCED_SEARCH: true,
   ENABLE_POST_ANALYTICS: true,
   ENABLE_REAL_TIME_UPDATES: false,
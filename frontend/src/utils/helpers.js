@@ -131,6 +131,18 @@ export const validateFile = (file) => {
   return { isValid: true };
 };
 
+// Trigger a browser "save as" for a Blob (e.g. an attachment fetched through the API)
+export const saveBlob = (blob, fileName) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName || 'download';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
 export const getFileIcon = (mimeType) => {
   if (!mimeType) return 'description';
   
@@ -408,6 +420,7 @@ export default {
   validateName,
   formatFileSize,
   validateFile,
+  saveBlob,
   getFileIcon,
   truncateText,
   capitalizeFirst,